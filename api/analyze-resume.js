@@ -1,28 +1,72 @@
 // api/analyze-resume.js
-import OpenAI from "openai";
+import { resumeSegmenter } from '../services/resume-segmenter.js';
+import { employmentTimeline } from '../services/employment-timeline.js';
+import { piiRedactor } from '../services/pii-redactor.js';
+import { llmProvider } from '../services/llm-provider.js';
+import { RESUME_ANALYSIS_SCHEMA } from '../services/llm-schemas.js';
+import { cacheManager } from '../services/cache-manager.js';
+import { apiConfig } from '../config/api-config.js';
+import {
+    TECH_SKILLS, SOFT_SKILLS, EXPERIENCE_PATTERNS, INDUSTRY_PATTERNS,
+    RESPONSIBILITY_PATTERNS, EDUCATION_PATTERNS, QUALIFICATION_PATTERNS, matchVocabulary
+} from '../services/skill-vocabulary.js';
+
+// Bump whenever the analysis prompt or post-processing changes so cached analyses are not reused
+const RESUME_ANALYSIS_PROMPT_VERSION = 'resume-analysis-v2';
 
-// Initialize OpenAI with enhanced configuration - lazy loading
-let openai = null;
-
-function getOpenAIClient() {
-    if (!openai) {
-        openai = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY,
-            timeout: 30000, // 30 second timeout for OpenAI requests
-            maxRetries: 2   // Retry failed requests up to 2 times
+// Enhanced Resume Analysis Function with better role extraction
+// The resume is split into sections and each section is analysed on its own,
+// so long resumes are never truncated and every item keeps its source section
+async function analyzeResume(resumeText, llm = llmProvider) {
+    try {
+        console.log('Starting comprehensive resume analysis...');
+        // Mask contact details and ID numbers before any text is sent to the model
+        const safeText = piiRedactor.redactForLLM(resumeText);
+        const chunks = resumeSegmenter.getChunks(safeText);
+        console.log(`Resume split into ${chunks.length} chunks:`, chunks.map(chunk => `${chunk.section}(${chunk.text.length})`).join(', '));
+
+        const sectionResults = await Promise.all(chunks.map(chunk => analyzeResumeSection(chunk, llm)));
+        const analysis = resumeSegmenter.mergeSectionAnalyses(sectionResults);
+        analysis.fallbackSections = sectionResults.filter(result => result.fallback).map(result => result.section);
+
+        // Structured positions come from the Experience section (or the whole resume if it had no headings)
+        const experienceText = chunks
+            .filter(chunk => ['experience', 'general'].includes(chunk.section))
+            .map(chunk => chunk.text)
+            .join('\n\n');
+        employmentTimeline.applyToAnalysis(analysis, experienceText);
+
+        console.log('AI analysis completed:', {
+            technical: analysis.technicalSkills.length,
+            soft: analysis.softSkills.length,
+            experience: analysis.workExperience.length,
+            education: analysis.education.length,
+            qualifications: analysis.qualifications.length,
+            industries: analysis.industries.length,
+            responsibilities: analysis.responsibilities.length,
+            achievements: analysis.achievements.length,
+            seniorityLevel: analysis.seniorityLevel,
+            sections: analysis.sections.join(', '),
+            positions: analysis.positions.length,
+            totalYearsExperience: analysis.totalYearsExperience
         });
+
+        return analysis;
+    } catch (error) {
+        console.error('Error analyzing resume:', error);
+        return extractEnhancedSkillsFromText(resumeText);
     }
-    return openai;
 }
 
-// Enhanced Resume Analysis Function with better role extraction
-async function analyzeResume(resumeText, openai) {
-    try {
-        console.log('Starting comprehensive resume analysis...');
-        const truncatedText = resumeText.length > 8000 ? resumeText.substring(0, 8000) + '...' : resumeText;
+// Analyse a single resume section chunk, merged with keyword extraction for that chunk
+async function analyzeResumeSection(chunk, llm) {
+    const fallbackAnalysis = extractEnhancedSkillsFromText(chunk.text);
+    const partLabel = chunk.totalParts > 1 ? ` (part ${chunk.part} of ${chunk.totalParts})` : '';
 
-        const response = await openai.chat.completions.create({
-            model: "gpt-3.5-turbo",
+    try {
+        const analysis = await llm.chatJson({
+            task: 'resumeAnalysis',
+            schema: RESUME_ANALYSIS_SCHEMA,
             messages: [
                 {
                     role: "system",
@@ -65,52 +109,22 @@ Return ONLY a valid JSON object:
                 },
                 {
                     role: "user",
-                    content: `Analyze this resume comprehensively and extract ALL relevant information for job matching. Look beyond job titles to understand what this person actually does and is capable of: ${truncatedText}`
+                    content: `This is the ${chunk.label} section of a resume${partLabel}. Analyze it comprehensively and extract ALL relevant information for job matching. Look beyond job titles to understand what this person actually does and is capable of: ${chunk.text}`
                 }
             ],
             temperature: 0.1,
-            max_tokens: 1500
+            maxTokens: 1500
         });
 
-        const analysisText = response.choices[0].message.content;
-        const cleanedText = analysisText.replace(/```json\s*|\s*```/g, '').trim();
-
-        try {
-            const analysis = JSON.parse(cleanedText);
-            console.log('AI analysis completed:', {
-                technical: analysis.technicalSkills?.length || 0,
-                soft: analysis.softSkills?.length || 0,
-                experience: analysis.workExperience?.length || 0,
-                education: analysis.education?.length || 0,
-                qualifications: analysis.qualifications?.length || 0,
-                industries: analysis.industries?.length || 0,
-                responsibilities: analysis.responsibilities?.length || 0,
-                achievements: analysis.achievements?.length || 0,
-                seniorityLevel: analysis.seniorityLevel || 'none'
-            });
-            
-            // Merge with enhanced fallback extraction
-            const fallbackAnalysis = extractEnhancedSkillsFromText(resumeText);
-            const mergedAnalysis = {
-                technicalSkills: cleanAndDeduplicate([...(analysis.technicalSkills || []), ...(fallbackAnalysis.technicalSkills || [])]),
-                softSkills: cleanAndDeduplicate([...(analysis.softSkills || []), ...(fallbackAnalysis.softSkills || [])]),
-                workExperience: cleanAndDeduplicate([...(analysis.workExperience || []), ...(fallbackAnalysis.workExperience || [])]),
-                education: cleanAndDeduplicate([...(analysis.education || []), ...(fallbackAnalysis.education || [])]),
-                qualifications: cleanAndDeduplicate([...(analysis.qualifications || []), ...(fallbackAnalysis.qualifications || [])]),
-                industries: cleanAndDeduplicate([...(analysis.industries || []), ...(fallbackAnalysis.industries || [])]),
-                responsibilities: cleanAndDeduplicate([...(analysis.responsibilities || []), ...(fallbackAnalysis.responsibilities || [])]),
-                achievements: cleanAndDeduplicate([...(analysis.achievements || []), ...(fallbackAnalysis.achievements || [])]),
-                seniorityLevel: (analysis.seniorityLevel && analysis.seniorityLevel.trim()) || fallbackAnalysis.seniorityLevel || 'mid'
-            };
-
-            return mergedAnalysis;
-        } catch (parseError) {
-            console.log('AI parsing failed, using enhanced fallback extraction');
-            return extractEnhancedSkillsFromText(resumeText);
+        const mergedAnalysis = { seniorityLevel: (analysis.seniorityLevel && analysis.seniorityLevel.trim()) || fallbackAnalysis.seniorityLevel || 'mid' };
+        for (const category of resumeSegmenter.analysisCategories) {
+            mergedAnalysis[category] = [...(analysis[category] || []), ...(fallbackAnalysis[category] || [])];
         }
+
+        return { section: chunk.section, analysis: mergedAnalysis };
     } catch (error) {
-        console.error('Error analyzing resume:', error);
-        return extractEnhancedSkillsFromText(resumeText);
+        console.log(`AI analysis failed for ${chunk.section} section, using enhanced fallback extraction:`, error.message);
+        return { section: chunk.section, analysis: fallbackAnalysis, fallback: true };
     }
 }
 
@@ -140,155 +154,12 @@ function extractEnhancedSkillsFromText(resumeText) {
         seniorityLevel: 'mid'
     };
 
-    // Comprehensive technical skills
-    const techSkills = [
-        // Programming & Development
-        'javascript', 'typescript', 'python', 'java', 'c#', 'c++', 'php', 'ruby', 'go', 'swift', 'kotlin', 'scala', 'rust',
-        'react', 'angular', 'vue', 'node.js', 'express', 'django', 'flask', 'spring', 'laravel', 'rails',
-        'html', 'css', 'sass', 'less', 'bootstrap', 'tailwind',
-        'sql', 'mysql', 'postgresql', 'mongodb', 'redis', 'elasticsearch', 'sqlite', 'oracle', 'cassandra',
-        'aws', 'azure', 'google cloud', 'gcp', 'docker', 'kubernetes', 'jenkins', 'git', 'gitlab', 'github',
-        'linux', 'unix', 'windows server', 'apache', 'nginx', 'terraform', 'ansible',
-        
-        // Data & Analytics
-        'excel', 'google sheets', 'tableau', 'power bi', 'looker', 'qlik', 'r', 'stata', 'spss', 'sas',
-        'google analytics', 'mixpanel', 'amplitude', 'hotjar', 'segment', 'databricks', 'snowflake',
-        'pandas', 'numpy', 'matplotlib', 'seaborn', 'plotly', 'jupyter', 'hadoop', 'spark',
-        
-        // Design & Creative
-        'figma', 'sketch', 'adobe xd', 'photoshop', 'illustrator', 'indesign', 'after effects',
-        'canva', 'invision', 'principle', 'framer', 'zeplin', 'adobe creative suite',
-        
-        // Marketing & Sales
-        'google ads', 'facebook ads', 'instagram ads', 'linkedin ads', 'twitter ads', 'tiktok ads',
-        'hubspot', 'salesforce', 'marketo', 'mailchimp', 'constant contact', 'pardot', 'klaviyo',
-        'seo', 'sem', 'ppc', 'social media marketing', 'email marketing', 'content marketing',
-        'google tag manager', 'facebook pixel', 'conversion tracking',
-        
-        // Project Management & Productivity
-        'jira', 'asana', 'trello', 'monday.com', 'notion', 'confluence', 'slack', 'teams',
-        'basecamp', 'wrike', 'smartsheet', 'airtable', 'clickup', 'linear',
-        
-        // Business & Finance
-        'quickbooks', 'sage', 'xero', 'freshbooks', 'netsuite', 'sap', 'oracle financials',
-        'bloomberg terminal', 'thomson reuters', 'factset', 'morningstar', 'workday',
-        
-        // CRM & Customer Service
-        'zendesk', 'freshdesk', 'intercom', 'drift', 'livechat', 'helpscout', 'servicenow',
-        'pipedrive', 'copper', 'zoho', 'insightly', 'dynamics 365'
-    ];
-
-    // Enhanced soft skills
-    const softSkills = [
-        'leadership', 'management', 'team leadership', 'people management',
-        'communication', 'verbal communication', 'written communication', 'presentation skills',
-        'teamwork', 'collaboration', 'cross-functional collaboration',
-        'problem solving', 'analytical thinking', 'critical thinking', 'creative thinking',
-        'project management', 'program management', 'time management', 'organization', 'planning',
-        'customer service', 'client relations', 'stakeholder management', 'relationship management',
-        'public speaking', 'writing', 'editing', 'technical writing',
-        'negotiation', 'sales', 'marketing', 'business development', 'account management',
-        'training', 'mentoring', 'coaching', 'teaching', 'knowledge transfer',
-        'adaptability', 'flexibility', 'innovation', 'creativity', 'entrepreneurship',
-        'attention to detail', 'quality assurance', 'process improvement', 'continuous improvement',
-        'strategic planning', 'strategic thinking', 'decision making', 'risk management'
-    ];
-
-    // Enhanced work experience patterns with responsibilities
-    const experiencePatterns = [
-        // Technology roles
-        'software engineer', 'software developer', 'web developer', 'mobile developer', 'app developer',
-        'full stack developer', 'frontend developer', 'backend developer', 'fullstack engineer',
-        'data scientist', 'data analyst', 'data engineer', 'machine learning engineer', 'ai engineer',
-        'devops engineer', 'cloud engineer', 'infrastructure engineer', 'site reliability engineer',
-        'system administrator', 'network administrator', 'database administrator',
-        'cybersecurity analyst', 'information security', 'security engineer',
-        'it support', 'technical support', 'help desk', 'system analyst',
-        'product manager', 'project manager', 'program manager', 'scrum master', 'agile coach',
-        'ux designer', 'ui designer', 'product designer', 'graphic designer', 'web designer',
-        'technical lead', 'engineering manager', 'cto', 'vp engineering',
-        
-        // Business & Operations
-        'business analyst', 'systems analyst', 'process analyst', 'operations analyst',
-        'financial analyst', 'investment analyst', 'research analyst', 'credit analyst',
-        'accountant', 'bookkeeper', 'controller', 'cfo', 'finance manager', 'finance director',
-        'operations manager', 'operations director', 'general manager', 'ceo', 'coo', 'president',
-        'consultant', 'business consultant', 'management consultant', 'strategy consultant',
-        'human resources', 'hr manager', 'hr director', 'recruiter', 'talent acquisition',
-        'training manager', 'learning and development', 'organizational development',
-        
-        // Sales & Marketing
-        'marketing manager', 'marketing director', 'digital marketing manager', 'growth manager',
-        'content marketing manager', 'social media manager', 'brand manager', 'product marketing',
-        'marketing coordinator', 'marketing specialist', 'marketing analyst',
-        'sales manager', 'sales director', 'sales representative', 'account manager', 'account executive',
-        'business development manager', 'partnerships manager', 'channel manager',
-        'customer success manager', 'customer service manager', 'support manager',
-        
-        // Creative & Content
-        'creative director', 'art director', 'design director', 'brand designer',
-        'copywriter', 'content writer', 'technical writer', 'content creator', 'content strategist',
-        'video editor', 'photographer', 'animator', 'motion graphics designer',
-        
-        // Industry-specific
-        'nursing', 'physician', 'pharmaceutical', 'biotech', 'clinical research',
-        'education', 'academic', 'research', 'scientific research', 'mental health',
-        'legal', 'compliance', 'regulatory', 'audit', 'risk management',
-        'retail', 'e-commerce', 'supply chain', 'logistics', 'procurement'
-    ];
-
-    // Industry patterns
-    const industryPatterns = [
-        'technology', 'software', 'saas', 'fintech', 'healthtech', 'edtech',
-        'nursing', 'physician', 'therapist', 'pharmaceutical', 'biotechnology',
-        'finance', 'banking', 'insurance', 'investment', 'venture capital',
-        'e-commerce', 'retail', 'consumer goods', 'marketplace',
-        'education', 'academic', 'research', 'non-profit',
-        'media', 'entertainment', 'advertising', 'marketing',
-        'manufacturing', 'automotive', 'aerospace', 'energy',
-        'real estate', 'construction', 'architecture',
-        'consulting', 'professional services', 'legal'
-    ];
-
-    // Responsibility patterns
-    const responsibilityPatterns = [
-        'developed', 'built', 'created', 'designed', 'implemented', 'deployed',
-        'managed', 'led', 'supervised', 'coordinated', 'organized',
-        'analyzed', 'researched', 'evaluated', 'assessed', 'reviewed',
-        'improved', 'optimized', 'streamlined', 'automated', 'enhanced',
-        'collaborated', 'partnered', 'worked with', 'liaised',
-        'trained', 'mentored', 'coached', 'taught', 'guided',
-        'planned', 'strategized', 'executed', 'delivered', 'launched',
-        'maintained', 'supported', 'troubleshot', 'resolved',
-        'increased', 'grew', 'expanded', 'scaled', 'boosted',
-        'reduced', 'decreased', 'minimized', 'cut', 'saved'
-    ];
-
     // Check for matches with word boundaries to prevent partial matches
-    techSkills.forEach(skill => {
-        const regex = new RegExp(`\\b${skill.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
-        if (regex.test(resumeText)) analysis.technicalSkills.push(skill);
-    });
-
-    softSkills.forEach(skill => {
-        const regex = new RegExp(`\\b${skill.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
-        if (regex.test(resumeText)) analysis.softSkills.push(skill);
-    });
-
-    experiencePatterns.forEach(exp => {
-        const regex = new RegExp(`\\b${exp.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
-        if (regex.test(resumeText)) analysis.workExperience.push(exp);
-    });
-
-    industryPatterns.forEach(industry => {
-        const regex = new RegExp(`\\b${industry.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
-        if (regex.test(resumeText)) analysis.industries.push(industry);
-    });
-
-    responsibilityPatterns.forEach(resp => {
-        const regex = new RegExp(`\\b${resp.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
-        if (regex.test(resumeText)) analysis.responsibilities.push(resp);
-    });
+    analysis.technicalSkills.push(...matchVocabulary(resumeText, TECH_SKILLS));
+    analysis.softSkills.push(...matchVocabulary(resumeText, SOFT_SKILLS));
+    analysis.workExperience.push(...matchVocabulary(resumeText, EXPERIENCE_PATTERNS));
+    analysis.industries.push(...matchVocabulary(resumeText, INDUSTRY_PATTERNS));
+    analysis.responsibilities.push(...matchVocabulary(resumeText, RESPONSIBILITY_PATTERNS));
 
     // Determine seniority level
     if (text.includes('senior') || text.includes('lead') || text.includes('principal') || text.includes('architect')) {
@@ -301,32 +172,8 @@ function extractEnhancedSkillsFromText(resumeText) {
         analysis.seniorityLevel = 'lead';
     }
 
-    // Education patterns
-    const educationPatterns = [
-        'bachelor', 'bs', 'ba', 'master', 'ms', 'ma', 'mba', 'phd', 'doctorate', 'associate',
-        'computer science', 'engineering', 'business', 'marketing', 'finance', 'economics',
-        'psychology', 'communications', 'design', 'art', 'science', 'mathematics',
-        'certification', 'certified', 'license', 'training', 'course', 'bootcamp',
-        'aws certified', 'microsoft certified', 'google certified', 'salesforce certified',
-        'pmp', 'scrum master', 'agile', 'six sigma', 'lean'
-    ];
-    
-    educationPatterns.forEach(edu => {
-        const regex = new RegExp(`\\b${edu.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
-        if (regex.test(resumeText)) analysis.education.push(edu);
-    });
-
-    // Qualification patterns
-    const qualificationPatterns = [
-        'years experience', 'years of experience', 'experienced', 'expert', 'specialist',
-        'professional', 'leadership experience', 'management experience',
-        'team lead', 'project lead', 'technical lead', 'thought leader'
-    ];
-    
-    qualificationPatterns.forEach(qual => {
-        const regex = new RegExp(`\\b${qual.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
-        if (regex.test(resumeText)) analysis.qualifications.push(qual);
-    });
+    analysis.education.push(...matchVocabulary(resumeText, EDUCATION_PATTERNS));
+    analysis.qualifications.push(...matchVocabulary(resumeText, QUALIFICATION_PATTERNS));
 
     // Clean and deduplicate all results
     analysis.technicalSkills = cleanAndDeduplicate(analysis.technicalSkills);
@@ -371,7 +218,7 @@ export default async function handler(req, res) {
 
     try {
         console.log('=== RESUME ANALYSIS REQUEST ===');
-        const { resumeText } = req.body;
+        const { resumeText, force } = req.body;
 
         if (!resumeText) {
             return res.status(400).json({ error: 'Resume text is required' });
@@ -385,13 +232,36 @@ export default async function handler(req, res) {
 
         console.log(`Analyzing resume: ${resumeText.length} characters`);
         
-        // Validate OpenAI configuration
-        if (!process.env.OPENAI_API_KEY) {
-            console.error('OpenAI API key is not configured');
+        // Validate LLM provider configuration
+        if (!llmProvider.isConfigured()) {
+            console.error(`${llmProvider.name} provider is not configured`);
             return res.status(500).json({ error: 'AI analysis service is not configured. Please try again later.' });
         }
         
-        const analysis = await analyzeResume(resumeText, getOpenAIClient());
+        // Same resume, prompt and model -> same analysis, unless the caller forces a fresh one
+        const cacheKey = cacheManager.generateAnalysisCacheKey(
+            resumeText,
+            RESUME_ANALYSIS_PROMPT_VERSION,
+            `${llmProvider.name}/${apiConfig.getModelForTask('resumeAnalysis')}`
+        );
+
+        if (force === true || force === 'true') {
+            console.log('🔄 Cache bypassed for resume analysis (force)');
+        } else {
+            const cachedAnalysis = await cacheManager.getCachedResumeAnalysis(cacheKey);
+            if (cachedAnalysis) {
+                console.log('Returning cached resume analysis');
+                return res.json({ ...cachedAnalysis, cached: true });
+            }
+        }
+
+        const analysis = await analyzeResume(resumeText, llmProvider);
+
+        // Only cache complete AI analyses - a keyword fallback should be retried next time
+        if (Array.isArray(analysis.fallbackSections) && analysis.fallbackSections.length === 0) {
+            await cacheManager.cacheResumeAnalysis(cacheKey, analysis);
+        }
+
         console.log('Resume analysis completed successfully:', {
             technicalSkills: analysis.technicalSkills?.length || 0,
             workExperience: analysis.workExperience?.length || 0,
@@ -400,13 +270,13 @@ export default async function handler(req, res) {
             seniorityLevel: analysis.seniorityLevel || 'unknown'
         });
         
-        res.json(analysis);
+        res.json({ ...analysis, cached: false });
         
     } catch (error) {
         console.error('Resume analysis error:', error);
         
         let userMessage = 'Failed to analyze resume. ';
-        if (error.message.includes('OpenAI')) {
+        if (error.message.includes('request failed')) {
             userMessage += 'AI analysis service is temporarily unavailable. Please try again.';
         } else if (error.message.includes('timeout')) {
             userMessage += 'Analysis is taking too long. Please try with a shorter resume.';
@@ -0,0 +1,47 @@
+// api/companies.js
+import { companyRegistry } from '../services/company-registry.js';
+
+// Vercel serverless function handler
+// Company profiles collected from job results: ?id=acme for one, ?ids=acme,meta for several, ?q=acm to search
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    // Handle preflight requests
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    // Only allow GET requests
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        // Searches run in other functions, so read what they stored
+        await companyRegistry.load();
+
+        const { id, ids, q, limit } = req.query || {};
+
+        if (id) {
+            const company = companyRegistry.getProfile(String(id));
+            if (!company) {
+                return res.status(404).json({ error: `No company profile for "${id}"` });
+            }
+            return res.json({ company });
+        }
+
+        if (ids) {
+            return res.json({ companies: companyRegistry.getProfiles(String(ids).split(',').map(value => value.trim()).filter(Boolean)) });
+        }
+
+        const maxResults = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+        res.json({ companies: companyRegistry.searchProfiles(String(q || ''), maxResults) });
+
+    } catch (error) {
+        console.error('Company profiles error:', error);
+        res.status(500).json({ error: 'Failed to load company profiles. Please try again.' });
+    }
+}
@@ -0,0 +1,36 @@
+// api/export-json-resume.js
+import { jsonResume } from '../services/json-resume.js';
+
+// Vercel serverless function handler
+// Accepts a stored analysis and returns it as a JSON Resume document (jsonresume.org)
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    // Handle preflight requests
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        console.log('=== JSON RESUME EXPORT REQUEST ===');
+        const { analysis } = req.body || {};
+
+        if (!analysis || typeof analysis !== 'object') {
+            return res.status(400).json({ error: 'Analysis is required' });
+        }
+
+        res.json(jsonResume.fromAnalysis(analysis));
+
+    } catch (error) {
+        console.error('JSON Resume export error:', error);
+        res.status(500).json({ error: 'Failed to export analysis as JSON Resume. Please try again.' });
+    }
+}
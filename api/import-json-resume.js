@@ -0,0 +1,39 @@
+// api/import-json-resume.js
+import { jsonResume } from '../services/json-resume.js';
+
+// Vercel serverless function handler
+// Accepts a JSON Resume document (jsonresume.org) and returns the analysis used by /api/search-jobs
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    // Handle preflight requests
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        console.log('=== JSON RESUME IMPORT REQUEST ===');
+        // The document may be posted as-is or wrapped as { resume: {...} }
+        const document = req.body?.resume || req.body;
+
+        const errors = jsonResume.validate(document);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid JSON Resume document.', details: errors });
+        }
+
+        const analysis = jsonResume.toAnalysis(document);
+        res.json(analysis);
+
+    } catch (error) {
+        console.error('JSON Resume import error:', error);
+        res.status(500).json({ error: 'Failed to import JSON Resume. Please check the document and try again.' });
+    }
+}
@@ -0,0 +1,72 @@
+// api/import-linkedin.js
+import multer from "multer";
+import { linkedInImporter } from '../services/linkedin-import.js';
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 20 * 1024 * 1024, // Full exports include messages and can be large
+        files: 1
+    },
+    fileFilter: (req, file, cb) => {
+        const allowedMimeTypes = [
+            'application/zip',
+            'application/x-zip-compressed',
+            'application/octet-stream'
+        ];
+        
+        if (allowedMimeTypes.includes(file.mimetype) || /\.zip$/i.test(file.originalname)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Invalid file type. Please upload the LinkedIn data export ZIP file.'));
+        }
+    }
+});
+
+// Vercel serverless function handler
+// Accepts a LinkedIn "Get a copy of your data" archive and returns the analysis used by /api/search-jobs
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    // Handle preflight requests
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        console.log('=== LINKEDIN IMPORT REQUEST ===');
+        const uploadMiddleware = upload.single('archive');
+        
+        await new Promise((resolve, reject) => {
+            uploadMiddleware(req, res, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        console.log(`Importing LinkedIn archive: ${req.file.originalname} (${req.file.size} bytes)`);
+        const analysis = await linkedInImporter.importArchive(req.file.buffer);
+        res.json(analysis);
+
+    } catch (error) {
+        console.error('LinkedIn import error:', error);
+        
+        if (error.message.includes('Invalid LinkedIn archive') || error.message.includes('Invalid file type')) {
+            return res.status(400).json({ error: error.message });
+        }
+        
+        res.status(500).json({ error: 'Failed to import LinkedIn data. Please try again or upload your resume instead.' });
+    }
+}
@@ -1,6 +1,16 @@
 // Enhanced parse-pdf.js with comprehensive debugging
+// Despite the name, this endpoint extracts text from PDF, DOCX, DOC and TXT resumes
 import multer from "multer";
 import PDFParser from 'pdf2json';
+import mammoth from 'mammoth';
+import WordExtractor from 'word-extractor';
+import * as cheerio from 'cheerio';
+import { fileTypeFromBuffer } from 'file-type';
+
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const DOC_MIME_TYPE = 'application/msword';
+// pdf2json y units within which two texts count as one line
+const PDF_ROW_TOLERANCE = 0.3;
 
 const upload = multer({
     storage: multer.memoryStorage(),
@@ -12,8 +22,10 @@ const upload = multer({
         const allowedMimeTypes = [
             'application/pdf',
             'text/plain',
-            'application/msword',
-            'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+            DOC_MIME_TYPE,
+            DOCX_MIME_TYPE,
+            // Some browsers and systems send Word files untyped; detectDocumentType sniffs them
+            'application/octet-stream'
         ];
         
         if (allowedMimeTypes.includes(file.mimetype)) {
@@ -24,6 +36,251 @@ const upload = multer({
     }
 });
 
+// Work out what the upload really is. Browsers report Word MIME types from the
+// file extension, so a renamed .doc that is actually DOCX is sniffed by content.
+async function detectDocumentType(file) {
+    const detected = await fileTypeFromBuffer(file.buffer);
+
+    if (detected?.ext === 'pdf') return 'pdf';
+    if (detected?.ext === 'docx') return 'docx';
+    if (detected?.ext === 'cfb') return 'doc';
+
+    switch (file.mimetype) {
+        case 'application/pdf':
+            return 'pdf';
+        case DOCX_MIME_TYPE:
+            return 'docx';
+        case DOC_MIME_TYPE:
+            return 'doc';
+        case 'text/plain':
+            return 'txt';
+        default:
+            return null;
+    }
+}
+
+// Flatten mammoth's HTML into plain text, one block per line, keeping list
+// items as bullets (indented by nesting depth) and table rows as cell lists
+function htmlToStructuredText(html) {
+    const $ = cheerio.load(html);
+    const lines = [];
+
+    const cleanInline = (text) => text.replace(/\s+/g, ' ').trim();
+
+    const walkList = ($list, depth) => {
+        const ordered = $list.is('ol');
+        $list.children('li').each((index, item) => {
+            const $item = $(item);
+            const $ownContent = $item.clone();
+            $ownContent.find('ul, ol').remove();
+
+            const text = cleanInline($ownContent.text());
+            if (text) {
+                const marker = ordered ? `${index + 1}.` : '•';
+                lines.push(`${'  '.repeat(depth)}${marker} ${text}`);
+            }
+
+            $item.children('ul, ol').each((_, nested) => walkList($(nested), depth + 1));
+        });
+    };
+
+    $('body').children().each((_, element) => {
+        const $element = $(element);
+        const tag = element.tagName?.toLowerCase();
+
+        if (tag === 'ul' || tag === 'ol') {
+            walkList($element, 0);
+        } else if (tag === 'table') {
+            $element.find('tr').each((_, row) => {
+                const cells = $(row).find('td, th')
+                    .map((_, cell) => cleanInline($(cell).text()))
+                    .get()
+                    .filter(Boolean);
+                if (cells.length > 0) lines.push(cells.join(' | '));
+            });
+        } else {
+            const text = cleanInline($element.text());
+            if (!text) return;
+            // Blank line before headings so section breaks survive
+            if (/^h[1-6]$/.test(tag) && lines.length > 0) lines.push('');
+            lines.push(text);
+        }
+    });
+
+    return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// Extract text from a DOCX buffer, keeping paragraph and list structure
+async function parseDocxBuffer(buffer) {
+    console.log(`🔍 PRODUCTION DEBUG: Converting DOCX with mammoth...`);
+    const result = await mammoth.convertToHtml({ buffer });
+
+    if (result.messages?.length > 0) {
+        console.log(`⚠️ PRODUCTION DEBUG: mammoth reported ${result.messages.length} conversion messages`);
+    }
+
+    return htmlToStructuredText(result.value || '');
+}
+
+// Extract text from a legacy Word 97-2003 (.doc) buffer
+async function parseDocBuffer(buffer) {
+    console.log(`🔍 PRODUCTION DEBUG: Extracting legacy DOC with word-extractor...`);
+    const extractor = new WordExtractor();
+    const document = await extractor.extract(buffer);
+
+    return document.getBody()
+        .replace(/\r\n?/g, '\n')
+        .split('\n')
+        .map(line => line.replace(/[ \t]+/g, ' ').trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// Extract text from a plain text upload
+function parseTextBuffer(buffer) {
+    return buffer.toString('utf8')
+        .replace(/\r\n?/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// Extract text from a PDF buffer with pdf2json, one line per row of text
+export function parsePdfBuffer(buffer) {
+    const pdfParser = new PDFParser();
+
+    return new Promise((resolve, reject) => {
+        let hasResolved = false;
+        
+        const parseTimeout = setTimeout(() => {
+            if (!hasResolved) {
+                hasResolved = true;
+                console.log('❌ PRODUCTION DEBUG: PDF parsing timeout');
+                reject(new Error('PDF parsing timeout'));
+            }
+        }, 45000);
+        
+        pdfParser.on('pdfParser_dataReady', (pdfData) => {
+            if (hasResolved) return;
+            hasResolved = true;
+            clearTimeout(parseTimeout);
+            
+            try {
+                console.log(`🔍 PRODUCTION DEBUG: PDF parsed successfully`);
+                console.log(`🔍 PRODUCTION DEBUG: Pages found: ${pdfData.Pages ? pdfData.Pages.length : 0}`);
+                
+                if (!pdfData.Pages || pdfData.Pages.length === 0) {
+                    console.log('❌ PRODUCTION DEBUG: No pages found in PDF');
+                    throw new Error('PDF appears to be empty or corrupted');
+                }
+                
+                let fullText = '';
+                let totalTextLength = 0;
+                let extractedChunks = [];
+                
+                pdfData.Pages.forEach((page, pageIndex) => {
+                    console.log(`🔍 PRODUCTION DEBUG: Processing page ${pageIndex + 1}`);
+                    console.log(`🔍 PRODUCTION DEBUG: Page texts count: ${page.Texts ? page.Texts.length : 0}`);
+                    
+                    if (!page.Texts) {
+                        console.log(`⚠️ PRODUCTION DEBUG: No texts found on page ${pageIndex + 1}`);
+                        return;
+                    }
+                    
+                    // Rebuild the page line by line: texts on the same baseline form one row
+                    const rows = [];
+                    page.Texts.forEach((text, textIndex) => {
+                        try {
+                            if (text.R && text.R[0] && text.R[0].T) {
+                                let decodedText = text.R[0].T;
+                                console.log(`🔍 PRODUCTION DEBUG: Raw text ${textIndex}: "${decodedText.substring(0, 50)}..."`);
+                                
+                                try {
+                                    decodedText = decodeURIComponent(decodedText);
+                                } catch (decodeError) {
+                                    console.warn(`⚠️ PRODUCTION DEBUG: Decode failed for text: "${decodedText}", using raw`);
+                                }
+                                
+                                decodedText = decodedText.replace(/\s+/g, ' ').trim();
+                                
+                                if (decodedText.length > 0) {
+                                    const y = Number(text.y) || 0;
+                                    let row = rows.find(candidate => Math.abs(candidate.y - y) <= PDF_ROW_TOLERANCE);
+                                    if (!row) {
+                                        row = { y, texts: [] };
+                                        rows.push(row);
+                                    }
+                                    row.texts.push({ x: Number(text.x) || 0, text: decodedText });
+                                    totalTextLength += decodedText.length;
+                                    extractedChunks.push(decodedText);
+                                }
+                            }
+                        } catch (textError) {
+                            console.warn(`⚠️ PRODUCTION DEBUG: Error processing text on page ${pageIndex + 1}:`, textError.message);
+                        }
+                    });
+
+                    rows
+                        .sort((a, b) => a.y - b.y)
+                        .forEach(row => {
+                            fullText += row.texts.sort((a, b) => a.x - b.x).map(item => item.text).join(' ') + '\n';
+                        });
+                    fullText += '\n';
+                });
+                
+                console.log(`🔍 PRODUCTION DEBUG: Total text extracted: ${totalTextLength} characters`);
+                console.log(`🔍 PRODUCTION DEBUG: Text chunks extracted: ${extractedChunks.length}`);
+                console.log(`🔍 PRODUCTION DEBUG: First 200 chars: "${fullText.substring(0, 200)}"`);
+                console.log(`🔍 PRODUCTION DEBUG: Last 200 chars: "${fullText.substring(Math.max(0, fullText.length - 200))}"`);
+                
+                if (totalTextLength < 50) {
+                    console.log(`❌ PRODUCTION DEBUG: Very little text extracted (${totalTextLength} chars)`);
+                    throw new Error('PDF contains very little extractable text. Please ensure your PDF contains readable text (not just images).');
+                }
+                
+                // Collapse spaces within lines only; the segmenter needs the line breaks
+                const cleanedText = fullText
+                    .split('\n')
+                    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+                    .join('\n')
+                    .replace(/\n{3,}/g, '\n\n')
+                    .trim();
+                
+                console.log(`✅ PRODUCTION DEBUG: Final cleaned text: ${cleanedText.length} characters`);
+                resolve(cleanedText);
+                
+            } catch (extractError) {
+                console.log(`❌ PRODUCTION DEBUG: Text extraction failed: ${extractError.message}`);
+                reject(new Error(`PDF text extraction failed: ${extractError.message}`));
+            }
+        });
+        
+        pdfParser.on('pdfParser_dataError', (error) => {
+            if (hasResolved) return;
+            hasResolved = true;
+            clearTimeout(parseTimeout);
+            console.log(`❌ PRODUCTION DEBUG: PDF parser error: ${error.parserError || error.message}`);
+            reject(new Error(`PDF parsing error: ${error.parserError || error.message || 'Unknown PDF error'}`));
+        });
+        
+        try {
+            console.log(`🔍 PRODUCTION DEBUG: Starting PDF buffer parsing...`);
+            // pdf2json reads the whole underlying ArrayBuffer, so give small (pooled) buffers their own
+            const ownBuffer = buffer.byteOffset === 0 && buffer.length === buffer.buffer.byteLength
+                ? buffer
+                : Buffer.from(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length));
+            pdfParser.parseBuffer(ownBuffer);
+        } catch (parseError) {
+            if (!hasResolved) {
+                hasResolved = true;
+                clearTimeout(parseTimeout);
+                console.log(`❌ PRODUCTION DEBUG: Failed to start parsing: ${parseError.message}`);
+                reject(new Error(`Failed to start PDF parsing: ${parseError.message}`));
+            }
+        }
+    });
+}
+
 export default async function handler(req, res) {
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
@@ -51,132 +308,36 @@ export default async function handler(req, res) {
             return res.status(400).json({ error: 'No file uploaded' });
         }
 
-        if (req.file.mimetype !== 'application/pdf') {
-            return res.status(400).json({ error: 'File must be a PDF' });
+        const documentType = await detectDocumentType(req.file);
+        if (!documentType) {
+            return res.status(400).json({ error: 'Unsupported file. Please upload PDF, TXT, DOC, or DOCX files only.' });
         }
 
-        console.log(`🔍 PRODUCTION DEBUG: Parsing PDF file: ${req.file.originalname} (${req.file.size} bytes)`);
+        console.log(`🔍 PRODUCTION DEBUG: Parsing ${documentType.toUpperCase()} file: ${req.file.originalname} (${req.file.size} bytes)`);
         console.log(`🔍 PRODUCTION DEBUG: Buffer length: ${req.file.buffer.length}`);
         console.log(`🔍 PRODUCTION DEBUG: First 100 bytes: ${req.file.buffer.slice(0, 100).toString('hex')}`);
-        
-        const pdfParser = new PDFParser();
-        
-        const parsePDF = () => {
-            return new Promise((resolve, reject) => {
-                let hasResolved = false;
-                
-                const parseTimeout = setTimeout(() => {
-                    if (!hasResolved) {
-                        hasResolved = true;
-                        console.log('❌ PRODUCTION DEBUG: PDF parsing timeout');
-                        reject(new Error('PDF parsing timeout'));
-                    }
-                }, 45000);
-                
-                pdfParser.on('pdfParser_dataReady', (pdfData) => {
-                    if (hasResolved) return;
-                    hasResolved = true;
-                    clearTimeout(parseTimeout);
-                    
-                    try {
-                        console.log(`🔍 PRODUCTION DEBUG: PDF parsed successfully`);
-                        console.log(`🔍 PRODUCTION DEBUG: Pages found: ${pdfData.Pages ? pdfData.Pages.length : 0}`);
-                        
-                        if (!pdfData.Pages || pdfData.Pages.length === 0) {
-                            console.log('❌ PRODUCTION DEBUG: No pages found in PDF');
-                            throw new Error('PDF appears to be empty or corrupted');
-                        }
-                        
-                        let fullText = '';
-                        let totalTextLength = 0;
-                        let extractedChunks = [];
-                        
-                        pdfData.Pages.forEach((page, pageIndex) => {
-                            console.log(`🔍 PRODUCTION DEBUG: Processing page ${pageIndex + 1}`);
-                            console.log(`🔍 PRODUCTION DEBUG: Page texts count: ${page.Texts ? page.Texts.length : 0}`);
-                            
-                            if (!page.Texts) {
-                                console.log(`⚠️ PRODUCTION DEBUG: No texts found on page ${pageIndex + 1}`);
-                                return;
-                            }
-                            
-                            page.Texts.forEach((text, textIndex) => {
-                                try {
-                                    if (text.R && text.R[0] && text.R[0].T) {
-                                        let decodedText = text.R[0].T;
-                                        console.log(`🔍 PRODUCTION DEBUG: Raw text ${textIndex}: "${decodedText.substring(0, 50)}..."`);
-                                        
-                                        try {
-                                            decodedText = decodeURIComponent(decodedText);
-                                        } catch (decodeError) {
-                                            console.warn(`⚠️ PRODUCTION DEBUG: Decode failed for text: "${decodedText}", using raw`);
-                                        }
-                                        
-                                        decodedText = decodedText
-                                            .replace(/\s+/g, ' ')
-                                            .replace(/\n+/g, ' ')
-                                            .trim();
-                                        
-                                        if (decodedText.length > 0) {
-                                            fullText += decodedText + ' ';
-                                            totalTextLength += decodedText.length;
-                                            extractedChunks.push(decodedText);
-                                        }
-                                    }
-                                } catch (textError) {
-                                    console.warn(`⚠️ PRODUCTION DEBUG: Error processing text on page ${pageIndex + 1}:`, textError.message);
-                                }
-                            });
-                            fullText += '\n';
-                        });
-                        
-                        console.log(`🔍 PRODUCTION DEBUG: Total text extracted: ${totalTextLength} characters`);
-                        console.log(`🔍 PRODUCTION DEBUG: Text chunks extracted: ${extractedChunks.length}`);
-                        console.log(`🔍 PRODUCTION DEBUG: First 200 chars: "${fullText.substring(0, 200)}"`);
-                        console.log(`🔍 PRODUCTION DEBUG: Last 200 chars: "${fullText.substring(Math.max(0, fullText.length - 200))}"`);
-                        
-                        if (totalTextLength < 50) {
-                            console.log(`❌ PRODUCTION DEBUG: Very little text extracted (${totalTextLength} chars)`);
-                            throw new Error('PDF contains very little extractable text. Please ensure your PDF contains readable text (not just images).');
-                        }
-                        
-                        const cleanedText = fullText
-                            .replace(/\s+/g, ' ')
-                            .replace(/\n\s*\n/g, '\n')
-                            .trim();
-                        
-                        console.log(`✅ PRODUCTION DEBUG: Final cleaned text: ${cleanedText.length} characters`);
-                        resolve(cleanedText);
-                        
-                    } catch (extractError) {
-                        console.log(`❌ PRODUCTION DEBUG: Text extraction failed: ${extractError.message}`);
-                        reject(new Error(`PDF text extraction failed: ${extractError.message}`));
-                    }
-                });
-                
-                pdfParser.on('pdfParser_dataError', (error) => {
-                    if (hasResolved) return;
-                    hasResolved = true;
-                    clearTimeout(parseTimeout);
-                    console.log(`❌ PRODUCTION DEBUG: PDF parser error: ${error.parserError || error.message}`);
-                    reject(new Error(`PDF parsing error: ${error.parserError || error.message || 'Unknown PDF error'}`));
-                });
-                
-                try {
-                    console.log(`🔍 PRODUCTION DEBUG: Starting PDF buffer parsing...`);
-                    pdfParser.parseBuffer(req.file.buffer);
-                } catch (parseError) {
-                    if (!hasResolved) {
-                        hasResolved = true;
-                        clearTimeout(parseTimeout);
-                        console.log(`❌ PRODUCTION DEBUG: Failed to start parsing: ${parseError.message}`);
-                        reject(new Error(`Failed to start PDF parsing: ${parseError.message}`));
-                    }
-                }
-            });
-        };
-        
-        const fullText = await parsePDF();
+
+        let fullText;
+        switch (documentType) {
+            case 'pdf':
+                fullText = await parsePdfBuffer(req.file.buffer);
+                break;
+            case 'docx':
+                fullText = await parseDocxBuffer(req.file.buffer);
+                break;
+            case 'doc':
+                fullText = await parseDocBuffer(req.file.buffer);
+                break;
+            default:
+                fullText = parseTextBuffer(req.file.buffer);
+        }
+
+        if (documentType !== 'pdf' && fullText.length < 50) {
+            console.log(`❌ PRODUCTION DEBUG: Very little text extracted (${fullText.length} chars)`);
+            throw new Error('Document contains very little extractable text.');
+        }
+
+        console.log(`✅ PRODUCTION DEBUG: Final ${documentType.toUpperCase()} text: ${fullText.length} characters`);
         
         // Return both the text and debug info
         res.json({ 
@@ -190,20 +351,23 @@ export default async function handler(req, res) {
         });
         
     } catch (error) {
-        console.error('❌ PRODUCTION DEBUG: PDF parsing error:', error.message);
+        console.error('❌ PRODUCTION DEBUG: Resume parsing error:', error.message);
         console.error('❌ PRODUCTION DEBUG: Full error:', error);
         
-        let userMessage = 'Failed to parse PDF. ';
+        const isPdf = req.file?.mimetype === 'application/pdf';
+        const fileLabel = isPdf ? 'PDF' : 'document';
+        
+        let userMessage = `Failed to parse ${fileLabel}. `;
         if (error.message.includes('timeout')) {
-            userMessage += 'The PDF is taking too long to process. Please try a smaller or simpler PDF.';
+            userMessage += `The ${fileLabel} is taking too long to process. Please try a smaller or simpler file.`;
         } else if (error.message.includes('empty') || error.message.includes('little extractable text')) {
-            userMessage += 'The PDF appears to contain mostly images or no readable text. Please use a PDF with text content.';
-        } else if (error.message.includes('corrupted')) {
-            userMessage += 'The PDF file appears to be corrupted. Please try re-saving or re-creating the PDF.';
+            userMessage += `The ${fileLabel} appears to contain mostly images or no readable text. Please use a file with text content.`;
+        } else if (error.message.includes('corrupted') || /zip|end of central directory|not a valid|unable to read/i.test(error.message)) {
+            userMessage += `The ${fileLabel} appears to be corrupted. Please try re-saving it or exporting it as PDF.`;
         } else {
-            userMessage += 'Please ensure the file is a valid PDF with readable text content.';
+            userMessage += 'Please ensure the file is a valid PDF, DOCX, DOC or TXT file with readable text content.';
         }
         
         res.status(500).json({ error: userMessage });
     }
-}
\ No newline at end of file
+}
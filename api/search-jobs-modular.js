@@ -4,6 +4,10 @@ import { jobSearchService } from '../services/job-search-service.js';
 import { apiManager } from '../services/api-manager.js';
 import { scraperManager } from '../services/scraper-manager.js';
 import { cacheManager } from '../services/cache-manager.js';
+import { jobSchema } from '../services/job-schema.js';
+import { circuitBreakers } from '../services/circuit-breaker.js';
+import { quotaLedger } from '../services/rate-limiter.js';
+import { companyRegistry } from '../services/company-registry.js';
 
 /**
  * Modular job search endpoint
@@ -20,6 +24,10 @@ export default async function handler(req, res) {
         return res.status(200).end();
     }
 
+    // Breaker state, quota counts and company profiles load asynchronously when they are kept in KV;
+    // breaker state is re-read when stale so circuits other instances changed count
+    await Promise.all([circuitBreakers.refresh(), quotaLedger.ready, companyRegistry.ready]);
+
     // Handle different request methods
     if (req.method === 'GET' && req.url?.includes('/api-status')) {
         const apiStatus = apiManager.getApiStatusReport();
@@ -105,7 +113,7 @@ export default async function handler(req, res) {
 
                     const updateData = {
                         type: 'jobs_found',
-                        jobs: jobs,
+                        jobs: jobs.map(job => jobSchema.toClient(job)),
                         source: sourceName,
                         sourceProgress: sourceProgress,
                         timestamp: new Date().toISOString()
@@ -120,6 +128,21 @@ export default async function handler(req, res) {
             }
         };
 
+        // A later source listed a job already streamed: the browser replaces it by id
+        const onJobsMerged = (jobs, sourceName) => {
+            try {
+                res.write(`data: ${JSON.stringify({
+                    type: 'jobs_merged',
+                    jobs: jobs.map(job => jobSchema.toClient(job)),
+                    source: sourceName,
+                    timestamp: new Date().toISOString()
+                })}\n\n`);
+                console.log(`🔗 STREAMED: ${jobs.length} merged jobs after ${sourceName}`);
+            } catch (sseError) {
+                console.error('Error in onJobsMerged callback:', sseError);
+            }
+        };
+
         const onProgress = (message, percentage) => {
             try {
                 const progressData = {
@@ -136,7 +159,7 @@ export default async function handler(req, res) {
 
         console.log('🚀 Starting modular job search with REAL-TIME streaming...');
 
-        const result = await jobSearchService.searchJobs(analysis, filters, onJobFound, onProgress);
+        const result = await jobSearchService.searchJobs(analysis, filters, onJobFound, onProgress, onJobsMerged);
 
         const totalSearchTime = ((Date.now() - searchStartTime) / 1000).toFixed(1);
         console.log(`=== MODULAR JOB SEARCH COMPLETED ===`);
@@ -162,7 +185,7 @@ export default async function handler(req, res) {
         
         const finalData = {
             type: 'search_complete',
-            allJobs: allJobs,
+            allJobs: allJobs.map(job => jobSchema.toClient(job)),
             totalJobs: totalJobsFound,
             searchTimeSeconds: parseFloat(totalSearchTime),
             message: `Found ${totalJobsFound} remote jobs matching your profile`,
@@ -1,34 +1,38 @@
 // api/search-jobs.js - COMPLETE VERSION
-import OpenAI from 'openai';
-import axios from 'axios';
 import dotenv from 'dotenv';
+import { employmentTimeline } from '../services/employment-timeline.js';
+import { llmProvider } from '../services/llm-provider.js';
+import { JOB_MATCH_SCHEMA } from '../services/llm-schemas.js';
+import { findMissingSkills } from '../services/skill-vocabulary.js';
+import { sourceRegistry } from '../services/source-registry.js';
+import { apiConfig } from '../config/api-config.js';
+import { circuitBreakers, CIRCUIT_STATES } from '../services/circuit-breaker.js';
+import { quotaLedger } from '../services/rate-limiter.js';
+import { getPersistenceReport } from '../services/state-store.js';
+import { salaryNormalizer } from '../services/salary.js';
+import { remoteClassifier } from '../services/remote-classifier.js';
+import { jobDeduplicator } from '../services/job-deduplicator.js';
 
 // Load environment variables
 dotenv.config({ path: './local.env' });
 
-// Initialize OpenAI client - will be created when needed
-let openai = null;
+// Job sources from services/sources/, keyed by display name. Every source is searched through
+// its shared adapter, so rate limits and quotas are tracked the same way in both pipelines
+const registeredSources = Object.fromEntries(sourceRegistry.list().map(source => [source.displayName, source]));
+const registeredApis = sourceRegistry.createInstances();
 
-function getOpenAIClient() {
-    if (!openai) {
-        openai = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY,
-        });
-    }
-    return openai;
+// Quota-free sources are searched locally, so empty results and errors never mark them exhausted
+function isQuotaFree(sourceName) {
+    const source = registeredSources[sourceName];
+    return !!source && registeredApis[source.id].quotaFree;
 }
 
-// Theirstack usage tracking (free tier has 200 request limit)
-let theirstackUsageCount = 0;
-
 // AUTOMATED API EXHAUSTION DETECTION SYSTEM
-const apiStatus = {
-    exhaustedApis: new Set(),
-    suspiciousApis: new Map(),
-    lastResetTime: Date.now(),
-    resetInterval: 1000 * 60 * 60, // Reset every hour
-    maxSuspiciousFailures: 3
-};
+// Circuit breakers are shared with the modular search and keyed by source id, so a
+// source exhausted by either pipeline is skipped by both, across restarts
+function getCircuitBreaker(sourceName) {
+    return circuitBreakers.get(registeredSources[sourceName]?.id || sourceName);
+}
 
 function detectApiExhaustion(error, response, sourceName) {
     console.log(`🔍 Analyzing ${sourceName} response for exhaustion patterns...`);
@@ -73,124 +77,30 @@ function detectApiExhaustion(error, response, sourceName) {
         }
     }
     
-    // Check for suspicious empty responses
-    if (!error && response?.status === 200 && (!response.data || 
-        (Array.isArray(response.data) && response.data.length === 0) ||
-        (response.data.results && response.data.results.length === 0) ||
-        (response.data.data && response.data.data.length === 0))) {
-        
-        const currentCount = apiStatus.suspiciousApis.get(sourceName) || 0;
-        apiStatus.suspiciousApis.set(sourceName, currentCount + 1);
-        
-        console.log(`⚠️ ${sourceName}: Empty response (${currentCount + 1}/${apiStatus.maxSuspiciousFailures} suspicious failures)`);
-        
-        if (currentCount + 1 >= apiStatus.maxSuspiciousFailures) {
-            isExhausted = true;
-            reason = `Too many consecutive empty responses (${currentCount + 1})`;
-            console.log(`🚫 ${sourceName}: Marked as exhausted due to suspicious pattern`);
-        }
-    }
-    
     return { isExhausted, reason };
 }
 
-function markApiAsExhausted(sourceName, reason) {
-    if (!apiStatus.exhaustedApis.has(sourceName)) {
-        apiStatus.exhaustedApis.add(sourceName);
-        console.log(`🚫 MARKED AS EXHAUSTED: ${sourceName} - ${reason}`);
-        console.log(`📊 Total exhausted APIs: ${apiStatus.exhaustedApis.size}`);
-        console.log(`📋 Currently exhausted APIs: [${Array.from(apiStatus.exhaustedApis).join(', ')}]`);
-    }
-}
-
-function resetApiStatusIfNeeded() {
-    const timeSinceReset = Date.now() - apiStatus.lastResetTime;
-    
-    if (timeSinceReset > apiStatus.resetInterval) {
-        console.log(`🔄 Resetting API exhaustion status (${Math.round(timeSinceReset / 1000 / 60)} minutes since last reset)`);
-        
-        const previouslyExhausted = Array.from(apiStatus.exhaustedApis);
-        apiStatus.exhaustedApis.clear();
-        apiStatus.suspiciousApis.clear();
-        apiStatus.lastResetTime = Date.now();
-        
-        if (previouslyExhausted.length > 0) {
-            console.log(`♻️ Reset exhaustion status for: [${previouslyExhausted.join(', ')}]`);
-        }
-        
-        return true;
-    }
-    
-    return false;
+function markApiAsExhausted(sourceName, error, reason) {
+    // Rest for as long as the API asks (Retry-After) or until the source's quota window resets
+    const source = registeredSources[sourceName];
+    const cooldownMs = source ? registeredApis[source.id].getCooldown(error) : null;
+    getCircuitBreaker(sourceName).trip(reason, cooldownMs);
 }
 
 function checkApiKeyForSourceEnhanced(sourceName) {
     const checkId = `check-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     console.log(`\n🔑 [${checkId}] === CHECKING ${sourceName} ===`);
     
-    resetApiStatusIfNeeded();
-    
-    if (apiStatus.exhaustedApis.has(sourceName)) {
-        const timeSinceReset = Math.round((Date.now() - apiStatus.lastResetTime) / 1000 / 60);
-        const nextResetIn = Math.round((apiStatus.resetInterval / 1000 / 60) - timeSinceReset);
-        console.log(`⏭️ [${checkId}] ${sourceName}: Skipping - marked as exhausted`);
-        console.log(`   [${checkId}] Time since reset: ${timeSinceReset} minutes`);
-        console.log(`   [${checkId}] Will retry in: ${nextResetIn} minutes`);
-        console.log(`   [${checkId}] Reset interval: ${Math.round(apiStatus.resetInterval / 1000 / 60)} minutes`);
-        return false;
-    }
-    
     let hasKey = false;
     let keyDetails = {};
     
-    switch (sourceName) {
-        case 'Theirstack':
-            hasKey = !!process.env.THEIRSTACK_API_KEY;
-            keyDetails = {
-                keyExists: !!process.env.THEIRSTACK_API_KEY,
-                keyLength: process.env.THEIRSTACK_API_KEY ? process.env.THEIRSTACK_API_KEY.length : 0,
-                keyPrefix: process.env.THEIRSTACK_API_KEY ? process.env.THEIRSTACK_API_KEY.substring(0, 8) + '...' : 'none'
-            };
-            break;
-        case 'Adzuna':
-            hasKey = !!(process.env.ADZUNA_APP_ID && process.env.ADZUNA_API_KEY);
-            keyDetails = {
-                appIdExists: !!process.env.ADZUNA_APP_ID,
-                appIdLength: process.env.ADZUNA_APP_ID ? process.env.ADZUNA_APP_ID.length : 0,
-                apiKeyExists: !!process.env.ADZUNA_API_KEY,
-                apiKeyLength: process.env.ADZUNA_API_KEY ? process.env.ADZUNA_API_KEY.length : 0,
-                appIdPrefix: process.env.ADZUNA_APP_ID ? process.env.ADZUNA_APP_ID.substring(0, 8) + '...' : 'none',
-                apiKeyPrefix: process.env.ADZUNA_API_KEY ? process.env.ADZUNA_API_KEY.substring(0, 8) + '...' : 'none'
-            };
-            break;
-        case 'TheMuse':
-            hasKey = !!process.env.THEMUSE_API_KEY;
-            keyDetails = {
-                keyExists: !!process.env.THEMUSE_API_KEY,
-                keyLength: process.env.THEMUSE_API_KEY ? process.env.THEMUSE_API_KEY.length : 0,
-                keyPrefix: process.env.THEMUSE_API_KEY ? process.env.THEMUSE_API_KEY.substring(0, 8) + '...' : 'none'
-            };
-            break;
-        case 'Reed':
-            hasKey = !!process.env.REED_API_KEY;
-            keyDetails = {
-                keyExists: !!process.env.REED_API_KEY,
-                keyLength: process.env.REED_API_KEY ? process.env.REED_API_KEY.length : 0,
-                keyPrefix: process.env.REED_API_KEY ? process.env.REED_API_KEY.substring(0, 8) + '...' : 'none'
-            };
-            break;
-        case 'JSearch-RapidAPI':
-        case 'RapidAPI-Jobs':
-            hasKey = !!process.env.RAPIDAPI_KEY;
-            keyDetails = {
-                keyExists: !!process.env.RAPIDAPI_KEY,
-                keyLength: process.env.RAPIDAPI_KEY ? process.env.RAPIDAPI_KEY.length : 0,
-                keyPrefix: process.env.RAPIDAPI_KEY ? process.env.RAPIDAPI_KEY.substring(0, 8) + '...' : 'none'
-            };
-            break;
-        default:
-            hasKey = false;
-            keyDetails = { error: 'Unknown source' };
+    const source = registeredSources[sourceName];
+    if (source) {
+        const validation = apiConfig.validateApi(source.id);
+        hasKey = validation.isValid;
+        keyDetails = validation.error ? { ...validation.keyDetails, error: validation.error } : validation.keyDetails;
+    } else {
+        keyDetails = { error: 'Unknown source' };
     }
     
     if (!hasKey) {
@@ -199,8 +109,19 @@ function checkApiKeyForSourceEnhanced(sourceName) {
         return false;
     }
     
-    console.log(`✅ [${checkId}] ${sourceName}: API key exists - proceeding`);
+    console.log(`✅ [${checkId}] ${sourceName}: API key exists`);
     console.log(`🔍 [${checkId}] Key details:`, JSON.stringify(keyDetails, null, 2));
+    
+    // Checked after the key so an unconfigured source never takes the half-open probe
+    const circuit = getCircuitBreaker(sourceName).canRequest();
+    if (!circuit.allowed) {
+        const nextResetIn = circuit.retryAt ? Math.max(0, Math.round((Date.parse(circuit.retryAt) - Date.now()) / 1000 / 60)) : 0;
+        console.log(`⏭️ [${checkId}] ${sourceName}: Skipping - circuit ${circuit.state}`);
+        console.log(`   [${checkId}] Will retry in: ${nextResetIn} minutes`);
+        return false;
+    }
+    
+    console.log(`✅ [${checkId}] ${sourceName}: ${circuit.probe ? 'Sending probe request' : 'Proceeding'}`);
     return true;
 }
 
@@ -208,22 +129,26 @@ async function makeApiCallWithExhaustionDetectionEnhanced(sourceName, apiCallFun
     const startTime = Date.now();
     const callId = `${sourceName}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     
+    const breaker = getCircuitBreaker(sourceName);
+    
+    // The circuit can open part-way through a source's queries
+    if (breaker.state === CIRCUIT_STATES.OPEN) {
+        console.log(`⏭️ [${callId}] ${sourceName}: Circuit open - skipping call`);
+        return [];
+    }
+    
     console.log(`📞 [${callId}] Making API call to ${sourceName}...`);
     
     try {
         const result = await apiCallFunction(...args);
         const duration = Date.now() - startTime;
         
-        if (apiStatus.suspiciousApis.has(sourceName)) {
-            console.log(`✅ [${callId}] ${sourceName}: Successful response - clearing suspicious count`);
-            apiStatus.suspiciousApis.delete(sourceName);
-        }
-        
-        if (Array.isArray(result) && result.length === 0) {
-            const exhaustionCheck = detectApiExhaustion(null, { status: 200, data: result }, sourceName);
-            if (exhaustionCheck.isExhausted) {
-                markApiAsExhausted(sourceName, exhaustionCheck.reason);
-            }
+        // Repeated empty responses hint at a soft limit (quota-free feeds are often empty for a query)
+        if (Array.isArray(result) && result.length === 0 && !isQuotaFree(sourceName)) {
+            console.log(`⚠️ [${callId}] ${sourceName}: Empty response`);
+            breaker.recordFailure('Consecutive empty responses');
+        } else {
+            breaker.recordSuccess();
         }
         
         console.log(`✅ [${callId}] ${sourceName}: API call successful in ${duration}ms, returned ${Array.isArray(result) ? result.length : 'non-array'} items`);
@@ -246,75 +171,40 @@ async function makeApiCallWithExhaustionDetectionEnhanced(sourceName, apiCallFun
         console.log(`❌ [${callId}] ${sourceName}: API call failed after ${duration}ms`);
         console.log(`🔍 [${callId}] Error details:`, JSON.stringify(errorDetails, null, 2));
         
-        const exhaustionCheck = detectApiExhaustion(error, error.response, sourceName);
+        const exhaustionCheck = isQuotaFree(sourceName)
+            ? { isExhausted: false, reason: '' }
+            : detectApiExhaustion(error, error.response, sourceName);
         
         if (exhaustionCheck.isExhausted) {
-            markApiAsExhausted(sourceName, exhaustionCheck.reason);
-            console.log(`🚫 [${callId}] ${sourceName}: Marked as exhausted - ${exhaustionCheck.reason}`);
+            markApiAsExhausted(sourceName, error, exhaustionCheck.reason);
             return [];
         }
         
         console.log(`⚠️ [${callId}] ${sourceName}: Non-exhaustion error - ${error.message}`);
+        breaker.recordFailure(error.message);
         return [];
     }
 }
 
 function getApiStatusReportEnhanced() {
     const reportId = `report-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    const currentTime = Date.now();
-    const timeSinceReset = currentTime - apiStatus.lastResetTime;
-    const nextResetIn = Math.round((apiStatus.resetInterval - timeSinceReset) / 1000 / 60);
+    const sourceIds = Object.values(registeredSources).map(source => source.id);
     
     const report = {
         reportId: reportId,
         timestamp: new Date().toISOString(),
-        exhaustedApis: Array.from(apiStatus.exhaustedApis),
-        suspiciousApis: Object.fromEntries(apiStatus.suspiciousApis),
-        lastResetTime: new Date(apiStatus.lastResetTime).toISOString(),
-        nextResetIn: nextResetIn,
-        totalExhausted: apiStatus.exhaustedApis.size,
-        totalSuspicious: apiStatus.suspiciousApis.size,
-        resetIntervalMinutes: Math.round(apiStatus.resetInterval / 1000 / 60),
-        timeSinceResetMinutes: Math.round(timeSinceReset / 1000 / 60),
-        systemHealth: {
-            totalApis: 6, // Total number of APIs in the system
-            healthyApis: 6 - apiStatus.exhaustedApis.size - apiStatus.suspiciousApis.size,
-            exhaustedPercentage: Math.round((apiStatus.exhaustedApis.size / 6) * 100),
-            suspiciousPercentage: Math.round((apiStatus.suspiciousApis.size / 6) * 100),
-            healthyPercentage: Math.round(((6 - apiStatus.exhaustedApis.size - apiStatus.suspiciousApis.size) / 6) * 100)
-        },
-        detailedStatus: {
-            exhausted: Array.from(apiStatus.exhaustedApis).map(api => ({
-                name: api,
-                status: 'exhausted',
-                timeSinceExhaustion: 'unknown', // Could be enhanced to track individual exhaustion times
-                estimatedRecovery: nextResetIn > 0 ? `${nextResetIn} minutes` : 'immediate'
-            })),
-            suspicious: Array.from(apiStatus.suspiciousApis.entries()).map(([api, count]) => ({
-                name: api,
-                status: 'suspicious',
-                suspiciousCount: count,
-                maxSuspiciousFailures: apiStatus.maxSuspiciousFailures,
-                remainingFailuresBeforeExhaustion: apiStatus.maxSuspiciousFailures - count
-            })),
-            healthy: ['JSearch-RapidAPI', 'Adzuna', 'TheMuse', 'Reed', 'RapidAPI-Jobs', 'Theirstack']
-                .filter(api => !apiStatus.exhaustedApis.has(api) && !apiStatus.suspiciousApis.has(api))
-                .map(api => ({
-                    name: api,
-                    status: 'healthy',
-                    available: true
-                }))
-        }
+        ...circuitBreakers.getReport(sourceIds, id => ({ displayName: sourceRegistry.getDisplayName(id) })),
+        persistence: getPersistenceReport()
     };
     
     console.log(`\n📊 [${reportId}] === ENHANCED API STATUS REPORT ===`);
     console.log(`📅 [${reportId}] Report generated at: ${report.timestamp}`);
-    console.log(`🔄 [${reportId}] Last reset: ${report.timeSinceResetMinutes} minutes ago`);
-    console.log(`⏰ [${reportId}] Next reset in: ${report.nextResetIn} minutes`);
+    console.log(`⏰ [${reportId}] Next probe in: ${report.nextResetIn} minutes`);
     console.log(`📊 [${reportId}] System health: ${report.systemHealth.healthyPercentage}% healthy, ${report.systemHealth.exhaustedPercentage}% exhausted, ${report.systemHealth.suspiciousPercentage}% suspicious`);
-    console.log(`🚫 [${reportId}] Exhausted APIs (${report.totalExhausted}): [${report.exhaustedApis.join(', ')}]`);
+    console.log(`🚫 [${reportId}] Open circuits (${report.totalExhausted}): [${report.exhaustedApis.join(', ')}]`);
     console.log(`⚠️ [${reportId}] Suspicious APIs (${report.totalSuspicious}): ${JSON.stringify(report.suspiciousApis)}`);
     console.log(`✅ [${reportId}] Healthy APIs (${report.systemHealth.healthyApis}): [${report.detailedStatus.healthy.map(h => h.name).join(', ')}]`);
+    console.log(`💾 [${reportId}] State persistence: ${report.persistence.active ? 'active' : 'NOT ACTIVE - state is lost on restart'}`);
     console.log(`🔍 [${reportId}] Detailed status available in report object`);
     console.log(`==========================================\n`);
     
@@ -322,10 +212,8 @@ function getApiStatusReportEnhanced() {
 }
 
 function manualResetApiStatus() {
-    console.log('🔄 MANUAL RESET: Clearing all API exhaustion status');
-    apiStatus.exhaustedApis.clear();
-    apiStatus.suspiciousApis.clear();
-    apiStatus.lastResetTime = Date.now();
+    console.log('🔄 MANUAL RESET: Closing all circuits');
+    circuitBreakers.resetAll('Manual reset');
     console.log('✅ All APIs reset and available for retry');
 }
 
@@ -340,6 +228,10 @@ export default async function handler(req, res) {
         return res.status(200).end();
     }
 
+    // Breaker state and quota counts load asynchronously when they are kept in KV;
+    // breaker state is re-read when stale so circuits other instances changed count
+    await Promise.all([circuitBreakers.refresh(), quotaLedger.ready]);
+
     // Handle different request methods
     if (req.method === 'GET' && req.url?.includes('/api-status')) {
         const statusReport = getApiStatusReportEnhanced();
@@ -494,22 +386,19 @@ async function scrapeJobListingsWithStreaming(analysis, filters, onJobFound, onP
     const MAX_QUERIES_PER_SOURCE = 10;
     
     console.log('🔑 API KEY STATUS:');
-    console.log('  OpenAI:', process.env.OPENAI_API_KEY ? 'EXISTS' : 'MISSING');
-    console.log('  Theirstack:', process.env.THEIRSTACK_API_KEY ? 'EXISTS' : 'MISSING');
-    console.log('  Adzuna App ID:', process.env.ADZUNA_APP_ID ? 'EXISTS' : 'MISSING');
-    console.log('  Adzuna API Key:', process.env.ADZUNA_API_KEY ? 'EXISTS' : 'MISSING');
-    console.log('  TheMuse:', process.env.THEMUSE_API_KEY ? 'EXISTS' : 'MISSING');
-    console.log('  Reed:', process.env.REED_API_KEY ? 'EXISTS' : 'MISSING');
-    console.log('  RapidAPI:', process.env.RAPIDAPI_KEY ? 'EXISTS' : 'MISSING');
-
-    const sources = [
-        { name: 'JSearch-RapidAPI', func: searchJSearchRapidAPIWithDetection, weight: 20 },
-        { name: 'Adzuna', func: searchAdzunaJobsWithDetection, weight: 20 },
-        { name: 'TheMuse', func: searchTheMuseJobsWithDetection, weight: 20 },
-        { name: 'Reed', func: searchReedJobsWithDetection, weight: 15 },
-        { name: 'RapidAPI-Jobs', func: searchRapidAPIJobsWithDetection, weight: 15 },
-        { name: 'Theirstack', func: searchTheirstackJobsWithDetection, weight: 10 }
-    ];
+    console.log(`  LLM (${llmProvider.name}):`, llmProvider.isConfigured() ? 'EXISTS' : 'MISSING');
+    sourceRegistry.list().forEach(source => {
+        console.log(`  ${source.displayName}:`, apiConfig.validateApi(source.id).isValid ? 'EXISTS' : 'MISSING');
+    });
+
+    const sources = sourceRegistry.getProgressWeights(100).map(source => ({
+        name: source.displayName,
+        func: (query, filters) => searchRegisteredSourceWithDetection(source.displayName, query, filters),
+        weight: source.progressWeight,
+        maxQueries: source.maxQueries,
+        queryDelay: source.queryDelay,
+        remoteOnly: source.remoteOnly
+    }));
 
     const queries = generateFocusedSearchQueries(analysis);
     console.log('📝 Generated focused queries:', queries);
@@ -517,7 +406,6 @@ async function scrapeJobListingsWithStreaming(analysis, filters, onJobFound, onP
     onProgress('Generating search queries...', 5);
 
     const allJobs = [];
-    const processedJobKeys = new Set();
     let currentProgress = 0;
     
     for (let sourceIndex = 0; sourceIndex < sources.length; sourceIndex++) {
@@ -543,12 +431,12 @@ async function scrapeJobListingsWithStreaming(analysis, filters, onJobFound, onP
             const sourceMatchedJobs = [];
             let queriesProcessed = 0;
             
-            const maxQueries = source.name === 'Reed' ? 10 : 15;
+            const maxQueries = source.maxQueries;
             const sourceJobs = [];
             
             console.log(`📝 ${source.name}: Processing ${maxQueries} queries`);
             
-            const delayBetweenQueries = source.name === 'Reed' ? 300 : 500;
+            const delayBetweenQueries = source.queryDelay;
             
             for (let i = 0; i < Math.min(queries.length, maxQueries); i++) {
                 const query = queries[i];
@@ -570,35 +458,28 @@ async function scrapeJobListingsWithStreaming(analysis, filters, onJobFound, onP
                                 return false;
                             }
                             
-                            const key = `${job.title.toLowerCase().trim()}-${job.company.toLowerCase().trim()}`;
-                            if (processedJobKeys.has(key)) {
-                                console.log(`   ❌ ${source.name}: Skipping duplicate job "${job.title}"`);
-                                return false;
-                            }
-                            
-                            const isRemote = isQuickRemoteCheck(job);
+                            const isRemote = isQuickRemoteCheck(job, source.remoteOnly);
                             if (!isRemote) {
                                 console.log(`   ❌ ${source.name}: Skipping non-remote job "${job.title}" (location: ${job.location})`);
                                 return false;
                             }
                             
-                            processedJobKeys.add(key);
                             return true;
                         });
                         
                         console.log(`   🔍 After filtering: ${filteredJobs.length} jobs`);
                         
                         if (filteredJobs.length > 0) {
-                            const userFilteredJobs = applyJobFilters(filteredJobs, filters);
-                            console.log(`   ⚙️ After user filters: ${userFilteredJobs.length} jobs`);
+                            // Copies of jobs already listed are merged into them instead of being matched again
+                            const { fresh: newJobs } = jobDeduplicator.mergeDuplicates(allJobs, applyJobFilters(filteredJobs, filters));
+                            console.log(`   ⚙️ After user filters and duplicates: ${newJobs.length} jobs`);
                             
-                            if (userFilteredJobs.length > 0) {
-                                console.log(`   🤖 Starting AI matching for ${userFilteredJobs.length} jobs...`);
+                            if (newJobs.length > 0) {
+                                console.log(`   🤖 Starting AI matching for ${newJobs.length} jobs...`);
                                 
                                 const aiMatchedJobs = await filterRealHighMatchJobsWithStreaming(
-                                    userFilteredJobs, 
+                                    newJobs, 
                                     analysis, 
-                                    processedJobKeys, 
                                     onJobFound, 
                                     source.name, 
                                     sourceStartProgress, 
@@ -656,46 +537,12 @@ async function scrapeJobListingsWithStreaming(analysis, filters, onJobFound, onP
     };
 }
 
-function isQuickRemoteCheck(job) {
+function isQuickRemoteCheck(job, remoteOnly = false) {
     if (!job) return false;
-    
-    const title = (job.title || '').toLowerCase();
-    const location = (job.location || '').toLowerCase();
-    const description = (job.description || '').toLowerCase().substring(0, 800);
-    
-    if (location.includes('remote') || 
-        location.includes('anywhere') || 
-        location.includes('worldwide') ||
-        location.includes('global') ||
-        location.includes('flexible') ||
-        location === '') {
-        return true;
-    }
-    
-    const remoteKeywords = [
-        'remote', 'work from home', 'wfh', 'anywhere', 'distributed',
-        'fully remote', '100% remote', 'remote-first', 'remote only',
-        'virtual', 'telecommute', 'work remotely', 'remote work',
-        'home-based', 'home based', 'flexible location'
-    ];
-    
-    for (const keyword of remoteKeywords) {
-        if (title.includes(keyword) || description.includes(keyword)) {
-            return true;
-        }
-    }
-    
-    if (title.includes('developer') || 
-        title.includes('engineer') || 
-        title.includes('analyst') ||
-        title.includes('designer')) {
-        return true;
-    }
-    
-    return false;
+    return remoteClassifier.isRemote(remoteClassifier.classify(job, { remoteOnly }));
 }
 
-async function filterRealHighMatchJobsWithStreaming(jobs, analysis, processedJobs, onJobFound, sourceName, sourceStartProgress, sourceWeight, queryIndex, maxQueries) {
+async function filterRealHighMatchJobsWithStreaming(jobs, analysis, onJobFound, sourceName, sourceStartProgress, sourceWeight, queryIndex, maxQueries) {
     const highMatchJobs = [];
     const batchSize = 2;
     
@@ -714,6 +561,13 @@ async function filterRealHighMatchJobsWithStreaming(jobs, analysis, processedJob
                 return null;
             }
             
+            // Pinned must-have skills are hard requirements, checked before any scoring
+            const missingMustHaves = findMissingSkills(`${job.title} ${job.description || ''}`, analysis.mustHaveSkills);
+            if (missingMustHaves.length > 0) {
+                console.log(`❌ Must-have filter: "${job.title}" does not mention ${missingMustHaves.join(', ')}`);
+                return null;
+            }
+            
             try {
                 await new Promise(resolve => setTimeout(resolve, index * 100));
                 
@@ -793,11 +647,10 @@ async function filterRealHighMatchJobsWithStreaming(jobs, analysis, processedJob
 }
 
 async function calculateRealAIJobMatch(job, analysis) {
-    const openai = getOpenAIClient();
-    
     try {
-        const response = await openai.chat.completions.create({
-        model: "gpt-4o",
+        const parsed = await llmProvider.chatJson({
+        task: 'jobMatch',
+        schema: JOB_MATCH_SCHEMA,
         messages: [
             {
                 role: "system",
@@ -861,299 +714,37 @@ Return your analysis as JSON:
             }
         ],
         temperature: 0.1,
-        max_tokens: 600
+        maxTokens: 600
     });
 
-    const content = response.choices[0].message.content.trim();
-    const jsonMatch = content.match(/\{[\s\S]*\}/);
-    
-    if (jsonMatch) {
-        const parsed = JSON.parse(jsonMatch[0]);
-        return {
-            matchPercentage: parsed.matchPercentage || 0,
-            matchedTechnicalSkills: parsed.matchedTechnicalSkills || [],
-            matchedSoftSkills: parsed.matchedSoftSkills || [],
-            matchedExperience: parsed.matchedExperience || [],
-            missingRequirements: parsed.missingRequirements || [],
-            reasoning: parsed.reasoning || 'Comprehensive AI analysis completed',
-            industryMatch: parsed.industryMatch || 0,
-            seniorityMatch: parsed.seniorityMatch || 0,
-            growthPotential: parsed.growthPotential || 'medium'
-        };
-    } else {
-        throw new Error('No valid JSON found in AI response');
-    }
+    return {
+        matchPercentage: parsed.matchPercentage || 0,
+        matchedTechnicalSkills: parsed.matchedTechnicalSkills || [],
+        matchedSoftSkills: parsed.matchedSoftSkills || [],
+        matchedExperience: parsed.matchedExperience || [],
+        missingRequirements: parsed.missingRequirements || [],
+        reasoning: parsed.reasoning || 'Comprehensive AI analysis completed',
+        industryMatch: parsed.industryMatch || 0,
+        seniorityMatch: parsed.seniorityMatch || 0,
+        growthPotential: parsed.growthPotential || 'medium'
+    };
     
-    } catch (openaiError) {
-        console.error(`🤖 OpenAI API Error for "${job.title}":`, {
-            error: openaiError.message,
-            type: openaiError.type || 'unknown',
-            code: openaiError.code || 'unknown',
-            status: openaiError.status || 'unknown'
+    } catch (llmError) {
+        console.error(`🤖 ${llmProvider.name} Error for "${job.title}":`, {
+            error: llmError.message
         });
         
-        throw new Error(`OpenAI API failed: ${openaiError.message}`);
+        throw new Error(`AI match failed: ${llmError.message}`);
     }
 }
 
-// Enhanced API functions with automatic exhaustion detection
-async function searchJSearchRapidAPIWithDetection(query, filters) {
-            return makeApiCallWithExhaustionDetectionEnhanced('JSearch-RapidAPI', async () => {
-        const RAPIDAPI_KEY = process.env.RAPIDAPI_KEY;
-        
-        const response = await axios.get('https://jsearch.p.rapidapi.com/search', {
-            params: {
-                query: query,
-                page: '1',
-                num_pages: '2', 
-                remote_jobs_only: 'true'
-            },
-            headers: {
-                'X-RapidAPI-Key': RAPIDAPI_KEY,
-                'X-RapidAPI-Host': 'jsearch.p.rapidapi.com'
-            },
-            timeout: 15000
-        });
-
-        console.log(`✅ JSearch responded: ${response.status}`);
-        
-        if (response.headers['x-rapidapi-quota-left']) {
-            const quotaLeft = parseInt(response.headers['x-rapidapi-quota-left']);
-            console.log(`📊 RapidAPI quota remaining: ${quotaLeft}`);
-            
-            if (quotaLeft <= 5) {
-                console.log(`⚠️ RapidAPI quota very low: ${quotaLeft} requests left`);
-            }
-        }
-
-        if (!response.data?.data) {
-            throw new Error('No data field in response');
-        }
-
-        return response.data.data
-            .filter(job => job && job.job_title && job.employer_name)
-            .map(job => ({
-                title: job.job_title,
-                company: job.employer_name,
-                location: job.job_city ? `${job.job_city}, ${job.job_state || job.job_country}` : 'Remote',
-                link: job.job_apply_link || job.job_url || '#',
-                source: 'JSearch-RapidAPI',
-                description: job.job_description || '',
-                salary: formatRapidAPISalary(job.job_min_salary, job.job_max_salary),
-                type: job.job_employment_type || 'Full-time',
-                datePosted: job.job_posted_at_datetime_utc || new Date().toISOString()
-            }));
-    });
-}
-
-async function searchAdzunaJobsWithDetection(query, filters) {
-            return makeApiCallWithExhaustionDetectionEnhanced('Adzuna', async () => {
-        const ADZUNA_APP_ID = process.env.ADZUNA_APP_ID;
-        const ADZUNA_API_KEY = process.env.ADZUNA_API_KEY;
-        
-        const response = await axios.get('https://api.adzuna.com/v1/api/jobs/us/search/1', {
-            params: {
-                app_id: ADZUNA_APP_ID,
-                app_key: ADZUNA_API_KEY,
-                what: query.replace('remote ', ''),
-                where: 'remote',
-                results_per_page: 50,
-                sort_by: 'relevance'
-            },
-            timeout: 15000
-        });
-
-        console.log(`✅ Adzuna responded: ${response.status}`);
-
-        if (!response.data?.results) {
-            throw new Error('No results field in response');
-        }
-
-        return response.data.results.map(job => ({
-            title: job.title,
-            company: job.company?.display_name || 'Unknown Company',
-            location: job.location?.display_name || 'Remote',
-            link: job.redirect_url,
-            source: 'Adzuna',
-            description: job.description || '',
-            salary: formatSalary(job.salary_min, job.salary_max),
-            type: job.contract_time || 'Full-time',
-            datePosted: job.created || new Date().toISOString()
-        }));
-    });
-}
-
-async function searchTheMuseJobsWithDetection(query, filters) {
-            return makeApiCallWithExhaustionDetectionEnhanced('TheMuse', async () => {
-        const THEMUSE_API_KEY = process.env.THEMUSE_API_KEY;
-        
-        const categories = [];
-        if (query.includes('developer') || query.includes('engineer') || query.includes('programming')) {
-            categories.push('Engineering');
-        }
-        if (query.includes('data') || query.includes('analyst')) {
-            categories.push('Data Science');
-        }
-        if (query.includes('manager') || query.includes('product')) {
-            categories.push('Product');
-        }
-        if (query.includes('design')) {
-            categories.push('Design');
-        }
-        
-        const response = await axios.get('https://www.themuse.com/api/public/jobs', {
-            params: {
-                api_key: THEMUSE_API_KEY,
-                page: 0,
-                limit: 50,
-                location: 'Remote',
-                category: categories.length > 0 ? categories.join(',') : undefined,
-                q: query,
-                level: filters.experience || undefined
-            },
-            timeout: 15000
-        });
-
-        console.log(`✅ TheMuse responded: ${response.status}`);
-
-        if (!response.data?.results) {
-            throw new Error('No results field in response');
-        }
-
-        return response.data.results.map(job => ({
-            title: job.name,
-            company: job.company?.name || 'Unknown Company',
-            location: 'Remote',
-            link: job.refs?.landing_page,
-            source: 'TheMuse',
-            description: job.contents || '',
-            salary: 'Salary not specified',
-            type: job.type || 'Full-time',
-            datePosted: job.publication_date || new Date().toISOString()
-        }));
-    });
-}
-
-async function searchRapidAPIJobsWithDetection(query, filters) {
-            return makeApiCallWithExhaustionDetectionEnhanced('RapidAPI-Jobs', async () => {
-        const RAPIDAPI_KEY = process.env.RAPIDAPI_KEY;
-        
-        const response = await axios.get('https://jobs-api14.p.rapidapi.com/list', {
-            params: {
-                query: query,
-                location: 'Remote',
-                distance: '1.0',
-                language: 'en_GB',
-                remoteOnly: 'true',
-                datePosted: 'month',
-                jobType: 'fulltime',
-                index: '0'
-            },
-            headers: {
-                'X-RapidAPI-Key': RAPIDAPI_KEY,
-                'X-RapidAPI-Host': 'jobs-api14.p.rapidapi.com'
-            },
-            timeout: 15000
-        });
-
-        console.log(`✅ RapidAPI-Jobs responded: ${response.status}`);
-
-        if (!response.data?.jobs) {
-            throw new Error('No jobs field in response');
-        }
-
-        return response.data.jobs.map(job => ({
-            title: job.title,
-            company: job.company || 'Unknown Company',
-            location: job.location || 'Remote',
-            link: job.url,
-            source: 'RapidAPI-Jobs',
-            description: job.description || '',
-            salary: job.salary || 'Salary not specified',
-            type: job.jobType || 'Full-time',
-            datePosted: job.datePosted || new Date().toISOString()
-        }));
-    });
-}
-
-async function searchReedJobsWithDetection(query, filters) {
-            return makeApiCallWithExhaustionDetectionEnhanced('Reed', async () => {
-        const REED_API_KEY = process.env.REED_API_KEY;
-        
-        const response = await axios.get('https://www.reed.co.uk/api/1.0/search', {
-            params: {
-                keywords: query.replace('remote ', ''),
-                locationName: 'Remote',
-                distanceFromLocation: 0,
-                resultsToTake: 50
-            },
-            headers: {
-                'Authorization': `Basic ${Buffer.from(`${REED_API_KEY}:`).toString('base64')}`,
-                'User-Agent': 'JobMatcher/1.0'
-            },
-            timeout: 15000
-        });
-
-        console.log(`✅ Reed responded: ${response.status}`);
-
-        if (!response.data?.results) {
-            throw new Error('No results field in response');
-        }
-
-        return response.data.results.map(job => ({
-            title: job.jobTitle,
-            company: job.employerName || 'Unknown Company',
-            location: 'Remote',
-            link: job.jobUrl,
-            source: 'Reed',
-            description: job.jobDescription || '',
-            salary: job.maximumSalary ? `${job.minimumSalary}-${job.maximumSalary} ${job.currency}` : 'Salary not specified',
-            type: job.employmentType || 'Full-time',
-            datePosted: job.datePosted || new Date().toISOString()
-        }));
-    });
-}
-
-async function searchTheirstackJobsWithDetection(query, filters) {
-            return makeApiCallWithExhaustionDetectionEnhanced('Theirstack', async () => {
-        const THEIRSTACK_API_KEY = process.env.THEIRSTACK_API_KEY;
-        
-        if (theirstackUsageCount >= 200) {
-            throw new Error('Theirstack usage limit reached (200 requests)');
-        }
-        
-        const response = await axios.get('https://api.theirstack.com/v1/jobs/search', {
-            params: {
-                query: query,
-                location: 'Remote',
-                limit: 50
-            },
-            headers: {
-                'Authorization': `Bearer ${THEIRSTACK_API_KEY}`,
-                'Content-Type': 'application/json'
-            },
-            timeout: 15000
-        });
-
-        console.log(`✅ Theirstack responded: ${response.status}`);
-        theirstackUsageCount++;
-
-        if (!response.data?.jobs) {
-            throw new Error('No jobs field in response');
-        }
-
-        return response.data.jobs.map(job => ({
-            title: job.title,
-            company: job.company?.name || 'Unknown Company',
-            location: job.location || 'Remote',
-            link: job.url,
-            source: 'Theirstack',
-            description: job.description || '',
-            salary: job.salary?.range ? `${job.salary.range.min}-${job.salary.range.max} ${job.salary.currency}` : 'Salary not specified',
-            type: job.type || 'Full-time',
-            datePosted: job.posted_at || new Date().toISOString()
-        }));
-    });
+async function searchRegisteredSourceWithDetection(sourceName, query, filters) {
+    // Adapters go through the shared rate limiter and quota ledger; feed adapters fetch the
+    // whole feed once and cache it, so repeated queries are local
+    const api = registeredApis[registeredSources[sourceName].id];
+    // This pipeline predates the job schema: keep its job shape and leave the source payload behind
+    return makeApiCallWithExhaustionDetectionEnhanced(sourceName, async () =>
+        (await api.searchJobs(query, filters)).map(({ raw, ...job }) => job));
 }
 
 // Utility functions
@@ -1321,6 +912,14 @@ function calculateEnhancedBasicMatchFixed(job, analysis) {
         console.log(`    Keyword match: ${keywordScore.toFixed(1)}%`);
     }
     
+    // Real years from the employment timeline vs the posting's requirements
+    const tenureScore = employmentTimeline.scoreTenureMatch(analysis, jobText);
+    if (tenureScore !== null) {
+        totalScore += tenureScore * 0.20;
+        maxPossibleScore += 20;
+        console.log(`    Tenure match: ${tenureScore.toFixed(1)}%`);
+    }
+    
     const jobTitleLower = job.title.toLowerCase();
     const experienceTitles = analysis.workExperience.map(exp => 
         typeof exp === 'string' ? exp.toLowerCase() : 
@@ -1342,49 +941,6 @@ function calculateEnhancedBasicMatchFixed(job, analysis) {
     return Math.min(finalScore, 95);
 }
 
-function formatSalary(min, max) {
-    if (min && max) {
-        const minFormatted = min >= 1000 ? `${Math.round(min/1000)}k` : min.toLocaleString();
-        const maxFormatted = max >= 1000 ? `${Math.round(max/1000)}k` : max.toLocaleString();
-        return `$${minFormatted} - $${maxFormatted}`;
-    } else if (min) {
-        const minFormatted = min >= 1000 ? `${Math.round(min/1000)}k` : min.toLocaleString();
-        return `From $${minFormatted}`;
-    } else if (max) {
-        const maxFormatted = max >= 1000 ? `${Math.round(max/1000)}k` : max.toLocaleString();
-        return `Up to $${maxFormatted}`;
-    }
-    return 'Salary not specified';
-}
-
-function formatRapidAPISalary(minSalary, maxSalary) {
-    let min = null, max = null;
-    
-    try {
-        if (typeof minSalary === 'number' && minSalary > 0) {
-            min = minSalary;
-        } else if (typeof minSalary === 'string' && minSalary.trim()) {
-            const parsed = parseFloat(minSalary.replace(/[^0-9.]/g, ''));
-            if (!isNaN(parsed) && parsed > 0) {
-                min = parsed;
-            }
-        }
-        
-        if (typeof maxSalary === 'number' && maxSalary > 0) {
-            max = maxSalary;
-        } else if (typeof maxSalary === 'string' && maxSalary.trim()) {
-            const parsed = parseFloat(maxSalary.replace(/[^0-9.]/g, ''));
-            if (!isNaN(parsed) && parsed > 0) {
-                max = parsed;
-            }
-        }
-    } catch (error) {
-        return 'Salary not specified';
-    }
-    
-    return formatSalary(min, max);
-}
-
 function getSalaryThreshold(salaryFilter) {
     const thresholds = {
         '50k': 50000,
@@ -1396,79 +952,6 @@ function getSalaryThreshold(salaryFilter) {
     return thresholds[salaryFilter] || 0;
 }
 
-function extractSalaryNumbersFromStringFixed(salaryStr) {
-    if (!salaryStr || salaryStr === 'Salary not specified') {
-        return { min: 0, max: 0 };
-    }
-    
-    const salary = salaryStr.toLowerCase();
-    let min = 0, max = 0;
-    
-    const isPounds = salary.includes('£');
-    const conversionRate = 1.3;
-    
-    const isHourly = salary.includes('/hour') || salary.includes('per hour') || salary.includes('/hr') || salary.includes('hourly');
-    
-    const cleanSalary = salary.replace(/[$£€,]/g, '');
-    
-    const rangeMatch = cleanSalary.match(/(\d+)(?:k|,000)?\s*[-–to]\s*(\d+)(?:k|,000)?/);
-    const singleMatch = cleanSalary.match(/(\d+)(?:k|,000)?/);
-    const fromMatch = cleanSalary.match(/from\s+(\d+)(?:k|,000)?/);
-    const upToMatch = cleanSalary.match(/up\s+to\s+(\d+)(?:k|,000)?/);
-    const betweenMatch = cleanSalary.match(/between\s+(\d+)(?:k|,000)?\s+and\s+(\d+)(?:k|,000)?/);
-    
-    if (rangeMatch) {
-        min = parseInt(rangeMatch[1]);
-        max = parseInt(rangeMatch[2]);
-        if (salary.includes('k') || min < 1000) {
-            min *= 1000;
-            max *= 1000;
-        }
-    } else if (betweenMatch) {
-        min = parseInt(betweenMatch[1]);
-        max = parseInt(betweenMatch[2]);
-        if (salary.includes('k') || min < 1000) {
-            min *= 1000;
-            max *= 1000;
-        }
-    } else if (fromMatch) {
-        min = parseInt(fromMatch[1]);
-        if (salary.includes('k') || min < 1000) {
-            min *= 1000;
-        }
-        max = min;
-    } else if (upToMatch) {
-        max = parseInt(upToMatch[1]);
-        if (salary.includes('k') || max < 1000) {
-            max *= 1000;
-        }
-        min = max;
-    } else if (singleMatch) {
-        const num = parseInt(singleMatch[1]);
-        if (salary.includes('k') || num < 1000) {
-            min = max = num * 1000;
-        } else {
-            min = max = num;
-        }
-    }
-    
-    if (isHourly && (min > 0 || max > 0)) {
-        min = min * 40 * 52;
-        max = max * 40 * 52;
-        console.log(`💰 Converted hourly to annual: ${salaryStr} -> min: ${min}, max: ${max}`);
-    }
-    
-    if (isPounds && (min > 0 || max > 0)) {
-        min = Math.round(min * conversionRate);
-        max = Math.round(max * conversionRate);
-        console.log(`💰 Converting GBP to USD: ${salaryStr} -> £${min/conversionRate}-£${max/conversionRate} -> $${min}-$${max}`);
-    }
-    
-    console.log(`💰 Salary extraction: "${salaryStr}" -> min: ${min}, max: ${max} ${isPounds ? '(converted from GBP)' : ''} ${isHourly ? '(converted from hourly)' : ''}`);
-    
-    return { min, max };
-}
-
 function applyJobFilters(jobs, filters) {
     if (!filters || Object.keys(filters).length === 0) {
         return jobs;
@@ -1486,7 +969,8 @@ function applyJobFilters(jobs, filters) {
         if (salaryThreshold > 0) {
             const beforeSalaryFilter = filteredJobs.length;
             filteredJobs = filteredJobs.filter(job => {
-                const salaryNumbers = extractSalaryNumbersFromStringFixed(job.salary);
+                // Annualised and in SALARY_CURRENCY - structured salaries are not re-parsed
+                const salaryNumbers = salaryNormalizer.getAnnualRange(job.salary);
                 
                 let passes = true;
                 
@@ -1500,7 +984,7 @@ function applyJobFilters(jobs, filters) {
                     }
                 }
                 
-                console.log(`💰 Job "${job.title}": salary="${job.salary}" -> min:${salaryNumbers.min}, max:${salaryNumbers.max} -> passes:${passes}`);
+                console.log(`💰 Job "${job.title}": salary="${salaryNormalizer.format(salaryNormalizer.normalize(job.salary))}" -> min:${salaryNumbers.min}, max:${salaryNumbers.max} -> passes:${passes}`);
                 return passes;
             });
             console.log(`💰 Salary filter: ${beforeSalaryFilter} -> ${filteredJobs.length} jobs`);
@@ -1544,25 +1028,10 @@ function applyJobFilters(jobs, filters) {
         console.log(`🌍 Timezone filter: ${filters.timezone}`);
         
         filteredJobs = filteredJobs.filter(job => {
-            const description = (job.description || '').toLowerCase();
-            const location = (job.location || '').toLowerCase();
-            
-            let passes = false;
-            
-            if (filters.timezone === 'us-only') {
-                passes = description.includes('us') || description.includes('united states') || 
-                       location.includes('us') || description.includes('est') || description.includes('pst');
-            } else if (filters.timezone === 'global') {
-                passes = description.includes('global') || description.includes('worldwide') || 
-                       description.includes('international') || description.includes('any timezone');
-            } else if (filters.timezone === 'europe') {
-                passes = description.includes('europe') || description.includes('eu') || 
-                       description.includes('cet') || description.includes('gmt');
-            } else {
-                passes = true;
-            }
+            const remoteEligibility = job.remoteEligibility || remoteClassifier.classify(job);
+            const passes = remoteClassifier.matchesTimezoneFilter(remoteEligibility, filters.timezone);
             
-            console.log(`🌍 Job "${job.title}": timezone="${filters.timezone}" -> passes:${passes}`);
+            console.log(`🌍 Job "${job.title}": timezone="${filters.timezone}" -> ${remoteEligibility.category}${remoteEligibility.evidence ? ` ("${remoteEligibility.evidence.text}")` : ''} passes:${passes}`);
             return passes;
         });
         console.log(`🌍 Timezone filter: ${beforeTimezoneFilter} -> ${filteredJobs.length} jobs`);
@@ -1573,7 +1042,7 @@ function applyJobFilters(jobs, filters) {
 }
 
 function extractSalaryFromDescription(description) {
-    if (!description) return 'Salary not specified';
+    if (!description) return null;
     
     const desc = description.toLowerCase();
     
@@ -1594,9 +1063,9 @@ function extractSalaryFromDescription(description) {
             if (match[1].includes('k')) min *= 1000;
             if (match[2].includes('k')) max *= 1000;
             
-            return formatSalary(min, max);
+            return salaryNormalizer.fromRange(min, max, { currency: 'USD', period: 'year', confidence: 'low' });
         }
     }
     
-    return 'Salary not specified';
+    return null;
 }
\ No newline at end of file
@@ -1,79 +1,150 @@
 // config/api-config.js - Centralized API configuration and validation
 
 import dotenv from 'dotenv';
+import fs from 'fs';
 
 // Load environment variables
 dotenv.config({ path: './local.env' });
 
+/**
+ * Parse a comma-separated environment variable into a list
+ * @param {string} value - e.g. "gitlab, elastic"
+ * @returns {Array} Trimmed, non-empty entries
+ */
+export function parseList(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Load the RSS/Atom feed list: feeds with mapping rules from a JSON file,
+ * plus plain feed URLs from a comma-separated environment variable
+ * @param {string} filePath - Path of the JSON feed list (an array of feed objects)
+ * @param {string} urls - e.g. "https://example.com/jobs.rss, https://example.org/atom"
+ * @returns {Array} Feed definitions ({ url, name, company, location, ... })
+ */
+export function loadFeedList(filePath, urls) {
+    let feeds = [];
+
+    if (fs.existsSync(filePath)) {
+        try {
+            const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            feeds = Array.isArray(parsed) ? parsed : [];
+        } catch (error) {
+            console.warn(`⚠️ Could not read RSS feed list ${filePath}: ${error.message}`);
+        }
+    }
+
+    feeds.push(...parseList(urls).map(url => ({ url })));
+    return feeds.filter(feed => feed && feed.url);
+}
+
+/**
+ * Validation for keyless sources driven by a list of company board tokens
+ * @param {Object} config - Source configuration
+ * @returns {Object} { valid, error, details }
+ */
+export function validateBoards(config) {
+    return {
+        valid: config.boards.length > 0,
+        error: 'No company boards configured',
+        details: { boardCount: config.boards.length, boards: config.boards }
+    };
+}
+
+/**
+ * Validation for keyless sources that are on unless switched off
+ * @param {Object} config - Source configuration
+ * @returns {Object} { valid, error, details }
+ */
+export function validateEnabled(config) {
+    return {
+        valid: config.enabled,
+        error: 'Disabled',
+        details: { enabled: config.enabled }
+    };
+}
+
+// Retries for transient failures (network errors, timeouts, 502/503/504), overridable per source
+const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 3,
+    baseDelayMs: 500,
+    maxDelayMs: 8000,
+    maxRetryAfterMs: 30000 // longer Retry-After waits are treated as exhaustion instead
+};
+
+/**
+ * Describe an API key without revealing it
+ * @param {string} value - Key value
+ * @returns {Object} { exists, length, prefix }
+ */
+function describeKey(value) {
+    return {
+        exists: !!value,
+        length: value ? value.length : 0,
+        prefix: value ? value.substring(0, 8) + '...' : 'none'
+    };
+}
+
 /**
  * API Configuration and Validation
  * Centralized configuration for all job search APIs
  */
 export class ApiConfig {
     constructor() {
+        const llmProvider = process.env.LLM_PROVIDER || 'openai';
+
         this.configs = {
             openai: {
                 name: 'OpenAI',
-                required: true,
+                // Only needed when OpenAI is the LLM provider; local and fake providers run without it
+                required: llmProvider === 'openai',
                 key: process.env.OPENAI_API_KEY,
                 timeout: 30000,
                 maxRetries: 2,
                 model: 'gpt-3.5-turbo'
-            },
-            theirstack: {
-                name: 'Theirstack',
-                required: false,
-                key: process.env.THEIRSTACK_API_KEY,
-                baseUrl: 'https://api.theirstack.com/v1',
-                timeout: 15000,
-                rateLimit: 200, // requests per day
-                usageCount: 0
-            },
-            adzuna: {
-                name: 'Adzuna',
-                required: false,
-                appId: process.env.ADZUNA_APP_ID,
-                apiKey: process.env.ADZUNA_API_KEY,
-                baseUrl: 'https://api.adzuna.com/v1',
-                timeout: 15000,
-                rateLimit: 1000 // requests per day
-            },
-            themuse: {
-                name: 'TheMuse',
-                required: false,
-                key: process.env.THEMUSE_API_KEY,
-                baseUrl: 'https://www.themuse.com/api/public',
-                timeout: 15000,
-                rateLimit: 1000 // requests per day
-            },
-            reed: {
-                name: 'Reed',
-                required: false,
-                key: process.env.REED_API_KEY,
-                baseUrl: 'https://www.reed.co.uk/api/1.0',
-                timeout: 15000,
-                rateLimit: 1000 // requests per day
-            },
-            rapidapi: {
-                name: 'RapidAPI',
-                required: false,
-                key: process.env.RAPIDAPI_KEY,
-                timeout: 15000,
-                services: {
-                    jsearch: {
-                        host: 'jsearch.p.rapidapi.com',
-                        url: 'https://jsearch.p.rapidapi.com/search'
-                    },
-                    jobs: {
-                        host: 'jobs-api14.p.rapidapi.com',
-                        url: 'https://jobs-api14.p.rapidapi.com/list'
-                    }
-                },
-                rateLimit: 500 // requests per month (free tier)
+            }
+            // Job sources are added by registerSource() from each source module's metadata
+        };
+        this.sources = {}; // source id -> registry metadata
+
+        // LLM provider used for resume analysis and job matching
+        // provider: 'openai' | 'openai-compatible' (Ollama, llama.cpp, vLLM) | 'fake' (offline, deterministic)
+        this.llm = {
+            provider: llmProvider,
+            apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+            baseUrl: process.env.LLM_BASE_URL || null,
+            timeout: 30000,
+            maxRetries: 2,
+            jsonMode: process.env.LLM_JSON_MODE !== 'false',
+            // 'auto' sends JSON schemas only to models known to support structured outputs
+            structuredOutputs: process.env.LLM_STRUCTURED_OUTPUTS || 'auto',
+            // Mask contact details and IDs in resume text before it is sent to the model
+            redactPii: process.env.REDACT_RESUME_PII !== 'false',
+            defaultModel: process.env.LLM_MODEL || 'gpt-3.5-turbo',
+            models: {
+                resumeAnalysis: process.env.LLM_MODEL_RESUME_ANALYSIS || process.env.LLM_MODEL || 'gpt-3.5-turbo',
+                jobMatch: process.env.LLM_MODEL_JOB_MATCH || process.env.LLM_MODEL || 'gpt-4o'
             }
         };
     }
 
+    /**
+     * Get the LLM provider configuration
+     * @returns {Object} LLM configuration
+     */
+    getLlmConfig() {
+        return this.llm;
+    }
+
+    /**
+     * Get the model configured for a task
+     * @param {string} task - Task name, e.g. 'resumeAnalysis' or 'jobMatch'
+     * @returns {string} Model name
+     */
+    getModelForTask(task) {
+        return this.llm.models[task] || this.llm.defaultModel;
+    }
+
     /**
      * Get configuration for a specific API
      * @param {string} apiName - Name of the API
@@ -84,7 +155,40 @@ export class ApiConfig {
     }
 
     /**
-     * Check if an API is properly configured
+     * Get the rate limits declared by a source
+     * @param {string} apiName - Name of the API
+     * @returns {Object|Array|null} { requests, per } or a list of them, null if unlimited
+     */
+    getRateLimit(apiName) {
+        return this.sources[apiName]?.rateLimit || null;
+    }
+
+    /**
+     * Get the retry policy of a source, with defaults for anything it leaves out
+     * @param {string} apiName - Name of the API
+     * @returns {Object} { maxAttempts, baseDelayMs, maxDelayMs, maxRetryAfterMs }
+     */
+    getRetryPolicy(apiName) {
+        return { ...DEFAULT_RETRY_POLICY, ...this.sources[apiName]?.retry };
+    }
+
+    /**
+     * Add a job source's configuration, called by the source registry
+     * @param {Object} metadata - Source metadata (id, displayName, requiredEnv, config, validate)
+     */
+    registerSource(metadata) {
+        this.sources[metadata.id] = metadata;
+        this.configs[metadata.id] = {
+            name: metadata.displayName,
+            required: false,
+            keyless: metadata.requiredEnv.length === 0,
+            ...metadata.config
+        };
+    }
+
+    /**
+     * Check if an API is properly configured. Keyed sources need every variable in
+     * their requiredEnv; keyless ones may add their own check through validate()
      * @param {string} apiName - Name of the API
      * @returns {Object} Validation result
      */
@@ -98,62 +202,29 @@ export class ApiConfig {
             };
         }
 
-        let hasKey = false;
-        let keyDetails = {};
-
-        switch (apiName) {
-            case 'openai':
-                hasKey = !!config.key;
-                keyDetails = {
-                    keyExists: !!config.key,
-                    keyLength: config.key ? config.key.length : 0,
-                    keyPrefix: config.key ? config.key.substring(0, 8) + '...' : 'none'
-                };
-                break;
-            case 'theirstack':
-                hasKey = !!config.key;
-                keyDetails = {
-                    keyExists: !!config.key,
-                    keyLength: config.key ? config.key.length : 0,
-                    keyPrefix: config.key ? config.key.substring(0, 8) + '...' : 'none'
-                };
-                break;
-            case 'adzuna':
-                hasKey = !!(config.appId && config.apiKey);
-                keyDetails = {
-                    appIdExists: !!config.appId,
-                    appIdLength: config.appId ? config.appId.length : 0,
-                    apiKeyExists: !!config.apiKey,
-                    apiKeyLength: config.apiKey ? config.apiKey.length : 0,
-                    appIdPrefix: config.appId ? config.appId.substring(0, 8) + '...' : 'none',
-                    apiKeyPrefix: config.apiKey ? config.apiKey.substring(0, 8) + '...' : 'none'
-                };
-                break;
-            case 'themuse':
-            case 'reed':
-                hasKey = !!config.key;
-                keyDetails = {
-                    keyExists: !!config.key,
-                    keyLength: config.key ? config.key.length : 0,
-                    keyPrefix: config.key ? config.key.substring(0, 8) + '...' : 'none'
-                };
-                break;
-            case 'rapidapi':
-                hasKey = !!config.key;
-                keyDetails = {
-                    keyExists: !!config.key,
-                    keyLength: config.key ? config.key.length : 0,
-                    keyPrefix: config.key ? config.key.substring(0, 8) + '...' : 'none'
-                };
-                break;
+        const requiredEnv = apiName === 'openai' ? ['OPENAI_API_KEY'] : this.sources[apiName].requiredEnv;
+        const missingEnv = requiredEnv.filter(name => !process.env[name]);
+        const keyDetails = config.keyless ? { keyless: true } : {};
+        requiredEnv.forEach(name => {
+            keyDetails[name] = describeKey(process.env[name]);
+        });
+
+        let error = missingEnv.length > 0 ? `Missing API key for ${config.name} (${missingEnv.join(', ')})` : null;
+
+        const check = this.sources[apiName]?.validate?.(config);
+        if (check) {
+            Object.assign(keyDetails, check.details);
+            if (!check.valid && !error) {
+                error = `${config.name}: ${check.error}`;
+            }
         }
 
         return {
-            isValid: hasKey,
-            hasKey,
+            isValid: !error,
+            hasKey: missingEnv.length === 0,
             keyDetails,
             config,
-            error: hasKey ? null : `Missing API key for ${config.name}`
+            error
         };
     }
 
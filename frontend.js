@@ -14,8 +14,11 @@ class AIJobMatcher {
             industries: [],
             responsibilities: [],
             achievements: [],
-            seniorityLevel: 'mid'
+            seniorityLevel: 'mid',
+            mustHaveSkills: []
         };
+        // Chip currently being dragged on the analysis panel: { category, index }
+        this.draggedChip = null;
         this.jobResults = [];
         this.totalJobs = 0;
         this.displayedJobsCount = 0;
@@ -25,6 +28,8 @@ class AIJobMatcher {
         this.totalSources = 6;
         this.savedJobs = this.loadSavedJobs();
         this.updateSavedCount();
+        // Companies the user follows, by company id (services/company-registry.js): { id: name }
+        this.watchedCompanies = this.loadWatchedCompanies();
         
         // FIXED: Add tracking for intermediate results without updating UI
         this.tempJobResults = [];
@@ -45,6 +50,7 @@ class AIJobMatcher {
         // Analysis elements
         this.analysisSection = document.getElementById('analysis-section');
         this.skillsGrid = document.getElementById('skills-grid');
+        this.exportJsonResumeBtn = document.getElementById('export-json-resume');
 
         // Search elements
         this.searchSection = document.getElementById('search-section');
@@ -63,6 +69,7 @@ class AIJobMatcher {
         this.totalJobsElement = document.getElementById('total-jobs');
         this.matchPercentage = document.getElementById('match-percentage');
         this.filterChips = document.getElementById('filter-chips');
+        this.companyFilter = document.getElementById('company-filter');
         this.clearFilters = document.getElementById('clear-filters');
         this.jobsGrid = document.getElementById('jobs-grid');
         this.loadMore = document.getElementById('load-more');
@@ -103,12 +110,14 @@ class AIJobMatcher {
         // Analysis and search events
         if (this.analyzeResumeBtn) this.analyzeResumeBtn.addEventListener('click', () => this.analyzeResume());
         if (this.startSearchBtn) this.startSearchBtn.addEventListener('click', () => this.startJobSearch());
+        if (this.exportJsonResumeBtn) this.exportJsonResumeBtn.addEventListener('click', () => this.exportJsonResume());
         if (this.clearFilters) this.clearFilters.addEventListener('click', () => this.clearAllFilters());
 
         // Filter change events
         if (this.experienceFilter) this.experienceFilter.addEventListener('change', () => this.applyFilters());
         if (this.salaryFilter) this.salaryFilter.addEventListener('change', () => this.applyFilters());
         if (this.timezoneFilter) this.timezoneFilter.addEventListener('change', () => this.applyFilters());
+        if (this.companyFilter) this.companyFilter.addEventListener('change', () => this.applyFilters());
 
         // Load more functionality
         if (this.loadMore) this.loadMore.addEventListener('click', () => this.loadMoreJobs());
@@ -149,15 +158,16 @@ class AIJobMatcher {
 
     processFile(file) {
         // Validate file type
-        const allowedTypes = ['application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'text/plain'];
-        if (!allowedTypes.includes(file.type)) {
-            this.showError('Please upload a PDF, DOC, DOCX, or TXT file.');
+        const allowedTypes = ['application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'text/plain', 'application/json'];
+        if (!allowedTypes.includes(file.type) && !this.isJsonResumeFile(file) && !this.isLinkedInArchive(file)) {
+            this.showError('Please upload a PDF, DOC, DOCX, TXT, JSON Resume, or LinkedIn data export (ZIP) file.');
             return;
         }
 
-        // Validate file size (5MB limit)
-        if (file.size > 5 * 1024 * 1024) {
-            this.showError('File size must be less than 5MB.');
+        // Validate file size (5MB limit, 20MB for LinkedIn archives)
+        const maxSize = this.isLinkedInArchive(file) ? 20 * 1024 * 1024 : 5 * 1024 * 1024;
+        if (file.size > maxSize) {
+            this.showError(`File size must be less than ${maxSize / (1024 * 1024)}MB.`);
             return;
         }
 
@@ -197,45 +207,18 @@ class AIJobMatcher {
             this.showLoading(true, 'Analyzing your resume comprehensively...');
             this.hideError();
 
-            let resumeText;
+            let data;
 
-            // Handle different file types
-            if (this.currentFile.type === 'application/pdf') {
-                // For PDF files, send to backend for parsing first
-                const formData = new FormData();
-                formData.append('resume', this.currentFile);
-                
-                const parseResponse = await fetch('/api/parse-pdf', {
-                    method: 'POST',
-                    body: formData
-                });
-                
-                if (!parseResponse.ok) {
-                    throw new Error('Failed to parse PDF');
-                }
-                
-                const parseResult = await parseResponse.json();
-                resumeText = parseResult.text;
+            if (this.isJsonResumeFile(this.currentFile)) {
+                // JSON Resume documents map straight onto the analysis, no parsing or AI needed
+                data = await this.importJsonResume(this.currentFile);
+            } else if (this.isLinkedInArchive(this.currentFile)) {
+                // LinkedIn data exports are read from their CSV files, no AI needed
+                data = await this.importLinkedInArchive(this.currentFile);
             } else {
-                // For other file types, read directly
-                resumeText = await this.readFileContent(this.currentFile);
-            }
-
-            // Send to backend for enhanced analysis
-            const response = await fetch('/api/analyze-resume', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({ resumeText })
-            });
-
-            if (!response.ok) {
-                throw new Error('Failed to analyze resume');
+                data = await this.analyzeResumeFile(this.currentFile);
             }
 
-            const data = await response.json();
-
             // Handle enhanced analysis structure
             this.resumeAnalysis = {
                 technicalSkills: data.technicalSkills || [],
@@ -246,7 +229,15 @@ class AIJobMatcher {
                 industries: data.industries || [],
                 responsibilities: data.responsibilities || [],
                 achievements: data.achievements || [],
-                seniorityLevel: data.seniorityLevel || 'mid'
+                seniorityLevel: data.seniorityLevel || 'mid',
+                sectionSources: data.sectionSources || {},
+                sections: data.sections || [],
+                positions: data.positions || [],
+                totalYearsExperience: data.totalYearsExperience || 0,
+                skillYears: data.skillYears || {},
+                employmentGaps: data.employmentGaps || [],
+                basics: data.basics || {},
+                mustHaveSkills: data.mustHaveSkills || []
             };
 
             console.log('Enhanced resume analysis completed:', this.resumeAnalysis);
@@ -260,97 +251,195 @@ class AIJobMatcher {
 
         } catch (error) { 
             console.error('Error analyzing resume:', error);
-            this.showError('Failed to analyze resume. Please try again.');
+            this.showError(error.message || 'Failed to analyze resume. Please try again.');
             this.showLoading(false);
         }
     }
 
+    async analyzeResumeFile(file) {
+        let resumeText;
+
+        // Handle different file types
+        if (file.type !== 'text/plain') {
+            // PDF, DOC and DOCX files are binary, so send to backend for parsing first
+            const formData = new FormData();
+            formData.append('resume', file);
+            
+            const parseResponse = await fetch('/api/parse-pdf', {
+                method: 'POST',
+                body: formData
+            });
+            
+            const parseResult = await parseResponse.json().catch(() => ({}));
+            
+            if (!parseResponse.ok) {
+                throw new Error(parseResult.error || 'Failed to parse resume file');
+            }
+            
+            resumeText = parseResult.text;
+        } else {
+            // Plain text files can be read directly
+            resumeText = await this.readFileContent(file);
+        }
+
+        // Send to backend for enhanced analysis
+        const response = await fetch('/api/analyze-resume', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ resumeText })
+        });
+
+        if (!response.ok) {
+            throw new Error('Failed to analyze resume');
+        }
+
+        return response.json();
+    }
+
+    isJsonResumeFile(file) {
+        return file.type === 'application/json' || /\.json$/i.test(file.name || '');
+    }
+
+    async importJsonResume(file) {
+        let resumeDocument;
+        try {
+            resumeDocument = JSON.parse(await this.readFileContent(file));
+        } catch (error) {
+            throw new Error('The JSON Resume file is not valid JSON.');
+        }
+
+        const response = await fetch('/api/import-json-resume', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ resume: resumeDocument })
+        });
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const details = Array.isArray(result.details) ? ` ${result.details.join('; ')}` : '';
+            throw new Error((result.error || 'Failed to import JSON Resume.') + details);
+        }
+
+        return result;
+    }
+
+    isLinkedInArchive(file) {
+        return /\.zip$/i.test(file.name || '') || ['application/zip', 'application/x-zip-compressed'].includes(file.type);
+    }
+
+    async importLinkedInArchive(file) {
+        const formData = new FormData();
+        formData.append('archive', file);
+
+        const response = await fetch('/api/import-linkedin', {
+            method: 'POST',
+            body: formData
+        });
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to import LinkedIn data.');
+        }
+
+        return result;
+    }
+
+    async exportJsonResume() {
+        if (!this.resumeAnalysis) return;
+
+        try {
+            const response = await fetch('/api/export-json-resume', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ analysis: this.resumeAnalysis })
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to export JSON Resume');
+            }
+
+            const jsonResume = await response.json();
+            const blob = new Blob([JSON.stringify(jsonResume, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = 'resume.json';
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Error exporting JSON Resume:', error);
+            this.showError('Failed to export your profile as JSON Resume. Please try again.');
+        }
+    }
+
     async readFileContent(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
             reader.onload = (e) => resolve(e.target.result);
             reader.onerror = (e) => reject(e);
 
-            if (file.type === 'text/plain') {
-                reader.readAsText(file);
-            } else if (file.type === 'application/pdf') {
-                // For PDF files, we need to send to backend for parsing
-                reader.readAsArrayBuffer(file);
-            } else {
-                // For DOC/DOCX files, try reading as text
-                reader.readAsText(file);
-            }
+            // Only plain text is read in the browser; PDF, DOC and DOCX go through /api/parse-pdf
+            reader.readAsText(file);
         });
     }
 
-    displayEnhancedSkillsAnalysis() {
+    // Categories shown on the analysis panel, in display order. Only skills can be pinned as must-haves
+    getAnalysisCategories() {
+        return [
+            { key: 'technicalSkills', title: 'Technical Skills', icon: 'fas fa-code', chipClass: 'technical', pinnable: true },
+            { key: 'softSkills', title: 'Soft Skills', icon: 'fas fa-users', chipClass: 'soft', pinnable: true },
+            { key: 'workExperience', title: 'Work Experience', icon: 'fas fa-briefcase', chipClass: 'experience' },
+            { key: 'industries', title: 'Industries', icon: 'fas fa-industry', chipClass: 'industry' },
+            { key: 'responsibilities', title: 'Key Responsibilities', icon: 'fas fa-tasks', chipClass: 'responsibility' },
+            { key: 'education', title: 'Education & Certifications', icon: 'fas fa-graduation-cap', chipClass: 'education' },
+            { key: 'achievements', title: 'Key Achievements', icon: 'fas fa-trophy', chipClass: 'achievement' },
+            { key: 'qualifications', title: 'Qualifications', icon: 'fas fa-certificate', chipClass: 'qualification' }
+        ];
+    }
+
+    displayEnhancedSkillsAnalysis({ scroll = true } = {}) {
         console.log('Displaying enhanced skills analysis...');
         console.log('Current resumeAnalysis:', this.resumeAnalysis);
-        console.log('Technical Skills:', this.resumeAnalysis.technicalSkills);
-        console.log('Industries:', this.resumeAnalysis.industries);
-        console.log('Work Experience:', this.resumeAnalysis.workExperience);
         
         this.skillsGrid.innerHTML = '';
 
         // Create summary card first
         this.createSummaryCard();
 
-        // Display Technical Skills
-        if (this.resumeAnalysis.technicalSkills && this.resumeAnalysis.technicalSkills.length > 0) {
-            this.createSkillSection('Technical Skills', this.resumeAnalysis.technicalSkills, 'fas fa-code', 'technical');
-        }
-
-        // Display Soft Skills
-        if (this.resumeAnalysis.softSkills && this.resumeAnalysis.softSkills.length > 0) {
-            this.createSkillSection('Soft Skills', this.resumeAnalysis.softSkills, 'fas fa-users', 'soft');
-        }
-
-        // Display Work Experience
-        if (this.resumeAnalysis.workExperience && this.resumeAnalysis.workExperience.length > 0) {
-            this.createSkillSection('Work Experience', this.resumeAnalysis.workExperience, 'fas fa-briefcase', 'experience');
-        }
+        // Every category is shown, even when empty, so missing items can be added before searching
+        this.getAnalysisCategories().forEach(category => this.createSkillSection(category));
 
-        // Display Industries
-        if (this.resumeAnalysis.industries && this.resumeAnalysis.industries.length > 0) {
-            this.createSkillSection('Industries', this.resumeAnalysis.industries, 'fas fa-industry', 'industry');
-        }
-
-        // Display Responsibilities
-        if (this.resumeAnalysis.responsibilities && this.resumeAnalysis.responsibilities.length > 0) {
-            this.createSkillSection('Key Responsibilities', this.resumeAnalysis.responsibilities, 'fas fa-tasks', 'responsibility');
-        }
-
-        // Display Education
-        if (this.resumeAnalysis.education && this.resumeAnalysis.education.length > 0) {
-            this.createSkillSection('Education & Certifications', this.resumeAnalysis.education, 'fas fa-graduation-cap', 'education');
-        }
-
-        // Display Achievements
-        if (this.resumeAnalysis.achievements && this.resumeAnalysis.achievements.length > 0) {
-            this.createSkillSection('Key Achievements', this.resumeAnalysis.achievements, 'fas fa-trophy', 'achievement');
-        }
-
-        // Display Qualifications
-        if (this.resumeAnalysis.qualifications && this.resumeAnalysis.qualifications.length > 0) {
-            this.createSkillSection('Qualifications', this.resumeAnalysis.qualifications, 'fas fa-certificate', 'qualification');
+        this.analysisSection.style.display = 'block';
+        if (scroll) {
+            this.analysisSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
         }
+    }
 
-        this.analysisSection.style.display = 'block';
-        this.analysisSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    // Re-render after an edit without jumping the page
+    refreshAnalysisPanel() {
+        this.displayEnhancedSkillsAnalysis({ scroll: false });
     }
 
     createSummaryCard() {
         const summarySection = document.createElement('div');
         summarySection.className = 'skills-section summary-card';
         
-        const seniorityDisplay = this.resumeAnalysis.seniorityLevel.charAt(0).toUpperCase() + this.resumeAnalysis.seniorityLevel.slice(1);
+        const seniorityOptions = ['entry', 'mid', 'senior', 'lead', 'executive']
+            .map(level => `<option value="${level}" ${level === this.resumeAnalysis.seniorityLevel ? 'selected' : ''}>${level.charAt(0).toUpperCase() + level.slice(1)}</option>`)
+            .join('');
         
         summarySection.innerHTML = `
             <h3><i class="fas fa-user-tie"></i> Profile Summary</h3>
             <div class="summary-grid">
                 <div class="summary-item">
-                    <span class="summary-label">Seniority Level:</span>
-                    <span class="summary-value">${seniorityDisplay}</span>
+                    <label class="summary-label" for="seniority-select">Seniority Level:</label>
+                    <select class="seniority-select" id="seniority-select">${seniorityOptions}</select>
                 </div>
                 <div class="summary-item">
                     <span class="summary-label">Technical Skills:</span>
@@ -364,47 +453,192 @@ class AIJobMatcher {
                     <span class="summary-label">Key Roles:</span>
                     <span class="summary-value">${this.resumeAnalysis.workExperience.length}</span>
                 </div>
+                <div class="summary-item">
+                    <span class="summary-label">Must-have Skills:</span>
+                    <span class="summary-value">${this.resumeAnalysis.mustHaveSkills.length}</span>
+                </div>
             </div>
         `;
         
+        summarySection.querySelector('#seniority-select').addEventListener('change', (e) => {
+            this.resumeAnalysis.seniorityLevel = e.target.value;
+        });
+        
         this.skillsGrid.appendChild(summarySection);
     }
 
-    createSkillSection(title, skills, iconClass, chipClass) {
+    createSkillSection(category) {
+        const items = this.resumeAnalysis[category.key] || [];
         const section = document.createElement('div');
-        section.className = 'skills-section';
-        section.innerHTML = `<h3><i class="${iconClass}"></i> ${title}</h3>`;
+        section.className = 'skills-section editable';
+        section.innerHTML = `<h3><i class="${category.icon}"></i> ${category.title}</h3>`;
+
+        const chipList = document.createElement('div');
+        chipList.className = 'skill-chip-list';
+        items.forEach((item, index) => chipList.appendChild(this.createSkillChip(category, item, index)));
+        section.appendChild(chipList);
+
+        // Add a missing item
+        const addForm = document.createElement('form');
+        addForm.className = 'skill-add-form';
+        addForm.innerHTML = `
+            <input type="text" class="skill-add-input" placeholder="Add to ${category.title.toLowerCase()}..." aria-label="Add to ${category.title}">
+            <button type="submit" class="skill-add-button" aria-label="Add to ${category.title}"><i class="fas fa-plus"></i></button>
+        `;
+        addForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addAnalysisItem(category.key, addForm.querySelector('input').value);
+        });
+        section.appendChild(addForm);
 
-        skills.forEach(skill => {
-            const skillChip = document.createElement('div');
-            skillChip.className = `skill-chip ${chipClass}`;
-            
-            // Handle both string and object cases
-            let displayText;
-            if (typeof skill === 'string') {
-                displayText = skill;
-            } else if (skill && typeof skill === 'object') {
-                // For work experience objects, extract job title or use a meaningful field
-                if (skill.jobTitle) {
-                    displayText = skill.jobTitle;
-                } else if (skill.title) {
-                    displayText = skill.title;
-                } else if (skill.role) {
-                    displayText = skill.role;
-                } else {
-                    displayText = JSON.stringify(skill);
-                }
-            } else {
-                displayText = String(skill);
-            }
-            
-            skillChip.textContent = displayText;
-            section.appendChild(skillChip);
+        // Chips can be dropped anywhere in a section: onto a chip to go before it, elsewhere to go last
+        section.addEventListener('dragover', (e) => {
+            if (!this.draggedChip) return;
+            e.preventDefault();
+            section.classList.add('drag-over');
+        });
+        section.addEventListener('dragleave', (e) => {
+            if (!section.contains(e.relatedTarget)) section.classList.remove('drag-over');
+        });
+        section.addEventListener('drop', (e) => {
+            if (!this.draggedChip) return;
+            e.preventDefault();
+            const targetChip = e.target.closest('.skill-chip');
+            const targetIndex = targetChip ? Number(targetChip.dataset.index) : items.length;
+            this.moveAnalysisItem(this.draggedChip, category.key, targetIndex);
         });
 
         this.skillsGrid.appendChild(section);
     }
 
+    createSkillChip(category, item, index) {
+        const displayText = this.getAnalysisItemText(item);
+        const pinned = category.pinnable && this.isPinnedSkill(displayText);
+
+        const skillChip = document.createElement('div');
+        skillChip.className = `skill-chip ${category.chipClass}${pinned ? ' pinned' : ''}`;
+        skillChip.draggable = true;
+        skillChip.dataset.index = index;
+        skillChip.title = 'Drag to re-order or move to another category';
+
+        const label = document.createElement('span');
+        label.className = 'skill-chip-label';
+        label.textContent = displayText;
+        skillChip.appendChild(label);
+
+        if (category.pinnable) {
+            const pinButton = document.createElement('button');
+            pinButton.type = 'button';
+            pinButton.className = 'skill-chip-action';
+            pinButton.title = pinned ? 'Unpin must-have skill' : 'Pin as must-have skill';
+            pinButton.setAttribute('aria-label', `${pinned ? 'Unpin' : 'Pin'} ${displayText}`);
+            pinButton.setAttribute('aria-pressed', String(pinned));
+            pinButton.innerHTML = '<i class="fas fa-thumbtack"></i>';
+            pinButton.addEventListener('click', () => this.togglePinnedSkill(displayText));
+            skillChip.appendChild(pinButton);
+        }
+
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'skill-chip-action';
+        removeButton.title = 'Remove';
+        removeButton.setAttribute('aria-label', `Remove ${displayText}`);
+        removeButton.innerHTML = '<i class="fas fa-times"></i>';
+        removeButton.addEventListener('click', () => this.removeAnalysisItem(category.key, index));
+        skillChip.appendChild(removeButton);
+
+        skillChip.addEventListener('dragstart', (e) => {
+            this.draggedChip = { category: category.key, index };
+            skillChip.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', displayText); // Firefox only starts a drag with data set
+        });
+        skillChip.addEventListener('dragend', () => {
+            this.draggedChip = null;
+            skillChip.classList.remove('dragging');
+        });
+
+        return skillChip;
+    }
+
+    getAnalysisItemText(item) {
+        // Handle both string and object cases
+        if (typeof item === 'string') {
+            return item;
+        } else if (item && typeof item === 'object') {
+            // For work experience objects, extract job title or use a meaningful field
+            return item.jobTitle || item.title || item.role || JSON.stringify(item);
+        }
+        return String(item);
+    }
+
+    hasAnalysisItem(categoryKey, text) {
+        return (this.resumeAnalysis[categoryKey] || [])
+            .some(item => this.getAnalysisItemText(item).toLowerCase() === text.toLowerCase());
+    }
+
+    addAnalysisItem(categoryKey, value) {
+        const text = (value || '').trim();
+        if (!text || this.hasAnalysisItem(categoryKey, text)) return;
+
+        if (!this.resumeAnalysis[categoryKey]) this.resumeAnalysis[categoryKey] = [];
+        this.resumeAnalysis[categoryKey].push(text);
+        this.refreshAnalysisPanel();
+    }
+
+    removeAnalysisItem(categoryKey, index) {
+        const [removed] = this.resumeAnalysis[categoryKey].splice(index, 1);
+        this.releasePin(categoryKey, this.getAnalysisItemText(removed));
+        this.refreshAnalysisPanel();
+    }
+
+    // Re-order within a category (earlier chips carry more weight in queries and matching) or re-categorise
+    moveAnalysisItem(from, toCategoryKey, toIndex) {
+        const source = this.resumeAnalysis[from.category];
+        const [item] = source.splice(from.index, 1);
+        const text = this.getAnalysisItemText(item);
+
+        if (from.category === toCategoryKey) {
+            source.splice(toIndex > from.index ? toIndex - 1 : toIndex, 0, item);
+        } else if (!this.hasAnalysisItem(toCategoryKey, text)) {
+            // Moving onto an existing item just merges the two
+            if (!this.resumeAnalysis[toCategoryKey]) this.resumeAnalysis[toCategoryKey] = [];
+            this.resumeAnalysis[toCategoryKey].splice(toIndex, 0, item);
+        }
+
+        this.releasePin(from.category, text);
+
+        this.draggedChip = null;
+        this.refreshAnalysisPanel();
+    }
+
+    isPinnedSkill(text) {
+        return this.resumeAnalysis.mustHaveSkills.some(skill => skill.toLowerCase() === text.toLowerCase());
+    }
+
+    // Pinned skills are sent with the analysis and treated as hard requirements by the matcher
+    togglePinnedSkill(text) {
+        if (this.isPinnedSkill(text)) {
+            this.unpinSkill(text);
+        } else {
+            this.resumeAnalysis.mustHaveSkills.push(text);
+        }
+        this.refreshAnalysisPanel();
+    }
+
+    // A skill leaving a pinnable category stays pinned while another pinnable category still lists it
+    releasePin(fromCategoryKey, text) {
+        const pinnableCategories = this.getAnalysisCategories().filter(category => category.pinnable);
+        if (!pinnableCategories.some(category => category.key === fromCategoryKey)) return;
+        if (pinnableCategories.some(category => this.hasAnalysisItem(category.key, text))) return;
+        this.unpinSkill(text);
+    }
+
+    unpinSkill(text) {
+        this.resumeAnalysis.mustHaveSkills = this.resumeAnalysis.mustHaveSkills
+            .filter(skill => skill.toLowerCase() !== text.toLowerCase());
+    }
+
     hideAnalysisSection() {
         this.analysisSection.style.display = 'none';
         this.searchSection.style.display = 'none';
@@ -585,6 +819,11 @@ class AIJobMatcher {
                 await this.handleJobsFound(data);
                 break;
 
+            case 'jobs_merged':
+                console.log('🔗 Jobs merged with copies from', data.source + ':', data.jobs.length, 'jobs');
+                this.handleJobsMerged(data);
+                break;
+
             case 'search_complete':
                 console.log('🏁 Search complete:', data.totalJobs, 'total jobs');
                 await this.handleSearchComplete(data);
@@ -692,6 +931,20 @@ class AIJobMatcher {
         }
     }
 
+    handleJobsMerged(data) {
+        // The server merged a later source's copy into jobs already shown: swap in the merged versions
+        data.jobs.forEach(job => {
+            const index = job.id ? this.tempJobResults.findIndex(result => result.id === job.id) : -1;
+            if (index === -1) return;
+
+            this.tempJobResults[index] = job;
+            const card = Array.from(this.jobsGrid.children).find(element => element.dataset.jobId === job.id);
+            if (card) {
+                card.replaceWith(this.createEnhancedJobCard(job));
+            }
+        });
+    }
+
     async handleSearchComplete(data) {
         console.log('🏁 Search completed:', data);
 
@@ -704,6 +957,7 @@ class AIJobMatcher {
         
         // FIXED: Calculate final stats based on ALL jobs from ALL sources
         this.updateFinalStats();
+        this.updateCompanyFilterOptions();
         
         // Sort jobs by match percentage for better display
         this.sortJobsByMatch();
@@ -817,6 +1071,7 @@ class AIJobMatcher {
     createEnhancedJobCard(job) {
         const card = document.createElement('div');
         card.className = 'job-card';
+        card.dataset.jobId = job.id || '';
 
         // REAL AI MATCH PERCENTAGE from OpenAI analysis
         const matchPercentage = job.matchPercentage || 0;
@@ -904,9 +1159,9 @@ class AIJobMatcher {
             <div class="job-header">
                 <div class="job-main-info">
                     <h3 class="job-title">${job.title || 'Job Title Not Available'}</h3>
-                    <p class="job-company">${job.company || 'Company Not Available'}</p>
-                    <p class="job-location"><i class="fas fa-map-marker-alt"></i> ${job.location || 'Remote'}</p>
-                    <p class="job-source"><i class="fas fa-external-link-alt"></i> Source: ${job.source || 'Unknown'}</p>
+                    <p class="job-company">${job.company || 'Company Not Available'}${this.formatWatchButton(job)}</p>
+                    <p class="job-location"><i class="fas fa-map-marker-alt"></i> ${job.location || 'Remote'}${this.formatRemoteEligibility(job.remoteEligibility)}</p>
+                    <p class="job-source"><i class="fas fa-external-link-alt"></i> ${this.formatJobSources(job)}</p>
                 </div>
                 <div class="job-header-right">
                     <button class="expand-btn" onclick="this.closest('.job-card').classList.toggle('expanded'); this.querySelector('i').classList.toggle('fa-chevron-down'); this.querySelector('i').classList.toggle('fa-chevron-up');">
@@ -967,37 +1222,81 @@ class AIJobMatcher {
         return card;
     }
 
-    formatJobSalary(salaryStr) {
-        if (!salaryStr || salaryStr === 'Salary not specified') {
+    formatJobSalary(salary) {
+        // Jobs saved before salaries were structured still carry display text
+        if (typeof salary === 'string') {
+            return salary.trim() || 'Salary not specified';
+        }
+        if (!salary || (salary.min === null && salary.max === null)) {
             return 'Salary not specified';
         }
-        
-        // Clean up and standardize salary display
-        let cleanSalary = salaryStr.trim();
-        
-        // Handle common formatting improvements
-        if (cleanSalary.includes(' - ')) {
-            return cleanSalary;
-        } else if (cleanSalary.includes('From ')) {
-            return cleanSalary;
-        } else if (cleanSalary.includes('Up to ')) {
-            return cleanSalary;
-        } else if (cleanSalary.match(/^\$?\d+k?\s*-\s*\$?\d+k?$/i)) {
-            // Simple range like "50k-75k" or "$50k-$75k"
-            const parts = cleanSalary.split('-');
-            if (parts.length === 2) {
-                let min = parts[0].trim().replace(/^\$/, '');
-                let max = parts[1].trim().replace(/^\$/, '');
-                
-                // Ensure both have $ prefix
-                if (!min.startsWith('$')) min = '$' + min;
-                if (!max.startsWith('$')) max = '$' + max;
-                
-                return `${min} - ${max}`;
+
+        const formatAmount = (amount, currency) => {
+            const rounded = amount >= 10000 ? Math.round(amount / 1000) : amount;
+            try {
+                const formatted = new Intl.NumberFormat('en-US', { style: 'currency', currency, maximumFractionDigits: amount >= 10000 ? 0 : 2, minimumFractionDigits: 0 }).format(rounded);
+                return amount >= 10000 ? `${formatted}k` : formatted;
+            } catch (error) {
+                return `${rounded.toLocaleString()}${amount >= 10000 ? 'k' : ''} ${currency}`;
             }
+        };
+        const formatRange = (min, max, currency) => {
+            if (min !== null && max !== null && min !== max) return `${formatAmount(min, currency)} - ${formatAmount(max, currency)}`;
+            if (min !== null) return `${max === null ? 'From ' : ''}${formatAmount(min, currency)}`;
+            return `Up to ${formatAmount(max, currency)}`;
+        };
+
+        let text = `${formatRange(salary.min, salary.max, salary.currency)} per ${salary.period}`;
+
+        // Show what it comes to per year in the comparison currency when that differs
+        const annual = salary.annual;
+        if (annual && (salary.period !== 'year' || annual.currency !== salary.currency)) {
+            text += ` (≈ ${formatRange(annual.min, annual.max, annual.currency)}/year)`;
         }
-        
-        return cleanSalary;
+        return text;
+    }
+
+    formatWatchButton(job) {
+        // Jobs without a company id (no or placeholder company name) cannot be watched
+        if (!job.companyId) return '';
+
+        const watched = Boolean(this.watchedCompanies[job.companyId]);
+        return ` <button class="watch-company-btn ${watched ? 'watched' : ''}" data-company-id="${job.companyId}" title="${watched ? 'Stop watching' : 'Watch'} this company" onclick="window.aiJobMatcher.toggleWatchCompany('${job.companyId}')">
+                        <i class="${watched ? 'fas' : 'far'} fa-star"></i>
+                    </button>`;
+    }
+
+    formatJobSources(job) {
+        // Jobs merged from several sources link to each listing
+        if (!job.sources || job.sources.length < 2) {
+            return `Source: ${job.source || 'Unknown'}`;
+        }
+        const links = job.sources.map(entry =>
+            `<a href="${entry.applyLink || entry.link}" target="_blank" rel="noopener">${entry.source}</a>`);
+        return `Sources: ${links.join(', ')}`;
+    }
+
+    formatRemoteEligibility(remoteEligibility) {
+        // Jobs from before remote classification carry nothing to show
+        if (!remoteEligibility) return '';
+
+        const formatOffset = offset => `UTC${offset >= 0 ? '+' : '-'}${Math.abs(offset)}`;
+        const labels = {
+            'remote': 'Remote, anywhere',
+            'remote-regions': `Remote in ${remoteEligibility.regions.join(', ')}`,
+            'remote-timezone': remoteEligibility.timezone && remoteEligibility.timezone.min !== remoteEligibility.timezone.max
+                ? `Remote, ${formatOffset(remoteEligibility.timezone.min)} to ${formatOffset(remoteEligibility.timezone.max)}`
+                : `Remote, ${formatOffset(remoteEligibility.timezone?.min ?? 0)}`,
+            'hybrid': 'Hybrid',
+            'onsite': 'On-site'
+        };
+        const label = labels[remoteEligibility.category];
+        if (!label) return '';
+
+        const evidence = remoteEligibility.evidence?.text
+            ? ` title="From ${remoteEligibility.evidence.field}: ${remoteEligibility.evidence.text.replace(/"/g, '&quot;')}"`
+            : '';
+        return ` <span class="job-remote-eligibility"${evidence}>· ${label}</span>`;
     }
 
     formatSalaryNumber(num) {
@@ -1052,6 +1351,7 @@ class AIJobMatcher {
         this.experienceFilter.value = '';
         this.salaryFilter.value = '';
         this.timezoneFilter.value = '';
+        if (this.companyFilter) this.companyFilter.value = '';
         this.filterChips.innerHTML = '';
 
         this.currentFilteredJobs = [];
@@ -1074,6 +1374,7 @@ class AIJobMatcher {
         const experienceFilter = this.experienceFilter.value;
         const salaryFilter = this.salaryFilter.value;
         const timezoneFilter = this.timezoneFilter.value;
+        const companyFilter = this.companyFilter ? this.companyFilter.value : '';
 
         let filteredJobs = [...this.jobResults];
 
@@ -1103,10 +1404,11 @@ class AIJobMatcher {
         // Apply salary filter
         if (salaryFilter) {
             filteredJobs = filteredJobs.filter(job => {
-                const salary = job.salary || '';
-                if (salary === 'Salary not specified') return false;
+                // Annualised and currency-converted on the server (services/salary.js)
+                const annual = job.salary?.annual;
+                if (!annual) return false;
                 
-                const salaryNumbers = this.extractSalaryNumbers(salary);
+                const salaryNumbers = { min: annual.min || 0, max: annual.max || 0 };
                 
                 if (salaryFilter === '50k') return salaryNumbers.min >= 50000 || salaryNumbers.max >= 50000;
                 if (salaryFilter === '75k') return salaryNumbers.min >= 75000 || salaryNumbers.max >= 75000;
@@ -1118,32 +1420,27 @@ class AIJobMatcher {
             });
         }
 
-        // Apply timezone filter
+        // Apply timezone filter, using the server's remote classification of each job
         if (timezoneFilter) {
             filteredJobs = filteredJobs.filter(job => {
-                const description = (job.description || '').toLowerCase();
-                const location = (job.location || '').toLowerCase();
-                
-                if (timezoneFilter === 'us-only') {
-                    return description.includes('us') || location.includes('us') || 
-                           description.includes('est') || description.includes('pst');
-                } else if (timezoneFilter === 'global') {
-                    return description.includes('global') || description.includes('worldwide') || 
-                           description.includes('any timezone');
-                } else if (timezoneFilter === 'europe') {
-                    return description.includes('europe') || description.includes('cet') || 
-                           description.includes('gmt');
-                }
-                return true;
+                if (!job.remoteEligibility) return true;
+                return (job.remoteEligibility.eligibleFor || []).includes(timezoneFilter);
             });
         }
 
+        // Apply company filter: one company id, or every watched company
+        if (companyFilter) {
+            filteredJobs = filteredJobs.filter(job => companyFilter === 'watched'
+                ? Boolean(this.watchedCompanies[job.companyId])
+                : job.companyId === companyFilter);
+        }
+
         this.displayFilteredResults(filteredJobs);
         this.updateFilterChips();
         
         // Show/hide clear filters button
         if (this.clearFilters) {
-            const hasFilters = experienceFilter || salaryFilter || timezoneFilter;
+            const hasFilters = experienceFilter || salaryFilter || timezoneFilter || companyFilter;
             this.clearFilters.style.display = hasFilters ? 'inline-flex' : 'none';
         }
     }
@@ -1185,6 +1482,7 @@ class AIJobMatcher {
         const experienceFilter = this.experienceFilter.value;
         const salaryFilter = this.salaryFilter.value;
         const timezoneFilter = this.timezoneFilter.value;
+        const companyFilter = this.companyFilter ? this.companyFilter.value : '';
 
         if (experienceFilter) {
             const expLabels = {
@@ -1215,15 +1513,96 @@ class AIJobMatcher {
 
         if (timezoneFilter) {
             const timezoneLabels = {
-                'us-only': 'US Only',
-                'global': 'Global/Any Timezone',
-                'europe': 'Europe/EU'
+                'us-only': 'Open to US',
+                'global': 'Worldwide, no restrictions',
+                'europe': 'Open to Europe'
             };
             this.addFilterChip('Timezone', timezoneLabels[timezoneFilter], () => {
                 this.timezoneFilter.value = '';
                 this.applyFilters();
             });
         }
+
+        if (companyFilter) {
+            const companyLabel = companyFilter === 'watched'
+                ? 'Watched companies'
+                : this.companyFilter.selectedOptions[0]?.dataset.name || companyFilter;
+            this.addFilterChip('Company', companyLabel, () => {
+                this.companyFilter.value = '';
+                this.applyFilters();
+            });
+        }
+    }
+
+    updateCompanyFilterOptions() {
+        if (!this.companyFilter) return;
+
+        // Group the results by company id, so "Acme, Inc." and "ACME" are one option
+        const companies = new Map();
+        this.jobResults.forEach(job => {
+            if (!job.companyId) return;
+            const company = companies.get(job.companyId) || { name: job.company, count: 0 };
+            company.count++;
+            companies.set(job.companyId, company);
+        });
+
+        const selected = this.companyFilter.value;
+        const watchedCount = this.jobResults.filter(job => this.watchedCompanies[job.companyId]).length;
+        this.companyFilter.innerHTML = '<option value="">All Companies</option>';
+        if (Object.keys(this.watchedCompanies).length > 0) {
+            this.companyFilter.add(new Option(`★ Watched companies (${watchedCount})`, 'watched'));
+        }
+        [...companies.entries()]
+            .sort(([, a], [, b]) => b.count - a.count || a.name.localeCompare(b.name))
+            .forEach(([id, company]) => {
+                const option = new Option(`${company.name} (${company.count})`, id);
+                option.dataset.name = company.name;
+                this.companyFilter.add(option);
+            });
+
+        // Keep the selection if the company is still in the results
+        this.companyFilter.value = [...this.companyFilter.options].some(option => option.value === selected) ? selected : '';
+    }
+
+    toggleWatchCompany(companyId) {
+        const job = this.jobResults.concat(this.tempJobResults, this.savedJobs).find(result => result.companyId === companyId);
+
+        if (this.watchedCompanies[companyId]) {
+            delete this.watchedCompanies[companyId];
+            this.showToast('Company removed from watchlist', 'info');
+        } else {
+            this.watchedCompanies[companyId] = job?.company || companyId;
+            this.showToast(`Watching ${this.watchedCompanies[companyId]}`, 'success');
+        }
+        // The watched-companies filter shows a different set now
+        const showingWatched = this.companyFilter?.value === 'watched';
+        this.saveWatchedCompanies();
+        this.updateWatchButtonStates();
+        this.updateCompanyFilterOptions();
+        if (showingWatched) {
+            this.applyFilters();
+        }
+    }
+
+    updateWatchButtonStates() {
+        document.querySelectorAll('.watch-company-btn').forEach(button => {
+            const watched = Boolean(this.watchedCompanies[button.dataset.companyId]);
+            button.classList.toggle('watched', watched);
+            button.title = `${watched ? 'Stop watching' : 'Watch'} this company`;
+            button.innerHTML = `<i class="${watched ? 'fas' : 'far'} fa-star"></i>`;
+        });
+    }
+
+    loadWatchedCompanies() {
+        const watchedCompanies = localStorage.getItem('watchedCompanies');
+        if (watchedCompanies) {
+            return JSON.parse(watchedCompanies);
+        }
+        return {};
+    }
+
+    saveWatchedCompanies() {
+        localStorage.setItem('watchedCompanies', JSON.stringify(this.watchedCompanies));
     }
 
     addFilterChip(label, value, onRemove) {
@@ -1243,29 +1622,6 @@ class AIJobMatcher {
         this.filterChips.appendChild(chip);
     }
 
-    extractSalaryNumbers(salaryStr) {
-        const salary = salaryStr.toLowerCase();
-        let min = 0, max = 0;
-        
-        const cleanSalary = salary.replace(/[$£€,]/g, '');
-        const rangeMatch = cleanSalary.match(/(\d+)(?:k|,000)?\s*[-–to]\s*(\d+)(?:k|,000)?/);
-        const singleMatch = cleanSalary.match(/(\d+)(?:k|,000)?/);
-        
-        if (rangeMatch) {
-            min = parseInt(rangeMatch[1]);
-            max = parseInt(rangeMatch[2]);
-            if (salary.includes('k') || min < 1000) {
-                min *= 1000;
-                max *= 1000;
-            }
-        } else if (singleMatch) {
-            const num = parseInt(singleMatch[1]);
-            min = max = salary.includes('k') || num < 1000 ? num * 1000 : num;
-        }
-        
-        return { min, max };
-    }
-
     loadMoreJobs() {
         console.log('Load more jobs functionality');
     }
@@ -1316,7 +1672,12 @@ class AIJobMatcher {
     }
 
     generateJobId(job) {
-        // Create a unique ID based on title, company, and source
+        // Canonical jobs carry a stable id from the server (services/job-schema.js)
+        if (job.id) {
+            return job.id;
+        }
+
+        // Jobs saved before ids existed: derive one from title, company, and source
         const cleanTitle = (job.title || '').replace(/[^a-zA-Z0-9]/g, '').toLowerCase();
         const cleanCompany = (job.company || '').replace(/[^a-zA-Z0-9]/g, '').toLowerCase();
         const cleanSource = (job.source || '').replace(/[^a-zA-Z0-9]/g, '').toLowerCase();
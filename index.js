@@ -6,6 +6,8 @@ import cors from "cors";
 import path from "path";
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { llmProvider } from './services/llm-provider.js';
+import { sourceRegistry } from './services/source-registry.js';
 
 // Get __dirname equivalent for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -142,13 +144,11 @@ app.get('/api/health', (req, res) => {
         status: 'healthy',
         timestamp: new Date().toISOString(),
         apis: {
-            openai: process.env.OPENAI_API_KEY ? 'configured' : 'missing',
-            theirstack: process.env.THEIRSTACK_API_KEY ? 'configured' : 'missing',
-            adzuna: (process.env.ADZUNA_APP_ID && process.env.ADZUNA_API_KEY) ? 'configured' : 'missing',
-            themuse: process.env.THEMUSE_API_KEY ? 'configured' : 'missing',
-            reed: process.env.REED_API_KEY ? 'configured' : 'missing',
-            rapidapi: process.env.RAPIDAPI_KEY ? 'configured' : 'missing'
+            llm: `${llmProvider.name} (${llmProvider.isConfigured() ? 'configured' : 'missing'})`,
+            ...sourceRegistry.getHealthMap()
         },
+        // Call, error and schema validation counts for the LLM provider
+        llm: llmProvider.getUsageStats(),
         reporting: {
             enabled: true,
             endpoint: `${baseUrl}/api/reports`,
@@ -168,13 +168,21 @@ import searchJobsHandler from './api/search-jobs.js';
 import searchJobsModularHandler from './api/search-jobs-modular.js';
 import analyzeResumeHandler from './api/analyze-resume.js';
 import parsePdfHandler from './api/parse-pdf.js';
+import importJsonResumeHandler from './api/import-json-resume.js';
+import exportJsonResumeHandler from './api/export-json-resume.js';
+import importLinkedInHandler from './api/import-linkedin.js';
 import reportsHandler from './api/report.js';
+import companiesHandler from './api/companies.js';
 
 // Main API routes
 app.post('/api/search-jobs', searchJobsHandler);
 app.post('/api/search-jobs-modular', searchJobsModularHandler);
 app.post('/api/analyze-resume', analyzeResumeHandler);
 app.post('/api/parse-pdf', parsePdfHandler);
+app.post('/api/import-json-resume', importJsonResumeHandler);
+app.post('/api/export-json-resume', exportJsonResumeHandler);
+app.post('/api/import-linkedin', importLinkedInHandler);
+app.get('/api/companies', companiesHandler);
 
 // API status endpoints (modular)
 app.get('/api-status', searchJobsModularHandler);
@@ -326,9 +334,13 @@ if (process.env.NODE_ENV !== 'production') {
         
         console.log('\n📋 AVAILABLE ENDPOINTS:');
         console.log('  GET  /api/health              - Health check with reporting status');
-        console.log('  POST /api/parse-pdf           - Parse PDF resume');
+        console.log('  POST /api/parse-pdf           - Parse PDF/DOCX/DOC resume');
         console.log('  POST /api/analyze-resume      - Analyze resume text');
+        console.log('  POST /api/import-json-resume  - JSON Resume to analysis (no AI)');
+        console.log('  POST /api/export-json-resume  - Analysis to JSON Resume');
+        console.log('  POST /api/import-linkedin     - LinkedIn data export ZIP to analysis');
         console.log('  POST /api/search-jobs         - Search for matching jobs');
+        console.log('  GET  /api/companies           - Company profiles from job results');
         console.log('  POST /api/reports             - Receive browser reports');
         console.log('  GET  /api/reports             - View collected reports');
         console.log('  GET  /api/reports-dashboard   - Reports dashboard data');
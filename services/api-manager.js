@@ -1,12 +1,11 @@
 // services/api-manager.js - Centralized API management and coordination
 
-import { TheirstackApi } from './theirstack-api.js';
-import { AdzunaApi } from './adzuna-api.js';
-import { TheMuseApi } from './themuse-api.js';
-import { ReedApi } from './reed-api.js';
-import { RapidApiJSearch } from './rapidapi-jsearch.js';
-import { RapidApiJobs } from './rapidapi-jobs.js';
+import { sourceRegistry } from './source-registry.js';
+import { companyRegistry } from './company-registry.js';
 import { apiConfig } from '../config/api-config.js';
+import { circuitBreakers, CIRCUIT_STATES } from './circuit-breaker.js';
+import { jobSchema } from './job-schema.js';
+import { getPersistenceReport } from './state-store.js';
 
 /**
  * API Manager - Coordinates all job search APIs
@@ -14,21 +13,14 @@ import { apiConfig } from '../config/api-config.js';
  */
 export class ApiManager {
     constructor() {
-        this.apis = {
-            theirstack: new TheirstackApi(),
-            adzuna: new AdzunaApi(),
-            themuse: new TheMuseApi(),
-            reed: new ReedApi(),
-            jsearch: new RapidApiJSearch(),
-            jobs: new RapidApiJobs(),
-            rapidapi: new RapidApiJSearch() // Alias for backward compatibility
-        };
+        // One instance per source discovered in services/sources/
+        this.apis = sourceRegistry.createInstances();
+
+        // Per-source circuit breakers, persisted so exhausted sources stay skipped across restarts
+        this.circuitBreakers = circuitBreakers;
 
-        this.exhaustedApis = new Set();
-        this.suspiciousApis = new Map();
-        this.lastResetTime = Date.now();
-        this.resetInterval = 1000 * 60 * 60; // Reset every hour
-        this.maxSuspiciousFailures = 3;
+        // Jobs dropped by the job schema, per source: { accepted, rejected, lastRejected }
+        this.schemaStats = {};
     }
 
     /**
@@ -45,7 +37,16 @@ export class ApiManager {
      * @returns {Object|null} API instance or null if not found
      */
     getApi(apiName) {
-        return this.apis[apiName] || null;
+        return this.apis[this.resolveApiName(apiName)] || null;
+    }
+
+    /**
+     * Resolve a source alias to its id (e.g. "rapidapi" -> "jsearch")
+     * @param {string} apiName - Source id or alias
+     * @returns {string} Source id
+     */
+    resolveApiName(apiName) {
+        return sourceRegistry.get(apiName)?.id || apiName;
     }
 
     /**
@@ -60,55 +61,26 @@ export class ApiManager {
     }
 
     /**
-     * Check if an API is exhausted
+     * Check if an API is exhausted (its circuit is not closed)
      * @param {string} apiName - Name of the API
      * @returns {boolean} True if API is exhausted
      */
     isApiExhausted(apiName) {
-        return this.exhaustedApis.has(apiName);
+        return this.circuitBreakers.get(apiName).state !== CIRCUIT_STATES.CLOSED;
     }
 
     /**
-     * Mark an API as exhausted
+     * Mark an API as exhausted by opening its circuit
      * @param {string} apiName - Name of the API
      * @param {string} reason - Reason for exhaustion
+     * @param {number|null} cooldownMs - How long to wait before probing, null for the default
      */
-    markApiAsExhausted(apiName, reason) {
-        if (!this.exhaustedApis.has(apiName)) {
-            this.exhaustedApis.add(apiName);
-            console.log(`🚫 MARKED AS EXHAUSTED: ${apiName} - ${reason}`);
-            console.log(`📊 Total exhausted APIs: ${this.exhaustedApis.size}`);
-            console.log(`📋 Currently exhausted APIs: [${Array.from(this.exhaustedApis).join(', ')}]`);
-        }
+    markApiAsExhausted(apiName, reason, cooldownMs = null) {
+        this.circuitBreakers.get(apiName).trip(reason, cooldownMs);
     }
 
     /**
-     * Reset API exhaustion status if needed
-     * @returns {boolean} True if reset was performed
-     */
-    resetApiStatusIfNeeded() {
-        const timeSinceReset = Date.now() - this.lastResetTime;
-        
-        if (timeSinceReset > this.resetInterval) {
-            console.log(`🔄 Resetting API exhaustion status (${Math.round(timeSinceReset / 1000 / 60)} minutes since last reset)`);
-            
-            const previouslyExhausted = Array.from(this.exhaustedApis);
-            this.exhaustedApis.clear();
-            this.suspiciousApis.clear();
-            this.lastResetTime = Date.now();
-            
-            if (previouslyExhausted.length > 0) {
-                console.log(`♻️ Reset exhaustion status for: [${previouslyExhausted.join(', ')}]`);
-            }
-            
-            return true;
-        }
-        
-        return false;
-    }
-
-    /**
-     * Check if API should be used (configured and not exhausted)
+     * Check if API should be used (configured and its circuit lets the request through)
      * @param {string} apiName - Name of the API
      * @returns {Object} Check result with details
      */
@@ -116,48 +88,47 @@ export class ApiManager {
         const checkId = `check-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
         console.log(`\n🔑 [${checkId}] === CHECKING ${apiName} ===`);
         
-        this.resetApiStatusIfNeeded();
-        
-        if (this.exhaustedApis.has(apiName)) {
-            const timeSinceReset = Math.round((Date.now() - this.lastResetTime) / 1000 / 60);
-            const nextResetIn = Math.round((this.resetInterval / 1000 / 60) - timeSinceReset);
-            console.log(`⏭️ [${checkId}] ${apiName}: Skipping - marked as exhausted`);
-            console.log(`   [${checkId}] Time since reset: ${timeSinceReset} minutes`);
-            console.log(`   [${checkId}] Will retry in: ${nextResetIn} minutes`);
+        const api = this.apis[apiName];
+        if (!api || !api.isConfigured()) {
+            console.log(`❌ [${checkId}] ${apiName}: API not configured`);
             return {
                 available: false,
-                reason: 'exhausted',
-                nextResetIn,
+                reason: 'not_configured',
                 checkId
             };
         }
         
-        const api = this.apis[apiName];
-        if (!api || !api.isConfigured()) {
-            console.log(`❌ [${checkId}] ${apiName}: API not configured`);
+        const circuit = this.circuitBreakers.get(apiName).canRequest();
+        if (!circuit.allowed) {
+            const nextResetIn = circuit.retryAt ? Math.max(0, Math.round((Date.parse(circuit.retryAt) - Date.now()) / 1000 / 60)) : 0;
+            console.log(`⏭️ [${checkId}] ${apiName}: Skipping - circuit ${circuit.state}`);
+            console.log(`   [${checkId}] Will retry in: ${nextResetIn} minutes`);
             return {
                 available: false,
-                reason: 'not_configured',
+                reason: 'exhausted',
+                nextResetIn,
                 checkId
             };
         }
         
-        console.log(`✅ [${checkId}] ${apiName}: Available and configured`);
+        console.log(`✅ [${checkId}] ${apiName}: Available and configured${circuit.probe ? ' - probe request' : ''}`);
         return {
             available: true,
-            reason: 'available',
+            reason: circuit.probe ? 'probe' : 'available',
             checkId
         };
     }
 
     /**
      * Make API call with exhaustion detection
-     * @param {string} apiName - Name of the API
+     * @param {string} requestedName - Name of the API, or one of its aliases
      * @param {string} query - Search query
      * @param {Object} filters - Search filters
-     * @returns {Promise<Array>} Array of job objects
+     * @param {Object} options - Passed to the source, e.g. { maxResults } for paginating sources
+     * @returns {Promise<Array>} Array of canonical job objects (services/job-schema.js)
      */
-    async makeApiCall(apiName, query, filters) {
+    async makeApiCall(requestedName, query, filters, options = {}) {
+        const apiName = this.resolveApiName(requestedName);
         const availability = this.checkApiAvailability(apiName);
         if (!availability.available) {
             return [];
@@ -169,28 +140,27 @@ export class ApiManager {
         
         console.log(`📞 [${callId}] Making API call to ${apiName}...`);
         
+        const breaker = this.circuitBreakers.get(apiName);
+        
         try {
-            const jobs = await api.searchJobs(query, filters);
+            const rawJobs = await api.searchJobs(query, filters, options);
             const duration = Date.now() - startTime;
             
-            // Clear suspicious count on success
-            if (this.suspiciousApis.has(apiName)) {
-                console.log(`✅ [${callId}] ${apiName}: Successful response - clearing suspicious count`);
-                this.suspiciousApis.delete(apiName);
+            // Repeated empty responses hint at a soft limit (quota-free feeds are often empty for a query)
+            if (rawJobs.length === 0 && !api.quotaFree) {
+                console.log(`⚠️ [${callId}] ${apiName}: Empty response`);
+                breaker.recordFailure('Consecutive empty responses');
+            } else {
+                breaker.recordSuccess();
             }
             
-            // Check for suspicious empty responses
-            if (jobs.length === 0) {
-                const currentCount = this.suspiciousApis.get(apiName) || 0;
-                this.suspiciousApis.set(apiName, currentCount + 1);
-                
-                console.log(`⚠️ [${callId}] ${apiName}: Empty response (${currentCount + 1}/${this.maxSuspiciousFailures} suspicious failures)`);
-                
-                if (currentCount + 1 >= this.maxSuspiciousFailures) {
-                    this.markApiAsExhausted(apiName, `Too many consecutive empty responses (${currentCount + 1})`);
-                    return [];
-                }
-            }
+            const { jobs, rejected } = jobSchema.normalizeAll(
+                rawJobs,
+                { sourceId: apiName, sourceType: 'api', query },
+                { remoteOnly: sourceRegistry.get(apiName)?.remoteOnly }
+            );
+            this.recordSchemaResult(apiName, jobs.length, rejected);
+            companyRegistry.recordJobs(jobs, job => api.extractCompanyFacts(job.raw));
             
             console.log(`✅ [${callId}] ${apiName}: API call successful in ${duration}ms, returned ${jobs.length} jobs`);
             return jobs;
@@ -204,90 +174,93 @@ export class ApiManager {
                 status: error.response?.status || 'unknown'
             });
             
-            // Check for exhaustion patterns
+            // Check for exhaustion patterns - the circuit opens at once, for as long as the API asks
             const exhaustionCheck = api.detectExhaustion(error);
             if (exhaustionCheck.isExhausted) {
-                this.markApiAsExhausted(apiName, exhaustionCheck.reason);
+                this.markApiAsExhausted(apiName, exhaustionCheck.reason, api.getCooldown(error));
                 return [];
             }
             
             console.log(`⚠️ [${callId}] ${apiName}: Non-exhaustion error - ${error.message}`);
+            breaker.recordFailure(error.message);
             return [];
         }
     }
 
+    /**
+     * Count the jobs a source returned that passed or failed the job schema
+     * @param {string} apiName - Name of the API
+     * @param {number} accepted - Jobs that passed
+     * @param {Array} rejected - { title, reasons } per dropped job
+     */
+    recordSchemaResult(apiName, accepted, rejected) {
+        const stats = this.schemaStats[apiName] || { accepted: 0, rejected: 0, lastRejected: [] };
+        stats.accepted += accepted;
+        stats.rejected += rejected.length;
+        if (rejected.length > 0) {
+            stats.lastRejected = rejected.slice(0, 5);
+        }
+        this.schemaStats[apiName] = stats;
+    }
+
     /**
      * Get comprehensive API status report
      * @returns {Object} Detailed status report
      */
     getApiStatusReport() {
         const reportId = `report-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-        const currentTime = Date.now();
-        const timeSinceReset = currentTime - this.lastResetTime;
-        const nextResetIn = Math.round((this.resetInterval - timeSinceReset) / 1000 / 60);
         
         const report = {
             reportId: reportId,
             timestamp: new Date().toISOString(),
-            exhaustedApis: Array.from(this.exhaustedApis),
-            suspiciousApis: Object.fromEntries(this.suspiciousApis),
-            lastResetTime: new Date(this.lastResetTime).toISOString(),
-            nextResetIn: nextResetIn,
-            totalExhausted: this.exhaustedApis.size,
-            totalSuspicious: this.suspiciousApis.size,
-            resetIntervalMinutes: Math.round(this.resetInterval / 1000 / 60),
-            timeSinceResetMinutes: Math.round(timeSinceReset / 1000 / 60),
-            systemHealth: {
-                totalApis: Object.keys(this.apis).length,
-                healthyApis: Object.keys(this.apis).length - this.exhaustedApis.size - this.suspiciousApis.size,
-                exhaustedPercentage: Math.round((this.exhaustedApis.size / Object.keys(this.apis).length) * 100),
-                suspiciousPercentage: Math.round((this.suspiciousApis.size / Object.keys(this.apis).length) * 100),
-                healthyPercentage: Math.round(((Object.keys(this.apis).length - this.exhaustedApis.size - this.suspiciousApis.size) / Object.keys(this.apis).length) * 100)
-            },
-            detailedStatus: {
-                exhausted: Array.from(this.exhaustedApis).map(api => ({
-                    name: api,
-                    status: 'exhausted',
-                    estimatedRecovery: nextResetIn > 0 ? `${nextResetIn} minutes` : 'immediate'
-                })),
-                suspicious: Array.from(this.suspiciousApis.entries()).map(([api, count]) => ({
-                    name: api,
-                    status: 'suspicious',
-                    suspiciousCount: count,
-                    maxSuspiciousFailures: this.maxSuspiciousFailures,
-                    remainingFailuresBeforeExhaustion: this.maxSuspiciousFailures - count
-                })),
-                healthy: Object.keys(this.apis)
-                    .filter(api => !this.exhaustedApis.has(api) && !this.suspiciousApis.has(api))
-                    .map(api => ({
-                        name: api,
-                        status: 'healthy',
-                        available: true
-                    }))
-            }
+            ...this.circuitBreakers.getReport(Object.keys(this.apis), api => ({ displayName: sourceRegistry.getDisplayName(api) })),
+            quotas: this.getQuotaReport(),
+            schemaValidation: this.schemaStats,
+            persistence: getPersistenceReport()
         };
         
         console.log(`\n📊 [${reportId}] === API STATUS REPORT ===`);
         console.log(`📅 [${reportId}] Report generated at: ${report.timestamp}`);
-        console.log(`🔄 [${reportId}] Last reset: ${report.timeSinceResetMinutes} minutes ago`);
-        console.log(`⏰ [${reportId}] Next reset in: ${report.nextResetIn} minutes`);
+        console.log(`⏰ [${reportId}] Next probe in: ${report.nextResetIn} minutes`);
         console.log(`📊 [${reportId}] System health: ${report.systemHealth.healthyPercentage}% healthy, ${report.systemHealth.exhaustedPercentage}% exhausted, ${report.systemHealth.suspiciousPercentage}% suspicious`);
-        console.log(`🚫 [${reportId}] Exhausted APIs (${report.totalExhausted}): [${report.exhaustedApis.join(', ')}]`);
+        console.log(`🚫 [${reportId}] Open circuits (${report.totalExhausted}): [${report.exhaustedApis.join(', ')}]`);
         console.log(`⚠️ [${reportId}] Suspicious APIs (${report.totalSuspicious}): ${JSON.stringify(report.suspiciousApis)}`);
         console.log(`✅ [${reportId}] Healthy APIs (${report.systemHealth.healthyApis}): [${report.detailedStatus.healthy.map(h => h.name).join(', ')}]`);
+        console.log(`💾 [${reportId}] State persistence: ${report.persistence.active ? 'active' : 'NOT ACTIVE - state is lost on restart'}`);
+        Object.entries(report.quotas).forEach(([apiName, status]) => {
+            status.quotas.forEach(quota => {
+                console.log(`📒 [${reportId}] ${apiName}: ${quota.remaining}/${quota.limit} requests left this ${quota.per}`);
+            });
+        });
+        Object.entries(report.schemaValidation).filter(([, stats]) => stats.rejected > 0).forEach(([apiName, stats]) => {
+            console.log(`🧾 [${reportId}] ${apiName}: ${stats.rejected} jobs dropped by the job schema (${stats.accepted} accepted)`);
+        });
         console.log(`==========================================\n`);
         
         return report;
     }
 
+    /**
+     * Remaining request budget of every rate-limited API
+     * @returns {Object} API name -> { limits, quotas }
+     */
+    getQuotaReport() {
+        const report = {};
+        Object.keys(this.apis).forEach(apiName => {
+            const limiter = this.apis[apiName].rateLimiter;
+            if (limiter.isLimited()) {
+                report[apiName] = limiter.getStatus();
+            }
+        });
+        return report;
+    }
+
     /**
      * Manually reset all API status
      */
     manualResetApiStatus() {
-        console.log('🔄 MANUAL RESET: Clearing all API exhaustion status');
-        this.exhaustedApis.clear();
-        this.suspiciousApis.clear();
-        this.lastResetTime = Date.now();
+        console.log('🔄 MANUAL RESET: Closing all circuits');
+        this.circuitBreakers.resetAll('Manual reset');
         console.log('✅ All APIs reset and available for retry');
     }
 
@@ -0,0 +1,69 @@
+// services/ats-board-api.js - Shared base for public ATS job-board APIs
+
+import { PublicFeedApi } from './public-feed-api.js';
+
+/**
+ * ATS Board API base
+ * Greenhouse, Lever and Ashby publish each company's open roles as one keyless JSON
+ * document. Every configured board is fetched (and cached) separately, then the
+ * boards are searched locally together
+ */
+export class AtsBoardApi extends PublicFeedApi {
+    /**
+     * Board tokens configured for this ATS
+     * @returns {Array} Company board tokens
+     */
+    getBoards() {
+        return this.config.boards || [];
+    }
+
+    /**
+     * Fetch the raw postings for one company board - must be implemented by subclasses
+     * @param {string} board - Company board token
+     * @returns {Promise<Array>} Raw posting objects
+     */
+    async fetchBoard(board) {
+        throw new Error(`fetchBoard method must be implemented by ${this.apiName} class`);
+    }
+
+    /**
+     * Search every configured board
+     * @param {string} query - Search query
+     * @param {Object} filters - Search filters; remote: false includes on-site roles
+     * @returns {Promise<Array>} Array of job objects
+     */
+    async searchJobs(query, filters = {}) {
+        const boards = this.getBoards();
+        const results = await Promise.allSettled(
+            boards.map(board => this.getCachedFeed(board, () => this.fetchBoard(board)))
+        );
+
+        const jobs = [];
+        results.forEach((result, index) => {
+            if (result.status === 'fulfilled') {
+                jobs.push(...result.value.map(job => this.toJob(job, boards[index])));
+            } else {
+                // One missing or renamed board shouldn't hide the others
+                console.log(`⚠️ ${this.sourceName}: board "${boards[index]}" failed - ${result.reason.message}`);
+            }
+        });
+
+        if (results.every(result => result.status === 'rejected') && boards.length > 0) {
+            throw new Error(`All ${this.sourceName} boards failed`);
+        }
+
+        return this.filterResults(jobs, query, filters);
+    }
+
+    /**
+     * Turn a board token into a display name ("acme-labs" -> "Acme Labs")
+     * @param {string} board - Company board token
+     * @returns {string} Company name
+     */
+    formatCompanyName(board) {
+        return board
+            .split(/[-_]/)
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+            .join(' ');
+    }
+}
@@ -2,6 +2,11 @@
 
 import axios from 'axios';
 import { apiConfig } from '../config/api-config.js';
+import { RateLimiter } from './rate-limiter.js';
+import { httpFixtures } from './http-fixtures.js';
+
+// Network failures worth another attempt; ECONNABORTED is an axios timeout
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'ERR_NETWORK'];
 
 /**
  * Base API class with common functionality
@@ -12,18 +17,28 @@ export class BaseApi {
         this.apiName = apiName;
         this.config = apiConfig.getConfig(apiName);
         this.validation = apiConfig.validateApi(apiName);
-        this.usageCount = 0;
+        this.usageCount = 0; // successful requests
+        this.retryCount = 0; // failed attempts that were retried
         this.lastCallTime = null;
         this.errorCount = 0;
         this.maxErrors = 3;
+        // Keyless sources with no quota, where an empty result is normal rather than a sign of exhaustion
+        this.quotaFree = false;
+        // Enforces the source's rateLimit metadata before every request
+        this.rateLimiter = new RateLimiter(apiName, apiConfig.getRateLimit(apiName));
+        // { maxAttempts, baseDelayMs, maxDelayMs, maxRetryAfterMs } from the source's retry metadata
+        this.retryPolicy = apiConfig.getRetryPolicy(apiName);
+        // Sources that page through results set { firstPage, pageSize, maxPages, relevanceThreshold }
+        // and implement fetchPage(); see paginate()
+        this.pagination = null;
     }
 
     /**
-     * Check if API is properly configured
+     * Check if API is properly configured. Replayed fixtures need no keys
      * @returns {boolean} True if API is configured
      */
     isConfigured() {
-        return this.validation.isValid;
+        return this.validation.isValid || httpFixtures.isReplaying();
     }
 
     /**
@@ -43,7 +58,9 @@ export class BaseApi {
     }
 
     /**
-     * Make HTTP request with common error handling
+     * Make HTTP request with common error handling. Idempotent (GET/HEAD) requests that
+     * fail transiently are retried with exponential backoff, see getRetryDelay().
+     * HTTP_FIXTURES=record saves each response, replay serves them without the network
      * @param {Object} requestConfig - Axios request configuration
      * @returns {Promise} HTTP response
      */
@@ -52,49 +69,139 @@ export class BaseApi {
             throw new Error(`API ${this.apiName} is not properly configured: ${this.validation.error}`);
         }
 
-        const startTime = Date.now();
+        // Add default timeout if not specified
+        if (!requestConfig.timeout) {
+            requestConfig.timeout = this.config.timeout || 15000;
+        }
+
+        const idempotent = ['get', 'head'].includes((requestConfig.method || 'get').toLowerCase());
+        // A replayed failure would only fail the same way again
+        const maxAttempts = idempotent && !httpFixtures.isReplaying() ? this.retryPolicy.maxAttempts : 1;
         const callId = `${this.apiName}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-        
-        console.log(`📞 [${callId}] Making API call to ${this.apiName}...`);
 
-        try {
-            // Add default timeout if not specified
-            if (!requestConfig.timeout) {
-                requestConfig.timeout = this.config.timeout || 15000;
+        for (let attempt = 1; ; attempt++) {
+            // Every attempt is a real request: waits out short windows, and throws a quota error
+            // (so the source is marked exhausted) once a daily or monthly quota is used.
+            // Replayed requests are not sent, so they cost no quota
+            if (!httpFixtures.isReplaying()) {
+                await this.rateLimiter.acquire();
             }
 
-            const response = await axios(requestConfig);
-            const duration = Date.now() - startTime;
-            
-            this.usageCount++;
-            this.lastCallTime = new Date();
-            this.errorCount = 0; // Reset error count on success
-
-            console.log(`✅ [${callId}] ${this.apiName}: API call successful in ${duration}ms`);
-            return response;
-
-        } catch (error) {
-            const duration = Date.now() - startTime;
-            this.errorCount++;
-            
-            console.log(`❌ [${callId}] ${this.apiName}: API call failed after ${duration}ms`);
-            console.log(`🔍 [${callId}] Error details:`, {
-                message: error.message,
-                code: error.code || 'unknown',
-                status: error.response?.status || 'unknown',
-                statusText: error.response?.statusText || 'unknown',
-                data: error.response?.data || 'no data'
-            });
-
-            // Check if this is an exhaustion error
-            const exhaustionCheck = this.detectExhaustion(error);
-            if (exhaustionCheck.isExhausted) {
-                console.log(`🚫 [${callId}] ${this.apiName}: Marked as exhausted - ${exhaustionCheck.reason}`);
-                throw new Error(`API exhausted: ${exhaustionCheck.reason}`);
+            const startTime = Date.now();
+            console.log(`📞 [${callId}] Making API call to ${this.apiName}${attempt > 1 ? ` (attempt ${attempt}/${maxAttempts})` : ''}...`);
+
+            try {
+                const response = await httpFixtures.request(this.apiName, requestConfig, () => axios(requestConfig));
+                const duration = Date.now() - startTime;
+                
+                this.usageCount++;
+                this.lastCallTime = new Date();
+                this.errorCount = 0; // Reset error count on success
+
+                console.log(`✅ [${callId}] ${this.apiName}: API call successful in ${duration}ms`);
+                return response;
+
+            } catch (error) {
+                const duration = Date.now() - startTime;
+                
+                console.log(`❌ [${callId}] ${this.apiName}: API call failed after ${duration}ms`);
+                console.log(`🔍 [${callId}] Error details:`, {
+                    message: error.message,
+                    code: error.code || 'unknown',
+                    status: error.response?.status || 'unknown',
+                    statusText: error.response?.statusText || 'unknown',
+                    data: error.response?.data || 'no data'
+                });
+
+                const retryDelay = attempt < maxAttempts ? this.getRetryDelay(error, attempt) : null;
+                if (retryDelay !== null) {
+                    this.retryCount++;
+                    console.log(`🔁 [${callId}] ${this.apiName}: Transient failure - retrying in ${retryDelay}ms`);
+                    await new Promise(resolve => setTimeout(resolve, retryDelay));
+                    continue;
+                }
+
+                this.errorCount++;
+
+                // Check if this is an exhaustion error
+                const exhaustionCheck = this.detectExhaustion(error);
+                if (exhaustionCheck.isExhausted) {
+                    console.log(`🚫 [${callId}] ${this.apiName}: Marked as exhausted - ${exhaustionCheck.reason}`);
+                    const exhaustedError = new Error(`API exhausted: ${exhaustionCheck.reason}`);
+                    exhaustedError.response = error.response; // keeps Retry-After for getCooldown()
+                    throw exhaustedError;
+                }
+
+                throw error;
             }
+        }
+    }
+
+    /**
+     * Decide whether a failed request is worth retrying and how long to wait.
+     * Network errors, timeouts and 502/503/504 back off exponentially with jitter;
+     * a Retry-After header (on those or on a 429) sets the wait instead. A 429
+     * without one, or asking for longer than maxRetryAfterMs, is left to
+     * detectExhaustion
+     * @param {Error} error - Axios error
+     * @param {number} attempt - Attempt that failed, from 1
+     * @returns {number|null} Delay in ms, or null if the error is not retryable
+     */
+    getRetryDelay(error, attempt) {
+        const { baseDelayMs, maxDelayMs, maxRetryAfterMs } = this.retryPolicy;
+        const status = error.response?.status;
+        const retryAfterMs = this.parseRetryAfter(error.response?.headers?.['retry-after']);
+
+        if (retryAfterMs !== null && [429, 503].includes(status)) {
+            return retryAfterMs <= maxRetryAfterMs ? retryAfterMs : null;
+        }
+
+        const transientStatus = [502, 503, 504].includes(status);
+        const transientNetwork = !error.response && TRANSIENT_ERROR_CODES.includes(error.code);
+        if (!transientStatus && !transientNetwork) {
+            return null;
+        }
+
+        // Equal jitter: half the exponential delay, plus up to the same again at random
+        const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+        return Math.round(exponential / 2 + Math.random() * exponential / 2);
+    }
+
+    /**
+     * How long an exhausted source should rest before a probe request: until the
+     * quota resets for our own ledger's quota errors, for as long as Retry-After
+     * asks, or until the source's shortest quota window ends
+     * @param {Error} error - Error that exhausted the source
+     * @returns {number|null} Cooldown in ms, or null to use the circuit breaker's default
+     */
+    getCooldown(error) {
+        if (error?.retryAt) {
+            return Math.max(0, Date.parse(error.retryAt) - Date.now());
+        }
 
-            throw error;
+        const retryAfterMs = this.parseRetryAfter(error?.response?.headers?.['retry-after']);
+        if (retryAfterMs !== null) {
+            return retryAfterMs;
+        }
+
+        const resets = this.rateLimiter.getStatus().quotas.map(quota => Date.parse(quota.resetsAt));
+        return resets.length > 0 ? Math.max(0, Math.min(...resets) - Date.now()) : null;
+    }
+
+    /**
+     * Parse a Retry-After header
+     * @param {string} value - Seconds ("120") or an HTTP date
+     * @returns {number|null} Delay in ms, or null if missing or unparseable
+     */
+    parseRetryAfter(value) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+        if (/^\d+$/.test(String(value).trim())) {
+            return parseInt(value, 10) * 1000;
         }
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
     }
 
     /**
@@ -148,10 +255,12 @@ export class BaseApi {
             apiName: this.apiName,
             configured: this.isConfigured(),
             usageCount: this.usageCount,
+            retryCount: this.retryCount,
             lastCallTime: this.lastCallTime,
             errorCount: this.errorCount,
             maxErrors: this.maxErrors,
-            hasExceededErrorThreshold: this.hasExceededErrorThreshold()
+            hasExceededErrorThreshold: this.hasExceededErrorThreshold(),
+            rateLimit: this.rateLimiter.getStatus()
         };
     }
 
@@ -164,15 +273,137 @@ export class BaseApi {
     }
 
     /**
-     * Abstract method - must be implemented by subclasses
+     * Fetch one page of results - implemented by sources that set this.pagination
+     * @param {string} query - Search query
+     * @param {Object} filters - Search filters
+     * @param {number|string} page - Page number, or the cursor returned by the previous page
+     * @returns {Promise<Object>} { jobs, nextPage } with nextPage null on the last page
+     */
+    async fetchPage(query, filters, page) {
+        throw new Error(`fetchPage method must be implemented by ${this.apiName} class`);
+    }
+
+    /**
+     * Collect results page by page until the source runs out, the page limit or the
+     * result budget is reached, or a page's relevance to the query drops below the threshold
+     * (results come back best first, so later pages would be worse still). A page after
+     * the first that fails transiently ends the walk with the jobs collected so far; an
+     * exhausted quota fails the call so the caller trips the source's circuit breaker
      * @param {string} query - Search query
      * @param {Object} filters - Search filters
+     * @param {Object} options - { maxResults } budget for this call
      * @returns {Promise<Array>} Array of job objects
      */
-    async searchJobs(query, filters) {
+    async paginate(query, filters = {}, options = {}) {
+        const { firstPage = 1, maxPages = 3, relevanceThreshold = 0.3 } = this.pagination;
+        const maxResults = options.maxResults ?? Infinity;
+        const jobs = [];
+        let page = firstPage;
+
+        for (let pageCount = 1; pageCount <= maxPages && page !== null && page !== undefined; pageCount++) {
+            let result;
+            try {
+                result = await this.fetchPage(query, filters, page);
+            } catch (error) {
+                // A failed first page or an exhausted quota fails the call; other later
+                // failures keep what was already fetched
+                if (pageCount === 1 || this.detectExhaustion(error).isExhausted) throw error;
+                console.warn(`⚠️ ${this.apiName}: Page ${pageCount} failed (${error.message}) - keeping ${jobs.length} jobs from earlier pages`);
+                break;
+            }
+            jobs.push(...result.jobs);
+
+            if (jobs.length >= maxResults) {
+                console.log(`📄 ${this.apiName}: Result budget of ${maxResults} reached after ${pageCount} page(s)`);
+                break;
+            }
+
+            const relevance = this.scorePageRelevance(result.jobs, query);
+            if (result.nextPage !== null && relevance < relevanceThreshold) {
+                console.log(`📄 ${this.apiName}: Page ${pageCount} relevance ${relevance.toFixed(2)} below ${relevanceThreshold} - stopping`);
+                break;
+            }
+
+            page = result.nextPage;
+        }
+
+        return jobs.slice(0, maxResults);
+    }
+
+    /**
+     * Next page number for numbered pagination
+     * @param {number} page - Current page
+     * @param {number} received - Results on the current page
+     * @param {number} [total] - Total results reported by the API, if any
+     * @param {number} [step=1] - Pages covered by one request
+     * @returns {number|null} Next page, or null when there are no more results
+     */
+    nextPageNumber(page, received, total, step = 1) {
+        const { firstPage = 1, pageSize } = this.pagination;
+        if (received < pageSize * step) {
+            return null;
+        }
+        const fetched = (page - firstPage + step) * pageSize;
+        if (typeof total === 'number' && fetched >= total) {
+            return null;
+        }
+        return page + step;
+    }
+
+    /**
+     * Average share of query terms found in a page of jobs (title counts fully, description half)
+     * @param {Array} jobs - Standardized jobs
+     * @param {string} query - Search query
+     * @returns {number} Relevance between 0 and 1
+     */
+    scorePageRelevance(jobs, query) {
+        const terms = query.toLowerCase().split(/\s+/)
+            .filter(term => term.length > 1 && !['remote', 'and', 'or', 'the', 'of', 'in'].includes(term));
+        if (jobs.length === 0) {
+            return 0;
+        }
+        if (terms.length === 0) {
+            return 1;
+        }
+
+        const total = jobs.reduce((sum, job) => {
+            const title = (job.title || '').toLowerCase();
+            const description = (job.description || '').toLowerCase();
+            const score = terms.reduce((termSum, term) => {
+                if (title.includes(term)) return termSum + 1;
+                if (description.includes(term)) return termSum + 0.5;
+                return termSum;
+            }, 0);
+            return sum + score / terms.length;
+        }, 0);
+
+        return total / jobs.length;
+    }
+
+    /**
+     * Search for jobs - paginating sources get this for free, others must implement it
+     * @param {string} query - Search query
+     * @param {Object} filters - Search filters
+     * @param {Object} options - { maxResults } budget for this call
+     * @returns {Promise<Array>} Array of job objects
+     */
+    async searchJobs(query, filters, options = {}) {
+        if (this.pagination) {
+            return this.paginate(query, filters, options);
+        }
         throw new Error(`searchJobs method must be implemented by ${this.apiName} class`);
     }
 
+    /**
+     * Standardize a source payload, keeping the payload itself as raw for the job schema
+     * @param {Object} payload - Job object from API response
+     * @param {...*} context - Passed on to standardizeJob, e.g. the board a job came from
+     * @returns {Object} Standardized job object with raw
+     */
+    toJob(payload, ...context) {
+        return { ...this.standardizeJob(payload, ...context), raw: payload };
+    }
+
     /**
      * Abstract method - must be implemented by subclasses
      * @param {Object} job - Job object from API response
@@ -181,4 +412,14 @@ export class BaseApi {
     standardizeJob(job) {
         throw new Error(`standardizeJob method must be implemented by ${this.apiName} class`);
     }
+
+    /**
+     * Facts about the employer in a source payload, for the company registry.
+     * Sources that send company details override this
+     * @param {Object} payload - Job object from API response (job.raw)
+     * @returns {Object|null} Keys of COMPANY_FACTS in services/company-registry.js, null if none
+     */
+    extractCompanyFacts(payload) {
+        return null;
+    }
 }
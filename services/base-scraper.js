@@ -4,6 +4,9 @@ import puppeteer from 'puppeteer';
 import axios from 'axios';
 import * as cheerio from 'cheerio';
 import UserAgent from 'user-agents';
+import { httpFixtures } from './http-fixtures.js';
+import { salaryNormalizer } from './salary.js';
+import { remoteClassifier } from './remote-classifier.js';
 
 /**
  * Base class for web scraping job boards
@@ -63,7 +66,8 @@ export class BaseScraper {
     }
 
     /**
-     * Make HTTP request with proper headers
+     * Make HTTP request with proper headers. Goes through the HTTP fixtures,
+     * so HTTP_FIXTURES=record|replay covers scrapers too
      */
     async makeRequest(url, options = {}) {
         const defaultOptions = {
@@ -80,7 +84,8 @@ export class BaseScraper {
         };
 
         try {
-            const response = await axios.get(url, defaultOptions);
+            const requestConfig = { ...defaultOptions, method: 'GET', url };
+            const response = await httpFixtures.request(this.name, requestConfig, () => axios.get(url, defaultOptions));
             return response.data;
         } catch (error) {
             console.error(`HTTP request failed for ${url}:`, error.message);
@@ -125,21 +130,20 @@ export class BaseScraper {
     }
 
     /**
-     * Clean and normalize job data
+     * Clean and normalize job data into the canonical job fields (see services/job-schema.js)
      */
     normalizeJobData(job) {
         return {
-            id: job.id || this.generateJobId(job),
             title: this.cleanText(job.title),
             company: this.cleanText(job.company),
             location: this.cleanText(job.location),
             description: this.cleanText(job.description),
-            url: job.url,
-            salary: job.salary ? this.cleanText(job.salary) : null,
-            postedDate: job.postedDate || new Date().toISOString(),
+            link: job.url,
+            salary: salaryNormalizer.parse(this.cleanText(job.salary)),
+            datePosted: job.postedDate || new Date().toISOString(),
             source: this.name,
-            type: 'scraped',
-            remote: this.detectRemote(job.title, job.description, job.location)
+            isRemote: this.detectRemote(job.title, job.description, job.location),
+            raw: job
         };
     }
 
@@ -168,13 +172,7 @@ export class BaseScraper {
      * Detect if job is remote
      */
     detectRemote(title, description, location) {
-        const remoteKeywords = [
-            'remote', 'work from home', 'wfh', 'virtual', 'telecommute',
-            'distributed', 'anywhere', 'flexible location'
-        ];
-        
-        const text = `${title} ${description} ${location}`.toLowerCase();
-        return remoteKeywords.some(keyword => text.includes(keyword));
+        return remoteClassifier.isRemote(remoteClassifier.classify({ title, description, location }));
     }
 
     /**
@@ -206,6 +204,10 @@ export class BaseScraper {
             try {
                 content = await this.makeRequest(searchUrl);
             } catch (error) {
+                // Replay never touches the network, and a browser would
+                if (httpFixtures.isReplaying()) {
+                    throw error;
+                }
                 console.log(`   HTTP failed, trying Puppeteer...`);
                 content = await this.scrapeWithPuppeteer(searchUrl);
             }
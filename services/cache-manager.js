@@ -13,6 +13,7 @@ export class CacheManager {
         this.memoryCache = new Map();
         this.cacheDir = './cache';
         this.defaultTTL = 30 * 60 * 1000; // 30 minutes
+        this.analysisTTL = 30 * 24 * 60 * 60 * 1000; // 30 days - a resume analysis only changes with the prompt or model
         this.maxMemorySize = 100; // Maximum items in memory cache
         this.cleanupInterval = 5 * 60 * 1000; // 5 minutes
         
@@ -43,7 +44,8 @@ export class CacheManager {
                 salary: filters.salary || '',
                 timezone: filters.timezone || '',
                 location: filters.location || '',
-                remote: filters.remote || false
+                remote: filters.remote || false,
+                mustHaveSkills: (filters.mustHaveSkills || []).map(skill => skill.toLowerCase().trim()).sort()
             }
         };
         
@@ -51,6 +53,23 @@ export class CacheManager {
         return crypto.createHash('md5').update(keyString).digest('hex');
     }
 
+    /**
+     * Generate cache key for a resume analysis. Whitespace and line endings are
+     * normalised so re-uploads of the same resume hit the same entry
+     */
+    generateAnalysisCacheKey(resumeText, promptVersion, model) {
+        const normalizedText = (resumeText || '')
+            .replace(/^\uFEFF/, '')
+            .replace(/\r\n?/g, '\n')
+            .replace(/[ \t\u00A0]+/g, ' ')
+            .replace(/ ?\n ?/g, '\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+
+        const keyString = JSON.stringify({ text: normalizedText, promptVersion, model });
+        return crypto.createHash('sha256').update(keyString).digest('hex');
+    }
+
     /**
      * Get cached result
      */
@@ -206,9 +225,10 @@ export class CacheManager {
      * Start cleanup timer
      */
     startCleanupTimer() {
+        // Unref'd so scripts and tests that load the cache can exit; a server stays up anyway
         setInterval(async () => {
             await this.cleanup();
-        }, this.cleanupInterval);
+        }, this.cleanupInterval).unref();
     }
 
     /**
@@ -267,6 +287,21 @@ export class CacheManager {
         const key = this.generateCacheKey(query, filters);
         return await this.get(key);
     }
+
+    /**
+     * Cache a completed resume analysis
+     */
+    async cacheResumeAnalysis(key, analysis) {
+        await this.set(key, analysis, this.analysisTTL);
+        return key;
+    }
+
+    /**
+     * Get a cached resume analysis
+     */
+    async getCachedResumeAnalysis(key) {
+        return await this.get(key);
+    }
 }
 
 // Export singleton instance
@@ -0,0 +1,373 @@
+// services/circuit-breaker.js - Persistent per-source circuit breakers
+
+import { createStateStore } from './state-store.js';
+
+export const CIRCUIT_STATES = {
+    CLOSED: 'closed',       // requests flow, consecutive failures are counted
+    OPEN: 'open',           // requests are skipped until the cooldown ends
+    HALF_OPEN: 'half-open'  // one probe request decides between closed and open
+};
+
+const BREAKER_DEFAULTS = {
+    failureThreshold: 3,                      // consecutive failures (errors or suspicious empty responses) that open the circuit
+    defaultCooldownMs: 60 * 60 * 1000,        // when neither Retry-After nor a quota window says otherwise
+    maxCooldownMs: 24 * 60 * 60 * 1000,       // failed probes double the cooldown up to this
+    maxEvents: 100,                           // transitions kept in the event log
+    refreshMs: 30 * 1000                      // state older than this is re-read from the store before a search
+};
+
+/**
+ * Circuit Breaker for one source. State changes are reported to the board,
+ * which persists them and records the transition
+ */
+export class CircuitBreaker {
+    /**
+     * @param {string} apiName - Source id
+     * @param {Object} saved - Persisted state, if any
+     * @param {CircuitBreakerBoard} board - Owner that persists and logs transitions
+     */
+    constructor(apiName, saved, board) {
+        this.apiName = apiName;
+        this.board = board;
+        this.restore(saved);
+        this.probeInFlight = false; // in memory only: a restart allows a fresh probe
+    }
+
+    /**
+     * Take over persisted state
+     * @param {Object} saved - Persisted state, if any
+     */
+    restore(saved) {
+        this.state = saved?.state || CIRCUIT_STATES.CLOSED;
+        this.failures = saved?.failures || 0;
+        this.reason = saved?.reason || null;
+        this.openedAt = saved?.openedAt || null;
+        this.retryAt = saved?.retryAt || null;
+        this.cooldownMs = saved?.cooldownMs || null;
+        this.updatedAt = saved?.updatedAt || null;
+    }
+
+    /**
+     * Check if a request may be sent. An open circuit whose cooldown has ended
+     * moves to half-open and lets exactly one probe through
+     * @returns {Object} { allowed, state, probe, retryAt }
+     */
+    canRequest() {
+        if (this.state === CIRCUIT_STATES.OPEN && Date.now() >= Date.parse(this.retryAt)) {
+            this.transition(CIRCUIT_STATES.HALF_OPEN, 'Cooldown ended - sending a probe request');
+        }
+
+        if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+            if (this.probeInFlight) {
+                return { allowed: false, state: this.state, probe: false, retryAt: null };
+            }
+            this.probeInFlight = true;
+            return { allowed: true, state: this.state, probe: true, retryAt: null };
+        }
+
+        return {
+            allowed: this.state === CIRCUIT_STATES.CLOSED,
+            state: this.state,
+            probe: false,
+            retryAt: this.retryAt
+        };
+    }
+
+    /**
+     * Record a successful request: closes a half-open circuit and clears the failure count
+     */
+    recordSuccess() {
+        this.probeInFlight = false;
+        if (this.state !== CIRCUIT_STATES.CLOSED) {
+            this.cooldownMs = null;
+            this.transition(CIRCUIT_STATES.CLOSED, 'Probe request succeeded');
+        } else if (this.failures > 0) {
+            this.failures = 0;
+            this.persist();
+        }
+    }
+
+    /**
+     * Record a failed request. A failed probe reopens the circuit; otherwise it opens
+     * once failureThreshold consecutive failures are reached
+     * @param {string} reason - What went wrong
+     * @param {number|null} cooldownMs - Known cooldown, e.g. from Retry-After
+     */
+    recordFailure(reason, cooldownMs = null) {
+        this.probeInFlight = false;
+        this.failures++;
+
+        if (this.state === CIRCUIT_STATES.HALF_OPEN || this.failures >= this.board.options.failureThreshold) {
+            this.trip(reason, cooldownMs);
+        } else {
+            console.log(`⚠️ ${this.apiName}: Failure ${this.failures}/${this.board.options.failureThreshold} - ${reason}`);
+            this.persist();
+        }
+    }
+
+    /**
+     * Open the circuit now, e.g. on a quota or exhaustion error
+     * @param {string} reason - Why the source is unavailable
+     * @param {number|null} cooldownMs - Known cooldown; otherwise the default, doubled after a failed probe
+     */
+    trip(reason, cooldownMs = null) {
+        const { defaultCooldownMs, maxCooldownMs } = this.board.options;
+        const failedProbe = this.state === CIRCUIT_STATES.HALF_OPEN;
+
+        this.probeInFlight = false;
+        this.cooldownMs = cooldownMs ?? (failedProbe && this.cooldownMs
+            ? Math.min(maxCooldownMs, this.cooldownMs * 2)
+            : defaultCooldownMs);
+        this.openedAt = new Date().toISOString();
+        this.retryAt = new Date(Date.now() + this.cooldownMs).toISOString();
+        this.transition(CIRCUIT_STATES.OPEN, reason);
+    }
+
+    /**
+     * Close the circuit regardless of its state
+     * @param {string} reason - Why, e.g. "Manual reset"
+     */
+    reset(reason) {
+        this.probeInFlight = false;
+        this.cooldownMs = null;
+        if (this.state !== CIRCUIT_STATES.CLOSED) {
+            this.transition(CIRCUIT_STATES.CLOSED, reason);
+        } else if (this.failures > 0) {
+            this.failures = 0;
+            this.persist();
+        }
+    }
+
+    /**
+     * Change state, then persist and log the transition
+     * @param {string} to - New state
+     * @param {string} reason - Why
+     */
+    transition(to, reason) {
+        const from = this.state;
+        this.state = to;
+        this.reason = to === CIRCUIT_STATES.CLOSED ? null : reason;
+        if (to === CIRCUIT_STATES.CLOSED) {
+            this.failures = 0;
+            this.openedAt = null;
+            this.retryAt = null;
+        }
+        this.updatedAt = new Date().toISOString();
+        this.board.recordTransition(this.apiName, from, to, reason);
+    }
+
+    /**
+     * Stamp a change that is not a transition and persist it
+     */
+    persist() {
+        this.updatedAt = new Date().toISOString();
+        this.board.save();
+    }
+
+    /**
+     * Serializable state
+     * @returns {Object} Breaker state
+     */
+    toJSON() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            reason: this.reason,
+            openedAt: this.openedAt,
+            retryAt: this.retryAt,
+            cooldownMs: this.cooldownMs,
+            updatedAt: this.updatedAt
+        };
+    }
+}
+
+/**
+ * Circuit Breaker Board
+ * Holds one breaker per source plus the transition event log, persisted to a
+ * JSON file or KV (see services/state-store.js) so open circuits survive
+ * restarts and cold starts. Instances share the stored state: each save merges
+ * it first, keeping whichever copy of a breaker changed last, and `refresh()`
+ * re-reads it once it is older than refreshMs. Await `refresh()` before a search
+ */
+export class CircuitBreakerBoard {
+    constructor(filePath = process.env.CIRCUIT_BREAKER_FILE || './data/circuit-breakers.json', options = {}) {
+        this.options = { ...BREAKER_DEFAULTS, ...options };
+        this.store = createStateStore('circuit-breakers', filePath, 'Circuit breaker state');
+        this.events = [];
+        this.breakers = new Map();
+        this.loadedAt = 0;
+        this.pending = Promise.resolve();
+        this.ready = this.load();
+    }
+
+    /**
+     * Read the breakers and event log from the store and merge them into ours
+     * @returns {Promise<void>}
+     */
+    async load() {
+        this.loadedAt = Date.now();
+        this.merge(await this.store.read({}));
+    }
+
+    /**
+     * Re-read the store if our copy is older than refreshMs, so circuits other
+     * instances opened or closed are seen before requests are sent
+     * @returns {Promise<void>}
+     */
+    async refresh() {
+        await this.ready;
+        if (Date.now() - this.loadedAt >= this.options.refreshMs) {
+            await this.load();
+        }
+    }
+
+    /**
+     * Take stored breakers that changed after ours, and stored events we lack
+     * @param {Object} saved - Stored document { breakers, events }
+     */
+    merge(saved) {
+        Object.entries(saved?.breakers || {}).forEach(([apiName, state]) => {
+            const breaker = this.breakers.get(apiName);
+            if (!breaker) {
+                this.breakers.set(apiName, new CircuitBreaker(apiName, state, this));
+            } else if ((state.updatedAt || '') > (breaker.updatedAt || '')) {
+                breaker.restore(state);
+            }
+        });
+
+        const eventKey = event => `${event.at}|${event.apiName}|${event.to}`;
+        const known = new Set(this.events.map(eventKey));
+        const stored = Array.isArray(saved?.events) ? saved.events.filter(event => !known.has(eventKey(event))) : [];
+        this.events = [...this.events, ...stored]
+            .sort((a, b) => String(a.at).localeCompare(String(b.at)))
+            .slice(-this.options.maxEvents);
+    }
+
+    /**
+     * Get the breaker of a source, creating a closed one on first use
+     * @param {string} apiName - Source id
+     * @returns {CircuitBreaker} Breaker
+     */
+    get(apiName) {
+        if (!this.breakers.has(apiName)) {
+            this.breakers.set(apiName, new CircuitBreaker(apiName, null, this));
+        }
+        return this.breakers.get(apiName);
+    }
+
+    /**
+     * Add a transition to the event log and persist
+     * @param {string} apiName - Source id
+     * @param {string} from - Previous state
+     * @param {string} to - New state
+     * @param {string} reason - Why
+     */
+    recordTransition(apiName, from, to, reason) {
+        const icon = { [CIRCUIT_STATES.OPEN]: '🚫', [CIRCUIT_STATES.HALF_OPEN]: '🔎', [CIRCUIT_STATES.CLOSED]: '✅' }[to];
+        const breaker = this.get(apiName);
+        console.log(`${icon} CIRCUIT ${from.toUpperCase()} → ${to.toUpperCase()}: ${apiName} - ${reason}${to === CIRCUIT_STATES.OPEN ? ` (retry at ${breaker.retryAt})` : ''}`);
+
+        this.events.push({
+            at: new Date().toISOString(),
+            apiName,
+            from,
+            to,
+            reason,
+            ...(to === CIRCUIT_STATES.OPEN && { retryAt: breaker.retryAt })
+        });
+        this.events = this.events.slice(-this.options.maxEvents);
+        this.save();
+    }
+
+    /**
+     * Persist every breaker and the event log, merged with what other instances
+     * stored since we last read it. Saves are queued so they reach the store in order
+     * @returns {Promise<void>} Resolves once the write is done or has failed
+     */
+    save() {
+        this.pending = this.pending.then(async () => {
+            this.merge(await this.store.read({}));
+            const breakers = {};
+            this.breakers.forEach((breaker, apiName) => {
+                breakers[apiName] = breaker.toJSON();
+            });
+            await this.store.write({ breakers, events: this.events });
+        });
+        return this.pending;
+    }
+
+    /**
+     * Close every breaker
+     * @param {string} reason - Why, e.g. "Manual reset"
+     */
+    resetAll(reason) {
+        this.breakers.forEach(breaker => breaker.reset(reason));
+    }
+
+    /**
+     * Status report in the shape /api-status has always returned (exhausted = open,
+     * suspicious = failures counted but still closed), plus per-source circuits and events
+     * @param {Array} apiNames - Sources to report on
+     * @param {Function} describe - Extra fields for each detailed entry, e.g. a display name
+     * @returns {Object} Status report
+     */
+    getReport(apiNames, describe = () => ({})) {
+        const circuits = {};
+        apiNames.forEach(apiName => {
+            circuits[apiName] = this.get(apiName).toJSON();
+        });
+
+        const exhausted = apiNames.filter(apiName => circuits[apiName].state !== CIRCUIT_STATES.CLOSED);
+        const suspicious = apiNames.filter(apiName => circuits[apiName].state === CIRCUIT_STATES.CLOSED && circuits[apiName].failures > 0);
+        const healthy = apiNames.filter(apiName => !exhausted.includes(apiName) && !suspicious.includes(apiName));
+        const total = apiNames.length || 1;
+        const minutesUntil = timestamp => Math.max(0, Math.round((Date.parse(timestamp) - Date.now()) / 1000 / 60));
+        const retryTimes = exhausted.map(apiName => circuits[apiName].retryAt).filter(Boolean).sort();
+
+        return {
+            exhaustedApis: exhausted,
+            suspiciousApis: Object.fromEntries(suspicious.map(apiName => [apiName, circuits[apiName].failures])),
+            nextResetIn: retryTimes.length > 0 ? minutesUntil(retryTimes[0]) : 0,
+            totalExhausted: exhausted.length,
+            totalSuspicious: suspicious.length,
+            systemHealth: {
+                totalApis: apiNames.length,
+                healthyApis: healthy.length,
+                exhaustedPercentage: Math.round((exhausted.length / total) * 100),
+                suspiciousPercentage: Math.round((suspicious.length / total) * 100),
+                healthyPercentage: Math.round((healthy.length / total) * 100)
+            },
+            detailedStatus: {
+                exhausted: exhausted.map(apiName => ({
+                    name: apiName,
+                    ...describe(apiName),
+                    status: circuits[apiName].state === CIRCUIT_STATES.HALF_OPEN ? 'probing' : 'exhausted',
+                    reason: circuits[apiName].reason,
+                    retryAt: circuits[apiName].retryAt,
+                    estimatedRecovery: circuits[apiName].retryAt && minutesUntil(circuits[apiName].retryAt) > 0
+                        ? `${minutesUntil(circuits[apiName].retryAt)} minutes`
+                        : 'immediate'
+                })),
+                suspicious: suspicious.map(apiName => ({
+                    name: apiName,
+                    ...describe(apiName),
+                    status: 'suspicious',
+                    suspiciousCount: circuits[apiName].failures,
+                    maxSuspiciousFailures: this.options.failureThreshold,
+                    remainingFailuresBeforeExhaustion: this.options.failureThreshold - circuits[apiName].failures
+                })),
+                healthy: healthy.map(apiName => ({
+                    name: apiName,
+                    ...describe(apiName),
+                    status: 'healthy',
+                    available: true
+                }))
+            },
+            circuits,
+            circuitEvents: this.events.filter(event => apiNames.includes(event.apiName)).slice().reverse()
+        };
+    }
+}
+
+// Shared by the modular and legacy search pipelines
+export const circuitBreakers = new CircuitBreakerBoard();
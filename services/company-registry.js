@@ -0,0 +1,237 @@
+// services/company-registry.js - Company ids and profiles collected from job payloads
+
+import fs from 'fs';
+import { createStateStore } from './state-store.js';
+
+// Legal forms dropped from the end of company names ("Acme, Inc." -> "acme")
+const LEGAL_SUFFIXES = new Set([
+    'inc', 'incorporated', 'llc', 'llp', 'lp', 'ltd', 'limited', 'corp', 'corporation', 'co', 'company',
+    'plc', 'gmbh', 'ag', 'kg', 'se', 'sa', 'sas', 'sarl', 'srl', 'spa', 'bv', 'nv', 'oy', 'ab', 'as', 'pty', 'pte'
+]);
+
+// Normalised names of one company under another; extend with COMPANY_ALIASES_FILE
+const COMPANY_ALIASES = {
+    'facebook': 'meta',
+    'meta platforms': 'meta',
+    'alphabet': 'google',
+    'amazon com': 'amazon',
+    'amazon web services': 'amazon',
+    'aws': 'amazon',
+    'international business machines': 'ibm',
+    'twitter': 'x',
+    'x corp': 'x'
+};
+
+// Names adapters use when a posting has none
+const PLACEHOLDER_NAMES = /^(unknown( company)?|company not specified|not specified|confidential|n\/?a|stealth)$/i;
+
+// Facts a source can know about a company (see BaseApi.extractCompanyFacts)
+export const COMPANY_FACTS = ['website', 'domain', 'logo', 'industry', 'size', 'country', 'description', 'linkedin'];
+
+const MAX_NAMES = 10; // spellings kept per profile
+const MAX_PROFILES = parseInt(process.env.COMPANY_PROFILES_MAX, 10) || 5000; // most recently seen kept
+
+/**
+ * Company Registry
+ * Gives each employer a stable id from its normalised name (lowercase, no
+ * punctuation or legal form, aliases resolved: "Acme, Inc." and "ACME" are both
+ * "acme") and keeps a profile per id with the names it was listed under and
+ * the facts sources sent along with their jobs. Profiles persist to
+ * COMPANY_PROFILES_FILE or KV (see services/state-store.js) once per search,
+ * through flush(). Await `ready` before use
+ */
+export class CompanyRegistry {
+    /**
+     * @param {string} filePath - File the profiles persist to
+     * @param {string} aliasesFile - Optional JSON file of { "alias": "company name" }
+     * @param {Object} options - { maxProfiles } profiles kept, most recently seen first
+     */
+    constructor(filePath = process.env.COMPANY_PROFILES_FILE || './data/company-profiles.json', aliasesFile = process.env.COMPANY_ALIASES_FILE || null, options = {}) {
+        this.maxProfiles = options.maxProfiles ?? MAX_PROFILES;
+        this.store = createStateStore('company-profiles', filePath, 'Company profiles');
+        this.profiles = {}; // company id -> profile
+        this.changed = new Set(); // ids recorded since the last flush
+        this.aliases = { ...COMPANY_ALIASES, ...this.loadAliases(aliasesFile) };
+        this.ready = this.load();
+    }
+
+    /**
+     * Read the stored profiles, keeping the ones recorded here and not flushed yet.
+     * Other functions write the store too, so readers call this before answering
+     * @returns {Promise<void>}
+     */
+    async load() {
+        const saved = await this.store.read({});
+        const unsaved = [...this.changed].map(id => [id, this.profiles[id]]);
+        this.profiles = { ...saved, ...Object.fromEntries(unsaved) };
+    }
+
+    /**
+     * Persist the profiles recorded since the last flush - once per search rather
+     * than per query. Merges with what other functions stored meanwhile and keeps
+     * the maxProfiles most recently seen
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        if (this.changed.size === 0) return;
+
+        await this.load();
+        const profiles = Object.values(this.profiles);
+        if (profiles.length > this.maxProfiles) {
+            profiles.sort((a, b) => (b.lastSeen || '').localeCompare(a.lastSeen || ''));
+            this.profiles = Object.fromEntries(profiles.slice(0, this.maxProfiles).map(profile => [profile.id, profile]));
+            console.log(`🏢 Company profiles: dropped ${profiles.length - this.maxProfiles} least recently seen`);
+        }
+        this.changed.clear();
+        await this.store.write(this.profiles);
+    }
+
+    /**
+     * Read extra aliases, keyed and valued by normalised name
+     * @param {string|null} aliasesFile - JSON file of { "alias": "company name" }
+     * @returns {Object} Normalised alias -> normalised company name
+     */
+    loadAliases(aliasesFile) {
+        if (!aliasesFile) return {};
+
+        try {
+            const aliases = {};
+            Object.entries(JSON.parse(fs.readFileSync(aliasesFile, 'utf8'))).forEach(([alias, name]) => {
+                aliases[this.normalizeName(alias)] = this.normalizeName(name);
+            });
+            return aliases;
+        } catch (error) {
+            console.warn(`⚠️ Could not read COMPANY_ALIASES_FILE ${aliasesFile}: ${error.message} - using built-in aliases`);
+            return {};
+        }
+    }
+
+    /**
+     * Company name for comparison: lowercase, no accents, punctuation or legal form
+     * @param {string} name - Company name, e.g. "The Acme Company, Inc."
+     * @returns {string} e.g. "acme", empty for no name
+     */
+    normalizeName(name) {
+        const words = String(name || '')
+            .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/&/g, ' and ')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim()
+            .split(' ')
+            .filter(Boolean);
+
+        while (words.length > 1 && LEGAL_SUFFIXES.has(words[words.length - 1])) {
+            words.pop();
+        }
+        if (words.length > 1 && words[0] === 'the') {
+            words.shift();
+        }
+        return words.join(' ');
+    }
+
+    /**
+     * Stable id of a company
+     * @param {string} name - Company name as listed
+     * @returns {string|null} e.g. "acme" or "meta" for "Facebook", null for a missing or placeholder name
+     */
+    getId(name) {
+        if (typeof name !== 'string' || PLACEHOLDER_NAMES.test(name.trim())) return null;
+
+        const normalized = this.normalizeName(name);
+        if (!normalized) return null;
+        return (this.aliases[normalized] || normalized).replace(/ /g, '-');
+    }
+
+    /**
+     * Add the companies of a batch of jobs to their profiles; flush() persists them
+     * @param {Array} jobs - Canonical jobs, with companyId
+     * @param {Function} getFacts - Job -> facts object (keys of COMPANY_FACTS) or null
+     */
+    recordJobs(jobs, getFacts = () => null) {
+        const now = new Date().toISOString();
+
+        jobs.forEach(job => {
+            if (!job.companyId) return;
+
+            const profile = this.profiles[job.companyId] || {
+                id: job.companyId,
+                name: job.company,
+                names: [],
+                sources: [],
+                firstSeen: now
+            };
+            this.profiles[job.companyId] = profile;
+
+            if (!profile.names.includes(job.company) && profile.names.length < MAX_NAMES) {
+                profile.names.push(job.company);
+            }
+            const sourceId = job.provenance?.sourceId;
+            if (sourceId && !profile.sources.includes(sourceId)) {
+                profile.sources.push(sourceId);
+            }
+            this.addFacts(profile, getFacts(job));
+            profile.lastSeen = now;
+            this.changed.add(job.companyId);
+        });
+    }
+
+    /**
+     * Fill facts the profile does not have yet; the first source to know a fact keeps it
+     * @param {Object} profile - Company profile, updated in place
+     * @param {Object|null} facts - Facts from one payload
+     */
+    addFacts(profile, facts) {
+        if (!facts) return;
+
+        COMPANY_FACTS.forEach(name => {
+            const value = facts[name];
+            if (profile[name] == null && value != null && value !== '') {
+                profile[name] = typeof value === 'string' ? value.trim() : value;
+            }
+        });
+        if (!profile.domain && profile.website) {
+            try {
+                profile.domain = new URL(profile.website).hostname.replace(/^www\./, '');
+            } catch {
+                // Not a URL - leave the domain unknown
+            }
+        }
+    }
+
+    /**
+     * Profile of one company
+     * @param {string} id - Company id
+     * @returns {Object|null} Profile, null if never seen
+     */
+    getProfile(id) {
+        return this.profiles[id] || null;
+    }
+
+    /**
+     * Profiles of several companies, skipping unknown ids
+     * @param {Array} ids - Company ids
+     * @returns {Array} Profiles
+     */
+    getProfiles(ids) {
+        return [...new Set(ids)].map(id => this.profiles[id]).filter(Boolean);
+    }
+
+    /**
+     * Search profiles by name
+     * @param {string} query - Part of a company name, empty for all
+     * @param {number} limit - Maximum profiles returned
+     * @returns {Array} Profiles, most recently seen first
+     */
+    searchProfiles(query = '', limit = 50) {
+        const normalized = this.normalizeName(query);
+        return Object.values(this.profiles)
+            .filter(profile => !normalized || profile.id.includes(normalized.replace(/ /g, '-')) ||
+                profile.names.some(name => this.normalizeName(name).includes(normalized)))
+            .sort((a, b) => (b.lastSeen || '').localeCompare(a.lastSeen || ''))
+            .slice(0, limit);
+    }
+}
+
+// Export singleton instance
+export const companyRegistry = new CompanyRegistry();
@@ -0,0 +1,426 @@
+// employment-timeline.js - Structured positions and tenure calculations for resume analysis
+
+const MONTHS = {
+    jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+    jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+
+const MONTH_NAME = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+const DATE_TOKEN = `(?:${MONTH_NAME}\\s*,?\\s*\\d{4}|\\d{1,2}\\/\\d{4}|\\d{4}[-\\/]\\d{1,2}|\\d{4})`;
+const PRESENT_TOKEN = '(?:present|current|currently|now|today|ongoing)';
+const DATE_RANGE_REGEX = new RegExp(`(${DATE_TOKEN})\\s*(?:-|–|—|to|until|through)\\s*(${DATE_TOKEN}|${PRESENT_TOKEN})`, 'i');
+
+const TITLE_KEYWORDS = [
+    'engineer', 'developer', 'manager', 'analyst', 'designer', 'director', 'lead', 'specialist',
+    'consultant', 'intern', 'scientist', 'architect', 'administrator', 'coordinator', 'officer',
+    'associate', 'assistant', 'head of', 'vp', 'vice president', 'president', 'founder', 'owner',
+    'representative', 'accountant', 'writer', 'editor', 'marketer', 'technician', 'teacher',
+    'nurse', 'programmer', 'strategist', 'producer', 'recruiter', 'advisor', 'executive', 'cto', 'ceo'
+];
+
+// Years-of-experience bands behind the entry/mid/senior/lead filter values
+const EXPERIENCE_BANDS = {
+    entry: { min: 0, max: 2 },
+    mid: { min: 2, max: 5 },
+    senior: { min: 5, max: 8 },
+    lead: { min: 8, max: Infinity }
+};
+
+/**
+ * Employment Timeline
+ * Parses positions out of the Experience section and computes total tenure,
+ * years per skill and employment gaps from them
+ */
+export class EmploymentTimeline {
+    constructor() {
+        this.minGapMonths = 3; // Shorter breaks are normal between jobs
+        this.experienceBands = EXPERIENCE_BANDS;
+    }
+
+    /**
+     * Parse a single date token into a year/month pair
+     * @param {string} token - Date text like "Jan 2020", "03/2019", "2018" or "Present"
+     * @param {boolean} isEnd - Whether the token closes a range
+     * @returns {Object|null} { year, month, current, yearOnly }
+     */
+    parseDate(token, isEnd = false) {
+        const text = (token || '').trim().toLowerCase();
+        if (!text) return null;
+
+        if (new RegExp(`^${PRESENT_TOKEN}$`).test(text)) {
+            const now = new Date();
+            return { year: now.getFullYear(), month: now.getMonth() + 1, current: true, yearOnly: false };
+        }
+
+        let match = text.match(new RegExp(`^(${MONTH_NAME})\\s*,?\\s*(\\d{4})$`));
+        if (match) {
+            const month = MONTHS[match[1].slice(0, 3)];
+            return { year: parseInt(match[2]), month, current: false, yearOnly: false };
+        }
+
+        match = text.match(/^(\d{1,2})\/(\d{4})$/);
+        if (match) return { year: parseInt(match[2]), month: Math.min(Math.max(parseInt(match[1]), 1), 12), current: false, yearOnly: false };
+
+        match = text.match(/^(\d{4})[-/](\d{1,2})$/);
+        if (match) return { year: parseInt(match[1]), month: Math.min(Math.max(parseInt(match[2]), 1), 12), current: false, yearOnly: false };
+
+        match = text.match(/^(\d{4})$/);
+        if (match) {
+            const year = parseInt(match[1]);
+            // A year-only range covers whole years: "2016 - 2019" runs to December 2019
+            // (or to this month, for this year)
+            const now = new Date();
+            const month = !isEnd ? 1 : year === now.getFullYear() ? now.getMonth() + 1 : 12;
+            return { year, month, current: false, yearOnly: true };
+        }
+
+        return null;
+    }
+
+    /**
+     * Split a position header into title and employer
+     * @param {string} headerText - Header text with the date range removed
+     * @returns {Object} { title, employer }
+     */
+    splitHeader(headerText) {
+        const cleaned = headerText.replace(/[()[\]]/g, ' ').replace(/\s+/g, ' ').replace(/^[\s,|–—-]+|[\s,|–—-]+$/g, '');
+        if (!cleaned) return { title: '', employer: '' };
+
+        let parts = cleaned.split(/\s+(?:at|@)\s+|\s*\|\s*|\s+[–—-]\s+|\s*,\s*|\n/).map(part => part.trim()).filter(Boolean);
+        if (parts.length === 1) return { title: parts[0], employer: '' };
+
+        // Drop trailing location fragments such as "Remote" or "Austin, TX"
+        parts = parts.filter(part => !/^(remote|hybrid|on-?site|[A-Z]{2})$/i.test(part));
+
+        const titleIndex = parts.findIndex(part =>
+            TITLE_KEYWORDS.some(keyword => new RegExp(`\\b${keyword}\\b`, 'i').test(part))
+        );
+        const index = titleIndex >= 0 ? titleIndex : 0;
+        const employer = parts.find((part, partIndex) => partIndex !== index) || '';
+
+        return { title: parts[index] || '', employer };
+    }
+
+    /**
+     * Extract structured positions from Experience section text
+     * @param {string} experienceText - Text of the Experience section
+     * @returns {Array} Positions with title, employer, start, end and bullets
+     */
+    extractPositions(experienceText) {
+        const lines = (experienceText || '').split('\n').map(line => line.trim());
+        const isBullet = (line) => /^[•●▪◦*\-–]\s*/.test(line);
+
+        // Find every line that carries a date range; each one anchors a position
+        const anchors = [];
+        lines.forEach((line, index) => {
+            const match = line.match(DATE_RANGE_REGEX);
+            if (match && !isBullet(line)) anchors.push({ index, match });
+        });
+
+        const positions = [];
+        anchors.forEach((anchor, anchorIndex) => {
+            const { index, match } = anchor;
+            const previousAnchorIndex = anchorIndex > 0 ? anchors[anchorIndex - 1].index : -1;
+
+            // Header text is the anchor line itself plus up to two short lines directly above it
+            const headerLines = [lines[index].replace(match[0], ' ').trim()];
+            let headerStart = index;
+            for (let back = index - 1; back > previousAnchorIndex && back >= index - 2; back--) {
+                const candidate = lines[back];
+                if (!candidate || isBullet(candidate) || candidate.length > 80) break;
+                headerLines.unshift(candidate);
+                headerStart = back;
+            }
+            anchor.headerStart = headerStart;
+
+            const start = this.parseDate(match[1]);
+            const end = this.parseDate(match[2], true);
+            if (!start || !end) return;
+
+            const { title, employer } = this.splitHeader(headerLines.filter(Boolean).join(' | '));
+            positions.push({ anchorIndex, title, employer, start, end });
+        });
+
+        // Bullets run from the line after each anchor to the header of the next position
+        return positions.map(position => {
+            const anchor = anchors[position.anchorIndex];
+            const next = anchors[position.anchorIndex + 1];
+            const stop = next ? next.headerStart : lines.length;
+            const bullets = lines.slice(anchor.index + 1, stop)
+                .filter(Boolean)
+                .map(line => line.replace(/^[•●▪◦*\-–]\s*/, '').trim())
+                .filter(line => line.length > 2);
+
+            return {
+                title: position.title,
+                employer: position.employer,
+                start: this.formatDate(position.start),
+                end: position.end.current ? 'present' : this.formatDate(position.end),
+                current: position.end.current,
+                durationMonths: this.monthsBetween(position.start, position.end),
+                bullets
+            };
+        }).filter(position => position.durationMonths > 0);
+    }
+
+    /**
+     * Format a parsed date as YYYY-MM
+     */
+    formatDate(date) {
+        return `${date.year}-${String(date.month).padStart(2, '0')}`;
+    }
+
+    /**
+     * Convert a YYYY-MM string (or 'present') into a month index
+     */
+    toMonthIndex(value) {
+        if (value === 'present') {
+            const now = new Date();
+            return now.getFullYear() * 12 + now.getMonth();
+        }
+        const [year, month] = String(value).split('-').map(Number);
+        return year * 12 + (month || 1) - 1;
+    }
+
+    /**
+     * Inclusive number of months between two parsed dates
+     */
+    monthsBetween(start, end) {
+        return Math.max((end.year - start.year) * 12 + (end.month - start.month) + 1, 0);
+    }
+
+    /**
+     * Merge overlapping position intervals so concurrent roles are not double counted
+     * @param {Array} positions - Structured positions
+     * @returns {Array} Sorted, merged [startIndex, endIndex] month intervals
+     */
+    mergeIntervals(positions) {
+        const intervals = positions
+            .filter(position => position.start && position.end)
+            .map(position => [this.toMonthIndex(position.start), this.toMonthIndex(position.end)])
+            .filter(([start, end]) => end >= start)
+            .sort((a, b) => a[0] - b[0]);
+
+        const merged = [];
+        for (const interval of intervals) {
+            const last = merged[merged.length - 1];
+            if (last && interval[0] <= last[1] + 1) {
+                last[1] = Math.max(last[1], interval[1]);
+            } else {
+                merged.push([...interval]);
+            }
+        }
+        return merged;
+    }
+
+    /**
+     * Total years covered by a set of positions
+     */
+    calculateYears(positions) {
+        const months = this.mergeIntervals(positions).reduce((total, [start, end]) => total + (end - start + 1), 0);
+        return Math.round((months / 12) * 10) / 10;
+    }
+
+    /**
+     * Years of experience per skill, counting positions whose title or bullets mention the skill
+     * @param {Array} positions - Structured positions
+     * @param {Array} skills - Technical skills from the analysis
+     * @returns {Object} Map of skill -> years
+     */
+    calculateSkillYears(positions, skills) {
+        const skillYears = {};
+
+        for (const skill of skills || []) {
+            if (!skill || typeof skill !== 'string') continue;
+            const escaped = skill.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const pattern = new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`, 'i');
+
+            const usedIn = positions.filter(position =>
+                pattern.test(`${position.title} ${position.bullets.join(' ')}`)
+            );
+            if (usedIn.length > 0) {
+                skillYears[skill] = this.calculateYears(usedIn);
+            }
+        }
+
+        return skillYears;
+    }
+
+    /**
+     * Employment gaps of at least minGapMonths between positions
+     * @param {Array} positions - Structured positions
+     * @returns {Array} Gaps with start, end and months
+     */
+    findGaps(positions) {
+        const merged = this.mergeIntervals(positions);
+        const gaps = [];
+        const toDate = (index) => `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}`;
+
+        for (let i = 1; i < merged.length; i++) {
+            const months = merged[i][0] - merged[i - 1][1] - 1;
+            if (months >= this.minGapMonths) {
+                gaps.push({ start: toDate(merged[i - 1][1] + 1), end: toDate(merged[i][0] - 1), months });
+            }
+        }
+
+        return gaps;
+    }
+
+    /**
+     * Build the full timeline for an analysis
+     * @param {Array} positions - Structured positions
+     * @param {Array} skills - Technical skills from the analysis
+     * @returns {Object} { positions, totalYearsExperience, skillYears, employmentGaps }
+     */
+    buildTimeline(positions, skills) {
+        const sorted = [...(positions || [])].sort((a, b) => this.toMonthIndex(b.start) - this.toMonthIndex(a.start));
+
+        return {
+            positions: sorted,
+            totalYearsExperience: this.calculateYears(sorted),
+            skillYears: this.calculateSkillYears(sorted, skills),
+            employmentGaps: this.findGaps(sorted)
+        };
+    }
+
+    /**
+     * Map years of experience onto the entry/mid/senior/lead scale
+     * @param {number} years - Total years of experience
+     * @returns {string} Experience level
+     */
+    getExperienceLevel(years) {
+        for (const [level, band] of Object.entries(this.experienceBands)) {
+            if (years >= band.min && years < band.max) return level;
+        }
+        return 'lead';
+    }
+
+    /**
+     * Settle the seniority level from real tenure, keeping a lead/executive guess
+     * only when the tenure backs it up
+     * @param {number} years - Total years of experience
+     * @param {string} guessedLevel - Level guessed by the LLM or keyword fallback
+     * @returns {string} Seniority level
+     */
+    resolveSeniorityLevel(years, guessedLevel) {
+        const tenureLevel = this.getExperienceLevel(years);
+        if (['lead', 'executive'].includes(guessedLevel) && years >= this.experienceBands.senior.min) {
+            return guessedLevel;
+        }
+        return tenureLevel;
+    }
+
+    /**
+     * Add positions, tenure, skill years and gaps to a resume analysis
+     * @param {Object} analysis - Merged resume analysis (modified in place)
+     * @param {string} experienceText - Text of the Experience section(s)
+     * @returns {Object} The same analysis
+     */
+    applyToAnalysis(analysis, experienceText) {
+        return this.applyPositions(analysis, this.extractPositions(experienceText));
+    }
+
+    /**
+     * Add an already structured list of positions (and the tenure derived from it) to an analysis
+     * @param {Object} analysis - Resume analysis (modified in place)
+     * @param {Array} positions - Positions with title, employer, start, end and bullets
+     * @returns {Object} The same analysis
+     */
+    applyPositions(analysis, positions) {
+        Object.assign(analysis, this.buildTimeline(positions, analysis.technicalSkills));
+
+        if (analysis.totalYearsExperience > 0) {
+            analysis.seniorityLevel = this.resolveSeniorityLevel(analysis.totalYearsExperience, analysis.seniorityLevel);
+        }
+
+        // Keep the flat workExperience list in step with the parsed titles
+        const knownRoles = new Set((analysis.workExperience || []).map(role => role.toLowerCase()));
+        analysis.workExperience = [...(analysis.workExperience || [])];
+        for (const position of analysis.positions) {
+            if (position.title && !knownRoles.has(position.title.toLowerCase())) {
+                knownRoles.add(position.title.toLowerCase());
+                analysis.workExperience.push(position.title);
+            }
+        }
+
+        console.log(`📅 Employment timeline: ${analysis.positions.length} positions, ${analysis.totalYearsExperience} years, ${analysis.employmentGaps.length} gaps`);
+        return analysis;
+    }
+
+    /**
+     * Pull years-of-experience requirements out of a job posting
+     * @param {string} jobText - Job title and description
+     * @returns {Object} { minYears, skills } where skills maps lowercase skill -> years
+     */
+    extractExperienceRequirements(jobText) {
+        const text = (jobText || '').toLowerCase();
+        const requirements = { minYears: null, skills: {} };
+
+        const overallRegex = /(?:minimum of |at least |min\.? )?(\d{1,2})\s*(?:\+|plus)?\s*(?:-|–|to)?\s*(?:\d{1,2})?\s*\+?\s*years?(?:'|’)?\s*(?:of\s+)?(?:professional\s+|relevant\s+|industry\s+|hands-on\s+|commercial\s+|work\s+)?(?:experience|exp\b)/g;
+        let match;
+        while ((match = overallRegex.exec(text)) !== null) {
+            const years = parseInt(match[1]);
+            if (years > 0 && years <= 25) {
+                // Skill-specific asks ("2 years experience in Go") also match here, so keep the largest
+                requirements.minYears = Math.max(requirements.minYears || 0, years);
+            }
+        }
+
+        const skillRegex = /(\d{1,2})\s*\+?\s*years?\s*(?:of\s+)?(?:professional\s+|hands-on\s+|commercial\s+)?(?:experience\s+)?(?:with|in|using)\s+([a-z][a-z0-9.#+\-]*)/g;
+        while ((match = skillRegex.exec(text)) !== null) {
+            const years = parseInt(match[1]);
+            const skill = match[2].replace(/[.,]+$/, '').trim();
+            if (years > 0 && years <= 25 && skill.length > 0) {
+                requirements.skills[skill] = Math.max(requirements.skills[skill] || 0, years);
+            }
+        }
+
+        return requirements;
+    }
+
+    /**
+     * Look up years for a skill named in a job posting (case-insensitive, prefix tolerant)
+     * @param {Object} skillYears - Candidate skill -> years map
+     * @param {string} skill - Lowercase skill text from the job posting
+     * @returns {number|null} Years, or null if the candidate has no record of the skill
+     */
+    getYearsForSkill(skillYears, skill) {
+        for (const [candidateSkill, years] of Object.entries(skillYears || {})) {
+            const candidate = candidateSkill.toLowerCase();
+            if (candidate === skill || skill.startsWith(`${candidate} `) || candidate.startsWith(`${skill} `)) {
+                return years;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Score how well the candidate's tenure covers a job's stated requirements
+     * @param {Object} analysis - Resume analysis with totalYearsExperience and skillYears
+     * @param {string} jobText - Job title and description
+     * @returns {number|null} 0-100 score, or null when the job or resume gives no tenure data
+     */
+    scoreTenureMatch(analysis, jobText) {
+        if (!analysis || typeof analysis.totalYearsExperience !== 'number' || analysis.totalYearsExperience <= 0) {
+            return null;
+        }
+
+        const requirements = this.extractExperienceRequirements(jobText);
+        const scores = [];
+
+        if (requirements.minYears !== null) {
+            scores.push(Math.min(analysis.totalYearsExperience / requirements.minYears, 1) * 100);
+        }
+
+        for (const [skill, requiredYears] of Object.entries(requirements.skills)) {
+            const years = this.getYearsForSkill(analysis.skillYears, skill);
+            if (years !== null) scores.push(Math.min(years / requiredYears, 1) * 100);
+        }
+
+        if (scores.length === 0) return null;
+        return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+    }
+}
+
+// Export singleton instance
+export const employmentTimeline = new EmploymentTimeline();
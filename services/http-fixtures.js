@@ -0,0 +1,210 @@
+// services/http-fixtures.js - Record and replay HTTP responses for offline runs
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+export const FIXTURE_MODES = {
+    OFF: 'off',         // requests go to the network as usual
+    RECORD: 'record',   // requests go to the network and responses are saved as fixtures
+    REPLAY: 'replay'    // fixtures are served, nothing is sent
+};
+
+// Request parameters that carry credentials: left out of the fixture key and never written to disk
+const SECRET_PARAMS = ['app_id', 'app_key', 'api_key', 'apikey', 'key', 'token', 'access_token', 'client_secret'];
+
+// Response headers not worth keeping in a fixture
+const DROPPED_HEADERS = ['set-cookie', 'date', 'connection', 'transfer-encoding', 'content-encoding', 'content-length'];
+
+/**
+ * HTTP Fixtures
+ * Records real responses to one JSON file per request, keyed by a normalised
+ * form of the request (method, URL, sorted parameters and body, credentials
+ * removed), and serves them back in replay mode so the search pipeline runs
+ * without keys or network. Selected with HTTP_FIXTURES=record|replay
+ */
+export class HttpFixtures {
+    /**
+     * @param {string} mode - One of FIXTURE_MODES
+     * @param {string} dir - Directory holding the fixture files
+     */
+    constructor(mode = process.env.HTTP_FIXTURES || FIXTURE_MODES.OFF, dir = process.env.HTTP_FIXTURES_DIR || './fixtures/http') {
+        if (!Object.values(FIXTURE_MODES).includes(mode)) {
+            throw new Error(`Unknown HTTP_FIXTURES mode: ${mode} (expected ${Object.values(FIXTURE_MODES).join(', ')})`);
+        }
+
+        this.mode = mode;
+        this.dir = dir;
+
+        if (mode !== FIXTURE_MODES.OFF) {
+            console.log(`📼 HTTP fixtures: ${mode} mode using ${dir}`);
+        }
+    }
+
+    /**
+     * Check if fixtures are served instead of the network
+     * @returns {boolean} True in replay mode
+     */
+    isReplaying() {
+        return this.mode === FIXTURE_MODES.REPLAY;
+    }
+
+    /**
+     * Normalise a request into the form its fixture is keyed by. Query strings
+     * in the URL are merged into the parameters so both spellings match
+     * @param {Object} requestConfig - Axios request configuration
+     * @returns {Object} { method, url, params, data }
+     */
+    normalizeRequest(requestConfig) {
+        const url = new URL(requestConfig.url);
+        const params = {};
+
+        url.searchParams.forEach((value, name) => {
+            params[name] = value;
+        });
+        Object.entries(requestConfig.params || {}).forEach(([name, value]) => {
+            if (value !== undefined && value !== null) {
+                params[name] = String(value);
+            }
+        });
+        url.search = '';
+        url.hash = '';
+
+        const sortedParams = {};
+        Object.keys(params)
+            .filter(name => !SECRET_PARAMS.includes(name.toLowerCase()))
+            .sort()
+            .forEach(name => {
+                sortedParams[name] = params[name];
+            });
+
+        return {
+            method: (requestConfig.method || 'get').toUpperCase(),
+            url: url.toString(),
+            params: sortedParams,
+            data: requestConfig.data ?? null
+        };
+    }
+
+    /**
+     * Path of the fixture file for a request
+     * @param {string} source - Source or scraper name, used as the subdirectory
+     * @param {Object} request - Normalised request
+     * @returns {string} File path
+     */
+    getFixturePath(source, request) {
+        const hash = crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex').substring(0, 16);
+        const folder = source.toLowerCase().replace(/[^a-z0-9-]+/g, '-');
+        return path.join(this.dir, folder, `${hash}.json`);
+    }
+
+    /**
+     * Send a request through the fixture layer: replay serves the stored response,
+     * record sends it and saves the response, off just sends it
+     * @param {string} source - Source or scraper name
+     * @param {Object} requestConfig - Axios request configuration
+     * @param {Function} send - Sends the request, e.g. () => axios(requestConfig)
+     * @returns {Promise<Object>} Axios-style response
+     */
+    async request(source, requestConfig, send) {
+        if (this.mode === FIXTURE_MODES.OFF) {
+            return send();
+        }
+
+        const request = this.normalizeRequest(requestConfig);
+        const fixturePath = this.getFixturePath(source, request);
+
+        if (this.mode === FIXTURE_MODES.REPLAY) {
+            return this.replay(source, request, fixturePath, requestConfig);
+        }
+
+        try {
+            const response = await send();
+            this.save(source, request, fixturePath, response);
+            return response;
+        } catch (error) {
+            // HTTP error responses are part of the corpus too; network failures are not
+            if (error.response) {
+                this.save(source, request, fixturePath, error.response);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Serve a stored response, failing the way axios does for statuses it rejects
+     * @param {string} source - Source or scraper name
+     * @param {Object} request - Normalised request
+     * @param {string} fixturePath - Fixture file
+     * @param {Object} requestConfig - Axios request configuration, for validateStatus
+     * @returns {Object} Axios-style response
+     */
+    replay(source, request, fixturePath, requestConfig) {
+        if (!fs.existsSync(fixturePath)) {
+            const error = new Error(`No HTTP fixture for ${source}: ${request.method} ${request.url} ${JSON.stringify(request.params)} (expected ${fixturePath})`);
+            error.code = 'ERR_FIXTURE_MISSING';
+            throw error;
+        }
+
+        const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+        const response = {
+            ...fixture.response,
+            statusText: fixture.response.statusText || '',
+            config: requestConfig,
+            fromFixture: true
+        };
+        console.log(`📼 ${source}: Replayed ${request.method} ${request.url} (${response.status}) from ${fixturePath}`);
+
+        const validateStatus = requestConfig.validateStatus || (status => status >= 200 && status < 300);
+        if (!validateStatus(response.status)) {
+            const error = new Error(`Request failed with status code ${response.status}`);
+            error.code = response.status >= 500 ? 'ERR_BAD_RESPONSE' : 'ERR_BAD_REQUEST';
+            error.response = response;
+            throw error;
+        }
+
+        return response;
+    }
+
+    /**
+     * Write a response as a fixture. Not-modified responses depend on what the
+     * client had cached, so they are not kept
+     * @param {string} source - Source or scraper name
+     * @param {Object} request - Normalised request
+     * @param {string} fixturePath - Fixture file
+     * @param {Object} response - Axios response
+     */
+    save(source, request, fixturePath, response) {
+        if (response.status === 304) {
+            return;
+        }
+
+        const headers = {};
+        Object.entries(response.headers || {}).forEach(([name, value]) => {
+            if (!DROPPED_HEADERS.includes(name.toLowerCase())) {
+                headers[name.toLowerCase()] = value;
+            }
+        });
+
+        try {
+            fs.mkdirSync(path.dirname(fixturePath), { recursive: true });
+            fs.writeFileSync(fixturePath, JSON.stringify({
+                recordedAt: new Date().toISOString(),
+                source,
+                request,
+                response: {
+                    status: response.status,
+                    statusText: response.statusText,
+                    headers,
+                    data: response.data
+                }
+            }, null, 2));
+            console.log(`📼 ${source}: Recorded ${request.method} ${request.url} (${response.status}) to ${fixturePath}`);
+        } catch (error) {
+            console.warn(`⚠️ Could not write HTTP fixture ${fixturePath}: ${error.message}`);
+        }
+    }
+}
+
+// Shared by every API source and scraper
+export const httpFixtures = new HttpFixtures();
@@ -0,0 +1,321 @@
+// services/job-deduplicator.js - Near-duplicate detection and merging across sources
+
+import { jobSchema } from './job-schema.js';
+import { REMOTE_CATEGORIES } from './remote-classifier.js';
+import { companyRegistry } from './company-registry.js';
+
+// Title abbreviations and their spelled-out form
+const TITLE_ABBREVIATIONS = {
+    sr: 'senior', snr: 'senior', jr: 'junior', jnr: 'junior',
+    eng: 'engineer', engr: 'engineer', dev: 'developer', mgr: 'manager', mngr: 'manager',
+    swe: 'software engineer', sde: 'software engineer', pm: 'product manager', qa: 'quality assurance',
+    ml: 'machine learning', vp: 'vice president', ii: '2', iii: '3', iv: '4'
+};
+
+// Title words that say where or how, not what the job is
+const TITLE_NOISE = new Set([
+    'remote', 'hybrid', 'onsite', 'fully', 'anywhere', 'worldwide', 'global', 'wfh',
+    'us', 'usa', 'uk', 'eu', 'emea', 'europe', 'americas', 'latam', 'apac',
+    'm', 'f', 'w', 'd', 'x', 'a', 'an', 'the', 'and', 'of'
+]);
+
+// Title words that make another role of the same job family
+const SENIORITY_WORDS = new Set([
+    'intern', 'junior', 'associate', 'mid', 'senior', 'staff', 'principal', 'lead', 'head', '2', '3', '4'
+]);
+
+const SHINGLE_SIZE = 4;                 // words per description shingle
+const SHINGLE_WORD_LIMIT = 400;         // description words compared; snippets are shorter anyway
+const MIN_SHINGLES = 10;                // below this a description says too little to compare
+const SIMILAR_TITLE = 0.6;              // title word Jaccard, e.g. 2/3 for "Backend Engineer" ~ "Backend Software Engineer"
+const SAME_TITLE_DESCRIPTION = 0.5;     // description overlap that confirms a same-title pair
+const SIMILAR_TITLE_DESCRIPTION = 0.7;  // ...and a similar-title pair
+
+const SALARY_CONFIDENCE_RANK = { high: 3, medium: 2, low: 1 };
+
+/**
+ * Job Deduplicator
+ * Finds the same posting listed by several sources (or several times by one)
+ * and merges the copies into one job: same link, or same company id
+ * with a matching canonical title of the same seniority and, where both have one, an overlapping
+ * description (4-word shingles). The merged job lists every source in
+ * `sources` and keeps the richest description and salary
+ */
+export class JobDeduplicator {
+    constructor() {
+        this.fingerprints = new WeakMap(); // job -> comparison keys, computed once
+    }
+
+    /**
+     * Title words for comparison: abbreviations spelled out, location and gender markers dropped
+     * @param {string} title - Job title, e.g. "Sr. Back-end Engineer (m/f/d) - Remote"
+     * @returns {Array} e.g. ["senior", "backend", "engineer"]
+     */
+    canonicalTitleTokens(title) {
+        return String(title || '')
+            .toLowerCase()
+            .replace(/\b(front|back|full)[\s-]+(end|stack)\b/g, '$1$2')
+            .replace(/[^a-z0-9+#]+/g, ' ')
+            .trim()
+            .split(' ')
+            .flatMap(word => (TITLE_ABBREVIATIONS[word] || word).split(' '))
+            .filter(word => word && !TITLE_NOISE.has(word));
+    }
+
+    /**
+     * Word shingles of a description, HTML and punctuation removed
+     * @param {string} description - Job description
+     * @returns {Set} Shingles such as "build and run our"
+     */
+    shingles(description) {
+        const words = String(description || '')
+            .replace(/<[^>]+>/g, ' ')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim()
+            .split(' ')
+            .filter(Boolean)
+            .slice(0, SHINGLE_WORD_LIMIT);
+
+        const shingles = new Set();
+        for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+            shingles.add(words.slice(i, i + SHINGLE_SIZE).join(' '));
+        }
+        return shingles;
+    }
+
+    /**
+     * Share of the smaller set found in the larger one, so a snippet matches the full text it was cut from
+     * @param {Set} a - First set
+     * @param {Set} b - Second set
+     * @returns {number} 0 to 1
+     */
+    overlap(a, b) {
+        if (a.size === 0 || b.size === 0) return 0;
+        const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a];
+        let shared = 0;
+        smaller.forEach(item => {
+            if (larger.has(item)) shared++;
+        });
+        return shared / smaller.size;
+    }
+
+    /**
+     * Shared items over all items of two sets
+     * @param {Set} a - First set
+     * @param {Set} b - Second set
+     * @returns {number} 0 to 1
+     */
+    jaccard(a, b) {
+        if (a.size === 0 && b.size === 0) return 0;
+        let shared = 0;
+        a.forEach(item => {
+            if (b.has(item)) shared++;
+        });
+        return shared / (a.size + b.size - shared);
+    }
+
+    /**
+     * Comparison keys of a job, cached per job object
+     * @param {Object} job - Job object
+     * @returns {Object} { link, company, titleTokens, shingles }
+     */
+    fingerprint(job) {
+        let fingerprint = this.fingerprints.get(job);
+        if (!fingerprint) {
+            fingerprint = {
+                link: job.link ? jobSchema.normalizeLink(job.link) : null,
+                company: job.companyId ?? companyRegistry.getId(job.company),
+                titleTokens: new Set(this.canonicalTitleTokens(job.title)),
+                shingles: this.shingles(job.description)
+            };
+            this.fingerprints.set(job, fingerprint);
+        }
+        return fingerprint;
+    }
+
+    /**
+     * Whether two jobs are the same posting
+     * @param {Object} a - First job
+     * @param {Object} b - Second job
+     * @returns {string|null} What matched ('link', 'title' or 'title+description'), null if distinct
+     */
+    matchReason(a, b) {
+        const fa = this.fingerprint(a);
+        const fb = this.fingerprint(b);
+
+        if (fa.link && fa.link === fb.link) return 'link';
+        if (!fa.company || fa.company !== fb.company) return null;
+
+        // Shared boilerplate makes a senior and a mid-level opening read alike - they are still two roles
+        if (this.differsInSeniority(fa.titleTokens, fb.titleTokens)) return null;
+
+        const titleSimilarity = this.jaccard(fa.titleTokens, fb.titleTokens);
+        const sameTitle = titleSimilarity === 1;
+        if (titleSimilarity < SIMILAR_TITLE) return null;
+
+        // Without two real descriptions only an identical title counts
+        if (fa.shingles.size < MIN_SHINGLES || fb.shingles.size < MIN_SHINGLES) {
+            return sameTitle ? 'title' : null;
+        }
+
+        const descriptionOverlap = this.overlap(fa.shingles, fb.shingles);
+        return descriptionOverlap >= (sameTitle ? SAME_TITLE_DESCRIPTION : SIMILAR_TITLE_DESCRIPTION)
+            ? 'title+description'
+            : null;
+    }
+
+    /**
+     * Whether one title names a level the other lacks
+     * @param {Set} a - Canonical title words, e.g. senior, backend, engineer
+     * @param {Set} b - Canonical title words, e.g. backend, engineer
+     * @returns {boolean} True if the titles are different levels of a role
+     */
+    differsInSeniority(a, b) {
+        return [...a, ...b].some(word => SENIORITY_WORDS.has(word) && a.has(word) !== b.has(word));
+    }
+
+    /**
+     * Find the job a new one duplicates
+     * @param {Object} job - New job
+     * @param {Array} jobs - Jobs already kept
+     * @returns {Object|null} { job, reason } for the first duplicate, null if none
+     */
+    findDuplicate(job, jobs) {
+        for (const existing of jobs) {
+            const reason = existing !== job && this.matchReason(existing, job);
+            if (reason) return { job: existing, reason };
+        }
+        return null;
+    }
+
+    /**
+     * Merge the new jobs that duplicate a listed job into it, leaving the rest for the caller
+     * @param {Array} jobs - Jobs already kept; duplicates are merged into them in place
+     * @param {Array} incoming - New jobs
+     * @returns {Object} { fresh, merged } - distinct new jobs (not yet listed), and listed jobs that absorbed a duplicate
+     */
+    mergeDuplicates(jobs, incoming) {
+        const fresh = [];
+        const merged = [];
+
+        incoming.forEach(job => {
+            const duplicate = this.findDuplicate(job, jobs) || this.findDuplicate(job, fresh);
+            if (!duplicate) {
+                fresh.push(job);
+                return;
+            }
+
+            console.log(`🔗 Merged "${job.title}" (${job.source}) into "${duplicate.job.title}" (${duplicate.job.source}) - same ${duplicate.reason}`);
+            this.mergeInto(duplicate.job, job);
+            if (jobs.includes(duplicate.job) && !merged.includes(duplicate.job)) {
+                merged.push(duplicate.job);
+            }
+        });
+
+        return { fresh, merged };
+    }
+
+    /**
+     * Add jobs to a list of distinct jobs, merging each duplicate into the job already listed
+     * @param {Array} jobs - Jobs already kept; new jobs are pushed and duplicates merged in place
+     * @param {Array} incoming - New jobs
+     * @returns {Object} { added, merged } - new distinct jobs, and listed jobs that absorbed a duplicate
+     */
+    addJobs(jobs, incoming) {
+        const { fresh, merged } = this.mergeDuplicates(jobs, incoming);
+        jobs.push(...fresh);
+        return { added: fresh, merged };
+    }
+
+    /**
+     * Distinct jobs of a list, duplicates merged
+     * @param {Array} jobs - Jobs, possibly from several sources
+     * @returns {Array} One job per posting
+     */
+    dedupe(jobs) {
+        const unique = [];
+        this.addJobs(unique, jobs);
+        return unique;
+    }
+
+    /**
+     * Entry of a job in the merged job's source list
+     * @param {Object} job - Job object
+     * @returns {Object} { id, source, sourceId, link, applyLink }
+     */
+    sourceEntry(job) {
+        return {
+            id: job.id ?? null,
+            source: job.source,
+            sourceId: job.provenance?.sourceId ?? null,
+            link: job.link,
+            applyLink: job.applyLink ?? null
+        };
+    }
+
+    /**
+     * Merge a duplicate into the job already listed, which keeps its id and provenance
+     * @param {Object} target - Listed job, updated in place
+     * @param {Object} duplicate - Other copy of the posting
+     * @returns {Object} The target
+     */
+    mergeInto(target, duplicate) {
+        const sources = target.sources || [this.sourceEntry(target)];
+        (duplicate.sources || [this.sourceEntry(duplicate)]).forEach(entry => {
+            if (!sources.some(existing => existing.link === entry.link && existing.source === entry.source)) {
+                sources.push(entry);
+            }
+        });
+        target.sources = sources;
+
+        if ((duplicate.description || '').length > (target.description || '').length) {
+            target.description = duplicate.description;
+        }
+        if (this.salaryRank(duplicate.salary) > this.salaryRank(target.salary)) {
+            target.salary = duplicate.salary;
+        }
+        if (this.isRestricted(duplicate.remoteEligibility) && !this.isRestricted(target.remoteEligibility)) {
+            target.remoteEligibility = duplicate.remoteEligibility;
+            target.isRemote = duplicate.isRemote;
+            target.regionRestrictions = duplicate.regionRestrictions;
+        }
+        if (duplicate.datePosted && (!target.datePosted || duplicate.datePosted < target.datePosted)) {
+            target.datePosted = duplicate.datePosted;
+        }
+        if (!target.location || target.location === 'Not specified') {
+            target.location = duplicate.location;
+        }
+        target.applyLink = target.applyLink || duplicate.applyLink || null;
+        target.type = target.type || duplicate.type || null;
+        target.tags = [...new Set([...(target.tags || []), ...(duplicate.tags || [])])];
+
+        // New text means new comparison keys
+        this.fingerprints.delete(target);
+        return target;
+    }
+
+    /**
+     * How much a salary says, for picking the richer of two
+     * @param {Object|null} salary - Structured salary
+     * @returns {number} Higher is richer, 0 for none
+     */
+    salaryRank(salary) {
+        if (!salary || (salary.min == null && salary.max == null)) return 0;
+        return (SALARY_CONFIDENCE_RANK[salary.confidence] || 0) * 4 +
+            (salary.min != null && salary.max != null ? 2 : 0) +
+            (salary.annual ? 1 : 0);
+    }
+
+    /**
+     * Whether a classification limits where candidates may be
+     * @param {Object} remoteEligibility - Result of the remote classifier
+     * @returns {boolean} True for remote-regions and remote-timezone
+     */
+    isRestricted(remoteEligibility) {
+        return [REMOTE_CATEGORIES.REMOTE_REGIONS, REMOTE_CATEGORIES.REMOTE_TIMEZONE].includes(remoteEligibility?.category);
+    }
+}
+
+// Export singleton instance
+export const jobDeduplicator = new JobDeduplicator();
@@ -0,0 +1,236 @@
+// services/job-schema.js - Canonical job record shared by every source and scraper
+
+import crypto from 'crypto';
+import { salaryNormalizer } from './salary.js';
+import { remoteClassifier, REMOTE_CATEGORIES } from './remote-classifier.js';
+import { companyRegistry } from './company-registry.js';
+
+// Bump when a field is added, removed or changes meaning
+export const JOB_SCHEMA_VERSION = 4;
+
+/**
+ * Fields an adapter may set. Required fields missing or invalid drop the job;
+ * optional ones that are invalid are replaced by their default and flagged
+ */
+export const JOB_FIELDS = {
+    title: { type: 'string', required: true },
+    company: { type: 'string', required: true },
+    link: { type: 'url', required: true },                          // job posting or application page
+    source: { type: 'string', required: true },                     // display name, e.g. "Adzuna"
+    location: { type: 'string', default: 'Not specified' },
+    description: { type: 'string', default: '' },
+    salary: { type: 'salary', default: null },                      // structured, see services/salary.js
+    type: { type: 'string', default: null },                        // employment type, e.g. "Full-time"
+    datePosted: { type: 'date', default: null },                    // ISO timestamp
+    isRemote: { type: 'boolean', default: null },                   // overwritten from remoteEligibility, null when unknown
+    applyLink: { type: 'url', default: null },                      // when it differs from link
+    tags: { type: 'string[]', default: [] },
+    regionRestrictions: { type: 'string[]', default: [] }           // overwritten from remoteEligibility.regions
+};
+
+// Older names some adapters still use, mapped to their canonical field
+const FIELD_ALIASES = {
+    url: 'link',
+    postedDate: 'datePosted',
+    remote: 'isRemote'
+};
+
+// Set by the schema itself (sources by the deduplicator), never taken from an adapter
+const SYSTEM_FIELDS = ['id', 'schemaVersion', 'companyId', 'remoteEligibility', 'sources', 'provenance', 'raw', 'validationWarnings'];
+
+// Query parameters that change between searches without changing the posting
+const TRACKING_PARAMS = /^(utm_|fbclid$|gclid$|ref$|refid$)/i;
+
+/**
+ * Job Schema
+ * Turns adapter output into canonical jobs: { id, schemaVersion, ...JOB_FIELDS,
+ * companyId, remoteEligibility, provenance, raw, validationWarnings }. ApiManager
+ * and ScraperManager run every result through it, so the rest of the pipeline
+ * sees one shape. companyId comes from services/company-registry.js,
+ * remoteEligibility from services/remote-classifier.js
+ */
+export class JobSchema {
+    /**
+     * Stable id of a posting within its source, the same across searches
+     * @param {string} sourceId - Source or scraper id
+     * @param {Object} job - Job with link, title and company
+     * @returns {string} e.g. "adzuna:3f2a9c0e1b7d4a65"
+     */
+    createId(sourceId, job) {
+        const identity = this.normalizeLink(job.link) ||
+            [job.title, job.company, job.location].map(value => String(value || '').toLowerCase().trim()).join('|');
+        const hash = crypto.createHash('sha256').update(`${sourceId}|${identity}`).digest('hex').substring(0, 16);
+        return `${sourceId}:${hash}`;
+    }
+
+    /**
+     * Link without tracking parameters or fragment, for ids
+     * @param {string} link - Absolute URL
+     * @returns {string|null} Normalised URL, null if it does not parse
+     */
+    normalizeLink(link) {
+        try {
+            const url = new URL(link);
+            [...url.searchParams.keys()]
+                .filter(name => TRACKING_PARAMS.test(name))
+                .forEach(name => url.searchParams.delete(name));
+            url.hash = '';
+            return url.toString();
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Check one value against its field definition
+     * @param {*} value - Value from the adapter
+     * @param {Object} field - Entry of JOB_FIELDS
+     * @returns {Object} { valid, value } with the value trimmed or converted
+     */
+    checkValue(value, field) {
+        switch (field.type) {
+            case 'string':
+                return typeof value === 'string' && value.trim() !== ''
+                    ? { valid: true, value: value.trim() }
+                    : { valid: false };
+            case 'url':
+                return typeof value === 'string' && /^https?:\/\//i.test(value.trim()) && this.normalizeLink(value.trim())
+                    ? { valid: true, value: value.trim() }
+                    : { valid: false };
+            case 'date': {
+                const time = value instanceof Date ? value.getTime() : Date.parse(value);
+                return Number.isNaN(time) ? { valid: false } : { valid: true, value: new Date(time).toISOString() };
+            }
+            case 'salary': {
+                // Text from adapters not yet giving numbers is parsed once, here
+                const salary = salaryNormalizer.normalize(value);
+                return salary ? { valid: true, value: salary } : { valid: false };
+            }
+            case 'boolean':
+                return typeof value === 'boolean' ? { valid: true, value } : { valid: false };
+            case 'string[]':
+                return Array.isArray(value)
+                    ? { valid: true, value: value.filter(item => typeof item === 'string' && item.trim() !== '').map(item => item.trim()) }
+                    : { valid: false };
+            default:
+                throw new Error(`Unknown job field type: ${field.type}`);
+        }
+    }
+
+    /**
+     * Convert one adapter result into a canonical job
+     * @param {Object} job - Adapter output, with the source payload in job.raw if the adapter kept it
+     * @param {Object} provenance - { sourceId, sourceType: 'api'|'scraper', query }
+     * @param {Object} options - { remoteOnly } when the source lists remote roles only
+     * @returns {Object} { job, errors, warnings } - job is null when a required field is unusable
+     */
+    normalize(job, provenance, options = {}) {
+        if (!job || typeof job !== 'object') {
+            return { job: null, errors: ['not an object'], warnings: [] };
+        }
+
+        const errors = [];
+        const warnings = [];
+        const input = {};
+
+        Object.entries(job).forEach(([name, value]) => {
+            const canonicalName = FIELD_ALIASES[name] || name;
+            if (SYSTEM_FIELDS.includes(name)) {
+                return;
+            }
+            if (!JOB_FIELDS[canonicalName]) {
+                warnings.push(`unknown field "${name}" dropped`);
+                return;
+            }
+            if (input[canonicalName] === undefined) {
+                input[canonicalName] = value;
+            }
+        });
+
+        const canonical = {};
+        Object.entries(JOB_FIELDS).forEach(([name, field]) => {
+            const value = input[name];
+            const missing = value === undefined || value === null || value === '';
+            const check = missing ? { valid: false } : this.checkValue(value, field);
+
+            if (check.valid) {
+                canonical[name] = check.value;
+            } else if (field.required) {
+                errors.push(missing ? `${name} is missing` : `${name} is not a valid ${field.type}`);
+            } else {
+                if (!missing) {
+                    warnings.push(`${name} is not a valid ${field.type}: ${JSON.stringify(value).substring(0, 60)}`);
+                }
+                canonical[name] = Array.isArray(field.default) ? [] : field.default;
+            }
+        });
+
+        if (errors.length > 0) {
+            return { job: null, errors, warnings };
+        }
+
+        const remoteEligibility = remoteClassifier.classify(canonical, options);
+        canonical.isRemote = remoteEligibility.category === REMOTE_CATEGORIES.UNKNOWN ? null : remoteClassifier.isRemote(remoteEligibility);
+        canonical.regionRestrictions = remoteEligibility.regions;
+
+        return {
+            job: {
+                id: this.createId(provenance.sourceId, canonical),
+                schemaVersion: JOB_SCHEMA_VERSION,
+                ...canonical,
+                companyId: companyRegistry.getId(canonical.company),
+                remoteEligibility,
+                provenance: {
+                    sourceId: provenance.sourceId,
+                    sourceType: provenance.sourceType,
+                    query: provenance.query ?? null,
+                    fetchedAt: new Date().toISOString()
+                },
+                raw: job.raw ?? null,
+                validationWarnings: warnings
+            },
+            errors,
+            warnings
+        };
+    }
+
+    /**
+     * Convert a batch of adapter results, dropping the ones that fail validation
+     * @param {Array} jobs - Adapter output
+     * @param {Object} provenance - { sourceId, sourceType, query }
+     * @param {Object} options - { remoteOnly }
+     * @returns {Object} { jobs, rejected } - rejected holds { title, reasons } per dropped job
+     */
+    normalizeAll(jobs, provenance, options = {}) {
+        const accepted = [];
+        const rejected = [];
+
+        (jobs || []).forEach(job => {
+            const result = this.normalize(job, provenance, options);
+            if (result.job) {
+                accepted.push(result.job);
+            } else {
+                rejected.push({ title: job?.title || null, reasons: result.errors });
+            }
+        });
+
+        if (rejected.length > 0) {
+            console.log(`🧾 ${provenance.sourceId}: Dropped ${rejected.length}/${(jobs || []).length} jobs failing the job schema - ${rejected[0].reasons.join(', ')}${rejected.length > 1 ? ', ...' : ''}`);
+        }
+
+        return { jobs: accepted, rejected };
+    }
+
+    /**
+     * Job as sent to the browser: everything but the source payload, which stays server-side
+     * @param {Object} job - Canonical job
+     * @returns {Object} Job without raw
+     */
+    toClient(job) {
+        const { raw, ...clientJob } = job;
+        return clientJob;
+    }
+}
+
+// Export singleton instance
+export const jobSchema = new JobSchema();
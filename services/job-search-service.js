@@ -1,35 +1,22 @@
 // services/job-search-service.js - Modular job search service
 
 import { apiManager } from './api-manager.js';
+import { sourceRegistry } from './source-registry.js';
 import { scraperManager } from './scraper-manager.js';
 import { cacheManager } from './cache-manager.js';
 import { apiConfig } from '../config/api-config.js';
-import OpenAI from 'openai';
+import { employmentTimeline } from './employment-timeline.js';
+import { findMissingSkills } from './skill-vocabulary.js';
+import { salaryNormalizer } from './salary.js';
+import { remoteClassifier } from './remote-classifier.js';
+import { jobDeduplicator } from './job-deduplicator.js';
+import { companyRegistry } from './company-registry.js';
 
 /**
  * Job Search Service - High-level service for job searching
  * Coordinates multiple APIs and provides unified interface
  */
 export class JobSearchService {
-    constructor() {
-        this.openai = null;
-        this.initializeOpenAI();
-    }
-
-    /**
-     * Initialize OpenAI client
-     */
-    initializeOpenAI() {
-        const openaiConfig = apiConfig.getConfig('openai');
-        if (openaiConfig && openaiConfig.key) {
-            this.openai = new OpenAI({
-                apiKey: openaiConfig.key,
-                timeout: openaiConfig.timeout,
-                maxRetries: openaiConfig.maxRetries
-            });
-        }
-    }
-
     /**
      * Generate focused search queries based on resume analysis
      * @param {Object} analysis - Resume analysis object
@@ -102,63 +89,32 @@ export class JobSearchService {
 
     /**
      * Check if job is remote
-     * @param {Object} job - Job object
-     * @returns {boolean} True if job is remote
+     * @param {Object} job - Job object, classified by the job schema
+     * @returns {boolean} True if the job can be done remotely (possibly within regions or timezones)
      */
     isRemoteJob(job) {
         if (!job) return false;
-        
-        const title = (job.title || '').toLowerCase();
-        const location = (job.location || '').toLowerCase();
-        const description = (job.description || '').toLowerCase().substring(0, 800);
-        
-        if (location.includes('remote') || 
-            location.includes('anywhere') || 
-            location.includes('worldwide') ||
-            location.includes('global') ||
-            location.includes('flexible') ||
-            location === '') {
-            return true;
-        }
-        
-        const remoteKeywords = [
-            'remote', 'work from home', 'wfh', 'anywhere', 'distributed',
-            'fully remote', '100% remote', 'remote-first', 'remote only',
-            'virtual', 'telecommute', 'work remotely', 'remote work',
-            'home-based', 'home based', 'flexible location'
-        ];
-        
-        for (const keyword of remoteKeywords) {
-            if (title.includes(keyword) || description.includes(keyword)) {
-                return true;
-            }
-        }
-        
-        if (title.includes('developer') || 
-            title.includes('engineer') || 
-            title.includes('analyst') ||
-            title.includes('designer')) {
-            return true;
-        }
-        
-        return false;
+        return remoteClassifier.isRemote(job.remoteEligibility || remoteClassifier.classify(job));
     }
 
     /**
      * Apply user filters to jobs
      * @param {Array} jobs - Array of job objects
      * @param {Object} filters - User filters
+     * @param {Object} analysis - Resume analysis, used for tenure checks when available
      * @returns {Array} Filtered jobs
      */
-    applyFilters(jobs, filters) {
-        if (!filters || Object.keys(filters).length === 0) {
+    applyFilters(jobs, filters, analysis = null) {
+        const mustHaveSkills = analysis?.mustHaveSkills || [];
+        if ((!filters || Object.keys(filters).length === 0) && mustHaveSkills.length === 0) {
             return jobs;
         }
+        filters = filters || {};
 
         console.log(`🔍 Applying filters:`, filters);
         console.log(`📊 Initial jobs count: ${jobs.length}`);
         
-        let filteredJobs = [...jobs];
+        let filteredJobs = this.filterByMustHaveSkills(jobs, analysis);
 
         // Salary filter
         if (filters.salary && filters.salary !== '') {
@@ -168,7 +124,8 @@ export class JobSearchService {
             if (salaryThreshold > 0) {
                 const beforeSalaryFilter = filteredJobs.length;
                 filteredJobs = filteredJobs.filter(job => {
-                    const salaryNumbers = this.extractSalaryNumbers(job.salary);
+                    // Annualised and in SALARY_CURRENCY, so hourly and foreign salaries compare fairly
+                    const salaryNumbers = salaryNormalizer.getAnnualRange(job.salary);
                     
                     let passes = true;
                     
@@ -193,10 +150,29 @@ export class JobSearchService {
             const beforeExperienceFilter = filteredJobs.length;
             console.log(`👔 Experience filter: ${filters.experience}`);
             
+            const candidateYears = analysis?.totalYearsExperience || 0;
+            
             filteredJobs = filteredJobs.filter(job => {
                 const title = job.title.toLowerCase();
                 const description = (job.description || '').toLowerCase();
                 
+                // A stated years requirement keeps jobs in the level's band and drops clear
+                // mismatches; anything else ("Senior ... 3+ years") is left to the title words
+                const requirements = employmentTimeline.extractExperienceRequirements(`${title} ${description}`);
+                if (requirements.minYears !== null) {
+                    const band = employmentTimeline.experienceBands[filters.experience];
+                    if (candidateYears > 0 && requirements.minYears > candidateYears + 2) {
+                        return false;
+                    }
+                    if (band && requirements.minYears >= band.max + 2) {
+                        return false;
+                    }
+                    if (employmentTimeline.getExperienceLevel(requirements.minYears) === filters.experience ||
+                        (filters.experience === 'lead' && requirements.minYears >= employmentTimeline.experienceBands.senior.min)) {
+                        return true;
+                    }
+                }
+                
                 let passes = false;
                 
                 if (filters.experience === 'entry') {
@@ -225,27 +201,10 @@ export class JobSearchService {
             const beforeTimezoneFilter = filteredJobs.length;
             console.log(`🌍 Timezone filter: ${filters.timezone}`);
             
-            filteredJobs = filteredJobs.filter(job => {
-                const description = (job.description || '').toLowerCase();
-                const location = (job.location || '').toLowerCase();
-                
-                let passes = false;
-                
-                if (filters.timezone === 'us-only') {
-                    passes = description.includes('us') || description.includes('united states') || 
-                           location.includes('us') || description.includes('est') || description.includes('pst');
-                } else if (filters.timezone === 'global') {
-                    passes = description.includes('global') || description.includes('worldwide') || 
-                           description.includes('international') || description.includes('any timezone');
-                } else if (filters.timezone === 'europe') {
-                    passes = description.includes('europe') || description.includes('eu') || 
-                           description.includes('cet') || description.includes('gmt');
-                } else {
-                    passes = true;
-                }
-                
-                return passes;
-            });
+            filteredJobs = filteredJobs.filter(job => remoteClassifier.matchesTimezoneFilter(
+                job.remoteEligibility || remoteClassifier.classify(job),
+                filters.timezone
+            ));
             console.log(`🌍 Timezone filter: ${beforeTimezoneFilter} -> ${filteredJobs.length} jobs`);
         }
 
@@ -253,6 +212,25 @@ export class JobSearchService {
         return filteredJobs;
     }
 
+    /**
+     * Drop jobs that do not mention every must-have skill pinned on the analysis
+     * @param {Array} jobs - Array of job objects
+     * @param {Object} analysis - Resume analysis with optional mustHaveSkills
+     * @returns {Array} Jobs that mention all must-have skills
+     */
+    filterByMustHaveSkills(jobs, analysis) {
+        const mustHaveSkills = analysis?.mustHaveSkills || [];
+        if (mustHaveSkills.length === 0) {
+            return [...jobs];
+        }
+
+        const matchingJobs = jobs.filter(job =>
+            findMissingSkills(`${job.title || ''} ${job.description || ''}`, mustHaveSkills).length === 0
+        );
+        console.log(`📌 Must-have skills (${mustHaveSkills.join(', ')}): ${jobs.length} -> ${matchingJobs.length} jobs`);
+        return matchingJobs;
+    }
+
     /**
      * Get salary threshold from filter
      * @param {string} salaryFilter - Salary filter string
@@ -269,80 +247,6 @@ export class JobSearchService {
         return thresholds[salaryFilter] || 0;
     }
 
-    /**
-     * Extract salary numbers from salary string
-     * @param {string} salaryStr - Salary string
-     * @returns {Object} Min and max salary numbers
-     */
-    extractSalaryNumbers(salaryStr) {
-        if (!salaryStr || salaryStr === 'Salary not specified') {
-            return { min: 0, max: 0 };
-        }
-        
-        const salary = salaryStr.toLowerCase();
-        let min = 0, max = 0;
-        
-        const isPounds = salary.includes('£');
-        const conversionRate = 1.3;
-        
-        const isHourly = salary.includes('/hour') || salary.includes('per hour') || salary.includes('/hr') || salary.includes('hourly');
-        
-        const cleanSalary = salary.replace(/[$£€,]/g, '');
-        
-        const rangeMatch = cleanSalary.match(/(\d+)(?:k|,000)?\s*[-–to]\s*(\d+)(?:k|,000)?/);
-        const singleMatch = cleanSalary.match(/(\d+)(?:k|,000)?/);
-        const fromMatch = cleanSalary.match(/from\s+(\d+)(?:k|,000)?/);
-        const upToMatch = cleanSalary.match(/up\s+to\s+(\d+)(?:k|,000)?/);
-        const betweenMatch = cleanSalary.match(/between\s+(\d+)(?:k|,000)?\s+and\s+(\d+)(?:k|,000)?/);
-        
-        if (rangeMatch) {
-            min = parseInt(rangeMatch[1]);
-            max = parseInt(rangeMatch[2]);
-            if (salary.includes('k') || min < 1000) {
-                min *= 1000;
-                max *= 1000;
-            }
-        } else if (betweenMatch) {
-            min = parseInt(betweenMatch[1]);
-            max = parseInt(betweenMatch[2]);
-            if (salary.includes('k') || min < 1000) {
-                min *= 1000;
-                max *= 1000;
-            }
-        } else if (fromMatch) {
-            min = parseInt(fromMatch[1]);
-            if (salary.includes('k') || min < 1000) {
-                min *= 1000;
-            }
-            max = min;
-        } else if (upToMatch) {
-            max = parseInt(upToMatch[1]);
-            if (salary.includes('k') || max < 1000) {
-                max *= 1000;
-            }
-            min = max;
-        } else if (singleMatch) {
-            const num = parseInt(singleMatch[1]);
-            if (salary.includes('k') || num < 1000) {
-                min = max = num * 1000;
-            } else {
-                min = max = num;
-            }
-        }
-        
-        if (isHourly && (min > 0 || max > 0)) {
-            min = min * 40 * 52;
-            max = max * 40 * 52;
-        }
-        
-        if (isPounds && (min > 0 || max > 0)) {
-            min = Math.round(min * conversionRate);
-            max = Math.round(max * conversionRate);
-        }
-        
-        return { min, max };
-    }
-
     /**
      * Get user-friendly messages for API status
      * @param {Object} apiStatus - API status report
@@ -355,10 +259,16 @@ export class JobSearchService {
         if (apiStatus.exhaustedApis && apiStatus.exhaustedApis.length > 0) {
             apiStatus.exhaustedApis.forEach(apiName => {
                 const apiDisplayName = this.getApiDisplayName(apiName);
+                // Prefer the quota that is actually used up, from the persisted ledger
+                const quotas = apiStatus.quotas?.[apiName]?.quotas || [];
+                const usedUp = quotas.find(q => q.remaining === 0) || quotas[0];
+                const quota = usedUp
+                    ? ` (${usedUp.limit} requests per ${usedUp.per}${usedUp.remaining === 0 ? `, resets ${new Date(usedUp.resetsAt).toUTCString()}` : ''})`
+                    : '';
                 messages.push({
                     type: 'warning',
                     title: `${apiDisplayName} Temporarily Unavailable`,
-                    message: `${apiDisplayName} has reached its quota limit and is temporarily unavailable. Please try again later or consider upgrading your plan for more requests.`,
+                    message: `${apiDisplayName} has reached its quota limit${quota} and is temporarily unavailable. Please try again later or consider upgrading your plan for more requests.`,
                     apiName: apiName,
                     action: 'try_again_later'
                 });
@@ -409,16 +319,7 @@ export class JobSearchService {
      * @returns {string} Display name
      */
     getApiDisplayName(apiName) {
-        const displayNames = {
-            'theirstack': 'Theirstack',
-            'adzuna': 'Adzuna',
-            'themuse': 'TheMuse',
-            'reed': 'Reed',
-            'jsearch': 'JSearch',
-            'jobs': 'Jobs API',
-            'rapidapi': 'RapidAPI'
-        };
-        return displayNames[apiName] || apiName;
+        return sourceRegistry.getDisplayName(apiName);
     }
 
     /**
@@ -427,9 +328,10 @@ export class JobSearchService {
      * @param {Object} filters - Search filters
      * @param {Function} onJobFound - Callback for found jobs
      * @param {Function} onProgress - Callback for progress updates
+     * @param {Function} onJobsMerged - Callback for listed jobs that absorbed a duplicate from a later source
      * @returns {Promise<Object>} Search results
      */
-    async searchJobs(analysis, filters, onJobFound, onProgress) {
+    async searchJobs(analysis, filters, onJobFound, onProgress, onJobsMerged = null) {
         console.log('=== STARTING MODULAR JOB SEARCH ===');
         
         // Log API configuration status
@@ -439,8 +341,10 @@ export class JobSearchService {
         console.log('📝 Generated search queries:', queries);
         
         // Check cache first
-        const cacheKey = cacheManager.generateCacheKey(queries[0], filters);
-        const cachedResults = await cacheManager.getCachedJobSearch(queries[0], filters);
+        // Must-have skills change which jobs pass, so they are part of the cache key
+        const cacheFilters = { ...filters, mustHaveSkills: analysis.mustHaveSkills || [] };
+        const cacheKey = cacheManager.generateCacheKey(queries[0], cacheFilters);
+        const cachedResults = await cacheManager.getCachedJobSearch(queries[0], cacheFilters);
         
         if (cachedResults) {
             console.log('💾 Using cached results');
@@ -461,108 +365,110 @@ export class JobSearchService {
         onProgress('Generating search queries...', 5);
         
         const allJobs = [];
-        const processedJobKeys = new Set();
         let currentProgress = 0;
         
-        // Define API sources with weights
-        const sources = [
-            { name: 'jsearch', weight: 20 },
-            { name: 'adzuna', weight: 20 },
-            { name: 'themuse', weight: 20 },
-            { name: 'reed', weight: 15 },
-            { name: 'jobs', weight: 15 },
-            { name: 'theirstack', weight: 10 }
-        ];
+        // Sources discovered in services/sources/, sharing the progress bar by weight
+        const sources = sourceRegistry.getProgressWeights(100);
         
         for (let sourceIndex = 0; sourceIndex < sources.length; sourceIndex++) {
             const source = sources[sourceIndex];
             const sourceStartProgress = currentProgress;
-            const sourceEndProgress = currentProgress + source.weight;
+            const sourceEndProgress = currentProgress + source.progressWeight;
             
-            console.log(`\n🔍 === PROCESSING SOURCE ${sourceIndex + 1}/${sources.length}: ${source.name} ===`);
+            console.log(`\n🔍 === PROCESSING SOURCE ${sourceIndex + 1}/${sources.length}: ${source.id} ===`);
             
-            onProgress(`Searching ${source.name}...`, sourceStartProgress);
+            onProgress(`Searching ${source.displayName}...`, Math.round(sourceStartProgress));
             
             try {
                 const sourceMatchedJobs = [];
-                const maxQueries = source.name === 'reed' ? 10 : 15;
+                const maxQueries = source.maxQueries;
+                
+                console.log(`📝 ${source.id}: Processing ${maxQueries} queries`);
                 
-                console.log(`📝 ${source.name}: Processing ${maxQueries} queries`);
+                const delayBetweenQueries = source.queryDelay;
                 
-                const delayBetweenQueries = source.name === 'reed' ? 300 : 500;
+                // Paginating sources share one raw results budget across all queries
+                let resultBudget = source.maxResults ?? Infinity;
                 
                 for (let i = 0; i < Math.min(queries.length, maxQueries); i++) {
                     const query = queries[i];
+                    
+                    if (resultBudget <= 0) {
+                        console.log(`   💰 ${source.id}: Result budget of ${source.maxResults} used - skipping remaining queries`);
+                        break;
+                    }
+                    
                     console.log(`   🔎 Query ${i + 1}/${maxQueries}: "${query}"`);
                     
                     try {
-                        console.log(`   📞 Calling ${source.name} API...`);
-                        const jobs = await apiManager.makeApiCall(source.name, query, filters);
+                        console.log(`   📞 Calling ${source.id} API...`);
+                        const jobs = await apiManager.makeApiCall(source.id, query, filters, { maxResults: resultBudget });
+                        resultBudget -= jobs.length;
                         
-                        console.log(`   📥 ${source.name} returned ${jobs.length} raw jobs`);
+                        console.log(`   📥 ${source.id} returned ${jobs.length} raw jobs`);
                         if (jobs.length > 0) {
                             console.log(`   📋 Sample job titles: ${jobs.slice(0, 3).map(j => j?.title || 'No title').join(', ')}`);
                             
                             // Filter jobs
                             const filteredJobs = jobs.filter(job => {
                                 if (!job || !job.title || !job.company) {
-                                    console.log(`   ❌ ${source.name}: Skipping job with missing title/company`);
-                                    return false;
-                                }
-                                
-                                const key = `${job.title.toLowerCase().trim()}-${job.company.toLowerCase().trim()}`;
-                                if (processedJobKeys.has(key)) {
-                                    console.log(`   ❌ ${source.name}: Skipping duplicate job "${job.title}"`);
+                                    console.log(`   ❌ ${source.id}: Skipping job with missing title/company`);
                                     return false;
                                 }
                                 
+                                // Remote-only sources count as remote unless the posting says otherwise
                                 const isRemote = this.isRemoteJob(job);
                                 if (!isRemote) {
-                                    console.log(`   ❌ ${source.name}: Skipping non-remote job "${job.title}" (location: ${job.location})`);
+                                    console.log(`   ❌ ${source.id}: Skipping ${job.remoteEligibility?.category || 'non-remote'} job "${job.title}" (${job.remoteEligibility?.evidence?.text || job.location})`);
                                     return false;
                                 }
                                 
-                                processedJobKeys.add(key);
                                 return true;
                             });
                             
                             console.log(`   🔍 After filtering: ${filteredJobs.length} jobs`);
                             
                             if (filteredJobs.length > 0) {
-                                const userFilteredJobs = this.applyFilters(filteredJobs, filters);
+                                const userFilteredJobs = this.applyFilters(filteredJobs, filters, analysis);
                                 console.log(`   ⚙️ After user filters: ${userFilteredJobs.length} jobs`);
                                 
                                 if (userFilteredJobs.length > 0) {
-                                    // For now, add all filtered jobs (AI matching can be added later)
-                                    sourceMatchedJobs.push(...userFilteredJobs);
-                                    allJobs.push(...userFilteredJobs);
+                                    // For now, add all filtered jobs (AI matching can be added later); copies of listed jobs are merged into them
+                                    const { added, merged } = jobDeduplicator.addJobs(allJobs, userFilteredJobs);
+                                    sourceMatchedJobs.push(...added);
+                                    console.log(`   🔗 ${added.length} new, ${userFilteredJobs.length - added.length} merged into ${merged.length} listed jobs`);
                                     
                                     // Stream results
-                                    const currentProgress = sourceStartProgress + ((i + 1) / maxQueries) * source.weight;
-                                    onJobFound(userFilteredJobs, source.name, Math.round(currentProgress));
+                                    const currentProgress = sourceStartProgress + ((i + 1) / maxQueries) * source.progressWeight;
+                                    if (added.length > 0) {
+                                        onJobFound(added, source.displayName, Math.round(currentProgress));
+                                    }
+                                    if (merged.length > 0 && onJobsMerged) {
+                                        onJobsMerged(merged, source.displayName);
+                                    }
                                 }
                             }
                         } else {
-                            console.log(`   ⚠️ No jobs returned from ${source.name} for "${query}"`);
+                            console.log(`   ⚠️ No jobs returned from ${source.id} for "${query}"`);
                         }
                     } catch (queryError) {
-                        console.error(`   ❌ ${source.name} FAILED for "${query}":`, queryError.message);
+                        console.error(`   ❌ ${source.id} FAILED for "${query}":`, queryError.message);
                         continue;
                     }
                     
                     await new Promise(resolve => setTimeout(resolve, delayBetweenQueries));
                 }
                 
-                console.log(`   🏁 ${source.name} COMPLETED: ${sourceMatchedJobs.length} final jobs`);
+                console.log(`   🏁 ${source.id} COMPLETED: ${sourceMatchedJobs.length} final jobs`);
                 
                 currentProgress = sourceEndProgress;
-                onProgress(`Completed ${source.name} with ${sourceMatchedJobs.length} matches`, currentProgress);
+                onProgress(`Completed ${source.displayName} with ${sourceMatchedJobs.length} matches`, Math.round(currentProgress));
                 
             } catch (sourceError) {
-                console.error(`❌ ${source.name} SOURCE FAILED:`, sourceError.message);
+                console.error(`❌ ${source.id} SOURCE FAILED:`, sourceError.message);
                 
                 currentProgress = sourceEndProgress;
-                onProgress(`Error with ${source.name}`, currentProgress);
+                onProgress(`Error with ${source.displayName}`, Math.round(currentProgress));
             }
             
             await new Promise(resolve => setTimeout(resolve, 1000));
@@ -585,17 +491,14 @@ export class JobSearchService {
             
             console.log(`🕷️ Scraping found ${scrapingResults.jobs.length} additional jobs`);
             
-            // Add scraped jobs to the main results
-            scrapingResults.jobs.forEach(job => {
-                const key = `${job.title.toLowerCase().trim()}-${job.company.toLowerCase().trim()}`;
-                if (!processedJobKeys.has(key)) {
-                    processedJobKeys.add(key);
-                    allJobs.push(job);
-                    if (onJobFound) {
-                        onJobFound(job);
-                    }
-                }
-            });
+            // Add scraped jobs to the main results, merging copies of jobs found by the APIs
+            const { added, merged } = jobDeduplicator.addJobs(allJobs, this.filterByMustHaveSkills(scrapingResults.jobs, analysis));
+            if (added.length > 0 && onJobFound) {
+                onJobFound(added, 'Web scraping', 95);
+            }
+            if (merged.length > 0 && onJobsMerged) {
+                onJobsMerged(merged, 'Web scraping');
+            }
             
             console.log(`🕷️ After scraping: ${allJobs.length} total jobs`);
         } catch (error) {
@@ -605,6 +508,9 @@ export class JobSearchService {
 
         console.log(`\n🎯 === SEARCH COMPLETED ===`);
         console.log(`Total jobs found: ${allJobs.length}`);
+
+        // Company profiles from every source, written once for the whole search
+        await companyRegistry.flush();
         
         // Get API status for user messages
         const apiStatusReport = apiManager.getApiStatusReport();
@@ -636,7 +542,7 @@ export class JobSearchService {
         };
         
         // Cache the results
-        await cacheManager.cacheJobSearch(queries[0], filters, finalResults);
+        await cacheManager.cacheJobSearch(queries[0], cacheFilters, finalResults);
         console.log('💾 Results cached for future searches');
         
         return finalResults;
@@ -0,0 +1,81 @@
+// services/json-file-store.js - Small JSON file persistence for runtime state
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * JSON File Store
+ * Reads and writes one JSON document. Writes are synchronous so concurrent
+ * requests never interleave, and a read-only filesystem (e.g. a serverless
+ * deployment without a writable ./data) only costs persistence, not the feature.
+ * Serverless deployments share state through KvStore (services/state-store.js)
+ */
+export class JsonFileStore {
+    /**
+     * @param {string} filePath - File to persist to
+     * @param {string} label - Name used in log messages, e.g. "quota ledger"
+     */
+    constructor(filePath, label) {
+        this.filePath = filePath;
+        this.label = label;
+        this.writeFailed = false;
+        this.loaded = false;
+    }
+
+    /**
+     * Read the stored document - state shared between processes is re-read
+     * before each update, so only the first read is logged
+     * @param {*} fallback - Returned when the file is missing or unreadable
+     * @returns {*} Parsed document
+     */
+    read(fallback) {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                if (!this.loaded) console.log(`📒 ${this.label} loaded from ${this.filePath}`);
+                this.loaded = true;
+                return data ?? fallback;
+            }
+        } catch (error) {
+            console.warn(`⚠️ Could not read ${this.label} ${this.filePath}: ${error.message}`);
+        }
+        return fallback;
+    }
+
+    /**
+     * Write the document, warning once if the filesystem refuses
+     * @param {*} data - JSON-serializable document
+     */
+    write(data) {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(this.filePath, JSON.stringify(data, null, 2));
+            this.writeFailed = false;
+        } catch (error) {
+            if (!this.writeFailed) {
+                console.warn(`⚠️ Could not write ${this.label} ${this.filePath}: ${error.message} - keeping it in memory only`);
+            }
+            this.writeFailed = true;
+        }
+    }
+
+    /**
+     * Where the document lives and whether it persists. On Vercel every function
+     * instance has its own file system, so state there is lost on cold starts
+     * @returns {Object} { label, backend, location, persistent, reason }
+     */
+    getStatus() {
+        const reason = this.writeFailed
+            ? 'the file system is read-only'
+            : process.env.VERCEL
+                ? 'each serverless instance has its own file system - set KV_REST_API_URL and KV_REST_API_TOKEN'
+                : null;
+        return {
+            label: this.label,
+            backend: 'file',
+            location: this.filePath,
+            persistent: !reason,
+            ...(reason && { reason })
+        };
+    }
+}
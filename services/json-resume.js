@@ -0,0 +1,307 @@
+// json-resume.js - Converts between JSON Resume (jsonresume.org) documents and the analysis shape
+
+import { resumeSegmenter } from './resume-segmenter.js';
+import { employmentTimeline } from './employment-timeline.js';
+
+const JSON_RESUME_SCHEMA = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+const SOFT_SKILL_GROUP = /soft|interpersonal|leadership|communication|people|management skills/i;
+// Entry lists hand-written documents sometimes give as a single string
+const LIST_FIELDS = ['highlights', 'keywords'];
+
+/**
+ * Strings of a JSON Resume list field, accepting a single string for a one-item list
+ * @param {Array|string|undefined} value - Field value
+ * @returns {Array} Non-empty trimmed strings
+ */
+function toList(value) {
+    return [].concat(value ?? [])
+        .filter(item => typeof item === 'string' && item.trim().length > 0)
+        .map(item => item.trim());
+}
+
+/**
+ * JSON Resume Converter
+ * Builds the analysis used by /api/search-jobs straight from a JSON Resume
+ * document (no LLM call), and exports a stored analysis back to JSON Resume
+ */
+export class JsonResumeConverter {
+    /**
+     * Check that a document looks like a JSON Resume
+     * @param {Object} document - Candidate JSON Resume document
+     * @returns {Array} Validation errors (empty when valid)
+     */
+    validate(document) {
+        const errors = [];
+
+        if (!document || typeof document !== 'object' || Array.isArray(document)) {
+            return ['Document must be a JSON object'];
+        }
+
+        const sections = ['basics', 'work', 'education', 'skills', 'certificates', 'projects'];
+        if (!sections.some(section => document[section])) {
+            errors.push(`Document must contain at least one of: ${sections.join(', ')}`);
+        }
+
+        for (const section of ['work', 'volunteer', 'education', 'skills', 'certificates', 'awards', 'languages', 'projects']) {
+            if (document[section] === undefined) continue;
+            if (!Array.isArray(document[section])) {
+                errors.push(`"${section}" must be an array`);
+                continue;
+            }
+
+            document[section].forEach((entry, index) => {
+                // Some exporters list skills as plain strings
+                if (section === 'skills' && typeof entry === 'string') return;
+                if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+                    errors.push(`"${section}[${index}]" must be an object`);
+                    return;
+                }
+                LIST_FIELDS.forEach(field => {
+                    if (entry[field] !== undefined && typeof entry[field] !== 'string' && !Array.isArray(entry[field])) {
+                        errors.push(`"${section}[${index}].${field}" must be an array of strings`);
+                    }
+                });
+            });
+        }
+
+        if (document.basics !== undefined && (typeof document.basics !== 'object' || Array.isArray(document.basics))) {
+            errors.push('"basics" must be an object');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Parse a JSON Resume ISO date (YYYY, YYYY-MM or YYYY-MM-DD)
+     * @param {string} value - ISO date string
+     * @param {boolean} isEnd - Whether the date closes a range
+     * @returns {Object|null} Parsed date from employmentTimeline.parseDate
+     */
+    parseIsoDate(value, isEnd = false) {
+        if (!value || typeof value !== 'string') return null;
+        return employmentTimeline.parseDate(value.trim().slice(0, 7), isEnd);
+    }
+
+    /**
+     * Turn JSON Resume work entries into structured positions
+     * @param {Array} work - JSON Resume work entries
+     * @returns {Array} Positions in the employment timeline shape
+     */
+    toPositions(work) {
+        return (work || []).map(entry => {
+            const start = this.parseIsoDate(entry.startDate);
+            if (!start) return null;
+
+            const end = this.parseIsoDate(entry.endDate, true) || employmentTimeline.parseDate('present');
+            const summary = typeof entry.summary === 'string' && entry.summary.trim() ? entry.summary.trim() : undefined;
+            const highlights = toList(entry.highlights);
+
+            // summary and highlights are kept apart so an export gives back the same fields
+            return {
+                title: (entry.position || '').trim(),
+                employer: (entry.name || entry.company || '').trim(),
+                start: employmentTimeline.formatDate(start),
+                end: end.current ? 'present' : employmentTimeline.formatDate(end),
+                current: end.current,
+                durationMonths: employmentTimeline.monthsBetween(start, end),
+                bullets: [summary, ...highlights].filter(Boolean),
+                summary,
+                highlights
+            };
+        }).filter(position => position && position.durationMonths > 0);
+    }
+
+    /**
+     * Describe a JSON Resume education entry as a single line
+     */
+    formatEducation(entry) {
+        const degree = [entry.studyType, entry.area].filter(Boolean).join(' in ');
+        return [degree, entry.institution].filter(Boolean).join(', ');
+    }
+
+    /**
+     * Convert a JSON Resume document into the analysis shape
+     * @param {Object} document - JSON Resume document
+     * @returns {Object} Resume analysis
+     */
+    toAnalysis(document) {
+        const errors = this.validate(document);
+        if (errors.length > 0) {
+            throw new Error(`Invalid JSON Resume: ${errors.join('; ')}`);
+        }
+
+        const basics = document.basics || {};
+        const work = document.work || [];
+        const sectionResults = [];
+
+        // Each JSON Resume section maps onto the resume section it would have been parsed from
+        sectionResults.push({
+            section: 'summary',
+            analysis: {
+                workExperience: basics.label ? [basics.label] : [],
+                qualifications: basics.summary ? [basics.summary] : []
+            }
+        });
+
+        sectionResults.push({
+            section: 'experience',
+            analysis: {
+                workExperience: work.map(entry => entry.position).filter(Boolean),
+                responsibilities: work.map(entry => entry.summary).filter(Boolean),
+                achievements: work.flatMap(entry => toList(entry.highlights))
+            }
+        });
+
+        const technicalSkills = [];
+        const softSkills = [];
+        for (const skill of document.skills || []) {
+            // Some exporters list skills as plain strings: ["Go", "Kubernetes"]
+            if (typeof skill === 'string') {
+                if (skill.trim()) technicalSkills.push(skill.trim());
+                continue;
+            }
+            if (!skill || typeof skill !== 'object') continue;
+
+            const target = SOFT_SKILL_GROUP.test(skill.name || '') ? softSkills : technicalSkills;
+            const keywords = toList(skill.keywords);
+            // Group names like "Web Development" are only useful when they have no keywords
+            target.push(...(keywords.length > 0 ? keywords : [skill.name].filter(Boolean)));
+        }
+        sectionResults.push({ section: 'skills', analysis: { technicalSkills, softSkills } });
+
+        sectionResults.push({
+            section: 'education',
+            analysis: {
+                education: (document.education || []).map(entry => this.formatEducation(entry)).filter(Boolean)
+            }
+        });
+
+        sectionResults.push({
+            section: 'certifications',
+            analysis: {
+                education: (document.certificates || []).map(entry => entry.name).filter(Boolean)
+            }
+        });
+
+        sectionResults.push({
+            section: 'projects',
+            analysis: {
+                technicalSkills: (document.projects || []).flatMap(project => toList(project.keywords)),
+                achievements: (document.projects || []).flatMap(project => toList(project.highlights))
+            }
+        });
+
+        sectionResults.push({
+            section: 'general',
+            analysis: {
+                achievements: (document.awards || [])
+                    .map(award => [award.title, award.awarder].filter(Boolean).join(' - '))
+                    .filter(Boolean),
+                qualifications: (document.languages || [])
+                    .map(language => [language.language, language.fluency && `(${language.fluency})`].filter(Boolean).join(' '))
+                    .filter(Boolean)
+            }
+        });
+
+        const analysis = resumeSegmenter.mergeSectionAnalyses(sectionResults);
+        analysis.sections = sectionResults
+            .filter(result => resumeSegmenter.analysisCategories.some(category => (result.analysis[category] || []).length > 0))
+            .map(result => result.section);
+
+        employmentTimeline.applyPositions(analysis, this.toPositions(work));
+
+        analysis.basics = basics;
+        analysis.source = 'json-resume';
+
+        console.log(`✅ JSON Resume converted: ${analysis.technicalSkills.length} skills, ${analysis.positions.length} positions, ${analysis.totalYearsExperience} years`);
+        return analysis;
+    }
+
+    /**
+     * Split an analysis education line back into JSON Resume fields
+     */
+    parseEducation(line) {
+        const commaIndex = line.lastIndexOf(', ');
+        const degree = commaIndex >= 0 ? line.slice(0, commaIndex) : line;
+        const institution = commaIndex >= 0 ? line.slice(commaIndex + 2) : undefined;
+        const [studyType, ...areaParts] = degree.split(' in ');
+
+        return {
+            institution,
+            studyType: studyType || undefined,
+            area: areaParts.length > 0 ? areaParts.join(' in ') : undefined
+        };
+    }
+
+    /**
+     * Convert a stored analysis back into a JSON Resume document
+     * @param {Object} analysis - Resume analysis
+     * @returns {Object} JSON Resume document
+     */
+    fromAnalysis(analysis) {
+        if (!analysis || typeof analysis !== 'object') {
+            throw new Error('Analysis must be an object');
+        }
+
+        const sectionSources = analysis.sectionSources || {};
+        const fromSection = (category, item, section) => (sectionSources[category]?.[item] || []).includes(section);
+        const positions = analysis.positions || [];
+
+        const basics = { ...(analysis.basics || {}) };
+        if (!basics.label && positions.length > 0) {
+            basics.label = positions[0].title;
+        }
+
+        // Positions parsed from resume text have bullets only; those are all highlights
+        const work = positions.map(position => ({
+            name: position.employer || undefined,
+            position: position.title || undefined,
+            startDate: position.start,
+            endDate: position.end === 'present' ? undefined : position.end,
+            summary: position.summary,
+            highlights: position.highlights || position.bullets || []
+        }));
+
+        const education = [];
+        const certificates = [];
+        for (const item of analysis.education || []) {
+            if (fromSection('education', item, 'certifications')) {
+                certificates.push({ name: item });
+            } else {
+                education.push(this.parseEducation(item));
+            }
+        }
+
+        const skills = [];
+        const skillYears = analysis.skillYears || {};
+        if ((analysis.technicalSkills || []).length > 0) {
+            skills.push(...analysis.technicalSkills.map(skill => ({
+                name: skill,
+                level: skillYears[skill] ? `${skillYears[skill]} years` : undefined,
+                keywords: []
+            })));
+        }
+        if ((analysis.softSkills || []).length > 0) {
+            skills.push({ name: 'Soft Skills', keywords: analysis.softSkills });
+        }
+
+        // JSON.stringify drops the undefined fields we left for optional properties
+        return JSON.parse(JSON.stringify({
+            $schema: JSON_RESUME_SCHEMA,
+            basics,
+            work,
+            education,
+            certificates,
+            skills,
+            meta: {
+                version: 'v1.0.0',
+                lastModified: new Date().toISOString(),
+                seniorityLevel: analysis.seniorityLevel,
+                totalYearsExperience: analysis.totalYearsExperience
+            }
+        }));
+    }
+}
+
+// Export singleton instance
+export const jsonResume = new JsonResumeConverter();
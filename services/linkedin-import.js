@@ -0,0 +1,238 @@
+// linkedin-import.js - Builds a resume analysis from a LinkedIn "Get a copy of your data" archive
+
+import JSZip from 'jszip';
+import { resumeSegmenter } from './resume-segmenter.js';
+import { employmentTimeline } from './employment-timeline.js';
+import {
+    EXPERIENCE_PATTERNS, INDUSTRY_PATTERNS, RESPONSIBILITY_PATTERNS,
+    TECH_SKILLS, SOFT_SKILLS, matchVocabulary, normalizeSkill
+} from './skill-vocabulary.js';
+
+/**
+ * LinkedIn Importer
+ * Reads Positions.csv, Skills.csv, Education.csv and Certifications.csv (plus
+ * Profile.csv when present) and returns the same analysis shape as analyzeResume,
+ * without any OpenAI call
+ */
+export class LinkedInImporter {
+    constructor() {
+        // File name -> a column that marks the header row
+        this.files = {
+            positions: { name: 'positions.csv', headerColumn: 'Title' },
+            skills: { name: 'skills.csv', headerColumn: 'Name' },
+            education: { name: 'education.csv', headerColumn: 'School Name' },
+            certifications: { name: 'certifications.csv', headerColumn: 'Name' },
+            profile: { name: 'profile.csv', headerColumn: 'First Name' }
+        };
+    }
+
+    /**
+     * Parse CSV text into rows of fields, handling quoted fields and embedded newlines
+     * @param {string} text - CSV text
+     * @returns {Array} Array of string arrays
+     */
+    parseCsvRows(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        const input = (text || '').replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+
+            if (inQuotes) {
+                if (char === '"' && input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows.filter(fields => fields.some(value => value.trim() !== ''));
+    }
+
+    /**
+     * Parse CSV text into objects keyed by header. LinkedIn prefixes some files
+     * with "Notes:" lines, so the header is the first row containing headerColumn
+     * @param {string} text - CSV text
+     * @param {string} headerColumn - Column name that identifies the header row
+     * @returns {Array} Row objects
+     */
+    parseCsv(text, headerColumn) {
+        const rows = this.parseCsvRows(text);
+        const headerIndex = rows.findIndex(fields => fields.map(value => value.trim()).includes(headerColumn));
+        if (headerIndex < 0) return [];
+
+        const headers = rows[headerIndex].map(value => value.trim());
+        return rows.slice(headerIndex + 1).map(fields =>
+            Object.fromEntries(headers.map((header, index) => [header, (fields[index] || '').trim()]))
+        );
+    }
+
+    /**
+     * Read the CSV files we care about out of the archive
+     * @param {Buffer} buffer - Zip archive contents
+     * @returns {Promise<Object>} Map of file key -> row objects
+     */
+    async readArchive(buffer) {
+        let zip;
+        try {
+            zip = await JSZip.loadAsync(buffer);
+        } catch (error) {
+            console.error('❌ Failed to open LinkedIn archive:', error.message);
+            throw new Error('Invalid LinkedIn archive: the file is not a readable ZIP archive');
+        }
+
+        const entries = Object.values(zip.files).filter(entry => !entry.dir);
+        const data = {};
+
+        for (const [key, { name, headerColumn }] of Object.entries(this.files)) {
+            // Files may sit at the archive root or inside a folder
+            const entry = entries.find(file => file.name.split('/').pop().toLowerCase() === name);
+            data[key] = entry ? this.parseCsv(await entry.async('string'), headerColumn) : [];
+        }
+
+        const found = Object.entries(data).filter(([, rows]) => rows.length > 0).map(([key]) => key);
+        console.log(`📦 LinkedIn archive: ${entries.length} files, using ${found.join(', ') || 'none'}`);
+
+        if (data.positions.length === 0 && data.skills.length === 0) {
+            throw new Error('Invalid LinkedIn archive: Positions.csv and Skills.csv are missing or empty');
+        }
+
+        return data;
+    }
+
+    /**
+     * Turn Positions.csv rows into structured positions
+     * @param {Array} rows - Positions.csv rows
+     * @returns {Array} Positions in the employment timeline shape
+     */
+    toPositions(rows) {
+        return rows.map(row => {
+            const start = employmentTimeline.parseDate(row['Started On']);
+            if (!start) return null;
+
+            // An empty "Finished On" means the role is current
+            const end = employmentTimeline.parseDate(row['Finished On'] || 'present', true);
+            if (!end) return null;
+
+            const bullets = (row['Description'] || '')
+                .split(/\n+/)
+                .map(line => line.replace(/^[•●▪◦*\-–]\s*/, '').trim())
+                .filter(line => line.length > 2);
+
+            return {
+                title: row['Title'] || '',
+                employer: row['Company Name'] || '',
+                start: employmentTimeline.formatDate(start),
+                end: end.current ? 'present' : employmentTimeline.formatDate(end),
+                current: end.current,
+                durationMonths: employmentTimeline.monthsBetween(start, end),
+                bullets
+            };
+        }).filter(position => position && position.durationMonths > 0);
+    }
+
+    /**
+     * Describe an Education.csv row as a single line
+     */
+    formatEducation(row) {
+        return [row['Degree Name'], row['School Name']].filter(Boolean).join(', ');
+    }
+
+    /**
+     * Build an analysis from a LinkedIn data export archive
+     * @param {Buffer} buffer - Zip archive contents
+     * @returns {Promise<Object>} Resume analysis
+     */
+    async importArchive(buffer) {
+        const data = await this.readArchive(buffer);
+        const profile = data.profile[0] || {};
+        const positionText = data.positions
+            .map(row => `${row['Title'] || ''}\n${row['Company Name'] || ''}\n${row['Description'] || ''}`)
+            .join('\n\n');
+
+        const skills = { technicalSkills: [], softSkills: [] };
+        for (const row of data.skills) {
+            const normalized = normalizeSkill(row['Name']);
+            if (normalized) skills[normalized.category].push(normalized.skill);
+        }
+
+        const sectionResults = [
+            {
+                section: 'summary',
+                analysis: {
+                    workExperience: profile['Headline'] ? [profile['Headline']] : [],
+                    industries: profile['Industry'] ? [profile['Industry']] : []
+                }
+            },
+            {
+                section: 'experience',
+                analysis: {
+                    workExperience: [
+                        ...data.positions.map(row => row['Title']).filter(Boolean),
+                        ...matchVocabulary(positionText, EXPERIENCE_PATTERNS)
+                    ],
+                    technicalSkills: matchVocabulary(positionText, TECH_SKILLS),
+                    softSkills: matchVocabulary(positionText, SOFT_SKILLS),
+                    industries: matchVocabulary(positionText, INDUSTRY_PATTERNS),
+                    responsibilities: matchVocabulary(positionText, RESPONSIBILITY_PATTERNS)
+                }
+            },
+            { section: 'skills', analysis: skills },
+            {
+                section: 'education',
+                analysis: { education: data.education.map(row => this.formatEducation(row)).filter(Boolean) }
+            },
+            {
+                section: 'certifications',
+                analysis: { education: data.certifications.map(row => row['Name']).filter(Boolean) }
+            }
+        ];
+
+        const analysis = resumeSegmenter.mergeSectionAnalyses(sectionResults);
+        analysis.sections = sectionResults
+            .filter(result => resumeSegmenter.analysisCategories.some(category => (result.analysis[category] || []).length > 0))
+            .map(result => result.section);
+
+        employmentTimeline.applyPositions(analysis, this.toPositions(data.positions));
+
+        if (profile['First Name'] || profile['Summary']) {
+            analysis.basics = {
+                name: [profile['First Name'], profile['Last Name']].filter(Boolean).join(' '),
+                label: profile['Headline'] || undefined,
+                summary: profile['Summary'] || undefined
+            };
+        }
+        analysis.source = 'linkedin';
+
+        console.log(`✅ LinkedIn import: ${analysis.technicalSkills.length} technical skills, ${analysis.positions.length} positions, ${analysis.totalYearsExperience} years`);
+        return analysis;
+    }
+}
+
+// Export singleton instance
+export const linkedInImporter = new LinkedInImporter();
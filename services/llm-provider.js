@@ -0,0 +1,397 @@
+// llm-provider.js - Pluggable LLM providers for chat completions and JSON output
+
+import OpenAI from 'openai';
+import { apiConfig } from '../config/api-config.js';
+import {
+    TECH_SKILLS, SOFT_SKILLS, EXPERIENCE_PATTERNS, INDUSTRY_PATTERNS,
+    RESPONSIBILITY_PATTERNS, EDUCATION_PATTERNS, QUALIFICATION_PATTERNS, matchVocabulary
+} from './skill-vocabulary.js';
+import { validateResponse } from './llm-schemas.js';
+
+// Models that accept response_format json_schema when LLM_STRUCTURED_OUTPUTS is 'auto'
+const STRUCTURED_OUTPUT_MODELS = /^(gpt-4o|gpt-4\.1|gpt-5|o[1-9])/;
+const MAX_RECENT_FAILURES = 20;
+
+/**
+ * Base LLM Provider
+ * All providers expose chat() for raw completions and chatJson() for parsed JSON,
+ * and pick the model for each task from config/api-config.js
+ */
+export class LlmProvider {
+    constructor(name, config) {
+        this.name = name;
+        this.config = config;
+        this.callCount = 0;
+        this.errorCount = 0;
+        this.validationStats = {
+            validated: 0,
+            failures: 0,
+            repairAttempts: 0,
+            repaired: 0,
+            failedAfterRepair: 0,
+            coercions: 0,
+            bySchema: {},
+            recentFailures: []
+        };
+    }
+
+    /**
+     * Whether the provider has what it needs to make calls
+     * @returns {boolean} True if configured
+     */
+    isConfigured() {
+        return true;
+    }
+
+    /**
+     * Run one completion - must be implemented by subclasses
+     * @param {Object} request - { task, model, messages, temperature, maxTokens, json, schema }
+     * @returns {Promise<string>} Completion text
+     */
+    async complete(request) {
+        throw new Error('complete() method must be implemented by subclass');
+    }
+
+    /**
+     * Whether the provider can constrain output to a JSON schema for a model
+     * @param {string} model - Model name
+     * @returns {boolean} True if structured output mode is available
+     */
+    supportsStructuredOutputs(model) {
+        return false;
+    }
+
+    /**
+     * Run a chat completion for a task
+     * @param {Object} options - { task, messages, temperature, maxTokens, json, schema }
+     * @returns {Promise<Object>} { content, model, provider }
+     */
+    async chat({ task = 'default', messages, temperature = 0.1, maxTokens = 1000, json = false, schema = null }) {
+        const model = apiConfig.getModelForTask(task);
+        const startTime = Date.now();
+        this.callCount++;
+
+        try {
+            const content = await this.complete({ task, model, messages, temperature, maxTokens, json, schema });
+            console.log(`🤖 ${this.name} ${task} completed with ${model} in ${Date.now() - startTime}ms`);
+            return { content: (content || '').trim(), model, provider: this.name };
+        } catch (error) {
+            this.errorCount++;
+            console.error(`❌ ${this.name} ${task} failed with ${model}:`, error.message);
+            throw new Error(`${this.name} request failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Run a chat completion and parse the reply as JSON. With a schema from
+     * services/llm-schemas.js the reply is validated and coerced, and an invalid
+     * reply gets one repair attempt before the call fails
+     * @param {Object} options - Same as chat(), plus an optional schema
+     * @returns {Promise<Object>} Parsed (and validated) JSON object
+     */
+    async chatJson({ schema = null, ...options }) {
+        const { content } = await this.chat({ ...options, json: true, schema });
+        if (!schema) {
+            return this.parseJson(content);
+        }
+
+        const result = this.validateContent(content, schema);
+        if (result.valid) {
+            return result.value;
+        }
+
+        this.recordValidationFailure(schema, options.task, result.errors, false);
+        console.warn(`⚠️ ${this.name} ${options.task} reply failed ${schema.name} validation (${result.errors.slice(0, 3).join('; ')}), asking for a repair`);
+
+        // Show the model its own reply and exactly what was wrong with it
+        this.validationStats.repairAttempts++;
+        const { content: repairedContent } = await this.chat({
+            ...options,
+            json: true,
+            schema,
+            messages: [
+                ...options.messages,
+                { role: 'assistant', content },
+                { role: 'user', content: this.buildRepairPrompt(schema, result.errors) }
+            ]
+        });
+
+        const repaired = this.validateContent(repairedContent, schema);
+        if (repaired.valid) {
+            this.validationStats.repaired++;
+            console.log(`🔧 ${this.name} ${options.task} reply repaired`);
+            return repaired.value;
+        }
+
+        this.recordValidationFailure(schema, options.task, repaired.errors, true);
+        throw new Error(`Invalid ${schema.name} response after repair: ${repaired.errors.slice(0, 3).join('; ')}`);
+    }
+
+    /**
+     * Parse a reply and validate it against a schema
+     * @param {string} content - Model reply
+     * @param {Object} schema - Response schema
+     * @returns {Object} { valid, value, errors, coercions }
+     */
+    validateContent(content, schema) {
+        this.validationStats.validated++;
+
+        let parsed;
+        try {
+            parsed = this.parseJson(content);
+        } catch (error) {
+            return { valid: false, value: null, errors: [error.message], coercions: [] };
+        }
+
+        const result = validateResponse(parsed, schema);
+        this.validationStats.coercions += result.coercions.length;
+        return result;
+    }
+
+    /**
+     * Build the follow-up message asking the model to fix an invalid reply
+     * @param {Object} schema - Response schema
+     * @param {Array} errors - Validation errors
+     * @returns {string} Repair prompt
+     */
+    buildRepairPrompt(schema, errors) {
+        return `Your previous reply did not match the required JSON format:
+${errors.slice(0, 10).map(error => `- ${error}`).join('\n')}
+
+Reply again with ONLY a JSON object that fixes these problems and matches this JSON schema:
+${JSON.stringify(schema.schema)}`;
+    }
+
+    /**
+     * Record a validation failure in the provider metrics
+     * @param {Object} schema - Response schema
+     * @param {string} task - Task name
+     * @param {Array} errors - Validation errors
+     * @param {boolean} afterRepair - Whether the repair attempt also failed
+     */
+    recordValidationFailure(schema, task, errors, afterRepair) {
+        const stats = this.validationStats;
+        stats.failures++;
+        if (afterRepair) stats.failedAfterRepair++;
+
+        const schemaStats = stats.bySchema[schema.name] || (stats.bySchema[schema.name] = { failures: 0, failedAfterRepair: 0 });
+        schemaStats.failures++;
+        if (afterRepair) schemaStats.failedAfterRepair++;
+
+        stats.recentFailures.unshift({
+            schema: schema.name,
+            task,
+            afterRepair,
+            errors: errors.slice(0, 5),
+            timestamp: new Date().toISOString()
+        });
+        stats.recentFailures.length = Math.min(stats.recentFailures.length, MAX_RECENT_FAILURES);
+    }
+
+    /**
+     * Parse JSON from a model reply, tolerating code fences and surrounding prose
+     * @param {string} content - Model reply
+     * @returns {Object} Parsed JSON object
+     */
+    parseJson(content) {
+        const cleanedText = (content || '').replace(/```json\s*|\s*```/g, '').trim();
+
+        try {
+            return JSON.parse(cleanedText);
+        } catch (parseError) {
+            const jsonMatch = cleanedText.match(/\{[\s\S]*\}/);
+            if (!jsonMatch) {
+                throw new Error('No valid JSON found in AI response');
+            }
+            return JSON.parse(jsonMatch[0]);
+        }
+    }
+
+    /**
+     * Get usage statistics for the provider
+     * @returns {Object} Usage statistics
+     */
+    getUsageStats() {
+        return {
+            provider: this.name,
+            configured: this.isConfigured(),
+            callCount: this.callCount,
+            errorCount: this.errorCount,
+            validation: this.validationStats
+        };
+    }
+}
+
+/**
+ * OpenAI Provider
+ * Uses the official SDK against api.openai.com (or a custom baseURL)
+ */
+export class OpenAIProvider extends LlmProvider {
+    constructor(config, name = 'OpenAI') {
+        super(name, config);
+        this.client = null;
+    }
+
+    isConfigured() {
+        return !!this.config.apiKey;
+    }
+
+    /**
+     * Create the SDK client on first use
+     */
+    getClient() {
+        if (!this.client) {
+            this.client = new OpenAI({
+                apiKey: this.config.apiKey,
+                baseURL: this.config.baseUrl || undefined,
+                timeout: this.config.timeout,
+                maxRetries: this.config.maxRetries
+            });
+        }
+        return this.client;
+    }
+
+    supportsStructuredOutputs(model) {
+        const setting = this.config.structuredOutputs;
+        if (setting === 'true' || setting === 'false') return setting === 'true';
+        return STRUCTURED_OUTPUT_MODELS.test(model);
+    }
+
+    /**
+     * Pick the response_format for a request: the JSON schema itself where the
+     * model supports structured outputs, otherwise plain JSON mode
+     */
+    getResponseFormat({ model, json, schema }) {
+        if (schema && this.supportsStructuredOutputs(model)) {
+            return { type: 'json_schema', json_schema: { name: schema.name, schema: schema.schema, strict: true } };
+        }
+        if (json && this.config.jsonMode) {
+            return { type: 'json_object' };
+        }
+        return null;
+    }
+
+    async complete({ model, messages, temperature, maxTokens, json, schema }) {
+        const responseFormat = this.getResponseFormat({ model, json, schema });
+        const response = await this.getClient().chat.completions.create({
+            model,
+            messages,
+            temperature,
+            max_tokens: maxTokens,
+            ...(responseFormat ? { response_format: responseFormat } : {})
+        });
+
+        return response.choices[0].message.content;
+    }
+}
+
+/**
+ * OpenAI-compatible Provider
+ * Any server that speaks the OpenAI chat completions API (Ollama, llama.cpp, vLLM)
+ */
+export class OpenAICompatibleProvider extends OpenAIProvider {
+    constructor(config) {
+        // Local servers usually ignore the key, but the SDK insists on one
+        super({ ...config, apiKey: config.apiKey || 'not-needed' }, 'OpenAI-compatible');
+    }
+
+    isConfigured() {
+        return !!this.config.baseUrl;
+    }
+
+    supportsStructuredOutputs(model) {
+        // Schema support varies by server, so local servers only get it when asked for
+        return this.config.structuredOutputs === 'true';
+    }
+}
+
+/**
+ * Fake Provider
+ * Deterministic, offline stand-in that answers each task with keyword matching,
+ * so the whole app can run and be tested without network access
+ */
+export class FakeProvider extends LlmProvider {
+    constructor(config) {
+        super('Fake', config);
+    }
+
+    async complete({ task, messages }) {
+        const prompt = messages.filter(message => message.role === 'user').map(message => message.content).join('\n');
+
+        switch (task) {
+            case 'resumeAnalysis':
+                return JSON.stringify(this.analyzeResume(prompt));
+            case 'jobMatch':
+                return JSON.stringify(this.matchJob(prompt));
+            default:
+                return '{}';
+        }
+    }
+
+    /**
+     * Keyword-based stand-in for resume analysis
+     */
+    analyzeResume(prompt) {
+        return {
+            technicalSkills: matchVocabulary(prompt, TECH_SKILLS),
+            softSkills: matchVocabulary(prompt, SOFT_SKILLS),
+            workExperience: matchVocabulary(prompt, EXPERIENCE_PATTERNS),
+            education: matchVocabulary(prompt, EDUCATION_PATTERNS),
+            qualifications: matchVocabulary(prompt, QUALIFICATION_PATTERNS),
+            industries: matchVocabulary(prompt, INDUSTRY_PATTERNS),
+            responsibilities: matchVocabulary(prompt, RESPONSIBILITY_PATTERNS),
+            achievements: [],
+            seniorityLevel: 'mid'
+        };
+    }
+
+    /**
+     * Skill-overlap stand-in for job matching, reading the candidate and job out of the prompt
+     */
+    matchJob(prompt) {
+        const skillsLine = prompt.match(/Technical Skills:\s*(.*)/i)?.[1] || '';
+        const candidateSkills = skillsLine.split(',').map(skill => skill.trim()).filter(skill => skill && skill !== 'None');
+        const jobStart = prompt.search(/JOB POSTING:/i);
+        const jobEnd = prompt.search(/CANDIDATE PROFILE:/i);
+        const jobText = jobStart >= 0 ? prompt.slice(jobStart, jobEnd > jobStart ? jobEnd : undefined) : prompt;
+
+        const matched = matchVocabulary(jobText, candidateSkills);
+        const required = matchVocabulary(jobText, TECH_SKILLS);
+        const missing = required.filter(skill => !candidateSkills.some(candidate => candidate.toLowerCase() === skill));
+        const coverage = required.length > 0 ? (required.length - missing.length) / required.length : 1;
+
+        return {
+            matchPercentage: Math.round(60 + coverage * 40),
+            matchedTechnicalSkills: matched,
+            matchedSoftSkills: [],
+            matchedExperience: [],
+            missingRequirements: missing.length > 0 ? missing : ['None'],
+            reasoning: `Offline match: ${required.length - missing.length}/${required.length} required skills found`,
+            industryMatch: 70,
+            seniorityMatch: 70,
+            growthPotential: 'medium'
+        };
+    }
+}
+
+/**
+ * Create the provider named in the LLM configuration
+ * @param {Object} config - LLM configuration from apiConfig.getLlmConfig()
+ * @returns {LlmProvider} Provider instance
+ */
+export function createLlmProvider(config) {
+    switch (config.provider) {
+        case 'fake':
+            return new FakeProvider(config);
+        case 'openai-compatible':
+            return new OpenAICompatibleProvider(config);
+        case 'openai':
+            return new OpenAIProvider(config);
+        default:
+            console.warn(`⚠️ Unknown LLM provider "${config.provider}", falling back to OpenAI`);
+            return new OpenAIProvider(config);
+    }
+}
+
+// Export singleton instance
+export const llmProvider = createLlmProvider(apiConfig.getLlmConfig());
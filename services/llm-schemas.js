@@ -0,0 +1,243 @@
+// llm-schemas.js - JSON schemas for LLM responses, with validation and coercion
+
+const stringList = (description) => ({
+    type: 'array',
+    description,
+    items: { type: 'string' }
+});
+
+const score = (description) => ({
+    type: 'integer',
+    description,
+    minimum: 0,
+    maximum: 100
+});
+
+// Object fields that usually carry the readable part when a model returns objects instead of strings
+const LABEL_FIELDS = ['title', 'name', 'skill', 'role', 'jobTitle', 'position', 'degree', 'value', 'label', 'description'];
+
+/**
+ * Response schema for per-section resume analysis
+ */
+export const RESUME_ANALYSIS_SCHEMA = {
+    name: 'resume_analysis',
+    schema: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            technicalSkills: stringList('Technical skills, tools, software and programming languages'),
+            softSkills: stringList('Soft skills, leadership qualities and interpersonal skills'),
+            workExperience: stringList('Job titles, roles, responsibilities and functions performed'),
+            education: stringList('Degrees, certifications, courses and training programs'),
+            qualifications: stringList('Experience levels, specializations and achievements'),
+            industries: stringList('Industries and sectors worked in'),
+            responsibilities: stringList('Key responsibilities and functions'),
+            achievements: stringList('Key achievements and accomplishments'),
+            seniorityLevel: {
+                type: 'string',
+                description: 'Overall seniority of the candidate',
+                enum: ['entry', 'mid', 'senior', 'lead', 'executive']
+            }
+        },
+        required: [
+            'technicalSkills', 'softSkills', 'workExperience', 'education', 'qualifications',
+            'industries', 'responsibilities', 'achievements', 'seniorityLevel'
+        ]
+    }
+};
+
+/**
+ * Response schema for AI job matching
+ */
+export const JOB_MATCH_SCHEMA = {
+    name: 'job_match',
+    schema: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            matchPercentage: score('Overall comprehensive fit'),
+            matchedTechnicalSkills: stringList('Candidate skills that match job requirements'),
+            matchedSoftSkills: stringList('Candidate soft skills that match job needs'),
+            matchedExperience: stringList('Candidate experience that aligns with the job'),
+            missingRequirements: stringList('Job requirements the candidate lacks, or ["None"]'),
+            reasoning: { type: 'string', description: 'Explanation of the overall match assessment' },
+            industryMatch: score('Industry fit'),
+            seniorityMatch: score('Seniority fit'),
+            growthPotential: {
+                type: 'string',
+                description: 'Growth potential in the role',
+                enum: ['low', 'medium', 'high']
+            }
+        },
+        required: [
+            'matchPercentage', 'matchedTechnicalSkills', 'matchedSoftSkills', 'matchedExperience',
+            'missingRequirements', 'reasoning', 'industryMatch', 'seniorityMatch', 'growthPotential'
+        ]
+    }
+};
+
+/**
+ * Turn a non-string value into the string a model most likely meant
+ * @param {*} value - Value returned by the model
+ * @returns {string|null} String form, or null when there is nothing usable
+ */
+function toText(value) {
+    if (typeof value === 'string') return value;
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+
+    if (Array.isArray(value)) {
+        const parts = value.map(toText).filter(Boolean);
+        return parts.length > 0 ? parts.join(', ') : null;
+    }
+
+    if (value && typeof value === 'object') {
+        // { title: 'Engineer', company: 'Acme' } -> "Engineer"
+        const field = LABEL_FIELDS.find(key => typeof value[key] === 'string' && value[key].trim());
+        if (field) return value[field];
+
+        const parts = Object.values(value).filter(part => typeof part === 'string' && part.trim());
+        return parts.length > 0 ? parts.join(' - ') : null;
+    }
+
+    return null;
+}
+
+/**
+ * Validate a value against a schema, coercing near-misses into the expected shape.
+ * Supports the subset of JSON Schema used above: object, array, string, number,
+ * integer, enum, required, minimum and maximum
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON schema
+ * @param {string} path - Path of the value, used in messages
+ * @returns {Object} { value, errors, coercions }
+ */
+function check(value, schema, path) {
+    const errors = [];
+    const coercions = [];
+
+    switch (schema.type) {
+        case 'object': {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                errors.push(`${path} must be an object`);
+                return { value: null, errors, coercions };
+            }
+
+            const result = {};
+            for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+                const propertyPath = `${path}.${key}`;
+                if (value[key] === undefined || value[key] === null) {
+                    if ((schema.required || []).includes(key)) {
+                        errors.push(`${propertyPath} is required`);
+                    }
+                    continue;
+                }
+
+                const checked = check(value[key], propertySchema, propertyPath);
+                errors.push(...checked.errors);
+                coercions.push(...checked.coercions);
+                if (checked.value !== null) result[key] = checked.value;
+            }
+
+            if (schema.additionalProperties === false) {
+                const extra = Object.keys(value).filter(key => !(key in (schema.properties || {})));
+                if (extra.length > 0) coercions.push(`${path}: dropped unknown fields ${extra.join(', ')}`);
+            }
+
+            return { value: result, errors, coercions };
+        }
+
+        case 'array': {
+            let items = value;
+            if (typeof value === 'string') {
+                // "Python, SQL; Excel" -> ["Python", "SQL", "Excel"]
+                items = value.split(/[,;\n]/).map(item => item.trim()).filter(Boolean);
+                coercions.push(`${path}: split string into list`);
+            } else if (!Array.isArray(value)) {
+                items = [value];
+                coercions.push(`${path}: wrapped single value in list`);
+            }
+
+            const result = [];
+            items.forEach((item, index) => {
+                const checked = check(item, schema.items || {}, `${path}[${index}]`);
+                coercions.push(...checked.coercions);
+                // A bad item is dropped rather than failing the whole list
+                if (checked.errors.length > 0 || checked.value === null) {
+                    coercions.push(`${path}[${index}]: dropped invalid item`);
+                } else {
+                    result.push(checked.value);
+                }
+            });
+
+            return { value: result, errors, coercions };
+        }
+
+        case 'string': {
+            let text = value;
+            if (typeof value !== 'string') {
+                text = toText(value);
+                if (text === null) {
+                    errors.push(`${path} must be a string`);
+                    return { value: null, errors, coercions };
+                }
+                coercions.push(`${path}: converted ${Array.isArray(value) ? 'array' : typeof value} to string`);
+            }
+            text = text.trim();
+
+            if (schema.enum) {
+                const match = schema.enum.find(option => option.toLowerCase() === text.toLowerCase());
+                if (!match) {
+                    errors.push(`${path} must be one of ${schema.enum.join(', ')} (got "${text}")`);
+                    return { value: null, errors, coercions };
+                }
+                if (match !== text) coercions.push(`${path}: normalised "${text}" to "${match}"`);
+                text = match;
+            }
+
+            return { value: text, errors, coercions };
+        }
+
+        case 'number':
+        case 'integer': {
+            let number = value;
+            if (typeof value !== 'number') {
+                // "85%" or "85" -> 85
+                number = typeof value === 'string' ? parseFloat(value.replace(/[^0-9.\-]/g, '')) : NaN;
+                if (Number.isNaN(number)) {
+                    errors.push(`${path} must be a number`);
+                    return { value: null, errors, coercions };
+                }
+                coercions.push(`${path}: parsed number from ${typeof value}`);
+            }
+
+            if (schema.type === 'integer' && !Number.isInteger(number)) {
+                number = Math.round(number);
+                coercions.push(`${path}: rounded to integer`);
+            }
+            if (schema.minimum !== undefined && number < schema.minimum) {
+                number = schema.minimum;
+                coercions.push(`${path}: clamped to ${schema.minimum}`);
+            }
+            if (schema.maximum !== undefined && number > schema.maximum) {
+                number = schema.maximum;
+                coercions.push(`${path}: clamped to ${schema.maximum}`);
+            }
+
+            return { value: number, errors, coercions };
+        }
+
+        default:
+            return { value, errors, coercions };
+    }
+}
+
+/**
+ * Validate an LLM response against one of the schemas above and coerce it into shape
+ * @param {*} data - Parsed model output
+ * @param {Object} responseSchema - RESUME_ANALYSIS_SCHEMA, JOB_MATCH_SCHEMA, ...
+ * @returns {Object} { valid, value, errors, coercions }
+ */
+export function validateResponse(data, responseSchema) {
+    const { value, errors, coercions } = check(data, responseSchema.schema, responseSchema.name);
+    return { valid: errors.length === 0, value, errors, coercions };
+}
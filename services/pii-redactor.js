@@ -0,0 +1,213 @@
+// pii-redactor.js - Masks personal details in resume text before it is sent to an LLM
+
+import { apiConfig } from '../config/api-config.js';
+import { resumeSegmenter } from './resume-segmenter.js';
+import { TECH_SKILLS, SKILL_ALIASES } from './skill-vocabulary.js';
+
+const PROFILE_HOSTS = [
+    'linkedin\\.com\\/(?:in|pub)', 'github\\.com', 'gitlab\\.com', 'bitbucket\\.org',
+    'twitter\\.com', 'x\\.com', 'facebook\\.com', 'instagram\\.com', 'medium\\.com',
+    'behance\\.net', 'dribbble\\.com', 'stackoverflow\\.com\\/users', 'angel\\.co', 'wellfound\\.com'
+];
+
+// Web addresses: anything with a scheme or www, or a bare domain on a TLD people use for
+// personal sites when it stands alone in a contact line ("janedoe.dev | jane@...")
+const PERSONAL_TLDS = 'com|dev|io|me|net|org|co|app|page|site|online|xyz|tech|blog|design|ai|info|us|uk|ca|de|fr|nl|eu';
+const URL_PATTERN = /(?:https?:\/\/|www\.)[^\s,;|)]+/gi;
+const BARE_DOMAIN = `[a-z0-9-]+(?:\\.[a-z0-9-]+)*\\.(?:${PERSONAL_TLDS})\\b(?:\\/[^\\s,;|)]*)?`;
+const CONTACT_SEPARATOR = '[|•·,;]';
+const STANDALONE_DOMAIN_PATTERN = new RegExp(`(^\\s*|${CONTACT_SEPARATOR}\\s*|:\\s*)(${BARE_DOMAIN})(?=\\s*(?:${CONTACT_SEPARATOR}|$))`, 'gi');
+const MAX_HEADER_LINES = 15; // contact block above the first section heading
+
+const STREET_SUFFIXES = 'Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Ter|Circle|Cir|Parkway|Pkwy|Highway|Hwy|Square|Sq';
+
+/**
+ * Check whether a domain-like token is a technology name ("Node.js", "ASP.NET", "Socket.io")
+ * @param {string} token - Bare domain-like token
+ * @returns {boolean} True if it names a technology rather than a site
+ */
+function isTechName(token) {
+    const lower = token.toLowerCase();
+    return lower.endsWith('.js') || TECH_SKILLS.includes(lower) || lower in SKILL_ALIASES;
+}
+
+/**
+ * PII Redactor
+ * Replaces emails, phone numbers, street addresses, personal profile URLs,
+ * dates of birth and ID-like numbers with stable placeholders such as [EMAIL_1].
+ * Street addresses and personal sites like janedoe.dev are only looked for in the
+ * contact header (above the first section heading), where they cannot be
+ * confused with accomplishments or the technologies a resume lists
+ */
+export class PiiRedactor {
+    constructor() {
+        // Order matters: URLs and emails contain digits that would otherwise look like IDs or phones
+        this.rules = [
+            {
+                category: 'email',
+                pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g
+            },
+            {
+                category: 'profile_url',
+                pattern: new RegExp(`(?:https?:\\/\\/)?(?:www\\.)?(?:${PROFILE_HOSTS.join('|')})\\/[^\\s,;)]*`, 'gi')
+            },
+            {
+                category: 'date_of_birth',
+                // Only the date after an explicit label, so employment dates are untouched
+                pattern: /\b(?:date of birth|birth ?date|d\.o\.b\.?|dob|born(?: on)?)\s*[:-]?\s*([A-Za-z]{3,9}\.? \d{1,2},? \d{4}|\d{1,2} [A-Za-z]{3,9}\.? \d{4}|\d{1,4}[/.-]\d{1,2}[/.-]\d{1,4})/gi,
+                group: 1
+            },
+            {
+                category: 'id_number',
+                pattern: /\b(?:ssn|social security(?: number| no\.?)?|passport(?: number| no\.?)?|national id(?: number)?|driver'?s licen[cs]e(?: number| no\.?)?|licen[cs]e (?:number|no\.?)|tax id|nin|id (?:number|no\.?))\s*[:#]?\s*([A-Z0-9][A-Z0-9-]{4,})/gi,
+                group: 1
+            },
+            {
+                category: 'id_number',
+                pattern: /\b\d{3}-\d{2}-\d{4}\b/g
+            },
+            {
+                category: 'phone',
+                // Groups of up to 6 digits cover UK mobiles such as "07700 900123"
+                pattern: /(?<![\w/])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,6}(?:[\s.-]\d{2,6}){1,4}(?![\w/])/g,
+                accept: (match) => this.looksLikePhone(match)
+            },
+            {
+                category: 'address',
+                // A house number, 1-3 capitalised words and a street suffix, opening a contact
+                // line or field ("12 Baker Street", "Address: 5 Elm Rd, Apt 4")
+                pattern: new RegExp(`(?<=^\\s*|${CONTACT_SEPARATOR}\\s*|:\\s*)\\d{1,6}\\s+(?:[A-Z][A-Za-z.'-]*\\s+){1,3}(?:${STREET_SUFFIXES})\\b\\.?(?:,?\\s*(?:Apt|Apartment|Suite|Ste|Unit|#)\\.?\\s*[A-Za-z0-9-]+)?`, 'g'),
+                headerOnly: true
+            },
+            {
+                category: 'address',
+                // UK style postcodes, e.g. "SW1A 1AA"
+                pattern: /\b[A-Z]{1,2}\d[A-Z\d]? \d[A-Z]{2}\b/g
+            },
+            {
+                category: 'id_number',
+                // Long unbroken digit runs (account, passport or ID numbers)
+                pattern: /\b\d{9,}\b/g
+            }
+        ];
+    }
+
+    /**
+     * Check whether redaction is switched on (llm.redactPii, REDACT_RESUME_PII=false disables it)
+     * @returns {boolean} Whether to redact
+     */
+    isEnabled() {
+        return apiConfig.getLlmConfig().redactPii !== false;
+    }
+
+    /**
+     * Decide whether a numeric match is a phone number rather than a date range or year list
+     * @param {string} match - Candidate text
+     * @returns {boolean} True if it should be redacted as a phone number
+     */
+    looksLikePhone(match) {
+        const digits = match.replace(/\D/g, '');
+        if (digits.length < 10 || digits.length > 15) return false;
+
+        // "2018 2019 2020" or "2019-2021 2022" are years, not phones
+        const groups = match.split(/[^\d]+/).filter(Boolean);
+        return !groups.every(group => /^(19|20)\d{2}$/.test(group) || /^\d{1,2}$/.test(group));
+    }
+
+    /**
+     * Replace PII with placeholders. The same value always gets the same
+     * placeholder within one document, so the model can still see repeats
+     * @param {string} text - Raw resume text
+     * @returns {Object} { text, counts } where counts maps category -> distinct values redacted
+     */
+    redact(text) {
+        const placeholders = new Map(); // category:normalized value -> placeholder
+        const counts = {};
+        let redacted = text || '';
+
+        const placeholderFor = (category, value) => {
+            // Phones compare on their last 10 digits so "+1 (555) 123-4567" and "555.123.4567" match
+            const normalized = category === 'phone' ? value.replace(/\D/g, '').slice(-10) : value.toLowerCase().trim();
+            const key = `${category}:${normalized}`;
+            if (!placeholders.has(key)) {
+                counts[category] = (counts[category] || 0) + 1;
+                placeholders.set(key, `[${category.toUpperCase()}_${counts[category]}]`);
+            }
+            return placeholders.get(key);
+        };
+
+        for (const rule of this.rules.filter(rule => !rule.headerOnly)) {
+            redacted = this.applyRule(redacted, rule, placeholderFor);
+        }
+
+        redacted = this.redactHeader(redacted, placeholderFor);
+
+        return { text: redacted, counts };
+    }
+
+    /**
+     * Replace the matches of one rule with placeholders
+     * @param {string} text - Text to redact
+     * @param {Object} rule - { category, pattern, group, accept }
+     * @param {Function} placeholderFor - (category, value) -> placeholder
+     * @returns {string} Redacted text
+     */
+    applyRule(text, rule, placeholderFor) {
+        return text.replace(rule.pattern, (match, ...groups) => {
+            if (rule.accept && !rule.accept(match)) return match;
+
+            if (rule.group) {
+                const value = groups[rule.group - 1];
+                if (!value) return match;
+                return match.replace(value, placeholderFor(rule.category, value));
+            }
+
+            return placeholderFor(rule.category, match);
+        });
+    }
+
+    /**
+     * Mask street addresses and web addresses in the contact header; employer and
+     * project links further down the resume are left alone, and so are technology
+     * names that look like domains
+     * @param {string} text - Resume text with the other rules applied
+     * @param {Function} placeholderFor - (category, value) -> placeholder
+     * @returns {string} Text with the header masked
+     */
+    redactHeader(text, placeholderFor) {
+        const lines = text.split('\n');
+        const headingIndex = lines.findIndex(line => resumeSegmenter.detectHeading(line));
+        const headerEnd = Math.min(headingIndex >= 0 ? headingIndex : lines.length, MAX_HEADER_LINES);
+        const headerRules = this.rules.filter(rule => rule.headerOnly);
+
+        for (let i = 0; i < headerEnd; i++) {
+            let line = headerRules.reduce((current, rule) => this.applyRule(current, rule, placeholderFor), lines[i]);
+            line = line.replace(URL_PATTERN, match => placeholderFor('profile_url', match));
+            line = line.replace(STANDALONE_DOMAIN_PATTERN, (match, lead, domain) =>
+                isTechName(domain) ? match : `${lead}${placeholderFor('profile_url', domain)}`);
+            lines[i] = line;
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Redact resume text ahead of an LLM call, logging which categories were masked
+     * @param {string} text - Raw resume text
+     * @returns {string} Text that is safe to send to the model
+     */
+    redactForLLM(text) {
+        if (!this.isEnabled()) {
+            console.log('⚠️ PII redaction disabled - sending resume text unredacted');
+            return text;
+        }
+
+        const { text: redacted, counts } = this.redact(text);
+        const summary = Object.entries(counts).map(([category, count]) => `${category}(${count})`).join(', ');
+        console.log(`🔒 PII redaction: ${summary || 'nothing to redact'}`);
+
+        return redacted;
+    }
+}
+
+// Export singleton instance
+export const piiRedactor = new PiiRedactor();
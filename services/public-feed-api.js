@@ -0,0 +1,191 @@
+// services/public-feed-api.js - Shared base for keyless public job feeds
+
+import * as cheerio from 'cheerio';
+import { BaseApi } from './base-api.js';
+import { salaryNormalizer } from './salary.js';
+import { remoteClassifier } from './remote-classifier.js';
+
+const QUERY_STOP_WORDS = new Set(['remote', 'and', 'the', 'for', 'with', 'job', 'jobs']);
+const UNRESTRICTED_REGION_PATTERN = /^(worldwide|anywhere|global|remote|anywhere in the world)$/i;
+
+/**
+ * Public Feed API base
+ * Keyless sources that publish their whole listing as JSON (remote job boards,
+ * company ATS boards). Feeds are fetched whole and briefly cached, then searched
+ * locally, so the many queries of one search cost a single request
+ */
+export class PublicFeedApi extends BaseApi {
+    constructor(apiName, sourceName) {
+        super(apiName);
+        this.sourceName = sourceName;
+        this.quotaFree = true;
+        this.feedCache = new Map(); // cache key -> { jobs, fetchedAt }
+        this.feedCacheTTL = this.config.cacheTTL || 10 * 60 * 1000; // 10 minutes
+    }
+
+    /**
+     * Fetch the raw postings of the feed - implemented by single-feed subclasses
+     * @returns {Promise<Array>} Raw posting objects
+     */
+    async fetchFeed() {
+        throw new Error(`fetchFeed method must be implemented by ${this.apiName} class`);
+    }
+
+    /**
+     * Run a fetch, reusing a recent result for the same key
+     * @param {string} key - Cache key, e.g. a board token
+     * @param {Function} fetcher - Async function returning raw postings
+     * @returns {Promise<Array>} Raw posting objects
+     */
+    async getCachedFeed(key, fetcher) {
+        const cached = this.feedCache.get(key);
+        if (cached && Date.now() - cached.fetchedAt < this.feedCacheTTL) {
+            return cached.jobs;
+        }
+
+        const jobs = await fetcher();
+        this.feedCache.set(key, { jobs, fetchedAt: Date.now() });
+        return jobs;
+    }
+
+    /**
+     * Search the feed
+     * @param {string} query - Search query
+     * @param {Object} filters - Search filters; remote: false includes on-site roles
+     * @returns {Promise<Array>} Array of job objects
+     */
+    async searchJobs(query, filters = {}) {
+        const rawJobs = await this.getCachedFeed('feed', () => this.fetchFeed());
+        return this.filterResults(rawJobs.map(job => this.toJob(job)), query, filters);
+    }
+
+    /**
+     * Keep the standardized jobs that match the query and the remote filter
+     * @param {Array} jobs - Standardized job objects
+     * @param {string} query - Search query
+     * @param {Object} filters - Search filters
+     * @returns {Array} Matching jobs
+     */
+    filterResults(jobs, query, filters) {
+        const remoteOnly = filters?.remote !== false;
+        return jobs.filter(job => job.title && this.matchesQuery(job, query) && (!remoteOnly || job.isRemote));
+    }
+
+    /**
+     * Match a job against a search query: any query term in the title,
+     * or every term somewhere in the title and description
+     * @param {Object} job - Standardized job object
+     * @param {string} query - Search query, e.g. "remote python developer"
+     * @returns {boolean} True if the job matches
+     */
+    matchesQuery(job, query) {
+        const terms = (query || '').toLowerCase().split(/\s+/)
+            .filter(term => term.length > 1 && !QUERY_STOP_WORDS.has(term));
+        if (terms.length === 0) return true;
+
+        const title = job.title.toLowerCase();
+        const text = `${title} ${(job.tags || []).join(' ').toLowerCase()} ${job.description.toLowerCase()}`;
+        return terms.some(term => title.includes(term)) || terms.every(term => text.includes(term));
+    }
+
+    /**
+     * Whether a location string describes a remote role
+     * @param {string} location - Location text
+     * @returns {boolean} True if remote
+     */
+    isRemoteLocation(location) {
+        return remoteClassifier.isRemote(remoteClassifier.classify({ location: location || '' }));
+    }
+
+    /**
+     * Location text for a posting, flagging remote roles whose location is only a hub city
+     * @param {string} location - Location text from the feed
+     * @param {boolean} isRemote - Whether the feed marks the role remote
+     * @returns {string} Location for display
+     */
+    describeLocation(location, isRemote) {
+        if (isRemote && !this.isRemoteLocation(location)) {
+            return location === 'Not specified' ? 'Remote' : `Remote (${location})`;
+        }
+        return location;
+    }
+
+    /**
+     * Split a feed's candidate location into region restrictions
+     * ("USA Only" -> ["USA"], "Europe, UK" -> ["Europe", "UK"], "Worldwide" -> [])
+     * @param {string|Array} value - Location text or list
+     * @returns {Array} Regions the candidate must be in (empty when unrestricted)
+     */
+    parseRegions(value) {
+        const parts = Array.isArray(value) ? value : (value || '').split(/[,;/|]| or /);
+        return parts
+            .map(part => String(part).replace(/\bonly\b/i, '').trim())
+            .filter(part => part && !UNRESTRICTED_REGION_PATTERN.test(part));
+    }
+
+    /**
+     * Location text for a remote role with optional region restrictions
+     * @param {Array} regions - Region restrictions
+     * @returns {string} Location for display
+     */
+    describeRemoteRegions(regions) {
+        return regions.length > 0 ? `Remote (${regions.join(', ')})` : 'Remote (Worldwide)';
+    }
+
+    /**
+     * Structured salary from a numeric range (see services/salary.js)
+     * @param {number} min - Minimum salary
+     * @param {number} max - Maximum salary
+     * @param {string} currency - Currency code
+     * @param {string} period - Pay period, e.g. "year" or "per-hour-wage"
+     * @returns {Object|null} Structured salary, null without an amount
+     */
+    salaryRange(min, max, currency = 'USD', period = 'year') {
+        return salaryNormalizer.fromRange(min, max, { currency: currency || 'USD', period: period || 'year' });
+    }
+
+    /**
+     * Normalise an employment type ("full_time", "Full Time" -> "Full-time")
+     * @param {string} value - Employment type from the feed
+     * @returns {string} Employment type for display
+     */
+    formatJobType(value) {
+        if (!value) return 'Full-time';
+        const type = String(value).trim().replace(/[_\s]+/g, '-').toLowerCase();
+        return type.charAt(0).toUpperCase() + type.slice(1);
+    }
+
+    /**
+     * Convert a feed date (ISO string, unix seconds or milliseconds) to ISO
+     * @param {string|number} value - Date value
+     * @returns {string} ISO date string
+     */
+    toIsoDate(value) {
+        if (value === undefined || value === null || value === '') return new Date().toISOString();
+
+        const numeric = typeof value === 'number' || /^\d+$/.test(value) ? Number(value) : null;
+        const date = numeric !== null ? new Date(numeric < 1e12 ? numeric * 1000 : numeric) : new Date(value);
+        return Number.isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+    }
+
+    /**
+     * Turn posting HTML (optionally entity-escaped, as Greenhouse sends it) into plain text
+     * @param {string} html - Posting HTML
+     * @returns {string} Plain text
+     */
+    htmlToText(html) {
+        if (!html) return '';
+        const decoded = /&lt;\w/.test(html) ? cheerio.load(html).text() : html;
+        // Keep list items and paragraphs from running together once the tags are gone
+        const spaced = decoded.replace(/<\/(p|li|div|h[1-6]|tr)>|<(br|p)\b[^>]*>/gi, '$& ');
+        return cheerio.load(spaced).text().replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Public feeds have no quota, so errors are never treated as exhaustion
+     * @returns {Object} Exhaustion detection result
+     */
+    detectExhaustion(error) {
+        return { isExhausted: false, reason: '' };
+    }
+}
@@ -0,0 +1,329 @@
+// services/rate-limiter.js - Per-source request rate limiting and persisted quota ledger
+
+import { createStateStore, KvStore } from './state-store.js';
+
+const WINDOW_MS = {
+    second: 1000,
+    minute: 60 * 1000,
+    hour: 60 * 60 * 1000
+};
+
+// Quota periods are calendar-based (UTC) so they line up with provider billing
+const QUOTA_PERIODS = ['day', 'month'];
+
+/**
+ * Token bucket for short-window limits (per second, minute or hour)
+ */
+export class TokenBucket {
+    constructor(requests, windowMs) {
+        this.capacity = requests;
+        this.tokens = requests;
+        this.refillPerMs = requests / windowMs;
+        this.lastRefill = Date.now();
+    }
+
+    /**
+     * Add the tokens earned since the last refill
+     */
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillPerMs);
+        this.lastRefill = now;
+    }
+
+    /**
+     * Time until a token is available
+     * @returns {number} Milliseconds to wait, 0 when a token is available now
+     */
+    getWaitTime() {
+        this.refill();
+        return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.refillPerMs);
+    }
+
+    /**
+     * Whole tokens available now
+     * @returns {number} Available requests
+     */
+    getAvailable() {
+        this.refill();
+        return Math.floor(this.tokens);
+    }
+
+    /**
+     * Take a token - call only when getWaitTime() is 0
+     */
+    take() {
+        this.refill();
+        this.tokens -= 1;
+    }
+}
+
+/**
+ * Quota Ledger
+ * Counts requests per source per day and month so quotas survive restarts and
+ * are shared by every instance. With KV (see services/state-store.js) each count
+ * is an atomic counter per source and period that expires when the period ends;
+ * otherwise the counts live in a JSON file that is re-read and merged before each
+ * update. Counts reset when the calendar period changes. Await `ready`, then
+ * `refresh()` a source before reading its counts
+ */
+export class QuotaLedger {
+    constructor(filePath = process.env.QUOTA_LEDGER_FILE || './data/quota-ledger.json') {
+        this.store = createStateStore('quota-ledger', filePath, 'Quota ledger');
+        this.entries = {};
+        this.ready = this.load();
+    }
+
+    /**
+     * Restore the counts from the store. KV counters are read per source by refresh()
+     * @returns {Promise<void>}
+     */
+    async load() {
+        if (this.store instanceof KvStore) return;
+        this.merge(await this.store.read({}));
+    }
+
+    /**
+     * Take counts from a stored ledger that are higher than ours for the current period
+     * @param {Object} saved - Ledger document, source id -> period -> { period, count }
+     */
+    merge(saved) {
+        Object.entries(saved || {}).forEach(([apiName, counts]) => {
+            Object.entries(counts || {}).forEach(([per, entry]) => {
+                if (entry?.period === this.getPeriodKey(per) && entry.count > this.getCount(apiName, per)) {
+                    this.setCount(apiName, per, entry.count);
+                }
+            });
+        });
+    }
+
+    /**
+     * Re-read a source's counts so requests made by other instances count too
+     * @param {string} apiName - Source id
+     * @param {Array} periods - Periods to read, e.g. ['day', 'month']
+     * @returns {Promise<void>}
+     */
+    async refresh(apiName, periods) {
+        if (periods.length === 0) {
+            return;
+        }
+        if (!(this.store instanceof KvStore)) {
+            this.merge(await this.store.read({}));
+            return;
+        }
+
+        const counts = await this.store.readCounters(periods.map(per => this.getCounterName(apiName, per)));
+        if (counts) {
+            periods.forEach((per, index) => this.setCount(apiName, per, counts[index]));
+        }
+    }
+
+    /**
+     * Persist the ledger file - KV counters are written as they change
+     */
+    save() {
+        if (!(this.store instanceof KvStore)) {
+            this.store.write(this.entries);
+        }
+    }
+
+    /**
+     * Key of the current calendar period
+     * @param {string} per - 'day' or 'month'
+     * @param {Date} date - Point in time
+     * @returns {string} e.g. "2024-05-01" or "2024-05"
+     */
+    getPeriodKey(per, date = new Date()) {
+        const iso = date.toISOString();
+        return per === 'month' ? iso.substring(0, 7) : iso.substring(0, 10);
+    }
+
+    /**
+     * Name of a source's KV counter for the current period
+     * @param {string} apiName - Source id
+     * @param {string} per - 'day' or 'month'
+     * @returns {string} e.g. "adzuna:day:2024-05-01"
+     */
+    getCounterName(apiName, per) {
+        return `${apiName}:${per}:${this.getPeriodKey(per)}`;
+    }
+
+    /**
+     * When the current period ends
+     * @param {string} per - 'day' or 'month'
+     * @param {Date} date - Point in time
+     * @returns {string} ISO timestamp of the next reset
+     */
+    getResetTime(per, date = new Date()) {
+        const reset = per === 'month'
+            ? Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)
+            : Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+        return new Date(reset).toISOString();
+    }
+
+    /**
+     * Requests used by a source in the current period, as of the last refresh
+     * @param {string} apiName - Source id
+     * @param {string} per - 'day' or 'month'
+     * @returns {number} Request count
+     */
+    getCount(apiName, per) {
+        const entry = this.entries[apiName]?.[per];
+        return entry && entry.period === this.getPeriodKey(per) ? entry.count : 0;
+    }
+
+    /**
+     * Set a source's count for the current period in memory
+     * @param {string} apiName - Source id
+     * @param {string} per - 'day' or 'month'
+     * @param {number} count - Request count
+     */
+    setCount(apiName, per, count) {
+        this.entries[apiName] = this.entries[apiName] || {};
+        this.entries[apiName][per] = { period: this.getPeriodKey(per), count };
+    }
+
+    /**
+     * Count one request against every period of a source
+     * @param {string} apiName - Source id
+     * @param {Array} periods - Periods to count, e.g. ['day', 'month']
+     * @returns {Promise<void>}
+     */
+    async record(apiName, periods) {
+        if (periods.length === 0) {
+            return;
+        }
+
+        if (this.store instanceof KvStore) {
+            const counts = await Promise.all(periods.map(per => this.store.increment(this.getCounterName(apiName, per), this.getResetTime(per))));
+            // A refused increment is still counted here, so this instance keeps to the quota
+            periods.forEach((per, index) => this.setCount(apiName, per, counts[index] ?? this.getCount(apiName, per) + 1));
+            return;
+        }
+
+        this.merge(await this.store.read({}));
+        periods.forEach(per => this.setCount(apiName, per, this.getCount(apiName, per) + 1));
+        this.save();
+    }
+
+    /**
+     * Clear the counts of a source, or of every source this instance has counted
+     * @param {string} [apiName] - Source id
+     * @returns {Promise<void>}
+     */
+    async reset(apiName) {
+        const apiNames = apiName ? [apiName] : Object.keys(this.entries);
+        if (this.store instanceof KvStore) {
+            await this.store.deleteCounters(apiNames.flatMap(name => QUOTA_PERIODS.map(per => this.getCounterName(name, per))));
+        }
+
+        if (apiName) {
+            delete this.entries[apiName];
+        } else {
+            this.entries = {};
+        }
+        this.save();
+    }
+}
+
+/**
+ * Rate Limiter
+ * Enforces a source's rateLimit metadata before each request: short windows
+ * (second, minute, hour) wait for a token, daily and monthly quotas fail fast
+ * once used up so the source is marked exhausted without spending a request
+ */
+export class RateLimiter {
+    /**
+     * @param {string} apiName - Source id
+     * @param {Object|Array|null} rateLimit - { requests, per } or a list of them
+     * @param {QuotaLedger} ledger - Ledger for daily and monthly quotas
+     * @param {Object} options - { maxWaitMs } longest wait for a short-window token
+     */
+    constructor(apiName, rateLimit, ledger = quotaLedger, options = {}) {
+        this.apiName = apiName;
+        this.ledger = ledger;
+        this.maxWaitMs = options.maxWaitMs ?? 30000;
+
+        const limits = [].concat(rateLimit || []);
+        limits.forEach(limit => {
+            if (!WINDOW_MS[limit.per] && !QUOTA_PERIODS.includes(limit.per)) {
+                throw new Error(`Unknown rate limit period for ${apiName}: ${limit.per}`);
+            }
+        });
+
+        this.buckets = limits
+            .filter(limit => WINDOW_MS[limit.per])
+            .map(limit => ({ ...limit, bucket: new TokenBucket(limit.requests, WINDOW_MS[limit.per]) }));
+        this.quotas = limits.filter(limit => QUOTA_PERIODS.includes(limit.per));
+    }
+
+    /**
+     * Check if the source has any limits
+     * @returns {boolean} True if requests are limited
+     */
+    isLimited() {
+        return this.buckets.length > 0 || this.quotas.length > 0;
+    }
+
+    /**
+     * Wait until a request is allowed and count it
+     * @returns {Promise<void>}
+     */
+    async acquire() {
+        const periods = this.quotas.map(quota => quota.per);
+        await this.ledger.ready;
+        await this.ledger.refresh(this.apiName, periods);
+        for (const quota of this.quotas) {
+            const used = this.ledger.getCount(this.apiName, quota.per);
+            if (used >= quota.requests) {
+                const resetTime = this.ledger.getResetTime(quota.per);
+                const error = new Error(`${this.apiName} ${quota.per === 'month' ? 'monthly' : 'daily'} quota exceeded (${used}/${quota.requests} requests) - resets ${resetTime}`);
+                error.retryAt = resetTime; // the circuit breaker stays open until then
+                throw error;
+            }
+        }
+
+        for (const limit of this.buckets) {
+            const waitTime = limit.bucket.getWaitTime();
+            if (waitTime > this.maxWaitMs) {
+                // Worded to avoid the exhaustion indicators - a busy window is not a used-up quota
+                throw new Error(`${this.apiName} throttled: next request allowed in ${Math.ceil(waitTime / 1000)}s (${limit.requests} per ${limit.per})`);
+            }
+            if (waitTime > 0) {
+                console.log(`⏳ ${this.apiName}: Rate limited to ${limit.requests} per ${limit.per} - waiting ${waitTime}ms`);
+                await new Promise(resolve => setTimeout(resolve, waitTime));
+            }
+        }
+
+        // Take tokens only once every window allows the request
+        this.buckets.forEach(limit => limit.bucket.take());
+        await this.ledger.record(this.apiName, periods);
+    }
+
+    /**
+     * Remaining budget for status reports
+     * @returns {Object} { limits, quotas } with used and remaining counts per quota
+     */
+    getStatus() {
+        return {
+            limits: this.buckets.map(({ requests, per, bucket }) => ({
+                requests,
+                per,
+                available: bucket.getAvailable()
+            })),
+            quotas: this.quotas.map(({ requests, per }) => {
+                const used = this.ledger.getCount(this.apiName, per);
+                return {
+                    per,
+                    limit: requests,
+                    used,
+                    remaining: Math.max(0, requests - used),
+                    resetsAt: this.ledger.getResetTime(per)
+                };
+            })
+        };
+    }
+}
+
+// Shared ledger for all sources
+export const quotaLedger = new QuotaLedger();
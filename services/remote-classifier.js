@@ -0,0 +1,381 @@
+// services/remote-classifier.js - Remote eligibility of a posting, with the text it was read from
+
+export const REMOTE_CATEGORIES = {
+    REMOTE: 'remote',                   // remote from anywhere
+    REMOTE_REGIONS: 'remote-regions',   // remote within named countries or regions
+    REMOTE_TIMEZONE: 'remote-timezone', // remote within a range of UTC offsets, e.g. UTC-5±3
+    HYBRID: 'hybrid',
+    ONSITE: 'onsite',
+    UNKNOWN: 'unknown'                  // nothing in the posting says either way
+};
+
+const REMOTE_ELIGIBLE = [REMOTE_CATEGORIES.REMOTE, REMOTE_CATEGORIES.REMOTE_REGIONS, REMOTE_CATEGORIES.REMOTE_TIMEZONE];
+
+/**
+ * Values of the timezone filter in the UI: a job passes when someone in that
+ * region and its UTC offsets (hours) could take it. "global" keeps unrestricted jobs only
+ */
+export const TIMEZONE_FILTERS = {
+    'us-only': { offsets: { min: -8, max: -5 } },
+    'europe': { offsets: { min: 0, max: 3 } },
+    'global': { offsets: null }
+};
+
+/**
+ * Regions a posting can restrict candidates to. names match in any case,
+ * codes only as written (so "US" but not "us"); filters lists the
+ * TIMEZONE_FILTERS whose candidates live there
+ */
+const REGIONS = [
+    { name: 'US', names: ['united states', 'usa', 'u\\.s\\.a?\\.?'], codes: ['US'], filters: ['us-only'] },
+    { name: 'North America', names: ['north america'], codes: [], filters: ['us-only'] },
+    { name: 'Americas', names: ['americas'], codes: ['AMER'], filters: ['us-only'] },
+    { name: 'Canada', names: ['canada'], codes: [], filters: [] },
+    { name: 'LATAM', names: ['latin america', 'latam', 'south america'], codes: [], filters: [] },
+    { name: 'Mexico', names: ['mexico'], codes: [], filters: [] },
+    { name: 'Brazil', names: ['brazil'], codes: [], filters: [] },
+    { name: 'Argentina', names: ['argentina'], codes: [], filters: [] },
+    { name: 'Europe', names: ['europe', 'european union', 'eea'], codes: ['EU'], filters: ['europe'] },
+    { name: 'EMEA', names: ['emea'], codes: [], filters: ['europe'] },
+    { name: 'UK', names: ['united kingdom', 'great britain', 'england', 'scotland'], codes: ['UK', 'GB'], filters: ['europe'] },
+    { name: 'Ireland', names: ['ireland'], codes: [], filters: ['europe'] },
+    { name: 'Germany', names: ['germany', 'deutschland'], codes: ['DACH'], filters: ['europe'] },
+    { name: 'France', names: ['france'], codes: [], filters: ['europe'] },
+    { name: 'Spain', names: ['spain'], codes: [], filters: ['europe'] },
+    { name: 'Portugal', names: ['portugal'], codes: [], filters: ['europe'] },
+    { name: 'Netherlands', names: ['netherlands'], codes: [], filters: ['europe'] },
+    { name: 'Poland', names: ['poland'], codes: [], filters: ['europe'] },
+    { name: 'Italy', names: ['italy'], codes: [], filters: ['europe'] },
+    { name: 'Sweden', names: ['sweden'], codes: [], filters: ['europe'] },
+    { name: 'Switzerland', names: ['switzerland'], codes: [], filters: ['europe'] },
+    { name: 'APAC', names: ['asia[- ]pacific', 'apac'], codes: [], filters: [] },
+    { name: 'India', names: ['india'], codes: [], filters: [] },
+    { name: 'Philippines', names: ['philippines'], codes: [], filters: [] },
+    { name: 'Singapore', names: ['singapore'], codes: [], filters: [] },
+    { name: 'Japan', names: ['japan'], codes: [], filters: [] },
+    { name: 'Australia', names: ['australia'], codes: ['ANZ'], filters: [] },
+    { name: 'New Zealand', names: ['new zealand'], codes: [], filters: [] }
+].map(region => ({
+    ...region,
+    patterns: [
+        new RegExp(`(?<![a-z])(?:${region.names.join('|')})(?![a-z])`, 'gi'),
+        ...(region.codes.length > 0 ? [new RegExp(`\\b(?:${region.codes.join('|')})\\b`, 'g')] : [])
+    ]
+}));
+
+// UTC offset of each zone name, standard time
+const ZONE_OFFSETS = {
+    UTC: 0, GMT: 0, WET: 0, BST: 1, CET: 1, CEST: 2, EET: 2, EEST: 3, IST: 5.5, SGT: 8, JST: 9, AEST: 10,
+    EST: -5, EDT: -4, ET: -5, CST: -6, CDT: -5, CT: -6, MST: -7, MDT: -6, MT: -7, PST: -8, PDT: -7, PT: -8,
+    'eastern': -5, 'central': -6, 'mountain': -7, 'pacific': -8, 'central european': 1, 'eastern european': 2
+};
+
+// Two-letter zones also read as states or "part-time", so alone they need a following "time"
+const ZONE = '\\b(UTC|GMT|WET|BST|CEST|CET|EEST|EET|IST|SGT|JST|AEST|[ECMP][SD]T|[ECMP]T(?= ?(?:time|hours|zone|timezone|[+\\-−]\\d))|' +
+    '(?:[Cc]entral [Ee]uropean|[Ee]astern [Ee]uropean|[Ee]astern|[Cc]entral|[Mm]ountain|[Pp]acific)(?: [Ss]tandard)? [Tt]ime)\\b';
+const OFFSET = '(?:\\s?([+\\-−]\\s?\\d{1,2}(?:[:.]\\d{2})?))?';
+const HOURS = '(?:\\s?(?:hours?|hrs?|h)\\b)?';
+
+const TIMEZONE_PATTERNS = [
+    // UTC-5±3, EST +/- 2 hours
+    { pattern: new RegExp(`${ZONE}${OFFSET}\\s?(?:±|\\+\\/[-−]|\\+[-−]|plus or minus)\\s?(\\d{1,2})${HOURS}`, 'g'), read: (zone, offset, tolerance) => ({ center: [zone, offset], tolerance: Number(tolerance) }) },
+    // UTC-5 to UTC+1, between PST and EST
+    { pattern: new RegExp(`${ZONE}${OFFSET}\\s?(?:to|through|and|-|–|—)\\s?${ZONE}${OFFSET}`, 'g'), read: (zone, offset, toZone, toOffset) => ({ from: [zone, offset], to: [toZone, toOffset] }) },
+    // within 3 hours of CET
+    { pattern: new RegExp(`within (?:\\+\\/-\\s?|±\\s?)?(\\d{1,2})${HOURS} of ${ZONE}${OFFSET}`, 'gi'), read: (tolerance, zone, offset) => ({ center: [zone, offset], tolerance: Number(tolerance) }) },
+    // 4 hours of overlap with EST: a nine-to-five day shares that much with offsets up to 8 - 4 hours away
+    { pattern: new RegExp(`(\\d{1,2})\\+?${HOURS} (?:of )?overlap (?:with|in) ${ZONE}${OFFSET}`, 'gi'), read: (overlap, zone, offset) => ({ center: [zone, offset], tolerance: Math.max(0, 8 - Number(overlap)) }) },
+    // Remote (UTC+1), EST hours
+    { pattern: new RegExp(`${ZONE}${OFFSET}`, 'g'), read: (zone, offset) => ({ center: [zone, offset], tolerance: 0 }), bare: true }
+];
+
+// Where a bare zone name in a description is about working hours rather than, say, a launch date
+const TIMEZONE_CONTEXT = /time ?zones?|hours|overlap|working|business day|based in/i;
+
+const HYBRID_PATTERN = /\bhybrid\b|\b\d (?:days?|times) (?:a|per) week (?:in|at) (?:the |our )?office\b/i;
+const ONSITE_PATTERN = /\b(?:on[- ]?site|in[- ]office|in[- ]person|office[- ]based)\b/i;
+const ONSITE_DESCRIPTION_PATTERN = /\b(?:on[- ]?site|in[- ]office|in[- ]person) (?:only|required|position|role|job)\b|\bnot (?:a )?remote\b|\bno remote\b|\brelocation (?:is )?required\b/i;
+const REMOTE_PATTERN = /\b(?:remote|anywhere|worldwide|work from home|wfh|telecommut\w*|distributed|location[- ]independent|home[- ]based)\b/i;
+// Titles say "Distributed Systems" or "Anywhere" product names, so only plain remote wording counts there
+const REMOTE_TITLE_PATTERN = /\b(?:remote|work from home|wfh)\b/i;
+const REMOTE_DESCRIPTION_PATTERN = /\b(?:fully remote|100% remote|remote[- ](?:first|only|friendly)|remote (?:position|role|job|opportunity|work|team member)|work(?:ing)? remotely|work from (?:home|anywhere)|telecommut\w*|(?:this|the) (?:is a |role is |position is |job is )(?:fully )?remote)\b/i;
+// "Remote or hybrid", "Hybrid / Remote": remote is on offer whichever comes first
+const REMOTE_ALTERNATIVE_PATTERN = /\b(?:or|\/)\s?remote\b|\bremote\s?(?:or|\/)/i;
+const UNRESTRICTED_PATTERN = /\b(?:worldwide|anywhere|global(?:ly)?|any (?:time ?zone|location|country))\b/i;
+
+// Phrases after which a description names where candidates must be
+const RESTRICTION_PATTERN = /\b(?:only (?:open to|accept\w*|hiring|considering)(?: (?:candidates|applicants|people))?(?: (?:in|from|based in|located in))?|must (?:be )?(?:based|located|residing|reside|live) in|(?:candidates|applicants) (?:must be |should be )?(?:based|located) in|open to (?:candidates|applicants|residents) (?:in|of|from)|residents? of|(?:eligible|authori[sz]ed) to work in|remote (?:with)?in|within)\s+(?:the\s+)?([^.;\n]{1,60})/gi;
+// ...and the same after the region: "US only", "EU-based"
+const REGION_SUFFIX_PATTERN = /^\s?[-–]?\s?(?:only|based|residents)\b/i;
+
+// Descriptions run long; the work arrangement is stated early or not reliably at all
+const DESCRIPTION_SCAN_LENGTH = 3000;
+
+/**
+ * Remote Classifier
+ * Labels a job as remote, remote within regions, remote within a timezone
+ * range, hybrid or onsite, keeping the span of text the label came from.
+ * Location is read first, then title, the adapter's own remote flag and the
+ * description; remote-only sources count as remote when nothing says otherwise
+ */
+export class RemoteClassifier {
+    /**
+     * Classify a job
+     * @param {Object} job - Job with title, location, description and optional isRemote / regionRestrictions
+     * @param {Object} options - { remoteOnly } when the source lists remote roles only
+     * @returns {Object} { category, regions, timezone: { min, max } | null, evidence: { field, text, start, end }, eligibleFor }
+     */
+    classify(job, options = {}) {
+        const fields = [
+            { field: 'location', text: typeof job?.location === 'string' ? job.location : '' },
+            { field: 'title', text: typeof job?.title === 'string' ? job.title : '' },
+            { field: 'description', text: typeof job?.description === 'string' ? job.description.substring(0, DESCRIPTION_SCAN_LENGTH) : '' }
+        ];
+
+        const arrangement = this.findArrangement(fields, job, options);
+        const result = { category: arrangement.category, regions: [], timezone: null, evidence: arrangement.evidence };
+
+        if (arrangement.category === REMOTE_CATEGORIES.REMOTE) {
+            const regions = this.findRegionRestrictions(fields, job);
+            const timezone = this.findTimezoneRestriction(fields);
+
+            result.regions = regions.names;
+            result.timezone = timezone?.range || null;
+            // Regions decide who may be hired, so they label the job over a timezone
+            if (regions.names.length > 0) {
+                result.category = REMOTE_CATEGORIES.REMOTE_REGIONS;
+                result.evidence = regions.evidence;
+            } else if (timezone) {
+                result.category = REMOTE_CATEGORIES.REMOTE_TIMEZONE;
+                result.evidence = timezone.evidence;
+            }
+        }
+
+        result.eligibleFor = Object.keys(TIMEZONE_FILTERS).filter(filter => this.matchesTimezoneFilter(result, filter));
+        return result;
+    }
+
+    /**
+     * Work arrangement before any restriction: the first field stating one wins
+     * @param {Array} fields - { field, text } in reading order
+     * @param {Object} job - Job, for the adapter's remote flag
+     * @param {Object} options - { remoteOnly }
+     * @returns {Object} { category, evidence }
+     */
+    findArrangement(fields, job, options) {
+        const [location, title, description] = fields;
+
+        const stated = this.findStatedArrangement(location, ONSITE_PATTERN, REMOTE_PATTERN) ||
+            this.findStatedArrangement(title, ONSITE_PATTERN, REMOTE_TITLE_PATTERN);
+        if (stated) return stated;
+
+        if (job?.isRemote === true) {
+            return { category: REMOTE_CATEGORIES.REMOTE, evidence: { field: 'isRemote', text: 'true', start: null, end: null } };
+        }
+
+        const described = this.findStatedArrangement(description, ONSITE_DESCRIPTION_PATTERN, REMOTE_DESCRIPTION_PATTERN);
+        if (described) return described;
+
+        // The adapter knows the job is not remote: a remote-only source does not make it one
+        if (job?.isRemote === false) {
+            return { category: REMOTE_CATEGORIES.ONSITE, evidence: { field: 'isRemote', text: 'false', start: null, end: null } };
+        }
+
+        if (options.remoteOnly) {
+            return { category: REMOTE_CATEGORIES.REMOTE, evidence: { field: 'source', text: 'remote-only source', start: null, end: null } };
+        }
+
+        // A place and no word about remote work: an office job
+        const place = location.text.trim();
+        if (place !== '' && !/^(not specified|n\/a|unknown|various)$/i.test(place)) {
+            return { category: REMOTE_CATEGORIES.ONSITE, evidence: { field: 'location', text: location.text, start: 0, end: location.text.length } };
+        }
+
+        return { category: REMOTE_CATEGORIES.UNKNOWN, evidence: null };
+    }
+
+    /**
+     * Arrangement stated in one field; when it names several, the first, unless remote is one of the options
+     * @param {Object} field - { field, text }
+     * @param {RegExp} onsitePattern - Onsite wording for this field
+     * @param {RegExp} remotePattern - Remote wording for this field
+     * @returns {Object|null} { category, evidence }
+     */
+    findStatedArrangement(field, onsitePattern, remotePattern) {
+        const candidates = [
+            [REMOTE_CATEGORIES.HYBRID, field.text.match(HYBRID_PATTERN)],
+            [REMOTE_CATEGORIES.ONSITE, field.text.match(onsitePattern)],
+            [REMOTE_CATEGORIES.REMOTE, field.text.match(remotePattern)]
+        ].filter(([, match]) => match);
+
+        if (candidates.length === 0) return null;
+
+        const remote = candidates.find(([category]) => category === REMOTE_CATEGORIES.REMOTE);
+        if (remote && candidates.length > 1 && REMOTE_ALTERNATIVE_PATTERN.test(field.text)) {
+            return { category: REMOTE_CATEGORIES.REMOTE, evidence: this.evidence(field, remote[1].index, remote[1][0].length) };
+        }
+
+        const [category, match] = candidates.reduce((first, candidate) => candidate[1].index < first[1].index ? candidate : first);
+        return { category, evidence: this.evidence(field, match.index, match[0].length) };
+    }
+
+    /**
+     * Regions a remote job is limited to, from the location, title, the adapter's
+     * regionRestrictions and restriction phrases in the description
+     * @param {Array} fields - { field, text } in reading order
+     * @param {Object} job - Job, for regionRestrictions
+     * @returns {Object} { names, evidence } - evidence of the first region found
+     */
+    findRegionRestrictions(fields, job) {
+        const [location, title, description] = fields;
+        const names = [];
+        let evidence = null;
+        const add = (name, found) => {
+            if (!names.includes(name)) names.push(name);
+            if (!evidence) evidence = found;
+        };
+
+        [location, title].forEach(field => {
+            if (UNRESTRICTED_PATTERN.test(field.text)) return;
+            this.findRegions(field.text).forEach(region => add(region.name, this.evidence(field, region.start, region.length)));
+        });
+
+        (Array.isArray(job?.regionRestrictions) ? job.regionRestrictions : []).forEach(restriction => {
+            if (typeof restriction !== 'string' || restriction.trim() === '' || UNRESTRICTED_PATTERN.test(restriction)) return;
+            const found = { field: 'regionRestrictions', text: restriction, start: null, end: null };
+            const regions = this.findRegions(restriction);
+            // A region outside the table is kept as the adapter wrote it
+            (regions.length > 0 ? regions.map(region => region.name) : [restriction.trim()]).forEach(name => add(name, found));
+        });
+
+        for (const match of description.text.matchAll(RESTRICTION_PATTERN)) {
+            const tailStart = match.index + match[0].length - match[1].length;
+            this.findRegions(match[1]).forEach(region => add(region.name, this.evidence(description, match.index, tailStart - match.index + region.start + region.length)));
+        }
+        this.findRegions(description.text)
+            .filter(region => REGION_SUFFIX_PATTERN.test(description.text.substring(region.start + region.length)))
+            .forEach(region => {
+                const suffix = description.text.substring(region.start + region.length).match(REGION_SUFFIX_PATTERN)[0];
+                add(region.name, this.evidence(description, region.start, region.length + suffix.length));
+            });
+
+        return { names, evidence };
+    }
+
+    /**
+     * Named regions in a text, in order of appearance
+     * @param {string} text - Text to search
+     * @returns {Array} { name, start, length } per mention
+     */
+    findRegions(text) {
+        const found = [];
+        REGIONS.forEach(region => {
+            region.patterns.forEach(pattern => {
+                for (const match of text.matchAll(pattern)) {
+                    found.push({ name: region.name, start: match.index, length: match[0].length });
+                }
+            });
+        });
+        return found.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * First timezone requirement in the location, title or description
+     * @param {Array} fields - { field, text } in reading order
+     * @returns {Object|null} { range: { min, max }, evidence }
+     */
+    findTimezoneRestriction(fields) {
+        for (const field of fields) {
+            const timezone = this.findTimezone(field.text, field.field === 'description');
+            if (timezone) {
+                return { range: timezone.range, evidence: this.evidence(field, timezone.start, timezone.length) };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Read a timezone requirement such as "UTC-5±3", "PST to EST" or "within 2 hours of CET"
+     * @param {string} text - Text to search
+     * @param {boolean} needsContext - Only accept a bare zone name next to words about working hours
+     * @returns {Object|null} { range: { min, max }, start, length } with offsets in hours
+     */
+    findTimezone(text, needsContext = false) {
+        for (const { pattern, read, bare } of TIMEZONE_PATTERNS) {
+            for (const match of text.matchAll(pattern)) {
+                if (bare && needsContext && !TIMEZONE_CONTEXT.test(text.substring(Math.max(0, match.index - 60), match.index + match[0].length + 60))) {
+                    continue;
+                }
+
+                const { center, tolerance, from, to } = read(...match.slice(1));
+                const range = center
+                    ? { min: this.toOffset(...center) - tolerance, max: this.toOffset(...center) + tolerance }
+                    : { min: Math.min(this.toOffset(...from), this.toOffset(...to)), max: Math.max(this.toOffset(...from), this.toOffset(...to)) };
+                if (!Number.isNaN(range.min) && !Number.isNaN(range.max)) {
+                    return { range, start: match.index, length: match[0].length };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * UTC offset of a zone name plus an optional explicit offset ("UTC", "-5" -> -5)
+     * @param {string} zone - Zone name as matched
+     * @param {string} offset - Offset such as "+5:30", or undefined
+     * @returns {number} Hours from UTC, NaN for an unknown zone
+     */
+    toOffset(zone, offset) {
+        const name = ZONE_OFFSETS[zone] !== undefined ? zone : zone.toLowerCase().replace(/( standard)? time$/, '');
+        const base = ZONE_OFFSETS[name];
+        if (base === undefined) return NaN;
+        if (!offset) return base;
+
+        const [, sign, hours, minutes] = offset.replace(/\s/g, '').match(/^([+\-−])(\d{1,2})(?:[:.](\d{2}))?$/);
+        const value = Number(hours) + Number(minutes || 0) / 60;
+        return base + (sign === '+' ? value : -value);
+    }
+
+    /**
+     * Evidence object for a span of a field
+     * @param {Object} field - { field, text }
+     * @param {number} start - Start index in the field text
+     * @param {number} length - Span length
+     * @returns {Object} { field, text, start, end }
+     */
+    evidence(field, start, length) {
+        return { field: field.field, text: field.text.substring(start, start + length), start, end: start + length };
+    }
+
+    /**
+     * Whether a classification allows working remotely
+     * @param {Object} classification - Result of classify()
+     * @returns {boolean} True for remote, remote-regions and remote-timezone
+     */
+    isRemote(classification) {
+        return REMOTE_ELIGIBLE.includes(classification?.category);
+    }
+
+    /**
+     * Check a classification against a value of the timezone filter
+     * @param {Object} classification - Result of classify()
+     * @param {string} filter - Key of TIMEZONE_FILTERS
+     * @returns {boolean} True if someone in that region could take the job
+     */
+    matchesTimezoneFilter(classification, filter) {
+        if (!this.isRemote(classification)) return false;
+
+        const spec = TIMEZONE_FILTERS[filter];
+        if (!spec) return true;
+        if (!spec.offsets) return classification.category === REMOTE_CATEGORIES.REMOTE;
+
+        const regionsMatch = classification.regions.length === 0 || classification.regions.some(name =>
+            REGIONS.find(region => region.name === name)?.filters.includes(filter));
+        const timezone = classification.timezone;
+        const timezoneMatches = !timezone || (timezone.min <= spec.offsets.max && timezone.max >= spec.offsets.min);
+        return regionsMatch && timezoneMatches;
+    }
+}
+
+// Export singleton instance
+export const remoteClassifier = new RemoteClassifier();
@@ -0,0 +1,213 @@
+// resume-segmenter.js - Splits parsed resume text into sections for per-section analysis
+
+// Values the model returns for "nothing found"
+const PLACEHOLDER_ITEMS = new Set(['n/a', 'na', 'none', 'not specified', '-']);
+
+/**
+ * Resume Segmenter
+ * Detects Summary, Experience, Education, Skills, Projects and Certifications
+ * blocks so each one can be analysed on its own instead of truncating the resume
+ */
+export class ResumeSegmenter {
+    constructor() {
+        // Heading patterns are matched against a whole (short) line
+        this.sectionPatterns = {
+            summary: /^(professional |career |executive )?(summary|profile|overview|objective)$|^about( me)?$|^summary of qualifications$/,
+            experience: /^((professional|work|relevant|employment|career) )?(experience|history)$|^employment$|^work history$|^employment history$|^career history$/,
+            education: /^(education|academic background|academics|education and training|education & training)$/,
+            skills: /^((technical|core|key|professional) )?(skills|competencies|proficiencies)( (and|&) (tools|technologies|expertise))?$|^(technologies|tech stack|tools( (and|&) technologies)?|areas of expertise)$/,
+            projects: /^((personal|selected|key|side|academic) )?projects$|^portfolio$/,
+            certifications: /^((licenses|licences) (and|&) )?(certifications?|certificates)( (and|&) (licenses|licences|training))?$/
+        };
+
+        this.sectionLabels = {
+            header: 'Header',
+            summary: 'Summary',
+            experience: 'Experience',
+            education: 'Education',
+            skills: 'Skills',
+            projects: 'Projects',
+            certifications: 'Certifications',
+            general: 'General'
+        };
+
+        this.maxHeadingLength = 50;
+        this.maxChunkLength = 6000; // Keeps every request well inside the model context
+        this.seniorityRanks = ['entry', 'mid', 'senior', 'lead', 'executive'];
+        this.analysisCategories = [
+            'technicalSkills', 'softSkills', 'workExperience', 'education',
+            'qualifications', 'industries', 'responsibilities', 'achievements'
+        ];
+    }
+
+    /**
+     * Match a line against the known section headings
+     * @param {string} line - Raw resume line
+     * @returns {Object|null} Section name, heading text and any inline content
+     */
+    detectHeading(line) {
+        const trimmed = line.trim().replace(/^[#*•\-\s]+/, '').replace(/[*\s]+$/, '');
+        if (!trimmed || trimmed.length > this.maxHeadingLength) return null;
+
+        // "Skills: Python, React" style lines carry content after the heading
+        const colonIndex = trimmed.indexOf(':');
+        const headingPart = colonIndex >= 0 ? trimmed.slice(0, colonIndex) : trimmed;
+        const inlineContent = colonIndex >= 0 ? trimmed.slice(colonIndex + 1).trim() : '';
+        const normalized = headingPart.toLowerCase().replace(/[^a-z&\s]/g, '').replace(/\s+/g, ' ').trim();
+
+        for (const [section, pattern] of Object.entries(this.sectionPatterns)) {
+            if (pattern.test(normalized)) {
+                return { section, heading: headingPart.trim(), inlineContent };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Split resume text into labelled sections
+     * @param {string} resumeText - Parsed resume text
+     * @returns {Array} Sections with section name, heading and text
+     */
+    segment(resumeText) {
+        const lines = (resumeText || '').replace(/\r\n?/g, '\n').split('\n');
+        const sections = [];
+        let current = { section: 'header', heading: null, lines: [] };
+
+        for (const line of lines) {
+            const heading = this.detectHeading(line);
+            if (heading) {
+                sections.push(current);
+                current = { section: heading.section, heading: heading.heading, lines: [] };
+                if (heading.inlineContent) current.lines.push(heading.inlineContent);
+            } else {
+                current.lines.push(line);
+            }
+        }
+        sections.push(current);
+
+        const segmented = sections
+            .map(({ section, heading, lines: sectionLines }) => ({
+                section,
+                heading,
+                text: sectionLines.join('\n').replace(/\n{3,}/g, '\n\n').trim()
+            }))
+            .filter(section => section.text.length > 0);
+
+        // No recognisable headings - analyse the whole resume as one general block
+        if (segmented.length === 1 && segmented[0].section === 'header') {
+            segmented[0].section = 'general';
+        }
+
+        return segmented;
+    }
+
+    /**
+     * Break a section into chunks no longer than maxChunkLength, splitting on
+     * paragraph and then line boundaries so no content is dropped
+     * @param {Object} section - Section from segment()
+     * @returns {Array} Chunks with section name, label, part number and text
+     */
+    chunkSection(section) {
+        const pieces = [];
+        let buffer = '';
+
+        const flush = () => {
+            if (buffer.trim()) pieces.push(buffer.trim());
+            buffer = '';
+        };
+
+        const units = section.text.split(/\n\s*\n/).flatMap(paragraph =>
+            paragraph.length > this.maxChunkLength ? paragraph.split('\n') : [paragraph]
+        );
+
+        for (const unit of units) {
+            // A single over-long line still has to be split somewhere
+            const parts = unit.length > this.maxChunkLength
+                ? unit.match(new RegExp(`[\\s\\S]{1,${this.maxChunkLength}}`, 'g'))
+                : [unit];
+
+            for (const part of parts) {
+                if (buffer && buffer.length + part.length + 2 > this.maxChunkLength) flush();
+                buffer += (buffer ? '\n\n' : '') + part;
+            }
+        }
+        flush();
+
+        return pieces.map((text, index) => ({
+            section: section.section,
+            heading: section.heading,
+            label: this.sectionLabels[section.section],
+            part: index + 1,
+            totalParts: pieces.length,
+            text
+        }));
+    }
+
+    /**
+     * Segment resume text and chunk every section for analysis
+     * @param {string} resumeText - Parsed resume text
+     * @returns {Array} Chunks ready to be analysed individually
+     */
+    getChunks(resumeText) {
+        return this.segment(resumeText).flatMap(section => this.chunkSection(section));
+    }
+
+    /**
+     * Merge per-section analyses into one analysis, recording for every item
+     * the sections it was extracted from
+     * @param {Array} sectionResults - Array of { section, analysis }
+     * @returns {Object} Merged analysis with sectionSources and sections
+     */
+    mergeSectionAnalyses(sectionResults) {
+        const merged = { sectionSources: {} };
+
+        for (const category of this.analysisCategories) {
+            const items = new Map(); // lowercase key -> { value, sections }
+
+            for (const { section, analysis } of sectionResults) {
+                for (const item of analysis?.[category] || []) {
+                    if (!item || typeof item !== 'string') continue;
+                    const value = item.trim();
+                    // Short items are real skills (Go, R, C#, UX); only placeholders are dropped
+                    if (!value || PLACEHOLDER_ITEMS.has(value.toLowerCase())) continue;
+
+                    const key = value.toLowerCase();
+                    if (!items.has(key)) items.set(key, { value, sections: [] });
+                    const entry = items.get(key);
+                    if (!entry.sections.includes(section)) entry.sections.push(section);
+                }
+            }
+
+            merged[category] = [...items.values()].map(entry => entry.value);
+            merged.sectionSources[category] = Object.fromEntries(
+                [...items.values()].map(entry => [entry.value, entry.sections])
+            );
+        }
+
+        merged.seniorityLevel = this.pickSeniorityLevel(sectionResults);
+        merged.sections = sectionResults.reduce((sections, { section }) => {
+            if (!sections.includes(section)) sections.push(section);
+            return sections;
+        }, []);
+
+        return merged;
+    }
+
+    /**
+     * Choose a seniority level, trusting Summary and Experience over other sections
+     * @param {Array} sectionResults - Array of { section, analysis }
+     * @returns {string} Seniority level
+     */
+    pickSeniorityLevel(sectionResults) {
+        const rankOf = (result) => this.seniorityRanks.indexOf((result.analysis?.seniorityLevel || '').trim().toLowerCase());
+        const preferred = sectionResults.filter(result => ['summary', 'experience', 'general'].includes(result.section));
+        const candidates = (preferred.length > 0 ? preferred : sectionResults).filter(result => rankOf(result) >= 0);
+
+        if (candidates.length === 0) return 'mid';
+        return this.seniorityRanks[Math.max(...candidates.map(rankOf))];
+    }
+}
+
+// Export singleton instance
+export const resumeSegmenter = new ResumeSegmenter();
@@ -0,0 +1,376 @@
+// services/salary.js - Structured salaries: parsing, annualising and currency conversion
+
+import fs from 'fs';
+
+export const PAY_PERIODS = ['hour', 'day', 'week', 'month', 'year'];
+
+// Full-time working time: 40h weeks, 5-day weeks, 52 weeks a year
+export const ANNUAL_MULTIPLIERS = {
+    hour: 40 * 52,
+    day: 5 * 52,
+    week: 52,
+    month: 12,
+    year: 1
+};
+
+// US dollars per unit of each currency; override or extend with CURRENCY_RATES_FILE
+const DEFAULT_RATES = {
+    USD: 1,
+    EUR: 1.08,
+    GBP: 1.27,
+    CAD: 0.73,
+    AUD: 0.66,
+    NZD: 0.61,
+    CHF: 1.12,
+    SEK: 0.095,
+    NOK: 0.094,
+    DKK: 0.145,
+    PLN: 0.25,
+    CZK: 0.043,
+    INR: 0.012,
+    SGD: 0.74,
+    JPY: 0.0067,
+    BRL: 0.19,
+    MXN: 0.055,
+    ZAR: 0.054
+};
+
+// Symbols in the order they are tried: prefixed dollars before the plain one
+const CURRENCY_SYMBOLS = [
+    ['US$', 'USD'], ['CA$', 'CAD'], ['C$', 'CAD'], ['AU$', 'AUD'], ['A$', 'AUD'], ['NZ$', 'NZD'], ['S$', 'SGD'], ['R$', 'BRL'],
+    ['$', 'USD'], ['£', 'GBP'], ['€', 'EUR'], ['₹', 'INR'], ['¥', 'JPY']
+];
+
+// A symbol only counts as a whole token: the "S$" inside "US$" is not Singapore dollars
+const SYMBOL_PATTERNS = CURRENCY_SYMBOLS.map(([symbol, code]) => [
+    new RegExp(`(?<![A-Z])${symbol.replace(/\$/g, '\\$')}`, 'i'),
+    code
+]);
+
+const PERIOD_PATTERNS = [
+    ['hour', /\b(per\s+hour|an\s+hour|hourly|hour|hr)\b|\/\s*h(ou)?r\b/i],
+    ['day', /\b(per\s+day|a\s+day|daily|day)\b|\/\s*day\b/i],
+    ['week', /\b(per\s+week|a\s+week|weekly|week|wk)\b|\/\s*w(ee)?k\b/i],
+    ['month', /\b(per\s+month|a\s+month|monthly|month|mo)\b|\/\s*mo(nth)?\b/i],
+    ['year', /\b(per\s+(year|annum)|a\s+year|yearly|annual(ly)?|annum|year|yr|p\.?a\.?)\b|\/\s*y(ea)?r\b/i]
+];
+
+// "120,000", "120.000", "120k", "1.2m", "95"
+const AMOUNT = String.raw`(\d{1,3}(?:[,.]\d{3})+|\d+(?:\.\d+)?)\s*([km])?\b`;
+const RANGE_PATTERN = new RegExp(`${AMOUNT}\\s*(?:-|–|—|to|and)\\s*[^\\d\\s]{0,3}\\s*${AMOUNT}`, 'gi');
+const SINGLE_PATTERN = new RegExp(AMOUNT, 'gi');
+
+// Text that is nothing but a salary ("95", "50,000 - 60,000 per year"), as salary fields hold
+const BARE_SALARY_PATTERN = new RegExp(`^\\s*${AMOUNT}(?:\\s*(?:-|–|—|to)\\s*${AMOUNT})?\\s*` +
+    String.raw`(?:(?:\/|per|an?)\s*(?:hour|hr|day|week|wk|month|mo|year|yr|annum)|hourly|daily|weekly|monthly|yearly|annually|p\.?a\.?)?\s*$`, 'i');
+
+/**
+ * Salary Normalizer
+ * Builds the structured salary every job carries:
+ * { min, max, currency, period, confidence, annual: { min, max, currency }, text }.
+ * min/max are in the posting's currency and period; annual is annualised with
+ * ANNUAL_MULTIPLIERS and converted to SALARY_CURRENCY (USD by default) using an
+ * offline rate table, so filters and display never re-parse text
+ */
+export class SalaryNormalizer {
+    /**
+     * @param {string} baseCurrency - Currency annual figures are converted to
+     * @param {string|null} ratesFile - JSON file of { CODE: USD per unit } merged over the defaults
+     */
+    constructor(baseCurrency = process.env.SALARY_CURRENCY || 'USD', ratesFile = process.env.CURRENCY_RATES_FILE || null) {
+        this.rates = { ...DEFAULT_RATES, ...this.loadRates(ratesFile) };
+        this.baseCurrency = baseCurrency.toUpperCase();
+
+        if (!this.rates[this.baseCurrency]) {
+            throw new Error(`SALARY_CURRENCY ${this.baseCurrency} has no exchange rate - add it to CURRENCY_RATES_FILE`);
+        }
+    }
+
+    /**
+     * Read a rate table override
+     * @param {string|null} ratesFile - JSON file path
+     * @returns {Object} Currency code -> USD per unit
+     */
+    loadRates(ratesFile) {
+        if (!ratesFile) {
+            return {};
+        }
+
+        try {
+            const rates = JSON.parse(fs.readFileSync(ratesFile, 'utf8'));
+            const valid = Object.fromEntries(Object.entries(rates)
+                .filter(([code, rate]) => /^[A-Z]{3}$/.test(code) && typeof rate === 'number' && rate > 0));
+            console.log(`💱 Loaded ${Object.keys(valid).length} exchange rates from ${ratesFile}`);
+            return valid;
+        } catch (error) {
+            console.warn(`⚠️ Could not read CURRENCY_RATES_FILE ${ratesFile}: ${error.message} - using built-in rates`);
+            return {};
+        }
+    }
+
+    /**
+     * Convert an amount between currencies
+     * @param {number} amount - Amount in the source currency
+     * @param {string} from - Source currency code
+     * @param {string} to - Target currency code
+     * @returns {number|null} Converted amount, null if either rate is unknown
+     */
+    convert(amount, from, to = this.baseCurrency) {
+        if (!this.rates[from] || !this.rates[to]) {
+            return null;
+        }
+        return from === to ? amount : amount * this.rates[from] / this.rates[to];
+    }
+
+    /**
+     * Map a period spelling ("HOUR", "per-year-salary", "monthly") to one of PAY_PERIODS
+     * @param {string} value - Period from a source
+     * @returns {string|null} Period or null if unrecognised
+     */
+    parsePeriod(value) {
+        if (!value) {
+            return null;
+        }
+        // The first period mentioned wins: "$60 an hour, 40 hours a week" is hourly
+        const text = String(value).replace(/[-_]/g, ' ');
+        const matches = PERIOD_PATTERNS
+            .map(([period, pattern]) => ({ period, index: text.search(pattern) }))
+            .filter(match => match.index >= 0)
+            .sort((a, b) => a.index - b.index);
+        return matches[0]?.period || null;
+    }
+
+    /**
+     * Currency code of a code or symbol
+     * @param {string} value - e.g. "usd", "£"
+     * @returns {string|null} Currency code, null if unknown
+     */
+    parseCurrency(value) {
+        if (!value) {
+            return null;
+        }
+        const code = String(value).trim().toUpperCase();
+        if (this.rates[code]) {
+            return code;
+        }
+        return CURRENCY_SYMBOLS.find(([symbol]) => code === symbol)?.[1] || null;
+    }
+
+    /**
+     * Build a salary from numeric fields a source returns
+     * @param {number|string} min - Minimum, numbers in strings are accepted
+     * @param {number|string} max - Maximum
+     * @param {Object} options - { currency, period, confidence } as given by the source;
+     *   a missing currency or period falls back to the base currency and year with lower confidence
+     * @returns {Object|null} Structured salary, null without a positive amount
+     */
+    fromRange(min, max, options = {}) {
+        const amounts = [min, max].map(amount => this.toAmount(amount));
+        if (amounts[0] === null && amounts[1] === null) {
+            return null;
+        }
+
+        // An unknown code is kept as is: the amounts stay, only the annual conversion is lost
+        const currency = this.parseCurrency(options.currency) || (options.currency ? String(options.currency).trim().toUpperCase() : null);
+        const period = PAY_PERIODS.includes(options.period) ? options.period : this.parsePeriod(options.period);
+        const confidence = options.confidence || (currency && period ? 'high' : 'medium');
+
+        return this.build(amounts[0], amounts[1], currency || this.baseCurrency, period || 'year', confidence, null);
+    }
+
+    /**
+     * Parse a free-text salary ("$80k - $120k", "£45,000 per annum", "€50-60/hour")
+     * @param {string} text - Salary text
+     * @param {Object} defaults - { currency, period } to assume when the text does not say
+     * @returns {Object|null} Structured salary, null if the text has no amount
+     */
+    parse(text, defaults = {}) {
+        if (typeof text !== 'string' || !text.trim() || /^salary not specified$/i.test(text.trim())) {
+            return null;
+        }
+
+        const amount = this.findAmount(text);
+        if (!amount) {
+            return null;
+        }
+
+        // "80-120k": a suffix on the upper bound applies to both
+        const { range, single } = amount;
+        const suffix = range ? (range[2] || range[4]) : single[2];
+        let min = this.toAmount(range ? range[1] : single[1], range ? range[2] || suffix : suffix);
+        let max = range ? this.toAmount(range[3], range[4] || suffix) : min;
+        if (min === null && max === null) {
+            return null;
+        }
+
+        const symbolCurrency = SYMBOL_PATTERNS.find(([pattern]) => pattern.test(text))?.[1];
+        const codeCurrency = (text.toUpperCase().match(/\b[A-Z]{3}\b/g) || []).find(code => this.rates[code]);
+        const currency = codeCurrency || symbolCurrency || this.parseCurrency(defaults.currency);
+
+        // Only a period stated after the amount counts: "4-day week, $100k" is not a daily rate
+        const matched = range || single;
+        const before = text.slice(0, matched.index);
+        const after = text.slice(matched.index + matched[0].length);
+        const statedPeriod = this.parsePeriod(after);
+        let period = statedPeriod || this.parsePeriod(defaults.period);
+        if (!period) {
+            // Judge by size: 95 is an hourly rate, 6,000 a monthly one, 90,000 a yearly one
+            const largest = max ?? min;
+            period = largest < 300 && !suffix ? 'hour' : largest < 15000 ? 'month' : 'year';
+        }
+
+        if (!range && /\bup\s+to\s*\S{0,4}$/i.test(before)) {
+            min = null;
+        } else if (!range && (/\b(from|starting\s+at)\s*\S{0,4}$/i.test(before) || /^\s*\+/.test(after))) {
+            max = null;
+        }
+
+        const explicit = (codeCurrency || symbolCurrency) && statedPeriod;
+        return this.build(min, max, currency || this.baseCurrency, period, explicit ? 'medium' : 'low', text.trim());
+    }
+
+    /**
+     * Find the salary amount in text. Prose mentions other numbers ("5 years
+     * experience, $90k"), so a number only counts next to a currency symbol or
+     * code, or with a k/m suffix - unless the text is nothing but a salary
+     * @param {string} text - Salary text
+     * @returns {Object|null} { range } or { single } regex match, null if there is no salary amount
+     */
+    findAmount(text) {
+        const anchored = (match, suffix) => {
+            if (suffix) {
+                return true;
+            }
+            const before = text.slice(0, match.index).match(/(?:[$£€₹¥]|\b([A-Z]{3}))\s*$/i);
+            const after = text.slice(match.index + match[0].length).match(/^\s*([A-Z]{3})\b/i);
+            return !!before && (!before[1] || !!this.rates[before[1].toUpperCase()]) ||
+                !!after && !!this.rates[after[1].toUpperCase()];
+        };
+
+        const ranges = [...text.matchAll(RANGE_PATTERN)];
+        const singles = [...text.matchAll(SINGLE_PATTERN)];
+        if (BARE_SALARY_PATTERN.test(text)) {
+            return ranges[0] ? { range: ranges[0] } : singles[0] ? { single: singles[0] } : null;
+        }
+
+        const range = ranges.find(match => anchored(match, match[2] || match[4]));
+        if (range) {
+            return { range };
+        }
+        const single = singles.find(match => anchored(match, match[2]));
+        return single ? { single } : null;
+    }
+
+    /**
+     * Accept whatever an adapter put in job.salary: a structured salary (its
+     * annual figures are recomputed) or text (parsed)
+     * @param {Object|string|null} value - Salary value
+     * @returns {Object|null} Structured salary, null if there is none
+     */
+    normalize(value) {
+        if (!value) {
+            return null;
+        }
+        if (typeof value === 'string') {
+            return this.parse(value);
+        }
+        if (typeof value === 'object') {
+            const salary = this.fromRange(value.min, value.max, value);
+            return salary && { ...salary, text: value.text ?? null };
+        }
+        return null;
+    }
+
+    /**
+     * Annual figures in the base currency, for filters
+     * @param {Object|string|null} salary - Structured salary or text
+     * @returns {Object} { min, max } with 0 where unknown, like the old extractors
+     */
+    getAnnualRange(salary) {
+        const annual = this.normalize(salary)?.annual;
+        return { min: annual?.min || 0, max: annual?.max || 0 };
+    }
+
+    /**
+     * Display text of a structured salary ("$80k - $120k per year")
+     * @param {Object|null} salary - Structured salary
+     * @returns {string} Salary text
+     */
+    format(salary) {
+        if (!salary || (salary.min === null && salary.max === null)) {
+            return 'Salary not specified';
+        }
+
+        const symbol = CURRENCY_SYMBOLS.find(([, code]) => code === salary.currency)?.[0];
+        const amount = value => {
+            const number = value >= 10000 ? `${Math.round(value / 1000)}k` : value.toLocaleString('en-US');
+            return symbol ? `${symbol}${number}` : `${number} ${salary.currency}`;
+        };
+        const range = salary.min !== null && salary.max !== null && salary.min !== salary.max
+            ? `${amount(salary.min)} - ${amount(salary.max)}`
+            : salary.min !== null ? `${salary.max === null ? 'From ' : ''}${amount(salary.min)}` : `Up to ${amount(salary.max)}`;
+        return `${range} per ${salary.period}`;
+    }
+
+    /**
+     * Positive number from a number or numeric text, honouring k/m suffixes
+     * @param {number|string} value - Amount
+     * @param {string} suffix - 'k' or 'm' if the text had one
+     * @returns {number|null} Amount or null
+     */
+    toAmount(value, suffix = null) {
+        if (value === null || value === undefined || value === '') {
+            return null;
+        }
+
+        let amount;
+        if (typeof value === 'number') {
+            amount = value;
+        } else {
+            // "120,000" and "120.000" are thousands separators, "1.5" is a decimal
+            const text = String(value).trim();
+            amount = /^\d{1,3}([,.]\d{3})+$/.test(text)
+                ? Number(text.replace(/[,.]/g, ''))
+                : parseFloat(text.replace(/[^0-9.]/g, ''));
+        }
+
+        const multiplier = { k: 1000, m: 1000000 }[String(suffix || '').toLowerCase()] || 1;
+        return Number.isFinite(amount) && amount > 0 ? amount * multiplier : null;
+    }
+
+    /**
+     * Assemble a structured salary with its annual figures
+     * @param {number|null} min - Minimum in currency per period
+     * @param {number|null} max - Maximum in currency per period
+     * @param {string} currency - Currency code
+     * @param {string} period - One of PAY_PERIODS
+     * @param {string} confidence - 'high' (source fields), 'medium' or 'low' (parsed or assumed)
+     * @param {string|null} text - Original text, when parsed
+     * @returns {Object} Structured salary
+     */
+    build(min, max, currency, period, confidence, text) {
+        if (min !== null && max !== null && min > max) {
+            [min, max] = [max, min];
+        }
+
+        const annualise = amount => {
+            if (amount === null) return null;
+            const converted = this.convert(amount * ANNUAL_MULTIPLIERS[period], currency);
+            return converted === null ? null : Math.round(converted);
+        };
+        const annual = { min: annualise(min), max: annualise(max), currency: this.baseCurrency };
+
+        return {
+            min,
+            max,
+            currency,
+            period,
+            confidence,
+            annual: annual.min === null && annual.max === null ? null : annual,
+            text
+        };
+    }
+}
+
+// Export singleton instance
+export const salaryNormalizer = new SalaryNormalizer();
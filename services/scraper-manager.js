@@ -5,6 +5,9 @@ import { JoobleScraper } from './scrapers/jooble-scraper.js';
 import { ZipRecruiterScraper } from './scrapers/ziprecruiter-scraper.js';
 import { WeWorkRemotelyScraper } from './scrapers/weworkremotely-scraper.js';
 import { CareerJetScraper } from './scrapers/careerjet-scraper.js';
+import { jobSchema } from './job-schema.js';
+import { jobDeduplicator } from './job-deduplicator.js';
+import { companyRegistry } from './company-registry.js';
 
 /**
  * Manager for web scraping services
@@ -57,7 +60,9 @@ export class ScraperManager {
     }
 
     /**
-     * Search jobs using all available scrapers
+     * Search jobs using all available scrapers. Results are canonical jobs
+     * (services/job-schema.js); scraped records failing the schema are dropped
+     * and listed per scraper in results[name].rejected
      */
     async searchJobs(query, filters = {}, onProgress = null) {
         const availableScrapers = this.getAvailableScrapers();
@@ -80,7 +85,11 @@ export class ScraperManager {
                 }
 
                 const scraper = this.scrapers[scraperName];
-                const jobs = await scraper.searchJobs(query, filters);
+                const { jobs, rejected } = jobSchema.normalizeAll(
+                    await scraper.searchJobs(query, filters),
+                    { sourceId: scraperName, sourceType: 'scraper', query }
+                );
+                companyRegistry.recordJobs(jobs);
                 
                 this.scraperStatus[scraperName].lastUsed = new Date().toISOString();
                 this.scraperStatus[scraperName].errors = 0;
@@ -88,7 +97,8 @@ export class ScraperManager {
                 results[scraperName] = {
                     success: true,
                     jobs: jobs,
-                    count: jobs.length
+                    count: jobs.length,
+                    rejected: rejected
                 };
 
                 if (onProgress) {
@@ -140,7 +150,7 @@ export class ScraperManager {
             }
         });
 
-        // Remove duplicates based on title and company
+        // Remove duplicates, merging the copies
         const uniqueJobs = this.removeDuplicates(allJobs);
         
         console.log(`🎯 Scraping completed: ${uniqueJobs.length} unique jobs from ${availableScrapers.length} sources`);
@@ -155,23 +165,10 @@ export class ScraperManager {
     }
 
     /**
-     * Remove duplicate jobs
+     * Remove duplicate jobs, merging copies listed by several scrapers
      */
     removeDuplicates(jobs) {
-        const seen = new Set();
-        const unique = [];
-
-        jobs.forEach(job => {
-            // Create a key based on title and company
-            const key = `${job.title.toLowerCase()}-${job.company.toLowerCase()}`;
-            
-            if (!seen.has(key)) {
-                seen.add(key);
-                unique.push(job);
-            }
-        });
-
-        return unique;
+        return jobDeduplicator.dedupe(jobs);
     }
 
     /**
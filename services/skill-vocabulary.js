@@ -0,0 +1,291 @@
+// skill-vocabulary.js - Shared skill, role and industry vocabulary for keyword extraction
+
+// Comprehensive technical skills
+export const TECH_SKILLS = [
+    // Programming & Development
+    'javascript', 'typescript', 'python', 'java', 'c#', 'c++', 'php', 'ruby', 'go', 'swift', 'kotlin', 'scala', 'rust',
+    'react', 'react native', 'angular', 'vue', 'node.js', 'socket.io', 'asp.net', 'express', 'django', 'flask', 'spring', 'laravel', 'rails',
+    'html', 'css', 'sass', 'less', 'bootstrap', 'tailwind',
+    'sql', 'mysql', 'postgresql', 'mongodb', 'redis', 'elasticsearch', 'sqlite', 'oracle', 'cassandra',
+    'aws', 'azure', 'google cloud', 'gcp', 'docker', 'kubernetes', 'jenkins', 'git', 'gitlab', 'github',
+    'linux', 'unix', 'windows server', 'apache', 'nginx', 'terraform', 'ansible',
+    
+    // Data & Analytics
+    'excel', 'google sheets', 'tableau', 'power bi', 'looker', 'qlik', 'r', 'stata', 'spss', 'sas',
+    'google analytics', 'mixpanel', 'amplitude', 'hotjar', 'segment', 'databricks', 'snowflake',
+    'pandas', 'numpy', 'matplotlib', 'seaborn', 'plotly', 'jupyter', 'hadoop', 'spark',
+    
+    // Design & Creative
+    'figma', 'sketch', 'adobe xd', 'photoshop', 'illustrator', 'indesign', 'after effects',
+    'canva', 'invision', 'principle', 'framer', 'zeplin', 'adobe creative suite',
+    
+    // Marketing & Sales
+    'google ads', 'facebook ads', 'instagram ads', 'linkedin ads', 'twitter ads', 'tiktok ads',
+    'hubspot', 'salesforce', 'marketo', 'mailchimp', 'constant contact', 'pardot', 'klaviyo',
+    'seo', 'sem', 'ppc', 'social media marketing', 'email marketing', 'content marketing',
+    'google tag manager', 'facebook pixel', 'conversion tracking',
+    
+    // Project Management & Productivity
+    'jira', 'asana', 'trello', 'monday.com', 'notion', 'confluence', 'slack', 'teams',
+    'basecamp', 'wrike', 'smartsheet', 'airtable', 'clickup', 'linear',
+    
+    // Business & Finance
+    'quickbooks', 'sage', 'xero', 'freshbooks', 'netsuite', 'sap', 'oracle financials',
+    'bloomberg terminal', 'thomson reuters', 'factset', 'morningstar', 'workday',
+    
+    // CRM & Customer Service
+    'zendesk', 'freshdesk', 'intercom', 'drift', 'livechat', 'helpscout', 'servicenow',
+    'pipedrive', 'copper', 'zoho', 'insightly', 'dynamics 365'
+];
+
+// Enhanced soft skills
+export const SOFT_SKILLS = [
+    'leadership', 'management', 'team leadership', 'people management',
+    'communication', 'verbal communication', 'written communication', 'presentation skills',
+    'teamwork', 'collaboration', 'cross-functional collaboration',
+    'problem solving', 'analytical thinking', 'critical thinking', 'creative thinking',
+    'project management', 'program management', 'time management', 'organization', 'planning',
+    'customer service', 'client relations', 'stakeholder management', 'relationship management',
+    'public speaking', 'writing', 'editing', 'technical writing',
+    'negotiation', 'sales', 'marketing', 'business development', 'account management',
+    'training', 'mentoring', 'coaching', 'teaching', 'knowledge transfer',
+    'adaptability', 'flexibility', 'innovation', 'creativity', 'entrepreneurship',
+    'attention to detail', 'quality assurance', 'process improvement', 'continuous improvement',
+    'strategic planning', 'strategic thinking', 'decision making', 'risk management'
+];
+
+// Enhanced work experience patterns with responsibilities
+export const EXPERIENCE_PATTERNS = [
+    // Technology roles
+    'software engineer', 'software developer', 'web developer', 'mobile developer', 'app developer',
+    'full stack developer', 'frontend developer', 'backend developer', 'fullstack engineer',
+    'data scientist', 'data analyst', 'data engineer', 'machine learning engineer', 'ai engineer',
+    'devops engineer', 'cloud engineer', 'infrastructure engineer', 'site reliability engineer',
+    'system administrator', 'network administrator', 'database administrator',
+    'cybersecurity analyst', 'information security', 'security engineer',
+    'it support', 'technical support', 'help desk', 'system analyst',
+    'product manager', 'project manager', 'program manager', 'scrum master', 'agile coach',
+    'ux designer', 'ui designer', 'product designer', 'graphic designer', 'web designer',
+    'technical lead', 'engineering manager', 'cto', 'vp engineering',
+    
+    // Business & Operations
+    'business analyst', 'systems analyst', 'process analyst', 'operations analyst',
+    'financial analyst', 'investment analyst', 'research analyst', 'credit analyst',
+    'accountant', 'bookkeeper', 'controller', 'cfo', 'finance manager', 'finance director',
+    'operations manager', 'operations director', 'general manager', 'ceo', 'coo', 'president',
+    'consultant', 'business consultant', 'management consultant', 'strategy consultant',
+    'human resources', 'hr manager', 'hr director', 'recruiter', 'talent acquisition',
+    'training manager', 'learning and development', 'organizational development',
+    
+    // Sales & Marketing
+    'marketing manager', 'marketing director', 'digital marketing manager', 'growth manager',
+    'content marketing manager', 'social media manager', 'brand manager', 'product marketing',
+    'marketing coordinator', 'marketing specialist', 'marketing analyst',
+    'sales manager', 'sales director', 'sales representative', 'account manager', 'account executive',
+    'business development manager', 'partnerships manager', 'channel manager',
+    'customer success manager', 'customer service manager', 'support manager',
+    
+    // Creative & Content
+    'creative director', 'art director', 'design director', 'brand designer',
+    'copywriter', 'content writer', 'technical writer', 'content creator', 'content strategist',
+    'video editor', 'photographer', 'animator', 'motion graphics designer',
+    
+    // Industry-specific
+    'nursing', 'physician', 'pharmaceutical', 'biotech', 'clinical research',
+    'education', 'academic', 'research', 'scientific research', 'mental health',
+    'legal', 'compliance', 'regulatory', 'audit', 'risk management',
+    'retail', 'e-commerce', 'supply chain', 'logistics', 'procurement'
+];
+
+// Industry patterns
+export const INDUSTRY_PATTERNS = [
+    'technology', 'software', 'saas', 'fintech', 'healthtech', 'edtech',
+    'nursing', 'physician', 'therapist', 'pharmaceutical', 'biotechnology',
+    'finance', 'banking', 'insurance', 'investment', 'venture capital',
+    'e-commerce', 'retail', 'consumer goods', 'marketplace',
+    'education', 'academic', 'research', 'non-profit',
+    'media', 'entertainment', 'advertising', 'marketing',
+    'manufacturing', 'automotive', 'aerospace', 'energy',
+    'real estate', 'construction', 'architecture',
+    'consulting', 'professional services', 'legal'
+];
+
+// Responsibility patterns
+export const RESPONSIBILITY_PATTERNS = [
+    'developed', 'built', 'created', 'designed', 'implemented', 'deployed',
+    'managed', 'led', 'supervised', 'coordinated', 'organized',
+    'analyzed', 'researched', 'evaluated', 'assessed', 'reviewed',
+    'improved', 'optimized', 'streamlined', 'automated', 'enhanced',
+    'collaborated', 'partnered', 'worked with', 'liaised',
+    'trained', 'mentored', 'coached', 'taught', 'guided',
+    'planned', 'strategized', 'executed', 'delivered', 'launched',
+    'maintained', 'supported', 'troubleshot', 'resolved',
+    'increased', 'grew', 'expanded', 'scaled', 'boosted',
+    'reduced', 'decreased', 'minimized', 'cut', 'saved'
+];
+
+// Education patterns
+export const EDUCATION_PATTERNS = [
+    'bachelor', 'bs', 'ba', 'master', 'ms', 'ma', 'mba', 'phd', 'doctorate', 'associate',
+    'computer science', 'engineering', 'business', 'marketing', 'finance', 'economics',
+    'psychology', 'communications', 'design', 'art', 'science', 'mathematics',
+    'certification', 'certified', 'license', 'training', 'course', 'bootcamp',
+    'aws certified', 'microsoft certified', 'google certified', 'salesforce certified',
+    'pmp', 'scrum master', 'agile', 'six sigma', 'lean'
+];
+
+// Qualification patterns
+export const QUALIFICATION_PATTERNS = [
+    'years experience', 'years of experience', 'experienced', 'expert', 'specialist',
+    'professional', 'leadership experience', 'management experience',
+    'team lead', 'project lead', 'technical lead', 'thought leader'
+];
+
+// Common spellings of vocabulary terms, as found in LinkedIn skills and job boards
+export const SKILL_ALIASES = {
+    'js': 'javascript',
+    'ecmascript': 'javascript',
+    'ts': 'typescript',
+    'reactjs': 'react',
+    'react.js': 'react',
+    'angularjs': 'angular',
+    'vue.js': 'vue',
+    'vuejs': 'vue',
+    'node': 'node.js',
+    'nodejs': 'node.js',
+    'express.js': 'express',
+    'golang': 'go',
+    'postgres': 'postgresql',
+    'mongo': 'mongodb',
+    'amazon web services': 'aws',
+    'amazon web services (aws)': 'aws',
+    'microsoft azure': 'azure',
+    'google cloud platform': 'google cloud',
+    'google cloud platform (gcp)': 'google cloud',
+    'k8s': 'kubernetes',
+    'microsoft excel': 'excel',
+    'ms excel': 'excel',
+    'microsoft power bi': 'power bi',
+    'adobe photoshop': 'photoshop',
+    'adobe illustrator': 'illustrator',
+    'adobe indesign': 'indesign',
+    'search engine optimization': 'seo',
+    'search engine optimization (seo)': 'seo',
+    'search engine marketing': 'sem',
+    'pay per click': 'ppc',
+    'salesforce.com': 'salesforce',
+    'microsoft teams': 'teams',
+    'microsoft dynamics 365': 'dynamics 365',
+    'team management': 'people management',
+    'public relations': 'communication',
+    'leadership skills': 'leadership'
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Pattern for a whole-word mention of a term. Lookarounds instead of \b so terms
+ * ending in symbols ("c++", "c#") still match; a hyphen joins words, so "go"
+ * is not found in "go-to-market"
+ * @param {string} term - Lowercase term
+ * @returns {RegExp} Case-insensitive global pattern
+ */
+function wordPattern(term) {
+    return new RegExp(`(^|[^a-z0-9-])${escapeRegex(term)}(?![a-z0-9]|-[a-z0-9])`, 'gi');
+}
+
+// Longer terms of a vocabulary that contain each of its terms, worked out once per vocabulary
+const containingTermsCache = new WeakMap();
+
+/**
+ * Longer terms that contain each term of a vocabulary ("react" -> ["react native"])
+ * @param {Array} terms - Vocabulary terms
+ * @returns {Map} Term -> longer terms
+ */
+function getContainingTerms(terms) {
+    if (!containingTermsCache.has(terms)) {
+        const containing = new Map(terms.map(term => [
+            term,
+            terms.filter(other => other !== term && other.length > term.length && wordPattern(term).test(other))
+        ]));
+        containingTermsCache.set(terms, containing);
+    }
+    return containingTermsCache.get(terms);
+}
+
+/**
+ * Blank out mentions of the given terms
+ * @param {string} text - Text to search
+ * @param {Array} terms - Terms to remove
+ * @returns {string} Text without those mentions
+ */
+function maskTerms(text, terms) {
+    return terms.reduce((remaining, term) => remaining.replace(wordPattern(term), '$1 '), text);
+}
+
+/**
+ * Find every vocabulary term mentioned in a piece of text
+ * Matches whole words (see wordPattern), and a longer term that contains a
+ * shorter one is not a mention of it: "React Native" is not "React"
+ * @param {string} text - Text to search
+ * @param {Array} terms - Vocabulary terms
+ * @returns {Array} Matched terms
+ */
+export function matchVocabulary(text, terms) {
+    const containing = getContainingTerms(terms);
+    return terms.filter(term => wordPattern(term).test(maskTerms(text || '', containing.get(term))));
+}
+
+/**
+ * Map a free-form skill name onto the shared vocabulary
+ * Unknown skills are kept as written and treated as technical skills
+ * @param {string} name - Skill name, e.g. "Amazon Web Services (AWS)"
+ * @returns {Object|null} { category: 'technicalSkills'|'softSkills', skill }
+ */
+export function normalizeSkill(name) {
+    const original = (name || '').replace(/\s+/g, ' ').trim();
+    if (!original) return null;
+
+    const lower = original.toLowerCase();
+    const canonical = SKILL_ALIASES[lower] || lower;
+
+    if (TECH_SKILLS.includes(canonical)) return { category: 'technicalSkills', skill: canonical };
+    if (SOFT_SKILLS.includes(canonical)) return { category: 'softSkills', skill: canonical };
+
+    // Longer names often wrap a known term ("Agile Project Management", "Python (Programming Language)")
+    const softMatch = matchVocabulary(lower, SOFT_SKILLS).sort((a, b) => b.length - a.length)[0];
+    const techMatch = matchVocabulary(lower, TECH_SKILLS).sort((a, b) => b.length - a.length)[0];
+
+    if (techMatch && techMatch.length >= lower.replace(/\s*\(.*\)\s*/g, '').length) {
+        return { category: 'technicalSkills', skill: techMatch };
+    }
+    if (softMatch && !techMatch) {
+        return { category: 'softSkills', skill: original };
+    }
+
+    return { category: 'technicalSkills', skill: original };
+}
+
+/**
+ * Find the skills a piece of text does not mention, counting known aliases
+ * (a pinned "aws" is satisfied by "Amazon Web Services")
+ * Used to enforce the must-have skills pinned on the analysis panel
+ * @param {string} text - Text to search, e.g. job title and description
+ * @param {Array} skills - Skills that must be present
+ * @returns {Array} Skills with no mention in the text
+ */
+export function findMissingSkills(text, skills) {
+    return (skills || []).filter(skill => {
+        const lower = (skill || '').replace(/\s+/g, ' ').trim().toLowerCase();
+        if (!lower) return false;
+
+        const canonical = SKILL_ALIASES[lower] || lower;
+        const terms = [canonical, ...Object.keys(SKILL_ALIASES).filter(alias => SKILL_ALIASES[alias] === canonical)];
+
+        // Longer skills that contain this one are different skills: "React Native" is not "React"
+        const otherSkills = TECH_SKILLS.filter(other => other !== canonical && terms.some(term => wordPattern(term).test(other)));
+        const searchText = maskTerms(text || '', otherSkills);
+
+        return !terms.some(term => wordPattern(term).test(searchText));
+    });
+}
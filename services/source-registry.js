@@ -0,0 +1,159 @@
+// services/source-registry.js - Job source registry with auto-discovery
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { BaseApi } from './base-api.js';
+import { apiConfig } from '../config/api-config.js';
+
+const SOURCES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'sources');
+
+const METADATA_DEFAULTS = {
+    aliases: [],
+    requiredEnv: [],
+    weight: 5,
+    rateLimit: null, // { requests, per: 'second' | 'minute' | 'hour' | 'day' | 'month' } or a list, null for no limit
+    remoteOnly: false, // true when the source only returns remote roles
+    maxQueries: 15, // search queries sent per search
+    queryDelay: 500, // ms between queries
+    maxResults: null, // raw results budget per search across all queries, null for unlimited
+    retry: {}, // overrides of the default retry policy, e.g. { maxAttempts: 2 } (see api-config.js)
+    config: {}
+};
+
+/**
+ * Source Registry
+ * Every module in services/sources/ exports `metadata` and a class extending BaseApi.
+ * The registry imports them all at startup, so adding a source is a single file:
+ *
+ *   export const metadata = {
+ *       id: 'example',                  // internal name, used by ApiManager and status reports
+ *       displayName: 'Example Jobs',    // name shown to users
+ *       requiredEnv: ['EXAMPLE_API_KEY'],
+ *       weight: 5,                      // share of the search progress bar
+ *       rateLimit: { requests: 100, per: 'day' },
+ *       remoteOnly: false,
+ *       config: { key: process.env.EXAMPLE_API_KEY, baseUrl: 'https://api.example.com' }
+ *   };
+ *   export class ExampleApi extends BaseApi { ... }
+ *
+ * Optional metadata: aliases, maxQueries, queryDelay, maxResults, retry and validate(config) for keyless
+ * sources that need more than environment variables (see validateBoards in api-config.js)
+ */
+export class SourceRegistry {
+    constructor() {
+        this.sources = new Map(); // id -> metadata with ApiClass
+        this.aliases = new Map(); // alias -> id
+    }
+
+    /**
+     * Register a source
+     * @param {Object} metadata - Source metadata
+     * @param {Function} ApiClass - Class extending BaseApi
+     */
+    register(metadata, ApiClass) {
+        if (!metadata?.id || !metadata.displayName) {
+            throw new Error('Source metadata needs an id and a displayName');
+        }
+        if (this.sources.has(metadata.id)) {
+            throw new Error(`Duplicate job source id: ${metadata.id}`);
+        }
+
+        const source = { ...METADATA_DEFAULTS, ...metadata, ApiClass };
+        this.sources.set(source.id, source);
+        source.aliases.forEach(alias => this.aliases.set(alias, source.id));
+        apiConfig.registerSource(source);
+    }
+
+    /**
+     * Import every source module in a directory and register what it exports
+     * @param {string} directory - Directory of source modules
+     * @returns {Promise<number>} Number of sources registered
+     */
+    async discover(directory = SOURCES_DIR) {
+        const files = fs.readdirSync(directory).filter(file => file.endsWith('.js')).sort();
+        let registered = 0;
+
+        for (const file of files) {
+            const module = await import(pathToFileURL(path.join(directory, file)).href);
+            const ApiClass = Object.values(module).find(value => typeof value === 'function' && value.prototype instanceof BaseApi);
+
+            if (!module.metadata || !ApiClass) {
+                console.warn(`⚠️ Skipping ${file}: a source module must export metadata and a BaseApi class`);
+                continue;
+            }
+
+            this.register(module.metadata, ApiClass);
+            registered++;
+        }
+
+        console.log(`🧩 Registered ${registered} job sources: ${this.list().map(source => source.id).join(', ')}`);
+        return registered;
+    }
+
+    /**
+     * Get a source by id or alias
+     * @param {string} id - Source id or alias
+     * @returns {Object|null} Source metadata or null if unknown
+     */
+    get(id) {
+        return this.sources.get(this.aliases.get(id) || id) || null;
+    }
+
+    /**
+     * All sources, heaviest first (the order searches run in)
+     * @returns {Array} Source metadata
+     */
+    list() {
+        return Array.from(this.sources.values())
+            .sort((a, b) => b.weight - a.weight || a.id.localeCompare(b.id));
+    }
+
+    /**
+     * Display name for a source
+     * @param {string} id - Source id or alias
+     * @returns {string} Display name, or the id when unknown
+     */
+    getDisplayName(id) {
+        return this.get(id)?.displayName || id;
+    }
+
+    /**
+     * Sources with their weights scaled to a progress range
+     * @param {number} total - Progress the sources share, e.g. 100
+     * @returns {Array} Source metadata with a progressWeight field
+     */
+    getProgressWeights(total = 100) {
+        const sources = this.list();
+        const weightSum = sources.reduce((sum, source) => sum + source.weight, 0) || 1;
+        return sources.map(source => ({ ...source, progressWeight: (source.weight / weightSum) * total }));
+    }
+
+    /**
+     * Create one API instance per source
+     * @returns {Object} Source id -> API instance
+     */
+    createInstances() {
+        const instances = {};
+        this.sources.forEach((source, id) => {
+            instances[id] = new source.ApiClass();
+        });
+        return instances;
+    }
+
+    /**
+     * Configuration state of every source, for health checks
+     * @returns {Object} Source id -> 'configured' | 'missing'
+     */
+    getHealthMap() {
+        const health = {};
+        this.list().forEach(source => {
+            health[source.id] = apiConfig.validateApi(source.id).isValid ? 'configured' : 'missing';
+        });
+        return health;
+    }
+}
+
+// Export singleton instance, populated from services/sources/
+export const sourceRegistry = new SourceRegistry();
+await sourceRegistry.discover();
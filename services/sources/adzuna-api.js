@@ -0,0 +1,95 @@
+// services/sources/adzuna-api.js - Adzuna API service
+
+import { BaseApi } from '../base-api.js';
+import { salaryNormalizer } from '../salary.js';
+
+/**
+ * Source registry entry - see services/source-registry.js
+ */
+export const metadata = {
+    id: 'adzuna',
+    displayName: 'Adzuna',
+    requiredEnv: ['ADZUNA_APP_ID', 'ADZUNA_API_KEY'],
+    weight: 12,
+    rateLimit: [
+        { requests: 1000, per: 'day' },
+        { requests: 25, per: 'minute' }
+    ],
+    remoteOnly: false,
+    maxResults: 250,
+    config: {
+        appId: process.env.ADZUNA_APP_ID,
+        apiKey: process.env.ADZUNA_API_KEY,
+        baseUrl: 'https://api.adzuna.com/v1',
+        timeout: 15000
+    }
+};
+
+/**
+ * Adzuna API service
+ * Real job listings from multiple sources
+ */
+export class AdzunaApi extends BaseApi {
+    constructor() {
+        super('adzuna');
+        this.pagination = { firstPage: 1, pageSize: 50, maxPages: 3, relevanceThreshold: 0.3 };
+    }
+
+    /**
+     * Fetch one page of Adzuna results (pages are numbered from 1 in the URL)
+     * @param {string} query - Search query
+     * @param {Object} filters - Search filters
+     * @param {number} page - Page number
+     * @returns {Promise<Object>} { jobs, nextPage }
+     */
+    async fetchPage(query, filters, page) {
+        const requestConfig = {
+            method: 'GET',
+            url: `${this.config.baseUrl}/api/jobs/us/search/${page}`,
+            params: {
+                app_id: this.config.appId,
+                app_key: this.config.apiKey,
+                what: query.replace('remote ', ''),
+                where: 'remote',
+                results_per_page: this.pagination.pageSize,
+                sort_by: 'relevance'
+            }
+        };
+
+        const response = await this.makeRequest(requestConfig);
+
+        if (!response.data?.results) {
+            throw new Error('No results field in response');
+        }
+
+        const results = response.data.results;
+        return {
+            jobs: results.map(job => this.toJob(job)),
+            nextPage: this.nextPageNumber(page, results.length, response.data.count)
+        };
+    }
+
+    /**
+     * Standardize job object from Adzuna API
+     * @param {Object} job - Raw job object from API
+     * @returns {Object} Standardized job object
+     */
+    standardizeJob(job) {
+        return {
+            title: job.title,
+            company: job.company?.display_name || 'Unknown Company',
+            location: job.location?.display_name || 'Remote',
+            link: job.redirect_url,
+            source: 'Adzuna',
+            description: job.description || '',
+            // US search: yearly dollars. Adzuna estimates salaries it was not given
+            salary: salaryNormalizer.fromRange(job.salary_min, job.salary_max, {
+                currency: 'USD',
+                period: 'year',
+                confidence: job.salary_is_predicted === '1' ? 'low' : 'high'
+            }),
+            type: job.contract_time || 'Full-time',
+            datePosted: job.created || new Date().toISOString()
+        };
+    }
+}
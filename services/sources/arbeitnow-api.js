@@ -0,0 +1,85 @@
+// services/sources/arbeitnow-api.js - Arbeitnow job board API service
+
+import { PublicFeedApi } from '../public-feed-api.js';
+import { validateEnabled } from '../../config/api-config.js';
+
+/**
+ * Source registry entry - see services/source-registry.js
+ * Keyless and on by default; ARBEITNOW_ENABLED=false turns it off
+ */
+export const metadata = {
+    id: 'arbeitnow',
+    displayName: 'Arbeitnow',
+    requiredEnv: [],
+    weight: 4,
+    rateLimit: null,
+    remoteOnly: false, // the board lists office jobs too; its remote flag decides
+    config: {
+        enabled: process.env.ARBEITNOW_ENABLED !== 'false',
+        baseUrl: 'https://www.arbeitnow.com/api/job-board-api',
+        maxPages: 3, // 100 jobs per page
+        timeout: 15000
+    },
+    validate: validateEnabled
+};
+
+/**
+ * Arbeitnow API service
+ * Public job board feed at arbeitnow.com, mostly European roles. Unlike the other
+ * feeds it lists on-site jobs too, flagged by a remote boolean
+ */
+export class ArbeitnowApi extends PublicFeedApi {
+    constructor() {
+        super('arbeitnow', 'Arbeitnow');
+    }
+
+    /**
+     * Fetch the newest postings, up to config.maxPages pages
+     * @returns {Promise<Array>} Raw posting objects
+     */
+    async fetchFeed() {
+        const jobs = [];
+
+        for (let page = 1; page <= (this.config.maxPages || 1); page++) {
+            const response = await this.makeRequest({
+                method: 'GET',
+                url: this.config.baseUrl,
+                params: { page }
+            });
+
+            if (!Array.isArray(response.data?.data)) {
+                throw new Error('No data field in response');
+            }
+
+            jobs.push(...response.data.data);
+            if (!response.data.links?.next) break;
+        }
+
+        return jobs;
+    }
+
+    /**
+     * Standardize job object from Arbeitnow API
+     * @param {Object} job - Raw job object from API
+     * @returns {Object} Standardized job object
+     */
+    standardizeJob(job) {
+        const location = job.location || 'Not specified';
+        const isRemote = job.remote === true;
+
+        return {
+            title: job.title,
+            company: job.company_name || 'Company not specified',
+            location: this.describeLocation(location, isRemote),
+            link: job.url,
+            source: 'Arbeitnow',
+            description: this.htmlToText(job.description),
+            salary: null,
+            type: this.formatJobType((job.job_types || [])[0]),
+            datePosted: this.toIsoDate(job.created_at),
+            isRemote,
+            tags: job.tags || [],
+            regionRestrictions: []
+        };
+    }
+}
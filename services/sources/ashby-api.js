@@ -0,0 +1,81 @@
+// services/sources/ashby-api.js - Ashby job board API service
+
+import { AtsBoardApi } from '../ats-board-api.js';
+import { parseList, validateBoards } from '../../config/api-config.js';
+import { salaryNormalizer } from '../salary.js';
+
+/**
+ * Source registry entry - see services/source-registry.js
+ * Keyless; usable as soon as at least one company board token is listed in ASHBY_BOARDS
+ */
+export const metadata = {
+    id: 'ashby',
+    displayName: 'Ashby',
+    requiredEnv: [],
+    weight: 5,
+    rateLimit: null,
+    remoteOnly: false, // company boards list office jobs too; the location and workplace type decide
+    config: {
+        boards: parseList(process.env.ASHBY_BOARDS),
+        baseUrl: 'https://api.ashbyhq.com',
+        timeout: 15000
+    },
+    validate: validateBoards
+};
+
+/**
+ * Ashby API service
+ * Public job boards at api.ashbyhq.com, one per company board token
+ */
+export class AshbyApi extends AtsBoardApi {
+    constructor() {
+        super('ashby', 'Ashby');
+    }
+
+    /**
+     * Fetch all listed postings on an Ashby board
+     * @param {string} board - Company board token, e.g. "linear"
+     * @returns {Promise<Array>} Raw posting objects
+     */
+    async fetchBoard(board) {
+        const response = await this.makeRequest({
+            method: 'GET',
+            url: `${this.config.baseUrl}/posting-api/job-board/${encodeURIComponent(board)}`,
+            params: { includeCompensation: true }
+        });
+
+        if (!Array.isArray(response.data?.jobs)) {
+            throw new Error('No jobs field in response');
+        }
+
+        return response.data.jobs.filter(job => job.isListed !== false);
+    }
+
+    /**
+     * Standardize job object from Ashby API
+     * @param {Object} job - Raw job object from API
+     * @param {string} board - Board token the job came from
+     * @returns {Object} Standardized job object
+     */
+    standardizeJob(job, board) {
+        const secondaryLocations = (job.secondaryLocations || []).map(secondary => secondary.location).filter(Boolean);
+        const location = [job.location, ...secondaryLocations].filter(Boolean).join(', ') || 'Not specified';
+        const isRemote = job.isRemote === true || job.workplaceType === 'Remote' || this.isRemoteLocation(location);
+        const compensation = job.compensation?.scrapeableCompensationSalarySummary ||
+            job.compensation?.compensationTierSummary;
+
+        return {
+            title: job.title,
+            company: this.formatCompanyName(board),
+            location: this.describeLocation(location, isRemote),
+            link: job.jobUrl || job.applyUrl,
+            source: 'Ashby',
+            description: job.descriptionPlain || this.htmlToText(job.descriptionHtml),
+            salary: salaryNormalizer.parse(compensation),
+            // Ashby sends "FullTime", "PartTime", "Contract"...
+            type: (job.employmentType || 'FullTime').replace(/([a-z])([A-Z])/g, '$1-$2'),
+            datePosted: job.publishedAt || new Date().toISOString(),
+            isRemote
+        };
+    }
+}
@@ -0,0 +1,76 @@
+// services/sources/greenhouse-api.js - Greenhouse job board API service
+
+import { AtsBoardApi } from '../ats-board-api.js';
+import { parseList, validateBoards } from '../../config/api-config.js';
+
+/**
+ * Source registry entry - see services/source-registry.js
+ * Keyless; usable as soon as at least one company board token is listed in GREENHOUSE_BOARDS
+ */
+export const metadata = {
+    id: 'greenhouse',
+    displayName: 'Greenhouse',
+    requiredEnv: [],
+    weight: 5,
+    rateLimit: null,
+    remoteOnly: false, // company boards list office jobs too; the location decides
+    config: {
+        boards: parseList(process.env.GREENHOUSE_BOARDS),
+        baseUrl: 'https://boards-api.greenhouse.io/v1',
+        timeout: 15000
+    },
+    validate: validateBoards
+};
+
+/**
+ * Greenhouse API service
+ * Public job boards at boards-api.greenhouse.io, one per company board token
+ */
+export class GreenhouseApi extends AtsBoardApi {
+    constructor() {
+        super('greenhouse', 'Greenhouse');
+    }
+
+    /**
+     * Fetch all postings on a Greenhouse board
+     * @param {string} board - Company board token, e.g. "gitlab"
+     * @returns {Promise<Array>} Raw posting objects
+     */
+    async fetchBoard(board) {
+        const response = await this.makeRequest({
+            method: 'GET',
+            url: `${this.config.baseUrl}/boards/${encodeURIComponent(board)}/jobs`,
+            params: { content: true }
+        });
+
+        if (!Array.isArray(response.data?.jobs)) {
+            throw new Error('No jobs field in response');
+        }
+
+        return response.data.jobs;
+    }
+
+    /**
+     * Standardize job object from Greenhouse API
+     * @param {Object} job - Raw job object from API
+     * @param {string} board - Board token the job came from
+     * @returns {Object} Standardized job object
+     */
+    standardizeJob(job, board) {
+        const location = job.location?.name || 'Not specified';
+        const offices = (job.offices || []).map(office => office.name).join(' ');
+
+        return {
+            title: job.title,
+            company: job.company_name || this.formatCompanyName(board),
+            location,
+            link: job.absolute_url,
+            source: 'Greenhouse',
+            description: this.htmlToText(job.content),
+            salary: null,
+            type: 'Full-time',
+            datePosted: job.first_published || job.updated_at || new Date().toISOString(),
+            isRemote: this.isRemoteLocation(`${location} ${offices}`)
+        };
+    }
+}
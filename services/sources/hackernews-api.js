@@ -0,0 +1,202 @@
+// services/sources/hackernews-api.js - Hacker News "Who is hiring?" thread service
+
+import * as cheerio from 'cheerio';
+import { PublicFeedApi } from '../public-feed-api.js';
+import { validateEnabled } from '../../config/api-config.js';
+import { salaryNormalizer } from '../salary.js';
+import { remoteClassifier } from '../remote-classifier.js';
+
+/**
+ * Source registry entry - see services/source-registry.js
+ * Keyless and on by default; HN_HIRING_ENABLED=false turns it off
+ */
+export const metadata = {
+    id: 'hackernews',
+    displayName: 'HN Who is Hiring',
+    requiredEnv: [],
+    weight: 5,
+    rateLimit: null,
+    remoteOnly: false, // hiring threads list office jobs too; the header decides
+    config: {
+        enabled: process.env.HN_HIRING_ENABLED !== 'false',
+        threadId: process.env.HN_HIRING_THREAD_ID || null, // defaults to the newest thread
+        baseUrl: 'https://hn.algolia.com/api/v1',
+        timeout: 30000,
+        cacheTTL: 60 * 60 * 1000 // the thread only gains a few posts an hour
+    },
+    validate: validateEnabled
+};
+
+const URL_PATTERN = /https?:\/\/|www\.|\.(com|io|ai|co|dev|org|net|app)\b/i;
+const SALARY_PATTERN = /[$€£]\s?\d|\b\d{2,3}\s?k\b|\bequity\b|\bsalary\b|\bcompensation\b/i;
+const JOB_TYPE_PATTERN = /\b(full[- ]?time|part[- ]?time|contract(or)?|intern(ship)?|freelance)\b/i;
+const ROLE_PATTERN = /\b(engineer|developer|dev\b|designer|manager|scientist|analyst|architect|lead\b|head of|director|sre\b|devops|researcher|writer|recruiter|specialist|consultant|administrator|cto\b|vp\b|founding|programmer|staff|principal|product|marketing|sales|support|qa\b)/i;
+const REMOTE_PATTERN = /\bremote\b/i;
+const NOT_REMOTE_PATTERN = /\b(no|not)\s+remote\b/i;
+const ONSITE_PATTERN = /\b(on[- ]?site|in[- ]office|hybrid)\b/i;
+// "Remote (US)", "Remote - EU"; not "Remote-friendly" or "Remote-first"
+const REMOTE_REGION_PATTERN = /\bremote\s*(?:\(([^)]+)\)|[-–:]\s*(?!(?:friendly|first|ok|optional|possible)\b)([^,;|]+))/i;
+
+/**
+ * Hacker News API service
+ * Reads the top-level comments of the current monthly "Ask HN: Who is hiring?" thread
+ * through the public Algolia HN API. Each comment conventionally starts with a header
+ * line like "Acme | Senior Engineer | REMOTE (US) | $150k-$180k | https://acme.com/jobs"
+ * which is parsed into the standard job fields; the rest of the comment is the description
+ */
+export class HackerNewsApi extends PublicFeedApi {
+    constructor() {
+        super('hackernews', 'HN Who is Hiring');
+    }
+
+    /**
+     * Find the id of the newest "Who is hiring?" thread, unless one is configured
+     * @returns {Promise<string>} HN story id
+     */
+    async findCurrentThreadId() {
+        if (this.config.threadId) return this.config.threadId;
+
+        // Threads are posted by the whoishiring account, alongside "Who wants to be hired?" and freelancer threads
+        const response = await this.makeRequest({
+            method: 'GET',
+            url: `${this.config.baseUrl}/search_by_date`,
+            params: { tags: 'story,author_whoishiring', hitsPerPage: 10 }
+        });
+
+        const thread = (response.data?.hits || []).find(hit => /who is hiring/i.test(hit.title || ''));
+        if (!thread) {
+            throw new Error('No "Who is hiring?" thread found');
+        }
+
+        console.log(`🧵 HN: using "${thread.title}" (${thread.objectID})`);
+        return thread.objectID;
+    }
+
+    /**
+     * Fetch the top-level comments (job posts) of the current thread
+     * @returns {Promise<Array>} Raw comment objects
+     */
+    async fetchFeed() {
+        const threadId = await this.findCurrentThreadId();
+        const response = await this.makeRequest({
+            method: 'GET',
+            url: `${this.config.baseUrl}/items/${encodeURIComponent(threadId)}`
+        });
+
+        if (!Array.isArray(response.data?.children)) {
+            throw new Error('No children field in response');
+        }
+
+        // Replies are discussion, not job posts; deleted comments have no text
+        return response.data.children
+            .filter(comment => comment.type === 'comment' && comment.text)
+            .map(comment => ({ ...comment, header: this.parseHeader(this.getHeaderLine(comment.text)) }))
+            .filter(comment => comment.header);
+    }
+
+    /**
+     * The header line of a comment: its text up to the first paragraph break
+     * @param {string} html - Comment HTML
+     * @returns {string} Header line as plain text
+     */
+    getHeaderLine(html) {
+        const firstParagraph = html.split(/<p>/i)[0];
+        return cheerio.load(firstParagraph).text().replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Parse a "Company | Role | Location | REMOTE | Salary" header line. Fields come in
+     * any order after the company, so each segment is classified by its content
+     * @param {string} line - Header line
+     * @returns {Object|null} { company, title, location, isRemote, regionRestrictions, salary, type, link },
+     *   or null when the line doesn't follow the convention
+     */
+    parseHeader(line) {
+        const segments = line.split(/\s+[|•·]\s+|\s*\|\s*/).map(segment => segment.trim()).filter(Boolean);
+        if (segments.length < 2) return null;
+
+        const [companySegment, ...rest] = segments;
+        const header = {
+            company: companySegment.replace(/\(?\s*(https?:\/\/|www\.)\S+\s*\)?/gi, '').trim() || companySegment,
+            title: null,
+            location: null,
+            isRemote: false,
+            regionRestrictions: [],
+            salary: null,
+            type: null,
+            link: null
+        };
+
+        const locations = [];
+        let remoteMentioned = false;
+
+        for (const segment of rest) {
+            if (URL_PATTERN.test(segment) && !REMOTE_PATTERN.test(segment)) {
+                header.link = header.link || (segment.match(/https?:\/\/\S+/i) || [])[0] || null;
+                continue;
+            }
+
+            const isRemoteSegment = REMOTE_PATTERN.test(segment) && !NOT_REMOTE_PATTERN.test(segment);
+            const isOnsiteSegment = ONSITE_PATTERN.test(segment) || NOT_REMOTE_PATTERN.test(segment);
+            remoteMentioned = remoteMentioned || isRemoteSegment;
+
+            if (isRemoteSegment) {
+                const region = segment.match(REMOTE_REGION_PATTERN);
+                if (region) header.regionRestrictions.push(...this.parseKnownRegions(region[1] || region[2]));
+            }
+
+            if (SALARY_PATTERN.test(segment) && !ROLE_PATTERN.test(segment)) {
+                header.salary = segment;
+            } else if (JOB_TYPE_PATTERN.test(segment) && segment.length <= 25 && !isRemoteSegment) {
+                header.type = segment.match(JOB_TYPE_PATTERN)[0];
+            } else if (ROLE_PATTERN.test(segment) && !isRemoteSegment && !isOnsiteSegment) {
+                header.title = header.title ? `${header.title}, ${segment}` : segment;
+            } else {
+                locations.push(segment);
+            }
+        }
+
+        // "ONSITE or REMOTE" is remote-friendly; a bare ONSITE or "no remote" is not
+        header.isRemote = remoteMentioned;
+        header.title = header.title || locations.shift() || null;
+        header.location = locations.join(' / ') || null;
+
+        return header.title ? header : null;
+    }
+
+    /**
+     * Regions named after "Remote" in a header segment. Free text there is just as often
+     * "3 days onsite" as a place, so only regions the remote classifier knows are kept
+     * @param {string} value - Text after "Remote", e.g. "US or Canada"
+     * @returns {Array} Region restrictions
+     */
+    parseKnownRegions(value) {
+        return this.parseRegions(value).filter(part => remoteClassifier.findRegions(part).length > 0);
+    }
+
+    /**
+     * Standardize job object from a parsed HN comment
+     * @param {Object} comment - Raw comment object with its parsed header
+     * @returns {Object} Standardized job object
+     */
+    standardizeJob(comment) {
+        const { header } = comment;
+        const location = header.location || (header.isRemote ? 'Remote' : 'Not specified');
+
+        return {
+            title: header.title,
+            company: header.company,
+            location: this.describeLocation(location, header.isRemote),
+            link: `https://news.ycombinator.com/item?id=${comment.id}`,
+            applyLink: header.link,
+            source: 'HN Who is Hiring',
+            description: this.htmlToText(comment.text),
+            salary: salaryNormalizer.parse(header.salary),
+            type: this.formatJobType(header.type),
+            datePosted: this.toIsoDate(comment.created_at_i || comment.created_at),
+            isRemote: header.isRemote,
+            tags: [],
+            regionRestrictions: header.regionRestrictions
+        };
+    }
+}
@@ -0,0 +1,95 @@
+// services/sources/himalayas-api.js - Himalayas remote jobs API service
+
+import { PublicFeedApi } from '../public-feed-api.js';
+import { validateEnabled } from '../../config/api-config.js';
+
+/**
+ * Source registry entry - see services/source-registry.js
+ * Keyless and on by default; HIMALAYAS_ENABLED=false turns it off
+ */
+export const metadata = {
+    id: 'himalayas',
+    displayName: 'Himalayas',
+    requiredEnv: [],
+    weight: 5,
+    rateLimit: null,
+    remoteOnly: true,
+    config: {
+        enabled: process.env.HIMALAYAS_ENABLED !== 'false',
+        baseUrl: 'https://himalayas.app/jobs/api',
+        maxPages: 5, // 20 jobs per page
+        timeout: 15000
+    },
+    validate: validateEnabled
+};
+
+/**
+ * Himalayas API service
+ * Public remote-job feed at himalayas.app/jobs/api, newest first, paged by offset
+ */
+export class HimalayasApi extends PublicFeedApi {
+    constructor() {
+        super('himalayas', 'Himalayas');
+        this.pageSize = 20; // Maximum page size the API allows
+    }
+
+    /**
+     * Fetch the newest postings, up to config.maxPages pages
+     * @returns {Promise<Array>} Raw posting objects
+     */
+    async fetchFeed() {
+        const jobs = [];
+
+        for (let page = 0; page < (this.config.maxPages || 1); page++) {
+            const response = await this.makeRequest({
+                method: 'GET',
+                url: this.config.baseUrl,
+                params: { limit: this.pageSize, offset: page * this.pageSize }
+            });
+
+            if (!Array.isArray(response.data?.jobs)) {
+                throw new Error('No jobs field in response');
+            }
+
+            jobs.push(...response.data.jobs);
+
+            const total = response.data.totalCount ?? Infinity;
+            if (response.data.jobs.length < this.pageSize || jobs.length >= total) break;
+        }
+
+        return jobs;
+    }
+
+    /**
+     * Standardize job object from Himalayas API
+     * @param {Object} job - Raw job object from API
+     * @returns {Object} Standardized job object
+     */
+    standardizeJob(job) {
+        const regionRestrictions = this.parseRegions(job.locationRestrictions || []);
+
+        return {
+            title: job.title,
+            company: job.companyName || 'Company not specified',
+            location: this.describeRemoteRegions(regionRestrictions),
+            link: job.applicationLink || job.guid,
+            source: 'Himalayas',
+            description: this.htmlToText(job.description || job.excerpt),
+            salary: this.salaryRange(job.minSalary, job.maxSalary, job.currency),
+            type: this.formatJobType(job.employmentType),
+            datePosted: this.toIsoDate(job.pubDate),
+            isRemote: true,
+            tags: (job.categories || []).map(category => category.replace(/-/g, ' ')),
+            regionRestrictions
+        };
+    }
+
+    /**
+     * Company logo Himalayas sends with each job
+     * @param {Object} job - Raw job object from API
+     * @returns {Object} Company facts
+     */
+    extractCompanyFacts(job) {
+        return { logo: job.companyLogo || null };
+    }
+}
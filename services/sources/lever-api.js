@@ -0,0 +1,88 @@
+// services/sources/lever-api.js - Lever postings API service
+
+import { AtsBoardApi } from '../ats-board-api.js';
+import { parseList, validateBoards } from '../../config/api-config.js';
+
+/**
+ * Source registry entry - see services/source-registry.js
+ * Keyless; usable as soon as at least one company board token is listed in LEVER_BOARDS
+ */
+export const metadata = {
+    id: 'lever',
+    displayName: 'Lever',
+    requiredEnv: [],
+    weight: 5,
+    rateLimit: null,
+    remoteOnly: false, // company boards list office jobs too; the location and workplace type decide
+    config: {
+        boards: parseList(process.env.LEVER_BOARDS),
+        baseUrl: process.env.LEVER_API_URL || 'https://api.lever.co/v0', // https://api.eu.lever.co/v0 for EU-hosted boards
+        timeout: 15000
+    },
+    validate: validateBoards
+};
+
+/**
+ * Lever API service
+ * Public postings at api.lever.co, one per company board token
+ */
+export class LeverApi extends AtsBoardApi {
+    constructor() {
+        super('lever', 'Lever');
+    }
+
+    /**
+     * Fetch all postings for a Lever company
+     * @param {string} board - Company board token, e.g. "plaid"
+     * @returns {Promise<Array>} Raw posting objects
+     */
+    async fetchBoard(board) {
+        const response = await this.makeRequest({
+            method: 'GET',
+            url: `${this.config.baseUrl}/postings/${encodeURIComponent(board)}`,
+            params: { mode: 'json' }
+        });
+
+        if (!Array.isArray(response.data)) {
+            throw new Error('Unexpected response format');
+        }
+
+        return response.data;
+    }
+
+    /**
+     * Structured salary from Lever's salaryRange ({ min, max, currency, interval })
+     * @param {Object} range - Salary range
+     * @returns {Object|null} Structured salary
+     */
+    toSalary(range) {
+        if (!range) return null;
+        // interval is e.g. "per-year-salary" or "per-hour-wage"
+        return this.salaryRange(range.min, range.max, range.currency, range.interval);
+    }
+
+    /**
+     * Standardize job object from Lever API
+     * @param {Object} job - Raw job object from API
+     * @param {string} board - Board token the job came from
+     * @returns {Object} Standardized job object
+     */
+    standardizeJob(job, board) {
+        const location = job.categories?.location || (job.categories?.allLocations || []).join(', ') || 'Not specified';
+        const lists = (job.lists || []).map(list => `${list.text}: ${this.htmlToText(list.content)}`);
+        const isRemote = job.workplaceType === 'remote' || this.isRemoteLocation(location);
+
+        return {
+            title: job.text,
+            company: this.formatCompanyName(board),
+            location: this.describeLocation(location, isRemote),
+            link: job.hostedUrl || job.applyUrl,
+            source: 'Lever',
+            description: [job.descriptionPlain, ...lists, job.additionalPlain].filter(Boolean).join('\n\n').trim(),
+            salary: this.toSalary(job.salaryRange),
+            type: job.categories?.commitment || 'Full-time',
+            datePosted: job.createdAt ? new Date(job.createdAt).toISOString() : new Date().toISOString(),
+            isRemote
+        };
+    }
+}
@@ -1,6 +1,29 @@
-// services/rapidapi-jobs.js - RapidAPI Jobs service
+// services/sources/rapidapi-jobs.js - RapidAPI Jobs service
 
-import { BaseApi } from './base-api.js';
+import { BaseApi } from '../base-api.js';
+import { salaryNormalizer } from '../salary.js';
+
+/**
+ * Source registry entry - see services/source-registry.js
+ */
+export const metadata = {
+    id: 'jobs',
+    displayName: 'Jobs API',
+    requiredEnv: ['RAPIDAPI_KEY'],
+    weight: 7,
+    rateLimit: [
+        { requests: 500, per: 'month' }, // free tier
+        { requests: 1, per: 'second' }
+    ],
+    remoteOnly: true,
+    retry: { maxAttempts: 2 }, // every attempt counts against the monthly quota
+    config: {
+        key: process.env.RAPIDAPI_KEY,
+        host: 'jobs-api14.p.rapidapi.com',
+        url: 'https://jobs-api14.p.rapidapi.com/list',
+        timeout: 15000
+    }
+};
 
 /**
  * RapidAPI Jobs service
@@ -8,7 +31,7 @@ import { BaseApi } from './base-api.js';
  */
 export class RapidApiJobs extends BaseApi {
     constructor() {
-        super('rapidapi');
+        super('jobs');
         this.serviceName = 'Jobs';
     }
 
@@ -21,7 +44,7 @@ export class RapidApiJobs extends BaseApi {
     async searchJobs(query, filters) {
         const requestConfig = {
             method: 'GET',
-            url: this.config.services.jobs.url,
+            url: this.config.url,
             params: {
                 query: query,
                 location: 'Remote',
@@ -34,7 +57,7 @@ export class RapidApiJobs extends BaseApi {
             },
             headers: {
                 'X-RapidAPI-Key': this.config.key,
-                'X-RapidAPI-Host': this.config.services.jobs.host
+                'X-RapidAPI-Host': this.config.host
             }
         };
 
@@ -44,7 +67,7 @@ export class RapidApiJobs extends BaseApi {
             throw new Error('No jobs field in response');
         }
 
-        return response.data.jobs.map(job => this.standardizeJob(job));
+        return response.data.jobs.map(job => this.toJob(job));
     }
 
     /**
@@ -60,7 +83,7 @@ export class RapidApiJobs extends BaseApi {
             link: job.url,
             source: 'RapidAPI-Jobs',
             description: job.description || '',
-            salary: job.salary || 'Salary not specified',
+            salary: salaryNormalizer.parse(job.salary),
             type: job.jobType || 'Full-time',
             datePosted: job.datePosted || new Date().toISOString()
         };
@@ -0,0 +1,127 @@
+// services/sources/rapidapi-jsearch.js - RapidAPI JSearch service
+
+import { BaseApi } from '../base-api.js';
+import { salaryNormalizer } from '../salary.js';
+
+/**
+ * Source registry entry - see services/source-registry.js
+ */
+export const metadata = {
+    id: 'jsearch',
+    displayName: 'JSearch',
+    aliases: ['rapidapi'], // Backward compatibility with the old shared RapidAPI name
+    requiredEnv: ['RAPIDAPI_KEY'],
+    weight: 12,
+    rateLimit: [
+        { requests: 500, per: 'month' }, // free tier
+        { requests: 1, per: 'second' }
+    ],
+    remoteOnly: true,
+    retry: { maxAttempts: 2 }, // every attempt counts against the monthly quota
+    maxResults: 100, // every page is a request against the monthly quota
+    config: {
+        key: process.env.RAPIDAPI_KEY,
+        host: 'jsearch.p.rapidapi.com',
+        url: 'https://jsearch.p.rapidapi.com/search',
+        timeout: 15000
+    }
+};
+
+/**
+ * RapidAPI JSearch service
+ * Job search aggregator with multiple job board sources
+ */
+export class RapidApiJSearch extends BaseApi {
+    constructor() {
+        super('jsearch');
+        this.serviceName = 'JSearch';
+        // JSearch returns 10 results per page and one request can cover several pages
+        this.pagesPerRequest = 2;
+        this.pagination = { firstPage: 1, pageSize: 10, maxPages: 2, relevanceThreshold: 0.3 };
+    }
+
+    /**
+     * Fetch results from JSearch, starting at the given page
+     * @param {string} query - Search query
+     * @param {Object} filters - Search filters
+     * @param {number} page - First page covered by this request
+     * @returns {Promise<Object>} { jobs, nextPage }
+     */
+    async fetchPage(query, filters, page) {
+        const requestConfig = {
+            method: 'GET',
+            url: this.config.url,
+            params: {
+                query: query,
+                page: String(page),
+                num_pages: String(this.pagesPerRequest),
+                remote_jobs_only: 'true'
+            },
+            headers: {
+                'X-RapidAPI-Key': this.config.key,
+                'X-RapidAPI-Host': this.config.host
+            }
+        };
+
+        const response = await this.makeRequest(requestConfig);
+
+        // Log quota information if available
+        if (response.headers['x-rapidapi-quota-left']) {
+            const quotaLeft = parseInt(response.headers['x-rapidapi-quota-left']);
+            console.log(`📊 RapidAPI quota remaining: ${quotaLeft}`);
+            
+            if (quotaLeft <= 5) {
+                console.log(`⚠️ RapidAPI quota very low: ${quotaLeft} requests left`);
+            }
+        }
+
+        if (!response.data?.data) {
+            throw new Error('No data field in response');
+        }
+
+        const results = response.data.data;
+        return {
+            jobs: results
+                .filter(job => job && job.job_title && job.employer_name)
+                .map(job => this.toJob(job)),
+            nextPage: this.nextPageNumber(page, results.length, undefined, this.pagesPerRequest)
+        };
+    }
+
+    /**
+     * Standardize job object from RapidAPI JSearch
+     * @param {Object} job - Raw job object from API
+     * @returns {Object} Standardized job object
+     */
+    standardizeJob(job) {
+        return {
+            title: job.job_title,
+            company: job.employer_name,
+            location: job.job_city ? 
+                `${job.job_city}, ${job.job_state || job.job_country}` : 
+                'Remote',
+            link: job.job_apply_link || job.job_url || '#',
+            source: 'JSearch-RapidAPI',
+            description: job.job_description || '',
+            salary: salaryNormalizer.fromRange(job.job_min_salary, job.job_max_salary, {
+                currency: job.job_salary_currency,
+                period: job.job_salary_period // "YEAR", "MONTH", "HOUR"
+            }),
+            type: job.job_employment_type || 'Full-time',
+            datePosted: job.job_posted_at_datetime_utc || new Date().toISOString()
+        };
+    }
+
+    /**
+     * Employer fields JSearch sends with each job
+     * @param {Object} job - Raw job object from API
+     * @returns {Object} Company facts
+     */
+    extractCompanyFacts(job) {
+        return {
+            website: job.employer_website || null,
+            logo: job.employer_logo || null,
+            industry: job.employer_company_type || null
+        };
+    }
+}
@@ -0,0 +1,97 @@
+// services/sources/reed-api.js - Reed API service
+
+import { BaseApi } from '../base-api.js';
+import { salaryNormalizer } from '../salary.js';
+
+/**
+ * Source registry entry - see services/source-registry.js
+ */
+export const metadata = {
+    id: 'reed',
+    displayName: 'Reed',
+    requiredEnv: ['REED_API_KEY'],
+    weight: 8,
+    rateLimit: { requests: 1000, per: 'day' },
+    remoteOnly: false,
+    // Reed is strict about bursts, so it gets fewer queries with shorter gaps
+    maxQueries: 10,
+    queryDelay: 300,
+    maxResults: 250,
+    config: {
+        key: process.env.REED_API_KEY,
+        baseUrl: 'https://www.reed.co.uk/api/1.0',
+        timeout: 15000
+    }
+};
+
+/**
+ * Reed API service
+ * UK and international job listings
+ */
+export class ReedApi extends BaseApi {
+    constructor() {
+        super('reed');
+        // Reed pages by offset: resultsToSkip = page * pageSize
+        this.pagination = { firstPage: 0, pageSize: 50, maxPages: 3, relevanceThreshold: 0.3 };
+    }
+
+    /**
+     * Fetch one page of Reed results
+     * @param {string} query - Search query
+     * @param {Object} filters - Search filters
+     * @param {number} page - Page number, from 0
+     * @returns {Promise<Object>} { jobs, nextPage }
+     */
+    async fetchPage(query, filters, page) {
+        const { pageSize } = this.pagination;
+        const requestConfig = {
+            method: 'GET',
+            url: `${this.config.baseUrl}/search`,
+            params: {
+                keywords: query.replace('remote ', ''),
+                locationName: 'Remote',
+                distanceFromLocation: 0,
+                resultsToTake: pageSize,
+                resultsToSkip: page * pageSize
+            },
+            headers: {
+                'Authorization': `Basic ${Buffer.from(`${this.config.key}:`).toString('base64')}`,
+                'User-Agent': 'JobMatcher/1.0'
+            }
+        };
+
+        const response = await this.makeRequest(requestConfig);
+
+        if (!response.data?.results) {
+            throw new Error('No results field in response');
+        }
+
+        const results = response.data.results;
+        return {
+            jobs: results.map(job => this.toJob(job)),
+            nextPage: this.nextPageNumber(page, results.length, response.data.totalResults)
+        };
+    }
+
+    /**
+     * Standardize job object from Reed API
+     * @param {Object} job - Raw job object from API
+     * @returns {Object} Standardized job object
+     */
+    standardizeJob(job) {
+        return {
+            title: job.jobTitle,
+            company: job.employerName || 'Unknown Company',
+            location: 'Remote',
+            link: job.jobUrl,
+            source: 'Reed',
+            description: job.jobDescription || '',
+            salary: salaryNormalizer.fromRange(job.minimumSalary, job.maximumSalary, {
+                currency: job.currency || 'GBP',
+                period: 'year'
+            }),
+            type: job.employmentType || 'Full-time',
+            datePosted: job.datePosted || new Date().toISOString()
+        };
+    }
+}
@@ -0,0 +1,86 @@
+// services/sources/remoteok-api.js - RemoteOK remote jobs API service
+
+import { PublicFeedApi } from '../public-feed-api.js';
+import { validateEnabled } from '../../config/api-config.js';
+
+/**
+ * Source registry entry - see services/source-registry.js
+ * Keyless and on by default; REMOTEOK_ENABLED=false turns it off
+ */
+export const metadata = {
+    id: 'remoteok',
+    displayName: 'RemoteOK',
+    requiredEnv: [],
+    weight: 5,
+    rateLimit: null,
+    remoteOnly: true,
+    config: {
+        enabled: process.env.REMOTEOK_ENABLED !== 'false',
+        baseUrl: 'https://remoteok.com/api',
+        timeout: 20000
+    },
+    validate: validateEnabled
+};
+
+/**
+ * RemoteOK API service
+ * Public remote-job feed at remoteok.com/api. The first array element is a legal
+ * notice rather than a job; RemoteOK's terms ask that listings link back to it
+ */
+export class RemoteOkApi extends PublicFeedApi {
+    constructor() {
+        super('remoteok', 'RemoteOK');
+    }
+
+    /**
+     * Fetch every posting on the feed
+     * @returns {Promise<Array>} Raw posting objects
+     */
+    async fetchFeed() {
+        const response = await this.makeRequest({
+            method: 'GET',
+            url: this.config.baseUrl,
+            // Requests without a browser-like User-Agent are rejected
+            headers: { 'User-Agent': 'Mozilla/5.0 (compatible; AIJobMatcher/1.0)' }
+        });
+
+        if (!Array.isArray(response.data)) {
+            throw new Error('Unexpected response format');
+        }
+
+        return response.data.filter(job => job.id && job.position);
+    }
+
+    /**
+     * Standardize job object from RemoteOK API
+     * @param {Object} job - Raw job object from API
+     * @returns {Object} Standardized job object
+     */
+    standardizeJob(job) {
+        const regionRestrictions = this.parseRegions(job.location);
+
+        return {
+            title: job.position,
+            company: job.company || 'Company not specified',
+            location: this.describeRemoteRegions(regionRestrictions),
+            link: job.url || `https://remoteok.com/remote-jobs/${job.id}`,
+            source: 'RemoteOK',
+            description: this.htmlToText(job.description),
+            salary: this.salaryRange(job.salary_min, job.salary_max),
+            type: 'Full-time',
+            datePosted: this.toIsoDate(job.epoch || job.date),
+            isRemote: true,
+            tags: job.tags || [],
+            regionRestrictions
+        };
+    }
+
+    /**
+     * Company logo RemoteOK sends with each job
+     * @param {Object} job - Raw job object from API
+     * @returns {Object} Company facts
+     */
+    extractCompanyFacts(job) {
+        return { logo: job.company_logo || job.logo || null };
+    }
+}
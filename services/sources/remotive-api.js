@@ -0,0 +1,86 @@
+// services/sources/remotive-api.js - Remotive remote jobs API service
+
+import { PublicFeedApi } from '../public-feed-api.js';
+import { validateEnabled } from '../../config/api-config.js';
+import { salaryNormalizer } from '../salary.js';
+
+/**
+ * Source registry entry - see services/source-registry.js
+ * Keyless and on by default; REMOTIVE_ENABLED=false turns it off
+ */
+export const metadata = {
+    id: 'remotive',
+    displayName: 'Remotive',
+    requiredEnv: [],
+    weight: 6,
+    rateLimit: null,
+    remoteOnly: true,
+    config: {
+        enabled: process.env.REMOTIVE_ENABLED !== 'false',
+        baseUrl: 'https://remotive.com/api',
+        timeout: 20000,
+        cacheTTL: 60 * 60 * 1000 // Remotive asks clients to fetch only a few times a day
+    },
+    validate: validateEnabled
+};
+
+/**
+ * Remotive API service
+ * Public remote-job feed at remotive.com/api/remote-jobs. The whole feed is fetched
+ * and cached for an hour, since Remotive asks clients not to poll it often
+ */
+export class RemotiveApi extends PublicFeedApi {
+    constructor() {
+        super('remotive', 'Remotive');
+    }
+
+    /**
+     * Fetch every posting on the feed
+     * @returns {Promise<Array>} Raw posting objects
+     */
+    async fetchFeed() {
+        const response = await this.makeRequest({
+            method: 'GET',
+            url: `${this.config.baseUrl}/remote-jobs`
+        });
+
+        if (!Array.isArray(response.data?.jobs)) {
+            throw new Error('No jobs field in response');
+        }
+
+        return response.data.jobs;
+    }
+
+    /**
+     * Standardize job object from Remotive API
+     * @param {Object} job - Raw job object from API
+     * @returns {Object} Standardized job object
+     */
+    standardizeJob(job) {
+        const regionRestrictions = this.parseRegions(job.candidate_required_location);
+
+        return {
+            title: job.title,
+            company: job.company_name || 'Company not specified',
+            location: this.describeRemoteRegions(regionRestrictions),
+            link: job.url,
+            source: 'Remotive',
+            description: this.htmlToText(job.description),
+            salary: salaryNormalizer.parse(job.salary), // free text, e.g. "$90k - $120k"
+            type: this.formatJobType(job.job_type),
+            datePosted: this.toIsoDate(job.publication_date),
+            isRemote: true,
+            tags: [job.category, ...(job.tags || [])].filter(Boolean),
+            regionRestrictions
+        };
+    }
+
+    /**
+     * Company logo Remotive sends with each job
+     * @param {Object} job - Raw job object from API
+     * @returns {Object} Company facts
+     */
+    extractCompanyFacts(job) {
+        return { logo: job.company_logo || job.company_logo_url || null };
+    }
+}
@@ -0,0 +1,216 @@
+// services/sources/rss-feed-api.js - Generic RSS/Atom job feed service
+
+import * as cheerio from 'cheerio';
+import { PublicFeedApi } from '../public-feed-api.js';
+import { loadFeedList } from '../../config/api-config.js';
+import { salaryNormalizer } from '../salary.js';
+
+/**
+ * Source registry entry - see services/source-registry.js
+ * Keyless; usable as soon as at least one feed is listed
+ */
+export const metadata = {
+    id: 'rss',
+    displayName: 'RSS Feeds',
+    requiredEnv: [],
+    weight: 4,
+    rateLimit: null,
+    remoteOnly: false, // feeds list office jobs too; the location or feed flag decides
+    config: {
+        feeds: loadFeedList(process.env.RSS_FEEDS_FILE || './config/rss-feeds.json', process.env.RSS_FEEDS),
+        timeout: 15000
+    },
+    validate: (config) => ({
+        valid: config.feeds.length > 0,
+        error: 'No feeds configured',
+        details: { feedCount: config.feeds.length, feeds: config.feeds.map(feed => feed.name || feed.url) }
+    })
+};
+
+/**
+ * RSS Feed API service
+ * Reads any RSS 2.0 or Atom job feed listed in config. Each feed may carry mapping
+ * rules for fields the feed doesn't expose directly, e.g. We Work Remotely titles
+ * are "Company: Job Title":
+ *
+ *   {
+ *     "name": "We Work Remotely",
+ *     "url": "https://weworkremotely.com/categories/remote-programming-jobs.rss",
+ *     "title": { "field": "title", "pattern": "^[^:]+:\\s*(.+)$" },
+ *     "company": { "field": "title", "pattern": "^([^:]+):" },
+ *     "location": { "field": "region", "default": "Anywhere" },
+ *     "remote": true
+ *   }
+ *
+ * A rule is a literal string or { field, pattern, default }: the text of the item's
+ * <field> element, narrowed to the first capture group of pattern when one is given.
+ * Feeds are re-fetched with If-None-Match / If-Modified-Since, so unchanged feeds
+ * cost a 304 instead of a full download
+ */
+export class RssFeedApi extends PublicFeedApi {
+    constructor() {
+        super('rss', 'RSS');
+        this.validators = new Map(); // feed url -> { etag, lastModified, items }
+    }
+
+    /**
+     * Feeds configured for this source
+     * @returns {Array} Feed definitions
+     */
+    getFeeds() {
+        return this.config.feeds || [];
+    }
+
+    /**
+     * Search every configured feed
+     * @param {string} query - Search query
+     * @param {Object} filters - Search filters; remote: false includes on-site roles
+     * @returns {Promise<Array>} Array of job objects
+     */
+    async searchJobs(query, filters = {}) {
+        const feeds = this.getFeeds();
+        const results = await Promise.allSettled(
+            feeds.map(feed => this.getCachedFeed(feed.url, () => this.fetchFeedItems(feed)))
+        );
+
+        const jobs = [];
+        results.forEach((result, index) => {
+            if (result.status === 'fulfilled') {
+                jobs.push(...result.value.map(item => this.toJob(item, feeds[index])));
+            } else {
+                // One dead feed shouldn't hide the others
+                console.log(`⚠️ RSS: feed "${this.getFeedName(feeds[index])}" failed - ${result.reason.message}`);
+            }
+        });
+
+        if (results.every(result => result.status === 'rejected') && feeds.length > 0) {
+            throw new Error('All RSS feeds failed');
+        }
+
+        return this.filterResults(jobs, query, filters);
+    }
+
+    /**
+     * Fetch and parse one feed, sending the validators from the last response
+     * @param {Object} feed - Feed definition
+     * @returns {Promise<Array>} Parsed feed items
+     */
+    async fetchFeedItems(feed) {
+        const previous = this.validators.get(feed.url);
+        const headers = { Accept: 'application/rss+xml, application/atom+xml, application/xml;q=0.9, */*;q=0.8' };
+        if (previous?.etag) headers['If-None-Match'] = previous.etag;
+        if (previous?.lastModified) headers['If-Modified-Since'] = previous.lastModified;
+
+        const response = await this.makeRequest({
+            method: 'GET',
+            url: feed.url,
+            headers,
+            responseType: 'text',
+            validateStatus: status => (status >= 200 && status < 300) || status === 304
+        });
+
+        if (response.status === 304 && previous) {
+            console.log(`💾 RSS: "${this.getFeedName(feed)}" not modified`);
+            return previous.items;
+        }
+
+        const items = this.parseFeed(response.data);
+        this.validators.set(feed.url, {
+            etag: response.headers?.etag || null,
+            lastModified: response.headers?.['last-modified'] || null,
+            items
+        });
+        return items;
+    }
+
+    /**
+     * Parse an RSS 2.0 or Atom document into flat items
+     * @param {string} xml - Feed document
+     * @returns {Array} Items: { fields, link, categories, channelTitle }
+     */
+    parseFeed(xml) {
+        if (typeof xml !== 'string' || !/<(rss|feed|rdf:RDF)[\s>]/.test(xml)) {
+            throw new Error('Response is not an RSS or Atom feed');
+        }
+
+        const $ = cheerio.load(xml, { xmlMode: true });
+        const channelTitle = $('channel > title, feed > title').first().text().trim();
+
+        return $('item, entry').toArray().map(element => {
+            const fields = {};
+            $(element).children().each((index, child) => {
+                // First occurrence wins; Atom <author><name> flattens to its text
+                if (!(child.name in fields)) fields[child.name] = $(child).text().trim();
+            });
+
+            const atomLink = $(element).children('link[rel="alternate"], link:not([rel])').attr('href');
+            const categories = $(element).children('category').toArray()
+                .map(category => $(category).attr('term') || $(category).text().trim())
+                .filter(Boolean);
+
+            return { fields, link: atomLink || fields.link || fields.guid, categories, channelTitle };
+        });
+    }
+
+    /**
+     * Apply a mapping rule to a parsed item
+     * @param {Object} item - Parsed feed item
+     * @param {string|Object} rule - Literal value or { field, pattern, default }
+     * @returns {string|null} Mapped value, or null when the rule yields nothing
+     */
+    applyRule(item, rule) {
+        if (rule === undefined || rule === null) return null;
+        if (typeof rule !== 'object') return String(rule);
+
+        let value = item.fields[rule.field] || '';
+        if (value && rule.pattern) {
+            const match = value.match(new RegExp(rule.pattern, 'i'));
+            value = match ? (match[1] ?? match[0]) : '';
+        }
+
+        return value.trim() || rule.default || null;
+    }
+
+    /**
+     * Display name for a feed
+     * @param {Object} feed - Feed definition
+     * @returns {string} Feed name
+     */
+    getFeedName(feed) {
+        if (feed.name) return feed.name;
+        try {
+            return new URL(feed.url).hostname.replace(/^www\./, '');
+        } catch {
+            return feed.url;
+        }
+    }
+
+    /**
+     * Standardize a parsed feed item using the feed's mapping rules
+     * @param {Object} item - Parsed feed item
+     * @param {Object} feed - Feed definition the item came from
+     * @returns {Object} Standardized job object
+     */
+    standardizeJob(item, feed) {
+        const { fields } = item;
+        const location = this.applyRule(item, feed.location) || 'Not specified';
+        const title = this.applyRule(item, feed.title) || fields.title;
+        const isRemote = feed.remote === true || this.isRemoteLocation(`${location} ${title}`);
+        const html = fields['content:encoded'] || fields.content || fields.description || fields.summary;
+
+        return {
+            title,
+            company: this.applyRule(item, feed.company) || fields['dc:creator'] || fields.author || item.channelTitle || 'Company not specified',
+            location: this.describeLocation(location, isRemote),
+            link: this.applyRule(item, feed.link) || item.link,
+            source: this.getFeedName(feed),
+            description: this.htmlToText(html),
+            salary: salaryNormalizer.parse(this.applyRule(item, feed.salary)),
+            type: this.formatJobType(this.applyRule(item, feed.type)),
+            datePosted: this.toIsoDate(fields.pubDate || fields.published || fields.updated || fields['dc:date']),
+            isRemote,
+            tags: item.categories,
+            regionRestrictions: isRemote && location !== 'Not specified' ? this.parseRegions(location) : []
+        };
+    }
+}
@@ -1,6 +1,24 @@
-// services/theirstack-api.js - Theirstack API service
+// services/sources/theirstack-api.js - Theirstack API service
 
-import { BaseApi } from './base-api.js';
+import { BaseApi } from '../base-api.js';
+import { salaryNormalizer } from '../salary.js';
+
+/**
+ * Source registry entry - see services/source-registry.js
+ */
+export const metadata = {
+    id: 'theirstack',
+    displayName: 'Theirstack',
+    requiredEnv: ['THEIRSTACK_API_KEY'],
+    weight: 7,
+    rateLimit: { requests: 200, per: 'day' },
+    remoteOnly: false,
+    config: {
+        key: process.env.THEIRSTACK_API_KEY,
+        baseUrl: 'https://api.theirstack.com/v1',
+        timeout: 15000
+    }
+};
 
 /**
  * Theirstack API service
@@ -9,7 +27,6 @@ import { BaseApi } from './base-api.js';
 export class TheirstackApi extends BaseApi {
     constructor() {
         super('theirstack');
-        this.usageLimit = 200; // Free tier limit
     }
 
     /**
@@ -19,10 +36,6 @@ export class TheirstackApi extends BaseApi {
      * @returns {Promise<Array>} Array of job objects
      */
     async searchJobs(query, filters) {
-        if (this.usageCount >= this.usageLimit) {
-            throw new Error(`Theirstack usage limit reached (${this.usageLimit} requests)`);
-        }
-
         const requestConfig = {
             method: 'GET',
             url: `${this.config.baseUrl}/jobs/search`,
@@ -43,7 +56,7 @@ export class TheirstackApi extends BaseApi {
             throw new Error('No jobs field in response');
         }
 
-        return response.data.jobs.map(job => this.standardizeJob(job));
+        return response.data.jobs.map(job => this.toJob(job));
     }
 
     /**
@@ -59,20 +72,41 @@ export class TheirstackApi extends BaseApi {
             link: job.url,
             source: 'Theirstack',
             description: job.description || '',
-            salary: job.salary?.range ? 
-                `${job.salary.range.min}-${job.salary.range.max} ${job.salary.currency}` : 
-                'Salary not specified',
+            salary: salaryNormalizer.fromRange(job.salary?.range?.min, job.salary?.range?.max, {
+                currency: job.salary?.currency
+            }),
             type: job.type || 'Full-time',
             datePosted: job.posted_at || new Date().toISOString()
         };
     }
 
+    /**
+     * Company details Theirstack sends with each job
+     * @param {Object} job - Raw job object from API
+     * @returns {Object|null} Company facts
+     */
+    extractCompanyFacts(job) {
+        const company = job.company_object || job.company;
+        if (!company || typeof company !== 'object') return null;
+
+        return {
+            website: company.url || null,
+            domain: company.domain || job.company_domain || null,
+            logo: company.logo || null,
+            industry: company.industry || null,
+            size: company.employee_count ?? null,
+            country: company.country || company.country_code || null,
+            description: company.long_description || null,
+            linkedin: company.linkedin_url || null
+        };
+    }
+
     /**
      * Get remaining usage quota
      * @returns {number} Remaining requests
      */
     getRemainingQuota() {
-        return Math.max(0, this.usageLimit - this.usageCount);
+        return this.rateLimiter.getStatus().quotas[0].remaining;
     }
 
     /**
@@ -80,6 +114,6 @@ export class TheirstackApi extends BaseApi {
      * @returns {boolean} True if quota available
      */
     hasQuotaAvailable() {
-        return this.usageCount < this.usageLimit;
+        return this.getRemainingQuota() > 0;
     }
 }
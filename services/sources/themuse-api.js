@@ -1,6 +1,24 @@
-// services/themuse-api.js - TheMuse API service
+// services/sources/themuse-api.js - TheMuse API service
 
-import { BaseApi } from './base-api.js';
+import { BaseApi } from '../base-api.js';
+
+/**
+ * Source registry entry - see services/source-registry.js
+ */
+export const metadata = {
+    id: 'themuse',
+    displayName: 'TheMuse',
+    requiredEnv: ['THEMUSE_API_KEY'],
+    weight: 10,
+    rateLimit: { requests: 1000, per: 'day' },
+    remoteOnly: false,
+    maxResults: 200,
+    config: {
+        key: process.env.THEMUSE_API_KEY,
+        baseUrl: 'https://www.themuse.com/api/public',
+        timeout: 15000
+    }
+};
 
 /**
  * TheMuse API service
@@ -9,15 +27,18 @@ import { BaseApi } from './base-api.js';
 export class TheMuseApi extends BaseApi {
     constructor() {
         super('themuse');
+        // Pages are numbered from 0 and the response reports page_count
+        this.pagination = { firstPage: 0, pageSize: 50, maxPages: 3, relevanceThreshold: 0.3 };
     }
 
     /**
-     * Search for jobs using TheMuse API
+     * Fetch one page of TheMuse results
      * @param {string} query - Search query
      * @param {Object} filters - Search filters
-     * @returns {Promise<Array>} Array of job objects
+     * @param {number} page - Page number, from 0
+     * @returns {Promise<Object>} { jobs, nextPage }
      */
-    async searchJobs(query, filters) {
+    async fetchPage(query, filters, page) {
         // Determine categories based on query
         const categories = this.getCategoriesFromQuery(query);
 
@@ -26,8 +47,8 @@ export class TheMuseApi extends BaseApi {
             url: `${this.config.baseUrl}/jobs`,
             params: {
                 api_key: this.config.key,
-                page: 0,
-                limit: 50,
+                page,
+                limit: this.pagination.pageSize,
                 location: 'Remote',
                 q: query,
                 level: filters.experience || undefined,
@@ -41,7 +62,11 @@ export class TheMuseApi extends BaseApi {
             throw new Error('No results field in response');
         }
 
-        return response.data.results.map(job => this.standardizeJob(job));
+        const pageCount = response.data.page_count || 0;
+        return {
+            jobs: response.data.results.map(job => this.toJob(job)),
+            nextPage: page + 1 < pageCount ? page + 1 : null
+        };
     }
 
     /**
@@ -82,7 +107,7 @@ export class TheMuseApi extends BaseApi {
             link: job.refs?.landing_page,
             source: 'TheMuse',
             description: job.contents || '',
-            salary: 'Salary not specified',
+            salary: null,
             type: job.type || 'Full-time',
             datePosted: job.publication_date || new Date().toISOString()
         };
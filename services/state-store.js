@@ -0,0 +1,195 @@
+// services/state-store.js - Shared persistence for runtime state (file or KV)
+
+import axios from 'axios';
+import { JsonFileStore } from './json-file-store.js';
+
+const KV_KEY_PREFIX = process.env.KV_KEY_PREFIX || 'job-matcher:';
+
+// Every store created, so /api-status can report which ones persist
+const stores = [];
+
+/**
+ * KV Store
+ * Reads and writes one JSON document under a key of a Redis REST API
+ * (Vercel KV or Upstash, configured with KV_REST_API_URL and KV_REST_API_TOKEN),
+ * plus atomic counters beside it for state that many instances update at once.
+ * Unlike the file store it is shared by every serverless function and survives
+ * cold starts. Writes are queued so they reach the store in order
+ */
+export class KvStore {
+    /**
+     * @param {string} key - Key of the document, prefixed with KV_KEY_PREFIX
+     * @param {string} label - Name used in log messages, e.g. "quota ledger"
+     * @param {Object} options - { url, token } of the REST API
+     */
+    constructor(key, label, options = {}) {
+        this.key = `${KV_KEY_PREFIX}${key}`;
+        this.label = label;
+        this.url = (options.url || process.env.KV_REST_API_URL || '').replace(/\/$/, '');
+        this.token = options.token || process.env.KV_REST_API_TOKEN;
+        this.failed = false;
+        this.loaded = false;
+        this.pending = Promise.resolve();
+    }
+
+    /**
+     * Send one Redis command
+     * @param {Array} command - e.g. ['GET', key]
+     * @returns {Promise<*>} Command result
+     */
+    async command(command) {
+        const response = await axios.post(this.url, command, {
+            headers: { Authorization: `Bearer ${this.token}` },
+            timeout: 5000
+        });
+        return response.data?.result;
+    }
+
+    /**
+     * Read the stored document - shared state is re-read before updates, so only
+     * the first read is logged
+     * @param {*} fallback - Returned when the key is missing or unreadable
+     * @returns {Promise<*>} Parsed document
+     */
+    async read(fallback) {
+        try {
+            const value = await this.command(['GET', this.key]);
+            if (value !== null && value !== undefined) {
+                if (!this.loaded) console.log(`📒 ${this.label} loaded from KV key ${this.key}`);
+                this.loaded = true;
+                return JSON.parse(value) ?? fallback;
+            }
+        } catch (error) {
+            console.warn(`⚠️ Could not read ${this.label} from KV key ${this.key}: ${error.message}`);
+            this.failed = true;
+        }
+        return fallback;
+    }
+
+    /**
+     * Queue a write of the document, warning once if the store refuses
+     * @param {*} data - JSON-serializable document
+     * @returns {Promise<void>} Resolves once the write is done or has failed
+     */
+    write(data) {
+        const value = JSON.stringify(data);
+        this.pending = this.pending.then(async () => {
+            try {
+                await this.command(['SET', this.key, value]);
+                this.failed = false;
+            } catch (error) {
+                if (!this.failed) {
+                    console.warn(`⚠️ Could not write ${this.label} to KV key ${this.key}: ${error.message} - keeping it in memory only`);
+                }
+                this.failed = true;
+            }
+        });
+        return this.pending;
+    }
+
+    /**
+     * Increment a counter kept next to the document, e.g. the key plus ":adzuna:day:2024-05-01".
+     * INCR is atomic, so instances counting at the same time never lose a count
+     * @param {string} name - Counter name, appended to the key
+     * @param {string} expiresAt - ISO timestamp after which the store drops the counter
+     * @returns {Promise<number|null>} New count, or null if the store refused
+     */
+    async increment(name, expiresAt) {
+        const key = `${this.key}:${name}`;
+        try {
+            const count = await this.command(['INCR', key]);
+            await this.command(['EXPIREAT', key, Math.ceil(Date.parse(expiresAt) / 1000)]);
+            this.failed = false;
+            return Number(count);
+        } catch (error) {
+            if (!this.failed) {
+                console.warn(`⚠️ Could not count ${this.label} in KV key ${key}: ${error.message} - counting in memory only`);
+            }
+            this.failed = true;
+            return null;
+        }
+    }
+
+    /**
+     * Read counters written by increment()
+     * @param {Array<string>} names - Counter names
+     * @returns {Promise<Array<number>|null>} Counts in the same order (0 when missing), or null if unreadable
+     */
+    async readCounters(names) {
+        try {
+            const values = await this.command(['MGET', ...names.map(name => `${this.key}:${name}`)]);
+            return names.map((name, index) => Number(values?.[index] ?? 0));
+        } catch (error) {
+            console.warn(`⚠️ Could not read ${this.label} counters from KV: ${error.message}`);
+            this.failed = true;
+            return null;
+        }
+    }
+
+    /**
+     * Delete counters written by increment()
+     * @param {Array<string>} names - Counter names
+     * @returns {Promise<void>}
+     */
+    async deleteCounters(names) {
+        if (names.length === 0) return;
+        try {
+            await this.command(['DEL', ...names.map(name => `${this.key}:${name}`)]);
+        } catch (error) {
+            console.warn(`⚠️ Could not delete ${this.label} counters from KV: ${error.message}`);
+            this.failed = true;
+        }
+    }
+
+    /**
+     * Where the document lives and whether it currently persists
+     * @returns {Object} { label, backend, location, persistent, reason }
+     */
+    getStatus() {
+        return {
+            label: this.label,
+            backend: 'kv',
+            location: this.key,
+            persistent: !this.failed,
+            ...(this.failed && { reason: 'KV requests are failing' })
+        };
+    }
+}
+
+/**
+ * Check if a KV REST API is configured
+ * @returns {boolean} True if KV_REST_API_URL and KV_REST_API_TOKEN are set
+ */
+export function isKvConfigured() {
+    return !!(process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN);
+}
+
+/**
+ * Store for one runtime state document: KV when configured, otherwise a JSON file.
+ * Read with `await store.read(fallback)` - the file store answers synchronously,
+ * the KV store asynchronously
+ * @param {string} key - KV key of the document
+ * @param {string} filePath - File used without KV
+ * @param {string} label - Name used in log messages and status reports
+ * @returns {KvStore|JsonFileStore} Store
+ */
+export function createStateStore(key, filePath, label) {
+    const store = isKvConfigured() ? new KvStore(key, label) : new JsonFileStore(filePath, label);
+    stores.push(store);
+    return store;
+}
+
+/**
+ * Persistence status of every state store, for /api-status
+ * @returns {Object} { active, stores } - active is false when any store keeps state in memory only
+ */
+export function getPersistenceReport() {
+    const statuses = stores.map(store => store.getStatus());
+    statuses.filter(status => !status.persistent).forEach(status => {
+        console.warn(`⚠️ ${status.label} is not persisted (${status.backend}: ${status.location}) - ${status.reason}`);
+    });
+    return {
+        active: statuses.every(status => status.persistent),
+        stores: statuses
+    };
+}
@@ -0,0 +1,39 @@
+// Paging through a source's results
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BaseApi } from '../services/base-api.js';
+
+/**
+ * Source with scripted pages: each entry is a job count, or an Error to throw
+ */
+class ScriptedApi extends BaseApi {
+    constructor(pages) {
+        super('adzuna');
+        this.pagination = { firstPage: 1, pageSize: 2, maxPages: 3, relevanceThreshold: 0 };
+        this.pages = pages;
+    }
+
+    async fetchPage(query, filters, page) {
+        const step = this.pages[page - 1];
+        if (step instanceof Error) throw step;
+        const jobs = Array.from({ length: step }, (_, index) => ({ title: `${query} ${page}-${index}`, description: query }));
+        return { jobs, nextPage: page < this.pages.length ? page + 1 : null };
+    }
+}
+
+test('a failing later page keeps the jobs already fetched', async () => {
+    const jobs = await new ScriptedApi([2, 2, new Error('Request failed with status code 503')]).paginate('engineer');
+
+    assert.equal(jobs.length, 4);
+});
+
+test('an exhausted quota on a later page fails the call', async () => {
+    const error = new Error('API exhausted: HTTP 429');
+    error.response = { status: 429, headers: {} };
+
+    await assert.rejects(new ScriptedApi([2, error]).paginate('engineer'), /exhausted/);
+});
+
+test('a failing first page fails the call', async () => {
+    await assert.rejects(new ScriptedApi([new Error('timeout of 30000ms exceeded')]).paginate('engineer'), /timeout/);
+});
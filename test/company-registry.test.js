@@ -0,0 +1,54 @@
+// Company profiles: one write per search, shared through the store, capped by recency
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { CompanyRegistry } from '../services/company-registry.js';
+
+const tempFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'company-profiles-')), 'profiles.json');
+const job = (company, sourceId = 'remotive') => ({ company, companyId: company.toLowerCase(), provenance: { sourceId } });
+
+test('profiles are written on flush, not on every batch', async () => {
+    const file = tempFile();
+    const registry = new CompanyRegistry(file);
+    await registry.ready;
+
+    registry.recordJobs([job('Acme')]);
+    registry.recordJobs([job('Initech', 'jsearch')]);
+    assert.equal(fs.existsSync(file), false);
+
+    await registry.flush();
+    assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(file, 'utf8'))).sort(), ['acme', 'initech']);
+});
+
+test('a reader sees profiles another instance flushed, and flushes merge', async () => {
+    const file = tempFile();
+    const search = new CompanyRegistry(file);
+    const companies = new CompanyRegistry(file);
+    await Promise.all([search.ready, companies.ready]);
+
+    search.recordJobs([job('Acme')]);
+    await search.flush();
+    await companies.load();
+    assert.equal(companies.getProfile('acme').name, 'Acme');
+
+    const otherSearch = new CompanyRegistry(file);
+    otherSearch.recordJobs([job('Globex')]);
+    await otherSearch.flush();
+    assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(file, 'utf8'))).sort(), ['acme', 'globex']);
+});
+
+test('only the most recently seen profiles are kept', async () => {
+    const file = tempFile();
+    const registry = new CompanyRegistry(file, null, { maxProfiles: 2 });
+    await registry.ready;
+
+    ['Acme', 'Initech', 'Globex'].forEach((company, index) => {
+        registry.recordJobs([job(company)]);
+        registry.profiles[company.toLowerCase()].lastSeen = `2026-01-0${index + 1}T00:00:00.000Z`;
+    });
+    await registry.flush();
+
+    assert.deepEqual(Object.keys(registry.profiles).sort(), ['globex', 'initech']);
+});
@@ -0,0 +1,38 @@
+// Positions and tenure from resume text and JSON Resume dates
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { parsePdfBuffer } from '../api/parse-pdf.js';
+import { resumeSegmenter } from '../services/resume-segmenter.js';
+import { employmentTimeline } from '../services/employment-timeline.js';
+import { jsonResume } from '../services/json-resume.js';
+
+test('year-only ranges run to the end of the last year', () => {
+    const [position] = employmentTimeline.extractPositions('Software Engineer, Initech | 2016 - 2019');
+
+    assert.equal(position.start, '2016-01');
+    assert.equal(position.end, '2019-12');
+    assert.equal(position.durationMonths, 48);
+});
+
+test('year-only JSON Resume end dates leave no false gap', () => {
+    const positions = jsonResume.toPositions([
+        { name: 'Initech', position: 'Engineer', startDate: '2019', endDate: '2021' },
+        { name: 'Acme', position: 'Senior Engineer', startDate: '2022-01', endDate: '2023-06' }
+    ]);
+
+    assert.equal(positions[0].end, '2021-12');
+    assert.deepEqual(employmentTimeline.findGaps(positions), []);
+});
+
+test('positions come out whole from a PDF resume', async () => {
+    const text = await parsePdfBuffer(fs.readFileSync(new URL('./fixtures/resume-sections.pdf', import.meta.url)));
+    const experience = resumeSegmenter.segment(text).find(section => section.section === 'experience');
+    const positions = employmentTimeline.extractPositions(experience.text);
+
+    assert.deepEqual(positions.map(position => [position.title, position.employer, position.start]), [
+        ['Senior Software Engineer', 'Acme Corp', '2019-01'],
+        ['Software Engineer', 'Initech', '2016-01']
+    ]);
+    assert.equal(positions[1].end, '2019-12');
+});
@@ -0,0 +1,17 @@
+// Parsing "Who is hiring?" header lines
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sourceRegistry } from '../services/source-registry.js';
+
+const hackernews = sourceRegistry.createInstances().hackernews;
+
+test('regions named after Remote are restrictions', () => {
+    assert.deepEqual(hackernews.parseHeader('Acme | Engineer | REMOTE (US or Canada)').regionRestrictions, ['US', 'Canada']);
+    assert.deepEqual(hackernews.parseHeader('Acme | Engineer | Remote - EU').regionRestrictions, ['EU']);
+});
+
+test('remote wording that is not a place adds no restriction', () => {
+    assert.deepEqual(hackernews.parseHeader('Acme | Senior Engineer | Remote-friendly | $150k').regionRestrictions, []);
+    assert.deepEqual(hackernews.parseHeader('Acme | Senior Engineer | Remote-first').regionRestrictions, []);
+    assert.deepEqual(hackernews.parseHeader('Acme | Senior Engineer | Remote - 3 days onsite').regionRestrictions, []);
+});
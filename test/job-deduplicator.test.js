@@ -0,0 +1,63 @@
+// Merging copies of one posting across sources, and keeping different roles apart
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JobDeduplicator } from '../services/job-deduplicator.js';
+
+// Company boilerplate shared by every posting of the company
+const ABOUT_ACME = 'Acme builds payment infrastructure for small businesses across Europe and North America. ' +
+    'We are a remote first team of two hundred people who care about reliability, clear writing and shipping small changes often. ' +
+    'You will join the platform group that owns our core APIs, billing pipeline and internal tooling. ' +
+    'Benefits include equity, a learning budget, flexible hours and four weeks of paid vacation.';
+
+const job = (title, source, fields = {}) => ({
+    title,
+    company: 'Acme, Inc.',
+    source,
+    link: `https://${source.toLowerCase()}.example/jobs/${title.length}`,
+    description: ABOUT_ACME,
+    salary: null,
+    ...fields
+});
+
+test('abbreviated and spelled-out titles at the same company merge', () => {
+    const deduplicator = new JobDeduplicator();
+    const listed = [job('Sr. Backend Engineer', 'Adzuna')];
+
+    const { added, merged } = deduplicator.addJobs(listed, [job('Senior Backend Engineer', 'JSearch', { company: 'Acme' })]);
+
+    assert.equal(added.length, 0);
+    assert.deepEqual(merged, [listed[0]]);
+    assert.equal(listed.length, 1);
+});
+
+test('different levels of a role at the same company stay apart', () => {
+    const deduplicator = new JobDeduplicator();
+    const listed = [job('Backend Engineer', 'Adzuna', { description: `${ABOUT_ACME} You have two years of experience with Node.js.` })];
+
+    const { added, merged } = deduplicator.addJobs(listed, [
+        job('Senior Backend Engineer', 'JSearch', { description: `${ABOUT_ACME} You have six years of experience and mentor others.` })
+    ]);
+
+    assert.equal(added.length, 1);
+    assert.deepEqual(merged, []);
+    assert.equal(listed.length, 2);
+});
+
+test('the merged job lists both sources and keeps the longer description and richer salary', () => {
+    const deduplicator = new JobDeduplicator();
+    const snippet = ABOUT_ACME.slice(0, 200);
+    const salary = { min: 120000, max: 150000, currency: 'USD', period: 'year', annual: true, confidence: 'high' };
+    const listed = [job('Sr. Backend Engineer', 'Adzuna', { id: 'adzuna-1', description: snippet })];
+    const copy = job('Senior Backend Engineer', 'JSearch', { id: 'jsearch-1', company: 'Acme', salary });
+
+    deduplicator.addJobs(listed, [copy]);
+
+    const [merged] = listed;
+    assert.equal(merged.id, 'adzuna-1');
+    assert.deepEqual(merged.sources.map(entry => [entry.id, entry.source, entry.link]), [
+        ['adzuna-1', 'Adzuna', listed[0].link],
+        ['jsearch-1', 'JSearch', copy.link]
+    ]);
+    assert.equal(merged.description, ABOUT_ACME);
+    assert.deepEqual(merged.salary, salary);
+});
@@ -0,0 +1,21 @@
+// Experience filter: stated years against the level's band and the title
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { jobSearchService } from '../services/job-search-service.js';
+
+const job = (title, description) => ({ title, company: 'Acme', description });
+
+test('a senior title asking for fewer years still passes the senior filter', () => {
+    const jobs = [job('Senior Software Engineer', 'You bring 3+ years of experience with Node.js.')];
+    assert.equal(jobSearchService.applyFilters(jobs, { experience: 'senior' }).length, 1);
+});
+
+test('stated years in the band keep a job whatever its title says', () => {
+    const jobs = [job('Software Engineer', 'At least 6 years of professional experience.')];
+    assert.equal(jobSearchService.applyFilters(jobs, { experience: 'senior' }).length, 1);
+});
+
+test('stated years well above the band drop the job', () => {
+    const jobs = [job('Junior-friendly Engineer', 'Minimum of 10 years experience.')];
+    assert.equal(jobSearchService.applyFilters(jobs, { experience: 'entry' }).length, 0);
+});
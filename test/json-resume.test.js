@@ -0,0 +1,48 @@
+// JSON Resume import and export round trips
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { jsonResume } from '../services/json-resume.js';
+
+test('work entries keep summary and highlights apart on a round trip', () => {
+    const document = {
+        work: [
+            { name: 'Acme', position: 'Engineer', startDate: '2020-01', endDate: '2022-06', highlights: ['Shipped billing', 'Cut costs 20%'] },
+            { name: 'Initech', position: 'Intern', startDate: '2019-01', endDate: '2019-06', summary: 'Support tooling', highlights: ['Wrote scripts'] }
+        ]
+    };
+
+    const work = jsonResume.fromAnalysis(jsonResume.toAnalysis(document)).work;
+    const acme = work.find(entry => entry.name === 'Acme');
+    const initech = work.find(entry => entry.name === 'Initech');
+
+    assert.equal(acme.summary, undefined);
+    assert.deepEqual(acme.highlights, ['Shipped billing', 'Cut costs 20%']);
+    assert.equal(initech.summary, 'Support tooling');
+    assert.deepEqual(initech.highlights, ['Wrote scripts']);
+});
+
+test('skills listed as plain strings are imported', () => {
+    const analysis = jsonResume.toAnalysis({
+        skills: ['Go', 'Kubernetes', { name: 'Web', keywords: ['React'] }]
+    });
+
+    assert.deepEqual(analysis.technicalSkills, ['Go', 'Kubernetes', 'React']);
+});
+
+test('malformed entries are validation errors, not crashes', () => {
+    assert.deepEqual(jsonResume.validate({ work: [null] }), ['"work[0]" must be an object']);
+    assert.deepEqual(jsonResume.validate({ skills: [{ name: 'Web', keywords: 42 }] }), ['"skills[0].keywords" must be an array of strings']);
+    assert.throws(() => jsonResume.toAnalysis({ work: [null] }), /Invalid JSON Resume/);
+});
+
+test('a single string for keywords or highlights is a one-item list', () => {
+    const document = {
+        work: [{ name: 'Acme', position: 'Engineer', startDate: '2020-01', endDate: '2021-01', highlights: 'Shipped billing' }],
+        skills: [{ name: 'Web', keywords: 'react' }]
+    };
+    assert.deepEqual(jsonResume.validate(document), []);
+
+    const analysis = jsonResume.toAnalysis(document);
+    assert.deepEqual(analysis.technicalSkills, ['react']);
+    assert.ok(analysis.achievements.includes('Shipped billing'));
+});
@@ -0,0 +1,75 @@
+// Masking personal details before resume text reaches the LLM
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { piiRedactor } from '../services/pii-redactor.js';
+
+test('UK mobile numbers are masked', () => {
+    const { text } = piiRedactor.redact('Jane Doe\nMobile: 07700 900123\n+44 7700 900123');
+
+    assert.equal(text, 'Jane Doe\nMobile: [PHONE_1]\n[PHONE_1]');
+});
+
+test('year lists are not mistaken for phones', () => {
+    const { text } = piiRedactor.redact('Experience\nAcme 2018 2019 2020 2021');
+
+    assert.equal(text, 'Experience\nAcme 2018 2019 2020 2021');
+});
+
+test('personal sites in the contact header are masked, employer links below are not', () => {
+    const { text } = piiRedactor.redact([
+        'Jane Doe',
+        'jane@example.com | https://janedoe.dev | janedoe.io/blog',
+        'Experience',
+        'Engineer at Acme (acme.com), built https://acme.com/billing'
+    ].join('\n'));
+
+    assert.deepEqual(text.split('\n'), [
+        'Jane Doe',
+        '[EMAIL_1] | [PROFILE_URL_1] | [PROFILE_URL_2]',
+        'Experience',
+        'Engineer at Acme (acme.com), built https://acme.com/billing'
+    ]);
+});
+
+test('street addresses are masked in the contact header only', () => {
+    const { text } = piiRedactor.redact([
+        'Jane Doe',
+        '221 Baker Street, Apt 4 | London',
+        'Address: 5 Elm Rd',
+        'Experience',
+        'Built 3 product lines on the way to launch',
+        'Led 12 engineers across 4 main street teams',
+        'Paralegal who managed 5 court cases a week'
+    ].join('\n'));
+
+    assert.deepEqual(text.split('\n'), [
+        'Jane Doe',
+        '[ADDRESS_1] | London',
+        'Address: [ADDRESS_2]',
+        'Experience',
+        'Built 3 product lines on the way to launch',
+        'Led 12 engineers across 4 main street teams',
+        'Paralegal who managed 5 court cases a week'
+    ]);
+});
+
+test('prose is not an address even in the header', () => {
+    const summary = 'Built 3 product lines on the way to launch';
+    assert.equal(piiRedactor.redact(`Jane Doe\n${summary}`).text, `Jane Doe\n${summary}`);
+});
+
+test('technology names in a headline are not taken for personal sites', () => {
+    const { text } = piiRedactor.redact([
+        'Jane Doe',
+        'Senior ASP.NET and Socket.io developer',
+        'Node.js | Socket.io | janedoe.io',
+        'Web: janedoe.dev'
+    ].join('\n'));
+
+    assert.deepEqual(text.split('\n'), [
+        'Jane Doe',
+        'Senior ASP.NET and Socket.io developer',
+        'Node.js | Socket.io | [PROFILE_URL_1]',
+        'Web: [PROFILE_URL_2]'
+    ]);
+});
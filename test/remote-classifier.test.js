@@ -0,0 +1,22 @@
+// Remote classification: the adapter's remote flag against a remote-only source
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { remoteClassifier, REMOTE_CATEGORIES } from '../services/remote-classifier.js';
+
+test('an adapter saying not remote beats the remote-only fallback', () => {
+    const job = { title: 'Backend Engineer', location: '', description: 'Build our API.', isRemote: false };
+    const result = remoteClassifier.classify(job, { remoteOnly: true });
+    assert.equal(result.category, REMOTE_CATEGORIES.ONSITE);
+    assert.equal(result.evidence.field, 'isRemote');
+    assert.equal(remoteClassifier.isRemote(result), false);
+});
+
+test('a remote-only source still marks jobs that say nothing as remote', () => {
+    const job = { title: 'Backend Engineer', location: '', description: 'Build our API.' };
+    assert.equal(remoteClassifier.classify(job, { remoteOnly: true }).category, REMOTE_CATEGORIES.REMOTE);
+});
+
+test('a stated remote description wins over the adapter flag', () => {
+    const job = { title: 'Backend Engineer', location: '', description: 'This is a fully remote role.', isRemote: false };
+    assert.equal(remoteClassifier.classify(job, { remoteOnly: true }).category, REMOTE_CATEGORIES.REMOTE);
+});
@@ -0,0 +1,35 @@
+// Segmenting text extracted from a real PDF resume
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { parsePdfBuffer } from '../api/parse-pdf.js';
+import { resumeSegmenter } from '../services/resume-segmenter.js';
+
+const fixture = fs.readFileSync(new URL('./fixtures/resume-sections.pdf', import.meta.url));
+
+test('PDF text keeps one line per row', async () => {
+    const text = await parsePdfBuffer(fixture);
+    const lines = text.split('\n');
+
+    assert.ok(lines.includes('Experience'));
+    assert.ok(lines.includes('Acme Corp, Austin | 2019 - Present'));
+});
+
+test('PDF resume is split into its sections', async () => {
+    const sections = resumeSegmenter.segment(await parsePdfBuffer(fixture));
+
+    assert.deepEqual(sections.map(section => section.section), ['header', 'summary', 'experience', 'education', 'skills']);
+    assert.match(sections.find(section => section.section === 'experience').text, /^Senior Software Engineer\n/);
+    assert.equal(sections.find(section => section.section === 'skills').text, 'Go, Node.js, PostgreSQL, Kubernetes, AWS');
+});
+
+test('merging section analyses keeps short skills', () => {
+    const merged = resumeSegmenter.mergeSectionAnalyses([
+        { section: 'skills', analysis: { technicalSkills: ['Go', 'R', 'C#', 'N/A'], softSkills: ['UX'] } },
+        { section: 'experience', analysis: { technicalSkills: ['go', 'AI', 'ML', 'QA'] } }
+    ]);
+
+    assert.deepEqual(merged.technicalSkills, ['Go', 'R', 'C#', 'AI', 'ML', 'QA']);
+    assert.deepEqual(merged.softSkills, ['UX']);
+    assert.deepEqual(merged.sectionSources.technicalSkills.Go, ['skills', 'experience']);
+});
@@ -0,0 +1,29 @@
+// Free-text salary parsing: currency symbols and picking the salary amount out of prose
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { salaryNormalizer } from '../services/salary.js';
+
+const parsed = text => {
+    const salary = salaryNormalizer.parse(text);
+    return salary && { min: salary.min, max: salary.max, currency: salary.currency, period: salary.period };
+};
+
+test('US$ is US dollars, not Singapore dollars', () => {
+    assert.deepEqual(parsed('US$120,000 - US$150,000'), { min: 120000, max: 150000, currency: 'USD', period: 'year' });
+    assert.deepEqual(parsed('US$60/hour'), { min: 60, max: 60, currency: 'USD', period: 'hour' });
+    assert.equal(parsed('S$8,000 per month').currency, 'SGD');
+    assert.equal(parsed('CA$90k').currency, 'CAD');
+});
+
+test('numbers without a currency or k/m suffix are not taken for the salary', () => {
+    assert.deepEqual(parsed('5 years experience, $90k'), { min: 90000, max: 90000, currency: 'USD', period: 'year' });
+    assert.deepEqual(parsed('4-day week, $100k'), { min: 100000, max: 100000, currency: 'USD', period: 'year' });
+    assert.deepEqual(parsed('5+ years, $90k - $110k'), { min: 90000, max: 110000, currency: 'USD', period: 'year' });
+    assert.equal(parsed('5 years experience'), null);
+});
+
+test('text that is only a salary still parses without a currency', () => {
+    assert.deepEqual(parsed('50,000 - 60,000 per year'), { min: 50000, max: 60000, currency: 'USD', period: 'year' });
+    assert.deepEqual(parsed('95'), { min: 95, max: 95, currency: 'USD', period: 'hour' });
+    assert.deepEqual(parsed('60000 USD per year'), { min: 60000, max: 60000, currency: 'USD', period: 'year' });
+});
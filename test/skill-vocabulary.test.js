@@ -0,0 +1,29 @@
+// Must-have skill checks and vocabulary matching against free text
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findMissingSkills, matchVocabulary, TECH_SKILLS } from '../services/skill-vocabulary.js';
+
+test('a pinned skill is satisfied by its aliases', () => {
+    assert.deepEqual(findMissingSkills('Deploy on Amazon Web Services with Golang and C++', ['aws', 'go', 'c++']), []);
+});
+
+test('a pinned skill is not satisfied by a longer, different skill', () => {
+    assert.deepEqual(findMissingSkills('Senior React Native Engineer', ['React']), ['React']);
+    assert.deepEqual(findMissingSkills('React Native and React web apps', ['React']), []);
+    assert.deepEqual(findMissingSkills('Oracle Financials consultant', ['oracle']), ['oracle']);
+});
+
+test('a pinned skill must be a whole word', () => {
+    assert.deepEqual(findMissingSkills('Own our go-to-market plan', ['go']), ['go']);
+    assert.deepEqual(findMissingSkills('Services written in Go.', ['go']), []);
+    assert.deepEqual(findMissingSkills('JavaScript developer', ['java']), ['java']);
+});
+
+test('vocabulary matching finds symbol-ending terms and keeps longer terms apart', () => {
+    const matched = matchVocabulary('Built C# services and C++ tooling, then shipped React Native apps', TECH_SKILLS);
+    assert.ok(matched.includes('c#'));
+    assert.ok(matched.includes('c++'));
+    assert.ok(matched.includes('react native'));
+    assert.ok(!matched.includes('react'));
+    assert.ok(matchVocabulary('React Native and React web apps', TECH_SKILLS).includes('react'));
+});
@@ -0,0 +1,139 @@
+// Shared state persistence: circuit breakers and quota counts shared through KV, and persistence status
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { KvStore } from '../services/state-store.js';
+import { JsonFileStore } from '../services/json-file-store.js';
+import { CircuitBreakerBoard, CIRCUIT_STATES } from '../services/circuit-breaker.js';
+import { QuotaLedger, RateLimiter } from '../services/rate-limiter.js';
+
+// Minimal Redis REST API: POST / with a command such as ["GET", key] or ["INCR", key]
+function startKvServer() {
+    const data = new Map();
+    const commands = {
+        GET: ([key]) => data.get(key) ?? null,
+        SET: ([key, value]) => { data.set(key, value); return 'OK'; },
+        INCR: ([key]) => { data.set(key, String(Number(data.get(key) ?? 0) + 1)); return Number(data.get(key)); },
+        EXPIREAT: ([key]) => (data.has(key) ? 1 : 0),
+        MGET: keys => keys.map(key => data.get(key) ?? null),
+        DEL: keys => keys.filter(key => data.delete(key)).length
+    };
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const [command, ...args] = JSON.parse(body);
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify({ result: commands[command](args) }));
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, data })));
+}
+
+/**
+ * Run a test body with KV_REST_API_URL pointing at a fresh local KV server
+ * @param {Function} body - Receives the server's data map
+ */
+async function withKvServer(body) {
+    const { server, data } = await startKvServer();
+    const env = { KV_REST_API_URL: process.env.KV_REST_API_URL, KV_REST_API_TOKEN: process.env.KV_REST_API_TOKEN };
+    process.env.KV_REST_API_URL = `http://127.0.0.1:${server.address().port}`;
+    process.env.KV_REST_API_TOKEN = 'test-token';
+
+    try {
+        await body(data);
+    } finally {
+        Object.entries(env).forEach(([name, value]) => {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        });
+        server.close();
+    }
+}
+
+test('circuit breaker state written to KV is restored by a fresh board', () => withKvServer(async data => {
+    const board = new CircuitBreakerBoard('/tmp/unused-circuit-breakers.json');
+    await board.ready;
+    assert.ok(board.store instanceof KvStore);
+    board.get('jsearch').trip('monthly quota exceeded');
+    await board.pending;
+    assert.ok(data.has('job-matcher:circuit-breakers'));
+
+    const coldStart = new CircuitBreakerBoard('/tmp/unused-circuit-breakers.json');
+    await coldStart.ready;
+    assert.equal(coldStart.get('jsearch').state, CIRCUIT_STATES.OPEN);
+    assert.equal(coldStart.events.at(-1).to, CIRCUIT_STATES.OPEN);
+    assert.equal(coldStart.store.getStatus().persistent, true);
+}));
+
+test('boards sharing KV keep each other\'s breakers and see them on refresh', () => withKvServer(async () => {
+    const search = new CircuitBreakerBoard('/tmp/unused-circuit-breakers.json', { refreshMs: 0 });
+    const otherSearch = new CircuitBreakerBoard('/tmp/unused-circuit-breakers.json', { refreshMs: 0 });
+    await Promise.all([search.ready, otherSearch.ready]);
+
+    search.get('jsearch').trip('monthly quota exceeded');
+    await search.pending;
+    otherSearch.get('reed').recordFailure('timeout');
+    await otherSearch.pending;
+
+    const coldStart = new CircuitBreakerBoard('/tmp/unused-circuit-breakers.json');
+    await coldStart.ready;
+    assert.equal(coldStart.get('jsearch').state, CIRCUIT_STATES.OPEN);
+    assert.equal(coldStart.get('reed').failures, 1);
+
+    search.get('jsearch').reset('Manual reset');
+    await search.pending;
+    await otherSearch.refresh();
+    assert.equal(otherSearch.get('jsearch').state, CIRCUIT_STATES.CLOSED);
+    assert.equal(otherSearch.get('jsearch').canRequest().allowed, true);
+}));
+
+test('instances sharing KV count requests against one quota', () => withKvServer(async data => {
+    const first = new RateLimiter('reed', { requests: 3, per: 'day' }, new QuotaLedger('/tmp/unused-quota-ledger.json'));
+    const second = new RateLimiter('reed', { requests: 3, per: 'day' }, new QuotaLedger('/tmp/unused-quota-ledger.json'));
+
+    await Promise.all([first.acquire(), second.acquire()]);
+    await second.acquire();
+    assert.ok(data.has(`job-matcher:quota-ledger:${first.ledger.getCounterName('reed', 'day')}`));
+    await assert.rejects(first.acquire(), /daily quota exceeded \(3\/3 requests\)/);
+
+    await second.ledger.reset('reed');
+    await first.acquire();
+    assert.equal(first.ledger.getCount('reed', 'day'), 1);
+}));
+
+test('ledgers sharing a file merge their counts instead of overwriting them', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'quota-ledger-')), 'ledger.json');
+    const first = new RateLimiter('reed', { requests: 3, per: 'day' }, new QuotaLedger(file));
+    const second = new RateLimiter('reed', { requests: 3, per: 'day' }, new QuotaLedger(file));
+    await Promise.all([first.ledger.ready, second.ledger.ready]);
+
+    await first.acquire();
+    await second.acquire();
+    await first.acquire();
+    assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).reed.day.count, 3);
+    await assert.rejects(second.acquire(), /daily quota exceeded/);
+});
+
+test('KV store reports no persistence when requests fail', async () => {
+    const store = new KvStore('circuit-breakers', 'Circuit breaker state', { url: 'http://127.0.0.1:1', token: 'x' });
+    assert.deepEqual(await store.read({}), {});
+    await store.write({ breakers: {} });
+    assert.equal(store.getStatus().persistent, false);
+});
+
+test('file store on Vercel reports no persistence', () => {
+    const vercel = process.env.VERCEL;
+    process.env.VERCEL = '1';
+    try {
+        const status = new JsonFileStore('/tmp/circuit-breakers.json', 'Circuit breaker state').getStatus();
+        assert.equal(status.persistent, false);
+        assert.match(status.reason, /KV_REST_API_URL/);
+    } finally {
+        if (vercel === undefined) delete process.env.VERCEL;
+        else process.env.VERCEL = vercel;
+    }
+});
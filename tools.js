@@ -1,32 +1,74 @@
 // tools.js
 import dotenv from 'dotenv';
 import axios from 'axios';
-import OpenAI from "openai";
+import { resumeSegmenter } from './services/resume-segmenter.js';
+import { employmentTimeline } from './services/employment-timeline.js';
+import { piiRedactor } from './services/pii-redactor.js';
+import { llmProvider } from './services/llm-provider.js';
+import { RESUME_ANALYSIS_SCHEMA, JOB_MATCH_SCHEMA } from './services/llm-schemas.js';
+import {
+    TECH_SKILLS, SOFT_SKILLS, EXPERIENCE_PATTERNS, INDUSTRY_PATTERNS,
+    RESPONSIBILITY_PATTERNS, EDUCATION_PATTERNS, QUALIFICATION_PATTERNS,
+    matchVocabulary, findMissingSkills
+} from './services/skill-vocabulary.js';
+import { sourceRegistry } from './services/source-registry.js';
+import { apiConfig } from './config/api-config.js';
 
 dotenv.config({ path: './local.env' });
 
-// Initialize OpenAI with enhanced configuration - lazy loading
-let openai = null;
-
-function getOpenAIClient() {
-    if (!openai) {
-        openai = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY,
-            timeout: 30000, // 30 second timeout for OpenAI requests
-            maxRetries: 2   // Retry failed requests up to 2 times
+// Enhanced Resume Analysis Function with better role extraction
+// The resume is split into sections and each section is analysed on its own,
+// so long resumes are never truncated and every item keeps its source section
+export async function analyzeResume(resumeText, llm = llmProvider) {
+    try {
+        console.log('Starting comprehensive resume analysis...');
+        // Mask contact details and ID numbers before any text is sent to the model
+        const safeText = piiRedactor.redactForLLM(resumeText);
+        const chunks = resumeSegmenter.getChunks(safeText);
+        console.log(`Resume split into ${chunks.length} chunks:`, chunks.map(chunk => `${chunk.section}(${chunk.text.length})`).join(', '));
+
+        const sectionResults = await Promise.all(chunks.map(chunk => analyzeResumeSection(chunk, llm)));
+        const analysis = resumeSegmenter.mergeSectionAnalyses(sectionResults);
+        analysis.fallbackSections = sectionResults.filter(result => result.fallback).map(result => result.section);
+
+        // Structured positions come from the Experience section (or the whole resume if it had no headings)
+        const experienceText = chunks
+            .filter(chunk => ['experience', 'general'].includes(chunk.section))
+            .map(chunk => chunk.text)
+            .join('\n\n');
+        employmentTimeline.applyToAnalysis(analysis, experienceText);
+
+        console.log('AI analysis completed:', {
+            technical: analysis.technicalSkills.length,
+            soft: analysis.softSkills.length,
+            experience: analysis.workExperience.length,
+            education: analysis.education.length,
+            qualifications: analysis.qualifications.length,
+            industries: analysis.industries.length,
+            responsibilities: analysis.responsibilities.length,
+            achievements: analysis.achievements.length,
+            seniorityLevel: analysis.seniorityLevel,
+            sections: analysis.sections.join(', '),
+            positions: analysis.positions.length,
+            totalYearsExperience: analysis.totalYearsExperience
         });
+
+        return analysis;
+    } catch (error) {
+        console.error('Error analyzing resume:', error);
+        return extractEnhancedSkillsFromText(resumeText);
     }
-    return openai;
 }
 
-// Enhanced Resume Analysis Function with better role extraction
-export async function analyzeResume(resumeText, openai) {
-    try {
-        console.log('Starting comprehensive resume analysis...');
-        const truncatedText = resumeText.length > 8000 ? resumeText.substring(0, 8000) + '...' : resumeText;
+// Analyse a single resume section chunk, merged with keyword extraction for that chunk
+async function analyzeResumeSection(chunk, llm) {
+    const fallbackAnalysis = extractEnhancedSkillsFromText(chunk.text);
+    const partLabel = chunk.totalParts > 1 ? ` (part ${chunk.part} of ${chunk.totalParts})` : '';
 
-        const response = await openai.chat.completions.create({
-            model: "gpt-3.5-turbo",
+    try {
+        const analysis = await llm.chatJson({
+            task: 'resumeAnalysis',
+            schema: RESUME_ANALYSIS_SCHEMA,
             messages: [
                 {
                     role: "system",
@@ -63,52 +105,22 @@ Return ONLY a valid JSON object:
                 },
                 {
                     role: "user",
-                    content: `Analyze this resume comprehensively and extract ALL relevant information for job matching. Look beyond job titles to understand what this person actually does and is capable of: ${truncatedText}`
+                    content: `This is the ${chunk.label} section of a resume${partLabel}. Analyze it comprehensively and extract ALL relevant information for job matching. Look beyond job titles to understand what this person actually does and is capable of: ${chunk.text}`
                 }
             ],
             temperature: 0.1,
-            max_tokens: 1500
+            maxTokens: 1500
         });
 
-        const analysisText = response.choices[0].message.content;
-        const cleanedText = analysisText.replace(/```json\s*|\s*```/g, '').trim();
-
-        try {
-            const analysis = JSON.parse(cleanedText);
-            console.log('AI analysis completed:', {
-                technical: analysis.technicalSkills?.length || 0,
-                soft: analysis.softSkills?.length || 0,
-                experience: analysis.workExperience?.length || 0,
-                education: analysis.education?.length || 0,
-                qualifications: analysis.qualifications?.length || 0,
-                industries: analysis.industries?.length || 0,
-                responsibilities: analysis.responsibilities?.length || 0,
-                achievements: analysis.achievements?.length || 0,
-                seniorityLevel: analysis.seniorityLevel || 'none'
-            });
-            
-            // Merge with enhanced fallback extraction
-            const fallbackAnalysis = extractEnhancedSkillsFromText(resumeText);
-        const mergedAnalysis = {
-            technicalSkills: [...new Set([...(analysis.technicalSkills || []), ...(fallbackAnalysis.technicalSkills || [])])],
-            softSkills: [...new Set([...(analysis.softSkills || []), ...(fallbackAnalysis.softSkills || [])])],
-            workExperience: [...new Set([...(analysis.workExperience || []), ...(fallbackAnalysis.workExperience || [])])],
-            education: [...new Set([...(analysis.education || []), ...(fallbackAnalysis.education || [])])],
-            qualifications: [...new Set([...(analysis.qualifications || []), ...(fallbackAnalysis.qualifications || [])])],
-                industries: [...new Set([...(analysis.industries || []), ...(fallbackAnalysis.industries || [])])],
-                responsibilities: [...new Set([...(analysis.responsibilities || []), ...(fallbackAnalysis.responsibilities || [])])],
-                achievements: [...new Set([...(analysis.achievements || []), ...(fallbackAnalysis.achievements || [])])],
-                seniorityLevel: (analysis.seniorityLevel && analysis.seniorityLevel.trim()) || fallbackAnalysis.seniorityLevel || 'mid'
-            };
-
-        return mergedAnalysis;
-        } catch (parseError) {
-            console.log('AI parsing failed, using enhanced fallback extraction');
-            return extractEnhancedSkillsFromText(resumeText);
+        const mergedAnalysis = { seniorityLevel: (analysis.seniorityLevel && analysis.seniorityLevel.trim()) || fallbackAnalysis.seniorityLevel || 'mid' };
+        for (const category of resumeSegmenter.analysisCategories) {
+            mergedAnalysis[category] = [...(analysis[category] || []), ...(fallbackAnalysis[category] || [])];
         }
+
+        return { section: chunk.section, analysis: mergedAnalysis };
     } catch (error) {
-        console.error('Error analyzing resume:', error);
-        return extractEnhancedSkillsFromText(resumeText);
+        console.log(`AI analysis failed for ${chunk.section} section, using enhanced fallback extraction:`, error.message);
+        return { section: chunk.section, analysis: fallbackAnalysis, fallback: true };
     }
 }
 
@@ -127,150 +139,12 @@ function extractEnhancedSkillsFromText(resumeText) {
         seniorityLevel: 'mid'
     };
 
-    // Comprehensive technical skills
-    const techSkills = [
-        // Programming & Development
-        'javascript', 'typescript', 'python', 'java', 'c#', 'c++', 'php', 'ruby', 'go', 'swift', 'kotlin', 'scala', 'rust',
-        'react', 'angular', 'vue', 'node.js', 'express', 'django', 'flask', 'spring', 'laravel', 'rails',
-        'html', 'css', 'sass', 'less', 'bootstrap', 'tailwind',
-        'sql', 'mysql', 'postgresql', 'mongodb', 'redis', 'elasticsearch', 'sqlite', 'oracle', 'cassandra',
-        'aws', 'azure', 'google cloud', 'gcp', 'docker', 'kubernetes', 'jenkins', 'git', 'gitlab', 'github',
-        'linux', 'unix', 'windows server', 'apache', 'nginx', 'terraform', 'ansible',
-        
-        // Data & Analytics
-        'excel', 'google sheets', 'tableau', 'power bi', 'looker', 'qlik', 'r', 'stata', 'spss', 'sas',
-        'google analytics', 'mixpanel', 'amplitude', 'hotjar', 'segment', 'databricks', 'snowflake',
-        'pandas', 'numpy', 'matplotlib', 'seaborn', 'plotly', 'jupyter', 'hadoop', 'spark',
-        
-        // Design & Creative
-        'figma', 'sketch', 'adobe xd', 'photoshop', 'illustrator', 'indesign', 'after effects',
-        'canva', 'invision', 'principle', 'framer', 'zeplin', 'adobe creative suite',
-        
-        // Marketing & Sales
-        'google ads', 'facebook ads', 'instagram ads', 'linkedin ads', 'twitter ads', 'tiktok ads',
-        'hubspot', 'salesforce', 'marketo', 'mailchimp', 'constant contact', 'pardot', 'klaviyo',
-        'seo', 'sem', 'ppc', 'social media marketing', 'email marketing', 'content marketing',
-        'google tag manager', 'facebook pixel', 'conversion tracking',
-        
-        // Project Management & Productivity
-        'jira', 'asana', 'trello', 'monday.com', 'notion', 'confluence', 'slack', 'teams',
-        'basecamp', 'wrike', 'smartsheet', 'airtable', 'clickup', 'linear',
-        
-        // Business & Finance
-        'quickbooks', 'sage', 'xero', 'freshbooks', 'netsuite', 'sap', 'oracle financials',
-        'bloomberg terminal', 'thomson reuters', 'factset', 'morningstar', 'workday',
-        
-        // CRM & Customer Service
-        'zendesk', 'freshdesk', 'intercom', 'drift', 'livechat', 'helpscout', 'servicenow',
-        'pipedrive', 'copper', 'zoho', 'insightly', 'dynamics 365'
-    ];
-
-    // Enhanced soft skills
-    const softSkills = [
-        'leadership', 'management', 'team leadership', 'people management',
-        'communication', 'verbal communication', 'written communication', 'presentation skills',
-        'teamwork', 'collaboration', 'cross-functional collaboration',
-        'problem solving', 'analytical thinking', 'critical thinking', 'creative thinking',
-        'project management', 'program management', 'time management', 'organization', 'planning',
-        'customer service', 'client relations', 'stakeholder management', 'relationship management',
-        'public speaking', 'writing', 'editing', 'technical writing',
-        'negotiation', 'sales', 'marketing', 'business development', 'account management',
-        'training', 'mentoring', 'coaching', 'teaching', 'knowledge transfer',
-        'adaptability', 'flexibility', 'innovation', 'creativity', 'entrepreneurship',
-        'attention to detail', 'quality assurance', 'process improvement', 'continuous improvement',
-        'strategic planning', 'strategic thinking', 'decision making', 'risk management'
-    ];
-
-    // Enhanced work experience patterns with responsibilities
-    const experiencePatterns = [
-        // Technology roles
-        'software engineer', 'software developer', 'web developer', 'mobile developer', 'app developer',
-        'full stack developer', 'frontend developer', 'backend developer', 'fullstack engineer',
-        'data scientist', 'data analyst', 'data engineer', 'machine learning engineer', 'ai engineer',
-        'devops engineer', 'cloud engineer', 'infrastructure engineer', 'site reliability engineer',
-        'system administrator', 'network administrator', 'database administrator',
-        'cybersecurity analyst', 'information security', 'security engineer',
-        'it support', 'technical support', 'help desk', 'system analyst',
-        'product manager', 'project manager', 'program manager', 'scrum master', 'agile coach',
-        'ux designer', 'ui designer', 'product designer', 'graphic designer', 'web designer',
-        'technical lead', 'engineering manager', 'cto', 'vp engineering',
-        
-        // Business & Operations
-        'business analyst', 'systems analyst', 'process analyst', 'operations analyst',
-        'financial analyst', 'investment analyst', 'research analyst', 'credit analyst',
-        'accountant', 'bookkeeper', 'controller', 'cfo', 'finance manager', 'finance director',
-        'operations manager', 'operations director', 'general manager', 'ceo', 'coo', 'president',
-        'consultant', 'business consultant', 'management consultant', 'strategy consultant',
-        'human resources', 'hr manager', 'hr director', 'recruiter', 'talent acquisition',
-        'training manager', 'learning and development', 'organizational development',
-        
-        // Sales & Marketing
-        'marketing manager', 'marketing director', 'digital marketing manager', 'growth manager',
-        'content marketing manager', 'social media manager', 'brand manager', 'product marketing',
-        'marketing coordinator', 'marketing specialist', 'marketing analyst',
-        'sales manager', 'sales director', 'sales representative', 'account manager', 'account executive',
-        'business development manager', 'partnerships manager', 'channel manager',
-        'customer success manager', 'customer service manager', 'support manager',
-        
-        // Creative & Content
-        'creative director', 'art director', 'design director', 'brand designer',
-        'copywriter', 'content writer', 'technical writer', 'content creator', 'content strategist',
-        'video editor', 'photographer', 'animator', 'motion graphics designer',
-        
-        // Industry-specific
-        'healthcare', 'medical', 'pharmaceutical', 'biotech', 'clinical research',
-        'education', 'academic', 'research', 'scientific research',
-        'legal', 'compliance', 'regulatory', 'audit', 'risk management',
-        'retail', 'e-commerce', 'supply chain', 'logistics', 'procurement'
-    ];
-
-    // Industry patterns
-    const industryPatterns = [
-        'technology', 'software', 'saas', 'fintech', 'healthtech', 'edtech',
-        'healthcare', 'medical', 'pharmaceutical', 'biotechnology',
-        'finance', 'banking', 'insurance', 'investment', 'venture capital',
-        'e-commerce', 'retail', 'consumer goods', 'marketplace',
-        'education', 'academic', 'research', 'non-profit',
-        'media', 'entertainment', 'advertising', 'marketing',
-        'manufacturing', 'automotive', 'aerospace', 'energy',
-        'real estate', 'construction', 'architecture',
-        'consulting', 'professional services', 'legal'
-    ];
-
-    // Responsibility patterns
-    const responsibilityPatterns = [
-        'developed', 'built', 'created', 'designed', 'implemented', 'deployed',
-        'managed', 'led', 'supervised', 'coordinated', 'organized',
-        'analyzed', 'researched', 'evaluated', 'assessed', 'reviewed',
-        'improved', 'optimized', 'streamlined', 'automated', 'enhanced',
-        'collaborated', 'partnered', 'worked with', 'liaised',
-        'trained', 'mentored', 'coached', 'taught', 'guided',
-        'planned', 'strategized', 'executed', 'delivered', 'launched',
-        'maintained', 'supported', 'troubleshot', 'resolved',
-        'increased', 'grew', 'expanded', 'scaled', 'boosted',
-        'reduced', 'decreased', 'minimized', 'cut', 'saved'
-    ];
-
-    // Check for matches
-    techSkills.forEach(skill => {
-        if (text.includes(skill)) analysis.technicalSkills.push(skill);
-    });
-
-    softSkills.forEach(skill => {
-        if (text.includes(skill)) analysis.softSkills.push(skill);
-    });
-
-    experiencePatterns.forEach(exp => {
-        if (text.includes(exp)) analysis.workExperience.push(exp);
-    });
-
-    industryPatterns.forEach(industry => {
-        if (text.includes(industry)) analysis.industries.push(industry);
-    });
-
-    responsibilityPatterns.forEach(resp => {
-        if (text.includes(resp)) analysis.responsibilities.push(resp);
-    });
+    // Shared vocabulary (services/skill-vocabulary.js), matched on word boundaries
+    analysis.technicalSkills.push(...matchVocabulary(resumeText, TECH_SKILLS));
+    analysis.softSkills.push(...matchVocabulary(resumeText, SOFT_SKILLS));
+    analysis.workExperience.push(...matchVocabulary(resumeText, EXPERIENCE_PATTERNS));
+    analysis.industries.push(...matchVocabulary(resumeText, INDUSTRY_PATTERNS));
+    analysis.responsibilities.push(...matchVocabulary(resumeText, RESPONSIBILITY_PATTERNS));
 
     // Determine seniority level
     if (text.includes('senior') || text.includes('lead') || text.includes('principal') || text.includes('architect')) {
@@ -283,30 +157,8 @@ function extractEnhancedSkillsFromText(resumeText) {
         analysis.seniorityLevel = 'lead';
     }
 
-    // Education patterns
-    const educationPatterns = [
-        'bachelor', 'bs', 'ba', 'master', 'ms', 'ma', 'mba', 'phd', 'doctorate', 'associate',
-        'computer science', 'engineering', 'business', 'marketing', 'finance', 'economics',
-        'psychology', 'communications', 'design', 'art', 'science', 'mathematics',
-        'certification', 'certified', 'license', 'training', 'course', 'bootcamp',
-        'aws certified', 'microsoft certified', 'google certified', 'salesforce certified',
-        'pmp', 'scrum master', 'agile', 'six sigma', 'lean'
-    ];
-    
-    educationPatterns.forEach(edu => {
-        if (text.includes(edu)) analysis.education.push(edu);
-    });
-
-    // Qualification patterns
-    const qualificationPatterns = [
-        'years experience', 'years of experience', 'experienced', 'expert', 'specialist',
-        'professional', 'leadership experience', 'management experience',
-        'team lead', 'project lead', 'technical lead', 'thought leader'
-    ];
-    
-    qualificationPatterns.forEach(qual => {
-        if (text.includes(qual)) analysis.qualifications.push(qual);
-    });
+    analysis.education.push(...matchVocabulary(resumeText, EDUCATION_PATTERNS));
+    analysis.qualifications.push(...matchVocabulary(resumeText, QUALIFICATION_PATTERNS));
 
     console.log('Enhanced skill extraction results:', {
         technical: analysis.technicalSkills.length,
@@ -354,14 +206,22 @@ export async function scrapeJobListings(analysis, filters, openai, onJobFound) {
         const processedJobs = new Set(); // Track duplicates across all sources
 
         // FIXED: Process each source SEQUENTIALLY with proper error handling
-        const sources = [
-            { name: 'Theirstack', func: searchTheirstackJobs },
-            { name: 'Adzuna', func: searchAdzunaJobs },
-            { name: 'TheMuse', func: searchTheMuseJobs },
-            { name: 'Reed', func: searchReedJobs },
-            { name: 'JSearch-RapidAPI', func: searchJSearchRapidAPI },
-            { name: 'RapidAPI-Jobs', func: searchRapidAPIJobs }
-        ];
+        // Inline clients for the keyed APIs; any other registered source uses its adapter
+        const legacySearches = {
+            theirstack: searchTheirstackJobs,
+            adzuna: searchAdzunaJobs,
+            themuse: searchTheMuseJobs,
+            reed: searchReedJobs,
+            jsearch: searchJSearchRapidAPI,
+            jobs: searchRapidAPIJobs
+        };
+        const registeredApis = sourceRegistry.createInstances();
+        const sources = sourceRegistry.list()
+            .filter(source => apiConfig.validateApi(source.id).isValid)
+            .map(source => ({
+                name: source.displayName,
+                func: legacySearches[source.id] || ((query, filters) => registeredApis[source.id].searchJobs(query, filters))
+            }));
 
         // Process each source individually
         for (const source of sources) {
@@ -522,6 +382,13 @@ async function filterHighMatchJobsFixed(jobs, analysis, openai, processedJobs) {
                 return null;
             }
             
+            // Pinned must-have skills are hard requirements, checked before any scoring
+            const missingMustHaves = findMissingSkills(`${job.title} ${job.description || ''}`, analysis.mustHaveSkills);
+            if (missingMustHaves.length > 0) {
+                console.log(`❌ Must-have filter: "${job.title}" does not mention ${missingMustHaves.join(', ')}`);
+                return null;
+            }
+            
             try {
                 await new Promise(resolve => setTimeout(resolve, index * 100));
                 
@@ -672,6 +539,14 @@ function calculateEnhancedBasicMatchFixed(job, analysis) {
         console.log(`    Keyword match: ${keywordScore.toFixed(1)}%`);
     }
     
+    // Tenure match (20% weight) - real years from the employment timeline vs the posting's requirements
+    const tenureScore = employmentTimeline.scoreTenureMatch(analysis, jobText);
+    if (tenureScore !== null) {
+        totalScore += tenureScore * 0.20;
+        maxPossibleScore += 20;
+        console.log(`    Tenure match: ${tenureScore.toFixed(1)}%`);
+    }
+    
     // FIXED: Calculate final score
     const finalScore = maxPossibleScore > 0 ? Math.round((totalScore / maxPossibleScore) * 100) : 0;
     
@@ -1468,11 +1343,10 @@ async function calculateEnhancedJobMatches(jobs, analysis, openai) {
 
 // FIXED: AI-powered job matching with corrected Missing Requirements logic
 async function calculateRealAIJobMatch(job, analysis) {
-    const openai = getOpenAIClient();
-    
     try {
-        const response = await openai.chat.completions.create({
-        model: "gpt-4o",
+        const parsed = await llmProvider.chatJson({
+        task: 'jobMatch',
+        schema: JOB_MATCH_SCHEMA,
         messages: [
             {
                 role: "system",
@@ -1536,39 +1410,28 @@ Return your analysis as JSON:
             }
         ],
         temperature: 0.1,
-        max_tokens: 600
+        maxTokens: 600
     });
 
-    const content = response.choices[0].message.content.trim();
-    const jsonMatch = content.match(/\{[\s\S]*\}/);
-    
-    if (jsonMatch) {
-        const parsed = JSON.parse(jsonMatch[0]);
-        return {
-            matchPercentage: parsed.matchPercentage || 0,
-            matchedTechnicalSkills: parsed.matchedTechnicalSkills || [],
-            matchedSoftSkills: parsed.matchedSoftSkills || [],
-            matchedExperience: parsed.matchedExperience || [],
-            missingRequirements: parsed.missingRequirements || [],
-            reasoning: parsed.reasoning || 'Comprehensive AI analysis completed',
-            industryMatch: parsed.industryMatch || 0,
-            seniorityMatch: parsed.seniorityMatch || 0,
-            growthPotential: parsed.growthPotential || 'medium'
-        };
-    } else {
-        throw new Error('No valid JSON found in AI response');
-    }
+    return {
+        matchPercentage: parsed.matchPercentage || 0,
+        matchedTechnicalSkills: parsed.matchedTechnicalSkills || [],
+        matchedSoftSkills: parsed.matchedSoftSkills || [],
+        matchedExperience: parsed.matchedExperience || [],
+        missingRequirements: parsed.missingRequirements || [],
+        reasoning: parsed.reasoning || 'Comprehensive AI analysis completed',
+        industryMatch: parsed.industryMatch || 0,
+        seniorityMatch: parsed.seniorityMatch || 0,
+        growthPotential: parsed.growthPotential || 'medium'
+    };
     
-    } catch (openaiError) {
-        console.error(`🤖 OpenAI API Error for "${job.title}":`, {
-            error: openaiError.message,
-            type: openaiError.type || 'unknown',
-            code: openaiError.code || 'unknown',
-            status: openaiError.status || 'unknown'
+    } catch (llmError) {
+        console.error(`🤖 ${llmProvider.name} Error for "${job.title}":`, {
+            error: llmError.message
         });
         
         // Re-throw the error to be handled by the calling function
-        throw new Error(`OpenAI API failed: ${openaiError.message}`);
+        throw new Error(`AI match failed: ${llmError.message}`);
     }
 }
 